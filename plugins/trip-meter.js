@@ -0,0 +1,81 @@
+/**
+ * Example plugin: a trip meter for the vehicle being driven, read with
+ * the `trip` console command.
+ *
+ * Everything it sets up goes through ctx, so stopping the plugin undoes
+ * it: the vehicle:entered listener, the simulation that adds up the
+ * distance (fixed step, so slow motion and pauses count as they should),
+ * the console command and, via onDispose, the session summary it logs.
+ *
+ * Options (plugins/plugins.json):
+ *   unit -- 'km' (default) or 'mi'
+ *
+ * Other plugins reach it with ctx.getPlugin('trip-meter') and can list it
+ * in their `dependencies` to start after it:
+ *   ctx.getPlugin('trip-meter').trip   // metres since entering the vehicle
+ */
+
+const UNITS = {
+  km: { metres: 1000, speed: 'km/h' },
+  mi: { metres: 1609.344, speed: 'mph' },
+};
+
+export default {
+  name: 'trip-meter',
+
+  register(engine, ctx) {
+    const unitName = ctx.options.unit === 'mi' ? 'mi' : 'km';
+    const unit = UNITS[unitName];
+    let trip = 0;       // metres since entering the current vehicle
+    let total = 0;      // metres driven since the plugin started
+    let topSpeed = 0;   // m/s, this trip
+
+    const distance = (metres) => `${(metres / unit.metres).toFixed(2)} ${unitName}`;
+    const speed = (metresPerSecond) => `${Math.round(metresPerSecond * 3600 / unit.metres)} ${unit.speed}`;
+    const reset = () => {
+      trip = 0;
+      topSpeed = 0;
+    };
+
+    ctx.on('vehicle:entered', reset);
+
+    ctx.addSimulation({
+      name: 'TripMeter',
+      update(delta) {
+        const drivable = ctx.state.vehicle?.getComponent('drivable');
+        if (!drivable) return;
+        const moved = Math.abs(drivable.speed) * delta;
+        trip += moved;
+        total += moved;
+        topSpeed = Math.max(topSpeed, Math.abs(drivable.speed));
+      },
+    });
+
+    ctx.addCommand({
+      name: 'trip',
+      description: 'Show the trip meter of the driven vehicle, or reset it',
+      args: [{ name: 'action', type: 'choice', optional: true, options: ['reset'] }],
+      run: ({ action }) => {
+        if (action === 'reset') {
+          reset();
+          return 'Trip meter reset';
+        }
+        return [
+          `Trip   ${distance(trip)}, top speed ${speed(topSpeed)}`,
+          `Total  ${distance(total)}`,
+        ];
+      },
+    });
+
+    ctx.onDispose(() => {
+      if (total > 0) console.log(`[trip-meter] ${distance(total)} driven`);
+    });
+
+    // Public API (ctx.getPlugin('trip-meter')); no lifecycle hooks needed
+    return {
+      get trip() { return trip; },
+      get total() { return total; },
+      reset,
+    };
+  },
+};
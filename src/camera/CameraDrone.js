@@ -1,15 +1,18 @@
 import { Vector3, Euler, MathUtils } from 'three';
+import Settings from '../core/Settings.js';
+import { MOUSE_SENSITIVITY } from '../utils/constants.js';
 
 /**
  * Free-fly drone camera with inertia.
- * WASD horizontal, Q/E up/down, mouse look, Shift boost.
+ * Move actions horizontal (WASD), fly up/down (E/Q), mouse look, sprint boost.
+ * Mouse look follows the mouseSensitivity and invertY settings.
  */
 class CameraDrone {
   constructor() {
     this.name = 'drone';
     this.moveSpeed = 30;
     this.boostMultiplier = 3;
-    this.lookSensitivity = 0.002;
+    this.lookSensitivity = MOUSE_SENSITIVITY; // scaled by the mouseSensitivity setting
     this.dampingFactor = 0.9;
 
     this._velocity = new Vector3();
@@ -44,8 +47,10 @@ class CameraDrone {
     // Mouse look (only when pointer is locked)
     if (inputManager.isPointerLocked()) {
       const mouse = inputManager.getMouseDelta();
-      this._euler.y -= mouse.x * this.lookSensitivity;
-      this._euler.x -= mouse.y * this.lookSensitivity;
+      const sensitivity = this.lookSensitivity * Settings.get('mouseSensitivity');
+      const invertY = Settings.get('invertY') ? -1 : 1;
+      this._euler.y -= mouse.x * sensitivity;
+      this._euler.x -= mouse.y * sensitivity * invertY;
       this._euler.x = MathUtils.clamp(this._euler.x, -this._pitchLimit, this._pitchLimit);
       camera.quaternion.setFromEuler(this._euler);
     }
@@ -61,20 +66,17 @@ class CameraDrone {
     // Right vector
     this._right.crossVectors(this._forward, camera.up).normalize();
 
-    // WASD
-    if (inputManager.isKeyDown('KeyW')) this._moveDir.add(this._forward);
-    if (inputManager.isKeyDown('KeyS')) this._moveDir.sub(this._forward);
-    if (inputManager.isKeyDown('KeyA')) this._moveDir.sub(this._right);
-    if (inputManager.isKeyDown('KeyD')) this._moveDir.add(this._right);
+    // Horizontal move actions
+    this._moveDir.addScaledVector(this._forward, inputManager.getAxis('moveY'));
+    this._moveDir.addScaledVector(this._right, inputManager.getAxis('moveX'));
 
-    // Q/E for world-space vertical
-    if (inputManager.isKeyDown('KeyE')) this._moveDir.y += 1;
-    if (inputManager.isKeyDown('KeyQ')) this._moveDir.y -= 1;
+    // World-space vertical
+    this._moveDir.y += inputManager.getAxis('moveZ');
 
     // Normalize and apply speed
     if (this._moveDir.lengthSq() > 0) {
       this._moveDir.normalize();
-      const speed = inputManager.isKeyDown('ShiftLeft') || inputManager.isKeyDown('ShiftRight')
+      const speed = inputManager.isActionDown('sprint')
         ? this.moveSpeed * this.boostMultiplier
         : this.moveSpeed;
       this._velocity.add(this._moveDir.multiplyScalar(speed * delta));
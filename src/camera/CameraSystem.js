@@ -1,8 +1,11 @@
 import EventBus from '../core/EventBus.js';
+import InputBindings from '../core/InputBindings.js';
+import { HAS_DOM } from '../utils/env.js';
 
 /**
  * Manages camera modes and delegates updates to the active mode.
- * Press C to cycle between registered modes (filtered by allowed list).
+ * The cycleCamera action (C) cycles between registered modes (filtered by
+ * allowed list).
  */
 class CameraSystem {
   constructor(camera, inputManager) {
@@ -20,11 +23,11 @@ class CameraSystem {
      */
     this._allowedModes = null;
 
-    // C key to cycle modes (edge-detected via keydown event)
+    // Cycle modes (edge-detected via keydown event)
     this._onKeyDown = (e) => {
-      if (e.code === 'KeyC') this.cycleMode();
+      if (InputBindings.matches('cycleCamera', e)) this.cycleMode();
     };
-    window.addEventListener('keydown', this._onKeyDown);
+    if (HAS_DOM) window.addEventListener('keydown', this._onKeyDown);
   }
 
   registerMode(mode) {
@@ -32,6 +35,26 @@ class CameraSystem {
     this._modeNames.push(mode.name);
   }
 
+  /**
+   * Remove a camera mode. If it is active, the first remaining mode takes over.
+   * @param {string} name
+   */
+  unregisterMode(name) {
+    const mode = this._modes.get(name);
+    if (!mode) return;
+    this._modes.delete(name);
+    this._modeNames.splice(this._modeNames.indexOf(name), 1);
+
+    if (this._activeMode === mode) {
+      mode.deactivate(this._camera);
+      this._activeMode = null;
+      this._activeIndex = -1;
+      if (this._modeNames.length > 0) this.setMode(this._modeNames[0]);
+    } else if (this._activeMode) {
+      this._activeIndex = this._modeNames.indexOf(this._activeMode.name);
+    }
+  }
+
   /**
    * Restrict which camera modes can be cycled with C key.
    * @param {string[]|null} names — array of allowed mode names, or null for all
@@ -76,6 +99,11 @@ class CameraSystem {
     return this._activeMode ? this._activeMode.name : null;
   }
 
+  /** @returns {string[]} registered mode names, in registration order */
+  getModeNames() {
+    return [...this._modeNames];
+  }
+
   update(delta) {
     if (this._activeMode) {
       this._activeMode.update(this._camera, this._inputManager, delta);
@@ -83,7 +111,7 @@ class CameraSystem {
   }
 
   dispose() {
-    window.removeEventListener('keydown', this._onKeyDown);
+    if (HAS_DOM) window.removeEventListener('keydown', this._onKeyDown);
     if (this._activeMode) {
       this._activeMode.deactivate(this._camera);
     }
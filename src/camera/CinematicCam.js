@@ -220,10 +220,9 @@ class CinematicCam {
    * @param {number} delta - seconds since last frame
    */
   update(camera, inputManager, delta) {
-    // --- Check for number key presses (edge-detected) ---
+    // --- Check for preset actions (edge-detected) ---
     for (let i = 0; i < 6; i++) {
-      const code = `Digit${i + 1}`;
-      const down = inputManager.isKeyDown(code);
+      const down = inputManager.isActionDown(`cinematic${i + 1}`);
       if (down && !this._prevKeys[i]) {
         this._triggerPreset(i + 1);
       }
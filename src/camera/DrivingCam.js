@@ -1,5 +1,7 @@
 import { Vector3, MathUtils } from 'three';
 import GameState from '../core/GameState.js';
+import Settings from '../core/Settings.js';
+import { HAS_DOM } from '../utils/env.js';
 import { MOUSE_SENSITIVITY } from '../utils/constants.js';
 
 /**
@@ -9,6 +11,8 @@ import { MOUSE_SENSITIVITY } from '../utils/constants.js';
  * Right-click (or gamepad right stick): orbit freely around vehicle.
  * Release: smooth snap-back to default behind position.
  * Mouse wheel: zoom in/out.
+ * Field of view is the fov setting plus a driving offset that widens with
+ * speed; free-look follows the mouseSensitivity and invertY settings.
  *
  * Implements the CameraSystem mode interface.
  */
@@ -27,8 +31,7 @@ class DrivingCam {
     this._distanceMax = 18;
 
     // ── FOV settings ─────────────────────────────────────────────────
-    this._defaultFOV  = 60;
-    this._drivingFOV  = 70;
+    this._drivingFOVOffset = 10; // added to the fov setting while driving
     this._maxFOVBoost = 10;
 
     // ── Free-look orbit (right-click / right stick) ──────────────────
@@ -62,7 +65,7 @@ class DrivingCam {
   // ── CameraSystem interface ──────────────────────────────────────────
 
   activate(camera) {
-    camera.fov = this._drivingFOV;
+    camera.fov = Settings.get('fov') + this._drivingFOVOffset;
     camera.updateProjectionMatrix();
 
     // Seed smoothed position
@@ -81,13 +84,13 @@ class DrivingCam {
     this._orbitPitch = 0;
     this._isFreeLook = false;
 
-    window.addEventListener('wheel', this._onWheel, { passive: false });
+    if (HAS_DOM) window.addEventListener('wheel', this._onWheel, { passive: false });
   }
 
   deactivate(camera) {
-    camera.fov = this._defaultFOV;
+    camera.fov = Settings.get('fov');
     camera.updateProjectionMatrix();
-    window.removeEventListener('wheel', this._onWheel);
+    if (HAS_DOM) window.removeEventListener('wheel', this._onWheel);
   }
 
   update(camera, inputManager, delta) {
@@ -108,8 +111,9 @@ class DrivingCam {
       // Mouse orbit
       if (rightMouseDown && inputManager.isPointerLocked()) {
         const mouse = inputManager.getMouseDelta();
-        this._orbitYaw -= mouse.x * this._sensitivity;
-        this._orbitPitch += mouse.y * this._sensitivity;
+        const sensitivity = this._sensitivity * Settings.get('mouseSensitivity');
+        this._orbitYaw -= mouse.x * sensitivity;
+        this._orbitPitch += mouse.y * sensitivity * (Settings.get('invertY') ? -1 : 1);
       }
       // Gamepad right stick orbit
       if (stickActive) {
@@ -172,8 +176,10 @@ class DrivingCam {
     camera.lookAt(this._lookTarget);
 
     // ── Speed-reactive FOV ─────────────────────────────────────────
-    const speedRatio = Math.abs(vehicle.speed) / vehicle.maxSpeed;
-    camera.fov = MathUtils.lerp(this._drivingFOV, this._drivingFOV + this._maxFOVBoost, speedRatio);
+    const drivable = vehicle.getComponent('drivable');
+    const speedRatio = drivable ? Math.abs(drivable.speed) / drivable.maxSpeed : 0;
+    const drivingFOV = Settings.get('fov') + this._drivingFOVOffset;
+    camera.fov = MathUtils.lerp(drivingFOV, drivingFOV + this._maxFOVBoost, speedRatio);
     camera.updateProjectionMatrix();
   }
 }
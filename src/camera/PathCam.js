@@ -1,5 +1,6 @@
 import { Vector3, CatmullRomCurve3, MathUtils } from 'three';
 import EventBus from '../core/EventBus.js';
+import GameState from '../core/GameState.js';
 
 /**
  * Spline-based camera path mode.
@@ -13,6 +14,10 @@ import EventBus from '../core/EventBus.js';
  * The camera follows a CatmullRomCurve3 spline, smoothly interpolating
  * both position and lookAt target along keyframe points.
  *
+ * Keyframes may carry a time scale. When any differs from 1, playback
+ * drives GameState.setTimeScale, blending linearly between keyframes
+ * (slow-motion ramps), and restores the previous scale when it ends.
+ *
  * Usage:
  *   const pathCam = new PathCam();
  *   pathCam.setPoints([
@@ -32,13 +37,15 @@ class PathCam {
     // --- Path data ---
     /** @private */ this._positionCurve = null;
     /** @private */ this._lookAtCurve = null;
-    /** @private */ this._points = [];       // array of { position: Vector3, lookAt: Vector3 }
+    /** @private */ this._points = [];       // array of { position: Vector3, lookAt: Vector3, timeScale: number }
+    /** @private */ this._timeScaleKeyed = false; // any keyframe with timeScale !== 1
 
     // --- Playback state ---
     /** @private */ this._playing = false;
     /** @private */ this._elapsed = 0;
     /** @private */ this._duration = 8;      // total duration in seconds (adjustable)
     /** @private */ this._loop = false;
+    /** @private */ this._restoreTimeScale = null; // scale to restore when keyed playback ends
 
     // --- Reusable temporaries ---
     /** @private */ this._tempPos = new Vector3();
@@ -66,6 +73,7 @@ class PathCam {
    */
   deactivate(_camera) {
     this._playing = false;
+    this._endTimeScale();
   }
 
   /**
@@ -91,6 +99,7 @@ class PathCam {
         // Clamp to end and stop
         progress = 1;
         this._playing = false;
+        this._endTimeScale();
         EventBus.emit('path:ended');
       }
     }
@@ -107,6 +116,10 @@ class PathCam {
       this._lookAtCurve.getPointAt(t, this._tempLook);
       camera.lookAt(this._tempLook);
     }
+
+    if (this._playing && this._timeScaleKeyed) {
+      GameState.setTimeScale(this._timeScaleAt(this._positionCurve.getUtoTmapping(t)));
+    }
   }
 
   // ---------------------------------------------------------------------------
@@ -117,27 +130,42 @@ class PathCam {
    * Add a single keyframe point to the path.
    * @param {THREE.Vector3} position   - camera position at this keyframe
    * @param {THREE.Vector3} lookTarget - point the camera looks at
+   * @param {number} [timeScale=1]     - world time scale at this keyframe
    */
-  addPoint(position, lookTarget) {
+  addPoint(position, lookTarget, timeScale = 1) {
     this._points.push({
       position: position.clone(),
       lookAt: lookTarget.clone(),
+      timeScale,
     });
     this._rebuildCurves();
   }
 
   /**
    * Replace the entire path with a new set of points.
-   * @param {Array<{ position: THREE.Vector3, lookAt: THREE.Vector3 }>} pointsArray
+   * @param {Array<{ position: THREE.Vector3, lookAt: THREE.Vector3, timeScale?: number }>} pointsArray
    */
   setPoints(pointsArray) {
     this._points = pointsArray.map((p) => ({
       position: p.position.clone(),
       lookAt: p.lookAt.clone(),
+      timeScale: p.timeScale ?? 1,
     }));
     this._rebuildCurves();
   }
 
+  /**
+   * Copy of the current keyframe points.
+   * @returns {Array<{ position: THREE.Vector3, lookAt: THREE.Vector3, timeScale: number }>}
+   */
+  getPoints() {
+    return this._points.map((p) => ({
+      position: p.position.clone(),
+      lookAt: p.lookAt.clone(),
+      timeScale: p.timeScale,
+    }));
+  }
+
   /**
    * Remove all keyframe points and clear the path.
    */
@@ -145,7 +173,9 @@ class PathCam {
     this._points = [];
     this._positionCurve = null;
     this._lookAtCurve = null;
+    this._timeScaleKeyed = false;
     this._playing = false;
+    this._endTimeScale();
   }
 
   /**
@@ -154,6 +184,8 @@ class PathCam {
    * @private
    */
   _rebuildCurves() {
+    this._timeScaleKeyed = this._points.some((p) => p.timeScale !== 1);
+
     if (this._points.length < 2) {
       this._positionCurve = null;
       this._lookAtCurve = null;
@@ -170,6 +202,29 @@ class PathCam {
     EventBus.emit('path:updated', { pointCount: this._points.length });
   }
 
+  /**
+   * Keyframed time scale at a curve parameter (keyframe i sits at i / (n - 1)).
+   * @private
+   * @param {number} curveT - 0..1 spline parameter (not arc length)
+   * @returns {number}
+   */
+  _timeScaleAt(curveT) {
+    const last = this._points.length - 1;
+    const x = MathUtils.clamp(curveT, 0, 1) * last;
+    const i = Math.min(Math.floor(x), last - 1);
+    return MathUtils.lerp(this._points[i].timeScale, this._points[i + 1].timeScale, x - i);
+  }
+
+  /**
+   * Put back the time scale that was active before keyed playback.
+   * @private
+   */
+  _endTimeScale() {
+    if (this._restoreTimeScale === null) return;
+    GameState.setTimeScale(this._restoreTimeScale);
+    this._restoreTimeScale = null;
+  }
+
   // ---------------------------------------------------------------------------
   // Playback controls
   // ---------------------------------------------------------------------------
@@ -183,6 +238,9 @@ class PathCam {
       return;
     }
     this._playing = true;
+    if (this._timeScaleKeyed && this._restoreTimeScale === null) {
+      this._restoreTimeScale = GameState.timeScale;
+    }
     EventBus.emit('path:playing');
   }
 
@@ -191,6 +249,7 @@ class PathCam {
    */
   pause() {
     this._playing = false;
+    this._endTimeScale();
     EventBus.emit('path:paused');
   }
 
@@ -200,6 +259,7 @@ class PathCam {
   reset() {
     this._elapsed = 0;
     this._playing = false;
+    this._endTimeScale();
     EventBus.emit('path:reset');
   }
 
@@ -242,6 +302,14 @@ class PathCam {
     this._loop = loop;
   }
 
+  /**
+   * Whether the path loops.
+   * @returns {boolean}
+   */
+  get loop() {
+    return this._loop;
+  }
+
   /**
    * Whether the path is currently playing.
    * @returns {boolean}
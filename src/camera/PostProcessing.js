@@ -7,6 +7,17 @@ import { SAOPass } from 'three/addons/postprocessing/SAOPass.js';
 import { SMAAPass } from 'three/addons/postprocessing/SMAAPass.js';
 import { OutputPass } from 'three/addons/postprocessing/OutputPass.js';
 import EventBus from '../core/EventBus.js';
+import InputBindings from '../core/InputBindings.js';
+import Settings from '../core/Settings.js';
+import Profiler from '../core/Profiler.js';
+
+/** Boolean settings that switch a single pass: setting key -> pass field. */
+const PASS_SETTINGS = {
+  bloom: '_bloom',
+  ambientOcclusion: '_sao',
+  vignette: '_vignette',
+  antialiasing: '_smaa',
+};
 
 /**
  * Post-processing effects manager.
@@ -21,6 +32,15 @@ import EventBus from '../core/EventBus.js';
  *
  * Toggle all effects on/off with the G key.
  *
+ * The master switch (postFX) and the bloom, ambientOcclusion, vignette and
+ * antialiasing passes follow the user settings (core/Settings.js), live;
+ * the G key writes its toggle back to the postFX setting. The graphics
+ * presets switch SAO, bloom and SMAA off on lower tiers.
+ *
+ * While the Profiler is enabled each pass is timed on the CPU
+ * ('pass:<name>') and, where timer queries exist, on the GPU
+ * ('gpu:<name>').
+ *
  * When enabled, call `postProcessing.render()` instead of `renderer.render()`.
  * When disabled, `render()` falls back to a standard renderer pass.
  *
@@ -37,7 +57,7 @@ class PostProcessing {
    */
   constructor(renderer, scene, camera) {
     /** Whether post-processing is active. Toggle with G key. */
-    this.enabled = false;
+    this.enabled = Settings.get('postFX');
 
     /** @private */ this._renderer = renderer;
     /** @private */ this._scene = scene;
@@ -114,16 +134,46 @@ class PostProcessing {
     this._output = new OutputPass();
     this._composer.addPass(this._output);
 
-    // --- G key toggle ---
+    this._instrumentPasses({
+      Render: this._renderPass,
+      SAO: this._sao,
+      Bloom: this._bloom,
+      Vignette: this._vignette,
+      SMAA: this._smaa,
+      Output: this._output,
+    });
+
+    // Per-pass switches from the user settings
+    for (const key of Object.keys(PASS_SETTINGS)) {
+      this._passForSetting(key).enabled = Settings.get(key);
+    }
+
+    // --- togglePostFX action (G) ---
     /** @private */
     this._onKeyDown = (e) => {
-      if (e.code === 'KeyG') {
-        this.enabled = !this.enabled;
-        EventBus.emit('postprocessing:toggled', { enabled: this.enabled });
+      if (InputBindings.matches('togglePostFX', e)) {
+        this._setEnabled(!this.enabled);
+        Settings.set('postFX', this.enabled);
       }
     };
     window.addEventListener('keydown', this._onKeyDown);
 
+    // --- Settings changes ---
+    /** @private */
+    this._onSettingsChanged = ({ key, value }) => {
+      if (key === 'postFX') {
+        this._setEnabled(value);
+      } else if (key in PASS_SETTINGS) {
+        this._passForSetting(key).enabled = value;
+      }
+    };
+    EventBus.on('settings:changed', this._onSettingsChanged);
+
+    // --- Resolution changes (pixelRatio setting, dynamic resolution) ---
+    /** @private */
+    this._onPixelRatioChanged = ({ pixelRatio }) => this._composer.setPixelRatio(pixelRatio);
+    EventBus.on('engine:pixelRatioChanged', this._onPixelRatioChanged);
+
     // --- Resize handler ---
     /** @private */
     this._onResize = () => {
@@ -146,6 +196,10 @@ class PostProcessing {
   render() {
     if (this.enabled) {
       this._composer.render();
+    } else if (Profiler.enabled) {
+      Profiler.beginGpu('render');
+      this._renderer.render(this._scene, this._camera);
+      Profiler.endGpu('render');
     } else {
       this._renderer.render(this._scene, this._camera);
     }
@@ -219,6 +273,82 @@ class PostProcessing {
     this._sao.params.saoScale = v;
   }
 
+  /**
+   * Snapshot of every tweakable effect value (used by scene save files).
+   * @returns {object}
+   */
+  getSettings() {
+    return {
+      enabled: this.enabled,
+      bloomStrength: this._bloom.strength,
+      bloomThreshold: this._bloom.threshold,
+      bloomRadius: this._bloom.radius,
+      vignetteDarkness: this._vignette.uniforms.darkness.value,
+      vignetteOffset: this._vignette.uniforms.offset.value,
+      saoIntensity: this._sao.params.saoIntensity,
+      saoScale: this._sao.params.saoScale,
+    };
+  }
+
+  /**
+   * Apply a (possibly partial) settings object from getSettings().
+   * @param {object} settings
+   */
+  applySettings(settings) {
+    if (settings.enabled !== undefined) this._setEnabled(settings.enabled);
+    if (settings.bloomStrength !== undefined) this.setBloomStrength(settings.bloomStrength);
+    if (settings.bloomThreshold !== undefined) this.setBloomThreshold(settings.bloomThreshold);
+    if (settings.bloomRadius !== undefined) this.setBloomRadius(settings.bloomRadius);
+    if (settings.vignetteDarkness !== undefined) this.setVignetteDarkness(settings.vignetteDarkness);
+    if (settings.vignetteOffset !== undefined) this.setVignetteOffset(settings.vignetteOffset);
+    if (settings.saoIntensity !== undefined) this.setSAOIntensity(settings.saoIntensity);
+    if (settings.saoScale !== undefined) this.setSAOScale(settings.saoScale);
+  }
+
+  /**
+   * Wrap each pass's render() with Profiler timers. While profiling is off
+   * the wrapper only checks the flag.
+   * @private
+   * @param {object} passes — profiler name -> pass
+   */
+  _instrumentPasses(passes) {
+    for (const [name, pass] of Object.entries(passes)) {
+      const render = pass.render.bind(pass);
+      const label = `pass:${name}`;
+      pass.render = (...args) => {
+        if (!Profiler.enabled) {
+          render(...args);
+          return;
+        }
+        Profiler.begin(label);
+        Profiler.beginGpu(name);
+        render(...args);
+        Profiler.endGpu(name);
+        Profiler.end(label);
+      };
+    }
+  }
+
+  /**
+   * Switch the whole pipeline on or off.
+   * @private
+   * @param {boolean} enabled
+   */
+  _setEnabled(enabled) {
+    if (enabled === this.enabled) return;
+    this.enabled = enabled;
+    EventBus.emit('postprocessing:toggled', { enabled });
+  }
+
+  /**
+   * @private
+   * @param {string} key — a PASS_SETTINGS key
+   * @returns {object} the pass that setting switches
+   */
+  _passForSetting(key) {
+    return this[PASS_SETTINGS[key]];
+  }
+
   // ---------------------------------------------------------------------------
   // Camera update
   // ---------------------------------------------------------------------------
@@ -243,6 +373,8 @@ class PostProcessing {
   dispose() {
     window.removeEventListener('keydown', this._onKeyDown);
     window.removeEventListener('resize', this._onResize);
+    EventBus.off('settings:changed', this._onSettingsChanged);
+    EventBus.off('engine:pixelRatioChanged', this._onPixelRatioChanged);
 
     // Dispose each pass
     this._bloom.dispose();
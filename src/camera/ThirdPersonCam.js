@@ -1,4 +1,5 @@
 import { Vector3, MathUtils } from 'three';
+import Settings from '../core/Settings.js';
 import { MOUSE_SENSITIVITY } from '../utils/constants.js';
 
 /**
@@ -6,6 +7,7 @@ import { MOUSE_SENSITIVITY } from '../utils/constants.js';
  *
  * Mouse movement (pointer-locked) orbits the camera around the player.
  * Gamepad right stick also orbits the camera.
+ * Look speed and direction follow the mouseSensitivity and invertY settings.
  * The horizontal yaw is fed back to PlayerController so movement stays
  * camera-relative.
  */
@@ -58,18 +60,21 @@ class ThirdPersonCam {
   update(camera, inputManager, delta) {
     if (!this._player) return;
 
+    const invertY = Settings.get('invertY') ? -1 : 1;
+
     // --- Mouse orbit (pointer locked) ---
     if (inputManager.isPointerLocked()) {
       const mouse = inputManager.getMouseDelta();
-      this._yaw -= mouse.x * this._sensitivity;
-      this._pitch += mouse.y * this._sensitivity;
+      const sensitivity = this._sensitivity * Settings.get('mouseSensitivity');
+      this._yaw -= mouse.x * sensitivity;
+      this._pitch += mouse.y * sensitivity * invertY;
     }
 
     // --- Gamepad right stick orbit ---
     const rightStick = inputManager.getRightStick();
     if (Math.abs(rightStick.x) > 0 || Math.abs(rightStick.y) > 0) {
       this._yaw -= rightStick.x * this._stickSensitivity * delta;
-      this._pitch += rightStick.y * this._stickSensitivity * delta;
+      this._pitch += rightStick.y * this._stickSensitivity * delta * invertY;
     }
 
     this._pitch = MathUtils.clamp(this._pitch, this._pitchMin, this._pitchMax);
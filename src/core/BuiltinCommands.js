@@ -0,0 +1,451 @@
+import * as THREE from 'three';
+import ConsoleCommands from './ConsoleCommands.js';
+import GameState from './GameState.js';
+import Settings, { SETTINGS } from './Settings.js';
+import EntityManager from '../entities/EntityManager.js';
+import Component from '../entities/Component.js';
+import { ENTITY_CLASSES, createEntity } from '../entities/EntityTypes.js';
+import ModelLoader from '../loaders/ModelLoader.js';
+import VehicleProfiles from '../loaders/VehicleProfiles.js';
+import CommandHistory from '../director/CommandHistory.js';
+import { AddEntityCommand } from '../director/EditCommands.js';
+import { MIN_TIME_SCALE, MAX_TIME_SCALE } from '../utils/constants.js';
+
+/** Distance in front of the camera where spawned models appear. */
+const SPAWN_DISTANCE = 10;
+
+/** Distance from an entity that `goto` stops at. */
+const GOTO_OFFSET = 6;
+
+/** Entities listed by `entities` before the rest are summarised. */
+const MAX_LISTED = 40;
+
+/**
+ * Register the console's built-in commands: game mode, time of day, time
+ * scale, pause, camera mode, entity queries, teleporting, spawning models,
+ * vehicle handling profiles, entity components and settings.
+ *
+ * Usage:
+ *   const unregister = registerBuiltinCommands({ engine, cameraSystem, sky, director, modeController });
+ *
+ * @param {object} services
+ * @param {import('./Engine.js').default} services.engine
+ * @param {import('../camera/CameraSystem.js').default} services.cameraSystem
+ * @param {import('../world/SkySystem.js').default} services.sky
+ * @param {import('../director/DirectorMode.js').default} services.director
+ * @param {import('./ModeController.js').default} services.modeController
+ * @returns {Function} removes every built-in command
+ */
+export function registerBuiltinCommands({ engine, cameraSystem, sky, director, modeController }) {
+  const entityNames = () => EntityManager.getAll().map((e) => e.name);
+  const entityTypes = () => [...new Set(EntityManager.getAll().map((e) => e.type))];
+  const vehicleNames = () => EntityManager.getWithComponent('drivable').map((v) => v.name);
+
+  /** Where "here" is: the vehicle, the player or the camera, by mode. */
+  const focusPosition = () => {
+    if (GameState.mode === 'drive' && GameState.vehicle) return GameState.vehicle.position;
+    if (GameState.mode === 'play' && GameState.player) return GameState.player.position;
+    return engine.camera.position;
+  };
+
+  /** Move whatever focusPosition() follows. */
+  const moveFocus = (position) => {
+    if (GameState.mode === 'drive' && GameState.vehicle) {
+      const vehicle = GameState.vehicle;
+      const drivable = vehicle.getComponent('drivable');
+      drivable.restoreState({ ...drivable.captureState(), position: position.toArray(), speed: 0 });
+      engine.snapInterpolated(vehicle.mesh);
+    } else if (GameState.mode === 'play' && GameState.player) {
+      const player = GameState.player;
+      player.restoreState({ ...player.captureState(), position: position.toArray(), velocity: [0, 0, 0] });
+      engine.snapInterpolated(player.body.container);
+    } else {
+      engine.camera.position.copy(position);
+    }
+  };
+
+  const tagNames = () => [...new Set(EntityManager.getAll().flatMap((e) => [...e.tags]))];
+
+  /** By ID, else by name (case-insensitive). */
+  const findEntity = (name) => {
+    const lower = name.toLowerCase();
+    const entity = EntityManager.getById(name)
+      || EntityManager.getAll().find((e) => e.name.toLowerCase() === lower);
+    if (!entity) throw new Error(`No entity named "${name}"`);
+    return entity;
+  };
+
+  const commands = [
+    {
+      name: 'mode',
+      description: 'Switch game mode (drive with the drive command)',
+      args: [{ name: 'mode', type: 'choice', optional: true, options: ['free', 'play', 'director'] }],
+      run: ({ mode }) => {
+        if (!mode) return `Mode: ${GameState.mode}`;
+        if (mode === 'director') {
+          if (!director.active) director.activate();
+          return 'Mode: director';
+        }
+        if (mode === 'play' && !GameState.player) throw new Error('No player yet (assets still loading)');
+        if (director.active) director.deactivate();
+        if (GameState.mode === 'drive') modeController.vehicleInteraction?.exitVehicle();
+        if (GameState.mode !== mode) GameState.setMode(mode);
+        return `Mode: ${mode}`;
+      },
+    },
+    {
+      name: 'drive',
+      description: 'Enter a vehicle (nearest when omitted)',
+      args: [{ name: 'vehicle', type: 'string', optional: true, rest: true, options: vehicleNames }],
+      run: ({ vehicle: name }) => {
+        const interaction = modeController.vehicleInteraction;
+        if (!interaction) throw new Error('No player yet (assets still loading)');
+        const vehicle = name ? findEntity(name) : nearestOf(EntityManager.getWithComponent('drivable'), focusPosition());
+        if (!vehicle || !vehicle.hasComponent('drivable')) throw new Error(name ? `"${name}" is not drivable` : 'No vehicles');
+
+        if (director.active) director.deactivate();
+        interaction.exitVehicle();
+        interaction.enterVehicle(vehicle);
+        return `Driving ${vehicle.name}`;
+      },
+    },
+    {
+      name: 'time',
+      description: 'Show or set the time of day (hours)',
+      args: [{ name: 'hours', type: 'number', optional: true, min: 0, max: 24 }],
+      run: ({ hours }) => {
+        if (hours !== undefined) sky.setTimeOfDay(hours % 24);
+        return `Time of day: ${formatHours(GameState.timeOfDay)}`;
+      },
+    },
+    {
+      name: 'timescale',
+      description: 'Show or set the simulation time scale',
+      args: [{ name: 'scale', type: 'number', optional: true, min: MIN_TIME_SCALE, max: MAX_TIME_SCALE }],
+      run: ({ scale }) => {
+        if (scale !== undefined) GameState.setTimeScale(scale);
+        return `Time scale: ${GameState.timeScale}`;
+      },
+    },
+    {
+      name: 'pause',
+      description: 'Pause or resume (toggles when omitted)',
+      args: [{ name: 'paused', type: 'boolean', optional: true }],
+      run: ({ paused }) => {
+        GameState.setPaused(paused ?? !GameState.paused);
+        return GameState.paused ? 'Paused' : 'Running';
+      },
+    },
+    {
+      name: 'camera',
+      description: 'Show or switch the camera mode',
+      args: [{ name: 'mode', type: 'choice', optional: true, options: () => cameraSystem.getModeNames() }],
+      run: ({ mode }) => {
+        if (mode) cameraSystem.setMode(mode);
+        return `Camera: ${cameraSystem.getActiveModeName()} (modes: ${cameraSystem.getModeNames().join(', ')})`;
+      },
+    },
+    {
+      name: 'entities',
+      description: 'List entities, optionally of one type',
+      args: [{ name: 'type', type: 'string', optional: true, options: entityTypes }],
+      run: ({ type }) => {
+        const entities = type ? EntityManager.getByType(type) : EntityManager.getAll();
+        if (entities.length === 0) return type ? `No ${type} entities` : 'No entities';
+        const lines = entities.slice(0, MAX_LISTED).map(describeEntity);
+        if (entities.length > MAX_LISTED) lines.push(`… ${entities.length - MAX_LISTED} more`);
+        lines.push(`${entities.length} ${type || 'entities'}`);
+        return lines;
+      },
+    },
+    {
+      name: 'tagged',
+      description: 'List entities with a tag',
+      args: [{ name: 'tag', type: 'string', options: tagNames }],
+      run: ({ tag }) => {
+        const entities = EntityManager.getByTag(tag);
+        return entities.length > 0 ? entities.map(describeEntity) : `Nothing tagged ${tag}`;
+      },
+    },
+    {
+      name: 'tag',
+      description: 'Add a tag to an entity',
+      args: [
+        { name: 'tag', type: 'string', options: tagNames },
+        { name: 'entity', type: 'string', rest: true, options: entityNames },
+      ],
+      run: ({ tag, entity: name }) => {
+        const entity = findEntity(name);
+        entity.addTag(tag);
+        return `${entity.name}: ${[...entity.tags].join(', ')}`;
+      },
+    },
+    {
+      name: 'untag',
+      description: 'Remove a tag from an entity',
+      args: [
+        { name: 'tag', type: 'string', options: tagNames },
+        { name: 'entity', type: 'string', rest: true, options: entityNames },
+      ],
+      run: ({ tag, entity: name }) => {
+        const entity = findEntity(name);
+        if (!entity.hasTag(tag)) throw new Error(`${entity.name} is not tagged ${tag}`);
+        entity.removeTag(tag);
+        return `${entity.name}: ${[...entity.tags].join(', ') || 'no tags'}`;
+      },
+    },
+    {
+      name: 'nearest',
+      description: 'Find the entity closest to you, optionally of one type',
+      args: [{ name: 'type', type: 'string', optional: true, options: entityTypes }],
+      run: ({ type }) => {
+        const here = focusPosition();
+        const entity = EntityManager.findNearest(here, type || null);
+        if (!entity) return 'Nothing found';
+        return `${describeEntity(entity)}, ${entity.position.distanceTo(here).toFixed(1)} m away`;
+      },
+    },
+    {
+      name: 'nearby',
+      description: 'List entities within a radius of you',
+      args: [
+        { name: 'radius', type: 'number', min: 0 },
+        { name: 'type', type: 'string', optional: true, options: entityTypes },
+      ],
+      run: ({ radius, type }) => {
+        const entities = EntityManager.findNearby(focusPosition(), radius, type || null);
+        if (entities.length === 0) return `Nothing within ${radius} m`;
+        return entities.map(describeEntity);
+      },
+    },
+    {
+      name: 'teleport',
+      description: 'Move the player, vehicle or camera (by mode) to a point',
+      args: [
+        { name: 'x', type: 'number' },
+        { name: 'y', type: 'number' },
+        { name: 'z', type: 'number' },
+      ],
+      run: ({ x, y, z }) => {
+        moveFocus(new THREE.Vector3(x, y, z));
+        return `Teleported to ${formatVector(focusPosition())}`;
+      },
+    },
+    {
+      name: 'goto',
+      description: 'Teleport next to an entity',
+      args: [{ name: 'entity', type: 'string', rest: true, options: entityNames }],
+      run: ({ entity: name }) => {
+        const entity = findEntity(name);
+        const target = entity.position.clone();
+        // Step back towards where we are so we land beside it, not inside it
+        const away = focusPosition().clone().sub(target).setY(0);
+        if (away.lengthSq() < 1e-6) away.set(0, 0, 1);
+        target.add(away.normalize().multiplyScalar(GOTO_OFFSET));
+        if (GameState.mode === 'free' || GameState.mode === 'director') target.y += 2;
+        moveFocus(target);
+        if (GameState.mode === 'free' || GameState.mode === 'director') engine.camera.lookAt(entity.position);
+        return `Moved to ${entity.name}`;
+      },
+    },
+    {
+      name: 'spawn',
+      description: 'Load a GLB and place it in front of the camera',
+      args: [
+        { name: 'type', type: 'choice', options: Object.keys(ENTITY_CLASSES) },
+        { name: 'url', type: 'string' },
+        { name: 'name', type: 'string', optional: true, rest: true },
+      ],
+      run: async ({ type, url, name }) => {
+        const result = await ModelLoader.load(url);
+        const label = name || url.split('/').pop().replace(/\.(glb|gltf)$/i, '');
+        const entity = createEntity(type, result.scene, result.animations, label);
+        entity.source = { url };
+        if (type === 'vehicle') await VehicleProfiles.applyFor(entity);
+
+        const forward = new THREE.Vector3();
+        engine.camera.getWorldDirection(forward);
+        forward.y = 0;
+        forward.normalize();
+        entity.position.copy(engine.camera.position).add(forward.multiplyScalar(SPAWN_DISTANCE));
+        entity.position.y = 0;
+
+        // Undoable: adds to the scene and emits 'entity:added'
+        CommandHistory.execute(new AddEntityCommand(engine.scene, entity));
+        CommandHistory.seal();
+        return `Spawned ${describeEntity(entity)}`;
+      },
+    },
+    {
+      name: 'profile',
+      description: "Apply a handling profile (JSON URL, or 'default') to a vehicle",
+      args: [
+        { name: 'profile', type: 'string', options: () => ['default', ...VehicleProfiles.getLoaded().map((p) => p.url)] },
+        { name: 'vehicle', type: 'string', rest: true, options: vehicleNames },
+      ],
+      run: async ({ profile: url, vehicle: name }) => {
+        const vehicle = findEntity(name);
+        const profile = url === 'default' ? VehicleProfiles.defaultProfile : await VehicleProfiles.load(url);
+        if (!profile) throw new Error(`No valid profile at ${url}`);
+        VehicleProfiles.apply(vehicle, profile);
+        return `${vehicle.name} now handles as ${profile.name}`;
+      },
+    },
+    {
+      name: 'repair',
+      description: "Undo crash damage of a vehicle ('all' for every one; the driven or nearest when omitted)",
+      args: [{
+        name: 'vehicle', type: 'string', optional: true, rest: true,
+        options: () => ['all', ...EntityManager.getWithComponent('damage').map((v) => v.name)],
+      }],
+      run: ({ vehicle: name }) => {
+        const damageable = EntityManager.getWithComponent('damage');
+        let vehicles;
+        if (name === 'all') vehicles = damageable;
+        else if (name) vehicles = [findEntity(name)];
+        else vehicles = [GameState.vehicle ?? nearestOf(damageable, focusPosition())].filter(Boolean);
+        if (vehicles.length === 0) throw new Error('No vehicles');
+
+        for (const vehicle of vehicles) {
+          const damage = vehicle.getComponent('damage');
+          if (!damage) throw new Error(`${vehicle.name} takes no damage`);
+          damage.repair();
+        }
+        return `Repaired ${vehicles.map((v) => v.name).join(', ')}`;
+      },
+    },
+    {
+      name: 'components',
+      description: "List an entity's components and their saved data",
+      args: [{ name: 'entity', type: 'string', rest: true, options: entityNames }],
+      run: ({ entity: name }) => {
+        const entity = findEntity(name);
+        return [...entity.components.values()].map((component) => {
+          const data = component.serialize();
+          const state = component.enabled ? '' : ' (disabled)';
+          return `${component.type}${state}${data ? ` ${JSON.stringify(data)}` : ''}`;
+        });
+      },
+    },
+    {
+      name: 'attach',
+      description: 'Attach a component (default settings) to an entity',
+      args: [
+        { name: 'component', type: 'choice', options: () => Component.types() },
+        { name: 'entity', type: 'string', rest: true, options: entityNames },
+      ],
+      run: ({ component: type, entity: name }) => {
+        const entity = findEntity(name);
+        if (entity.hasComponent(type)) throw new Error(`${entity.name} already has a ${type}`);
+        entity.addComponent(Component.create(type));
+        return `Attached ${type} to ${entity.name}`;
+      },
+    },
+    {
+      name: 'detach',
+      description: 'Remove a component from an entity',
+      args: [
+        { name: 'component', type: 'string', options: () => Component.types() },
+        { name: 'entity', type: 'string', rest: true, options: entityNames },
+      ],
+      run: ({ component: type, entity: name }) => {
+        const entity = findEntity(name);
+        if (!entity.removeComponent(type)) throw new Error(`${entity.name} has no ${type}`);
+        return `Removed ${type} from ${entity.name}`;
+      },
+    },
+    {
+      name: 'setting',
+      description: 'Show or change a user setting',
+      args: [
+        { name: 'key', type: 'choice', options: () => Object.keys(SETTINGS) },
+        { name: 'value', type: 'string', optional: true, options: settingOptions },
+      ],
+      run: ({ key, value }) => {
+        if (value !== undefined) {
+          const parsed = parseSetting(key, value);
+          const result = Settings.validate(key, parsed);
+          if (!result.ok) throw new Error(result.error);
+          Settings.set(key, result.value);
+        }
+        return `${key} = ${Settings.get(key)}`;
+      },
+    },
+  ];
+
+  const unregisters = commands.map((command) => ConsoleCommands.register(command));
+  return () => unregisters.forEach((unregister) => unregister());
+}
+
+/**
+ * Autocomplete values for the setting named earlier on the line.
+ * @param {string[]} previous — [key]
+ * @returns {string[]}
+ */
+function settingOptions([key]) {
+  const def = SETTINGS[key];
+  if (!def) return [];
+  if (def.type === 'boolean') return ['on', 'off'];
+  if (def.type === 'choice') return def.options.map((o) => String(o.value));
+  return [String(def.default)];
+}
+
+/**
+ * Convert typed text to a setting's value type.
+ * @param {string} key
+ * @param {string} text
+ * @returns {*}
+ */
+function parseSetting(key, text) {
+  const def = SETTINGS[key];
+  if (def.type === 'boolean') {
+    if (/^(true|on|1)$/i.test(text)) return true;
+    if (/^(false|off|0)$/i.test(text)) return false;
+    return text;
+  }
+  if (def.type === 'choice') {
+    // Option values may be numbers (resolution 0.5 ...)
+    const option = def.options.find((o) => String(o.value) === text);
+    return option ? option.value : text;
+  }
+  return text;
+}
+
+/**
+ * @param {object[]} entities
+ * @param {THREE.Vector3} position
+ * @returns {object|null} the entity closest to position
+ */
+function nearestOf(entities, position) {
+  let nearest = null;
+  let minDist = Infinity;
+  for (const entity of entities) {
+    const dist = entity.position.distanceToSquared(position);
+    if (dist < minDist) {
+      minDist = dist;
+      nearest = entity;
+    }
+  }
+  return nearest;
+}
+
+/** @param {object} entity */
+function describeEntity(entity) {
+  const tags = entity.tags.size > 0 ? ` [${[...entity.tags].join(', ')}]` : '';
+  return `${entity.name} (${entity.type})${tags} at ${formatVector(entity.position)}`;
+}
+
+/** @param {THREE.Vector3} v */
+function formatVector(v) {
+  return `${v.x.toFixed(1)}, ${v.y.toFixed(1)}, ${v.z.toFixed(1)}`;
+}
+
+/**
+ * @param {number} hours
+ * @returns {string} HH:MM
+ */
+function formatHours(hours) {
+  const h = Math.floor(hours);
+  const m = Math.floor((hours - h) * 60);
+  return `${String(h).padStart(2, '0')}:${String(m).padStart(2, '0')}`;
+}
@@ -0,0 +1,309 @@
+import EventBus from './EventBus.js';
+
+/**
+ * Command registry for the developer console (ui/DevConsole.js).
+ *
+ * A command declares its arguments and the registry parses, validates and
+ * completes a typed line against that schema before calling run():
+ *
+ *   ConsoleCommands.register({
+ *     name: 'time',
+ *     description: 'Set the time of day',
+ *     args: [{ name: 'hours', type: 'number', min: 0, max: 24 }],
+ *     run: ({ hours }) => sky.setTimeOfDay(hours),
+ *   });
+ *
+ * Argument fields:
+ *   name      — key in the object run() receives
+ *   type      — 'string' | 'number' | 'boolean' | 'choice'
+ *   optional  — may be omitted (run() gets `default`, or undefined)
+ *   default
+ *   min, max  — range check for numbers
+ *   options   — values offered by autocomplete, or a function returning
+ *               them from the earlier arguments' text (evaluated on every
+ *               Tab); 'choice' also rejects anything else
+ *   rest      — last argument only: takes the rest of the line, so names
+ *               with spaces need no quotes
+ *
+ * run(args) may return a string, an array of lines or nothing, directly or
+ * through a Promise. Throwing (or rejecting) reports the error message.
+ * Arguments containing spaces can be quoted: goto "Lightning McQueen".
+ *
+ * Exported as a singleton -- any system can register its own commands;
+ * register() returns a function that removes the command again.
+ *
+ * Events emitted:
+ *   console:executed { name, args }  -- after a command ran without error
+ */
+class ConsoleCommands {
+  constructor() {
+    /** @type {Map<string, object>} name -> command definition */
+    this._commands = new Map();
+
+    this.register({
+      name: 'help',
+      description: 'List commands, or show how to use one',
+      args: [{ name: 'command', type: 'string', optional: true, options: () => this.getNames() }],
+      run: ({ command }) => (command ? this._describe(command) : this._list()),
+    });
+  }
+
+  /* -----------------------------------------------------------
+   * Registration
+   * --------------------------------------------------------- */
+
+  /**
+   * Add a command. A command with the same name is replaced.
+   * @param {object} command — { name, description, args?, run(args) }
+   * @returns {Function} removes the command
+   */
+  register(command) {
+    const { name, run } = command;
+    if (!name || /\s/.test(name) || typeof run !== 'function') {
+      throw new Error(`[ConsoleCommands] Invalid command "${name}": needs a name without spaces and run()`);
+    }
+    if (this._commands.has(name)) {
+      console.warn(`[ConsoleCommands] Replacing command "${name}"`);
+    }
+    const def = { description: '', ...command, args: command.args || [] };
+    this._commands.set(name, def);
+    return () => {
+      // Only remove it if it has not been replaced since
+      if (this._commands.get(name) === def) this._commands.delete(name);
+    };
+  }
+
+  /** @param {string} name */
+  unregister(name) {
+    this._commands.delete(name);
+  }
+
+  /* -----------------------------------------------------------
+   * Queries
+   * --------------------------------------------------------- */
+
+  /** @returns {string[]} command names, sorted */
+  getNames() {
+    return [...this._commands.keys()].sort();
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object|null} the command definition
+   */
+  get(name) {
+    return this._commands.get(name) || null;
+  }
+
+  /**
+   * One-line usage, e.g. 'teleport <x> <y> <z>' or 'help [command]'.
+   * @param {string} name
+   * @returns {string}
+   */
+  usage(name) {
+    const command = this._commands.get(name);
+    if (!command) return name;
+    const args = command.args.map((arg) => {
+      const label = arg.rest ? `${arg.name}...` : arg.name;
+      return arg.optional ? `[${label}]` : `<${label}>`;
+    });
+    return [name, ...args].join(' ');
+  }
+
+  /* -----------------------------------------------------------
+   * Execution
+   * --------------------------------------------------------- */
+
+  /**
+   * Parse and run a command line.
+   * @param {string} line
+   * @returns {Promise<string[]>} output lines
+   * @throws {Error} unknown command, bad arguments or the command's own error
+   */
+  async execute(line) {
+    const tokens = tokenize(line);
+    if (tokens.length === 0) return [];
+
+    const name = tokens[0].text;
+    const command = this._commands.get(name);
+    if (!command) throw new Error(`Unknown command "${name}" (try help)`);
+
+    const args = this._parseArgs(command, tokens.slice(1), line);
+    const output = await command.run(args);
+    EventBus.emit('console:executed', { name, args });
+
+    if (output === undefined || output === null || output === '') return [];
+    return Array.isArray(output) ? output.map(String) : String(output).split('\n');
+  }
+
+  /**
+   * Completions for the token under the cursor (the end of the line).
+   * @param {string} line
+   * @returns {{ start: number, matches: string[] }} start — index in `line`
+   *   where the token being completed begins
+   */
+  complete(line) {
+    const tokens = tokenize(line);
+    const endsInSpace = line.length > 0 && /\s$/.test(line);
+
+    // Still typing the command name
+    if (tokens.length === 0 || (tokens.length === 1 && !endsInSpace)) {
+      const partial = tokens[0]?.text || '';
+      return { start: tokens[0]?.start ?? line.length, matches: filterPrefix(this.getNames(), partial) };
+    }
+
+    const command = this._commands.get(tokens[0].text);
+    if (!command) return { start: line.length, matches: [] };
+
+    const argTokens = tokens.slice(1);
+    let index = endsInSpace ? argTokens.length : argTokens.length - 1;
+    let start = endsInSpace ? line.length : argTokens[index].start;
+    let partial = endsInSpace ? '' : argTokens[index].text;
+
+    // A rest argument completes against everything typed from its start
+    const restIndex = command.args.findIndex((arg) => arg.rest);
+    if (restIndex !== -1 && index >= restIndex && argTokens.length > restIndex) {
+      index = restIndex;
+      start = argTokens[restIndex].start;
+      partial = line.slice(start).replace(/^["']/, '');
+    }
+
+    const arg = command.args[index];
+    if (!arg) return { start, matches: [] };
+    const previous = argTokens.slice(0, index).map((t) => t.text);
+    return { start, matches: filterPrefix(optionsOf(arg, previous), partial) };
+  }
+
+  /* -----------------------------------------------------------
+   * Internal
+   * --------------------------------------------------------- */
+
+  /**
+   * Turn tokens into the object run() receives.
+   * @private
+   */
+  _parseArgs(command, tokens, line) {
+    const args = {};
+    const usage = () => `usage: ${this.usage(command.name)}`;
+
+    for (let i = 0; i < command.args.length; i++) {
+      const arg = command.args[i];
+      if (i >= tokens.length) {
+        if (!arg.optional) throw new Error(`Missing ${arg.name} — ${usage()}`);
+        args[arg.name] = arg.default;
+        continue;
+      }
+      const raw = arg.rest && tokens.length > i + 1
+        ? unquote(line.slice(tokens[i].start).trim())
+        : tokens[i].text;
+      args[arg.name] = convert(arg, raw, tokens.slice(0, i).map((t) => t.text));
+      if (arg.rest) return args;
+    }
+
+    if (tokens.length > command.args.length) {
+      throw new Error(`Too many arguments — ${usage()}`);
+    }
+    return args;
+  }
+
+  /** @private */
+  _list() {
+    const names = this.getNames();
+    const width = Math.max(...names.map((n) => n.length));
+    return names.map((n) => `${n.padEnd(width)}  ${this._commands.get(n).description}`);
+  }
+
+  /** @private */
+  _describe(name) {
+    const command = this._commands.get(name);
+    if (!command) throw new Error(`Unknown command "${name}"`);
+
+    const lines = [this.usage(name)];
+    if (command.description) lines.push(`  ${command.description}`);
+    for (const arg of command.args) {
+      let detail = `  ${arg.name}: ${arg.type}`;
+      if (arg.min !== undefined || arg.max !== undefined) detail += ` ${arg.min ?? ''}..${arg.max ?? ''}`;
+      if (arg.type === 'choice') detail += ` (${optionsOf(arg).join(', ')})`;
+      if (arg.optional && arg.default !== undefined) detail += `, default ${arg.default}`;
+      lines.push(detail);
+    }
+    return lines;
+  }
+}
+
+/**
+ * Split a line into whitespace-separated tokens; single or double quotes
+ * group a token (the quotes are dropped).
+ * @param {string} line
+ * @returns {Array<{ text: string, start: number }>}
+ */
+function tokenize(line) {
+  const tokens = [];
+  const re = /"([^"]*)"?|'([^']*)'?|(\S+)/g;
+  let match;
+  while ((match = re.exec(line)) !== null) {
+    tokens.push({ text: match[1] ?? match[2] ?? match[3], start: match.index });
+  }
+  return tokens;
+}
+
+/** @param {string} text */
+function unquote(text) {
+  return text.replace(/^(["'])(.*)\1$/, '$2');
+}
+
+/**
+ * Validate one argument and convert it to its type.
+ * @param {object} arg — schema entry
+ * @param {string} raw
+ * @param {string[]} previous — text of the arguments before it
+ * @returns {*}
+ */
+function convert(arg, raw, previous) {
+  switch (arg.type) {
+    case 'number': {
+      const n = Number(raw);
+      if (raw === '' || !Number.isFinite(n)) throw new Error(`${arg.name} must be a number, got "${raw}"`);
+      if ((arg.min !== undefined && n < arg.min) || (arg.max !== undefined && n > arg.max)) {
+        throw new Error(`${arg.name} must be between ${arg.min ?? '-∞'} and ${arg.max ?? '∞'}`);
+      }
+      return n;
+    }
+    case 'boolean': {
+      const value = { true: true, on: true, 1: true, false: false, off: false, 0: false }[raw.toLowerCase()];
+      if (value === undefined) throw new Error(`${arg.name} must be on or off, got "${raw}"`);
+      return value;
+    }
+    case 'choice': {
+      const options = optionsOf(arg, previous);
+      if (!options.includes(raw)) throw new Error(`${arg.name} must be one of ${options.join(', ')}`);
+      return raw;
+    }
+    default:
+      return raw;
+  }
+}
+
+/**
+ * @param {object} arg
+ * @param {string[]} [previous] — text of the arguments before it
+ * @returns {string[]}
+ */
+function optionsOf(arg, previous = []) {
+  const options = typeof arg.options === 'function' ? arg.options(previous) : arg.options;
+  if (options) return options.map(String);
+  return arg.type === 'boolean' ? ['on', 'off'] : [];
+}
+
+/**
+ * Case-insensitive prefix filter.
+ * @param {string[]} values
+ * @param {string} prefix
+ * @returns {string[]}
+ */
+function filterPrefix(values, prefix) {
+  const lower = prefix.toLowerCase();
+  return values.filter((v) => v.toLowerCase().startsWith(lower));
+}
+
+export default new ConsoleCommands();
@@ -0,0 +1,122 @@
+import EventBus from './EventBus.js';
+import Settings from './Settings.js';
+
+/** Lowest fraction of the pixelRatio setting it will drop to. */
+const MIN_RENDER_SCALE = 0.5;
+
+/** Seconds between adjustments. */
+const ADJUST_INTERVAL = 0.5;
+
+/** Weight of the newest frame in the smoothed frame time. */
+const FRAME_TIME_SMOOTHING = 0.1;
+
+/** Frame time above target * this scales down. */
+const SLOW_FRAME_RATIO = 1.1;
+
+/** Frame time below target * this counts as having headroom. */
+const FAST_FRAME_RATIO = 1.02;
+
+/** Seconds of headroom before scaling back up, and the step taken. */
+const UPSCALE_DELAY = 2;
+const UPSCALE_STEP = 0.05;
+
+/**
+ * Dynamic resolution: watches the frame time and lowers the render
+ * resolution (Engine.setRenderScale) to hold the targetFps setting, then
+ * raises it again once frames have headroom. Only runs while the
+ * dynamicResolution setting is on; switching it off restores full
+ * resolution.
+ *
+ * Scaling down is proportional (pixel count tracks frame time, so the
+ * scale moves by the square root of the overshoot); scaling up is a small
+ * step after UPSCALE_DELAY seconds of fast frames. With vsync the frame
+ * time never drops below the display interval, so "fast" means at or
+ * just above the target, and a step up that costs too much is simply
+ * taken back on the next adjustment.
+ *
+ * Events emitted:
+ *   engine:pixelRatioChanged (through Engine.setRenderScale)
+ *
+ * Usage:
+ *   const dynamicResolution = new DynamicResolution(engine);
+ *   engine.addUpdatable(dynamicResolution);
+ */
+class DynamicResolution {
+  /**
+   * @param {import('./Engine.js').default} engine
+   */
+  constructor(engine) {
+    this._engine = engine;
+
+    /** Smoothed frame time in seconds, or null before the first frame. */
+    this._frameTime = null;
+    this._adjustTimer = 0;
+    this._headroomTime = 0;
+
+    this._onSettingsChanged = ({ key, value }) => {
+      if (key === 'dynamicResolution' && !value) this.reset();
+      else if (key === 'targetFps') this._headroomTime = 0;
+    };
+    EventBus.on('settings:changed', this._onSettingsChanged);
+  }
+
+  /** Smoothed frame time in seconds (0 before the first frame). */
+  get frameTime() {
+    return this._frameTime ?? 0;
+  }
+
+  /** Back to full resolution and forget the measurements. */
+  reset() {
+    this._frameTime = null;
+    this._adjustTimer = 0;
+    this._headroomTime = 0;
+    this._engine.setRenderScale(1);
+  }
+
+  /**
+   * @param {number} delta — real frame time (register unscaled)
+   */
+  update(delta) {
+    if (!Settings.get('dynamicResolution')) return;
+
+    this._frameTime = this._frameTime === null
+      ? delta
+      : this._frameTime + (delta - this._frameTime) * FRAME_TIME_SMOOTHING;
+
+    this._adjustTimer += delta;
+    if (this._adjustTimer < ADJUST_INTERVAL) return;
+    this._adjustTimer = 0;
+
+    const target = 1 / Settings.get('targetFps');
+    const scale = this._engine.renderScale;
+
+    if (this._frameTime > target * SLOW_FRAME_RATIO) {
+      this._headroomTime = 0;
+      const next = Math.max(MIN_RENDER_SCALE, scale * Math.sqrt(target / this._frameTime));
+      this._engine.setRenderScale(roundScale(next));
+    } else if (this._frameTime < target * FAST_FRAME_RATIO && scale < 1) {
+      this._headroomTime += ADJUST_INTERVAL;
+      if (this._headroomTime >= UPSCALE_DELAY) {
+        this._headroomTime = 0;
+        this._engine.setRenderScale(roundScale(Math.min(1, scale + UPSCALE_STEP)));
+      }
+    } else {
+      this._headroomTime = 0;
+    }
+  }
+
+  dispose() {
+    EventBus.off('settings:changed', this._onSettingsChanged);
+  }
+}
+
+/**
+ * Snap to hundredths so tiny changes don't resize the canvas every time.
+ * @param {number} scale
+ * @returns {number}
+ */
+function roundScale(scale) {
+  return Math.round(scale * 100) / 100;
+}
+
+export default DynamicResolution;
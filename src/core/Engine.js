@@ -1,31 +1,88 @@
 import * as THREE from 'three';
 import InputManager from './InputManager.js';
 import EventBus from './EventBus.js';
+import Settings from './Settings.js';
+import Profiler from './Profiler.js';
+import { FIXED_TIMESTEP, MAX_FRAME_DELTA, MAX_SUBSTEPS, MIN_TIME_SCALE, MAX_TIME_SCALE } from '../utils/constants.js';
+import { HAS_DOM } from '../utils/env.js';
+
+/** Viewport used when there is no window to measure (headless). */
+const HEADLESS_WIDTH = 1280;
+const HEADLESS_HEIGHT = 720;
 
 /**
  * Core engine: renderer, scene, camera, clock, and game loop.
+ *
+ * The loop is split in two rates:
+ *   - Simulations (addSimulation) run on a fixed step of FIXED_TIMESTEP
+ *     seconds, driven by an accumulator. Frame stalls are clamped to
+ *     MAX_FRAME_DELTA and at most MAX_SUBSTEPS steps run per frame.
+ *   - Updatables (addUpdatable) run once per rendered frame with the
+ *     variable frame delta (cameras, UI).
+ *
+ * While paused (setPaused) the fixed-step simulation is frozen — player,
+ * vehicles, entity mixers and NPC behaviours all live there — and so are
+ * updatables registered as pausable. The rest (UI, and cameras unless
+ * marked pausable) keep running, and the scene is still rendered.
+ *
+ * A time scale (setTimeScale) multiplies the time fed to the accumulator:
+ * slow motion runs fewer fixed steps per frame, so the simulation stays
+ * deterministic. Updatables registered as scaled get the scaled delta;
+ * the rest run in real time.
+ *
+ * Object3Ds registered with addInterpolated() are rendered at a blend of
+ * their last two simulated transforms so motion stays smooth when the
+ * display rate and the simulation rate differ.
+ *
+ * Resolution (pixelRatio), field of view and draw distance follow the
+ * user settings (core/Settings.js), live. setRenderScale() shrinks the
+ * resolution below the pixelRatio setting (dynamic resolution).
+ *
+ * While the Profiler (core/Profiler.js) is enabled every simulation,
+ * updatable and the render are timed, and renderer counters (draw calls,
+ * triangles, geometries, textures, programs) are recorded per frame.
+ *
+ * Headless mode (no canvas, or under Node) swaps the WebGL renderer for a
+ * stub, attaches no window listeners and never starts the animation loop;
+ * time only advances through tick() / advance(), so tests can drive the
+ * simulation deterministically.
  */
 class Engine {
-  constructor(canvas) {
+  /**
+   * @param {HTMLCanvasElement|null} canvas — null for headless
+   * @param {object} [options]
+   * @param {boolean} [options.headless] — defaults to true without a canvas or DOM
+   * @param {object}  [options.renderer] — renderer to use instead of the default
+   */
+  constructor(canvas, { headless = !canvas || !HAS_DOM, renderer = null } = {}) {
+    /** True when running without a browser window / WebGL. */
+    this.headless = headless;
+
+    const width = headless ? HEADLESS_WIDTH : window.innerWidth;
+    const height = headless ? HEADLESS_HEIGHT : window.innerHeight;
+
     // Renderer
-    this.renderer = new THREE.WebGLRenderer({ canvas, antialias: true });
+    this.renderer = renderer || (headless ? createStubRenderer() : new THREE.WebGLRenderer({ canvas, antialias: true }));
     this.renderer.shadowMap.enabled = true;
     this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
     this.renderer.toneMapping = THREE.ACESFilmicToneMapping;
     this.renderer.toneMappingExposure = 1.3;
     this.renderer.outputColorSpace = THREE.SRGBColorSpace;
-    this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2));
-    this.renderer.setSize(window.innerWidth, window.innerHeight);
+
+    /** Multiplier on the pixelRatio setting (dynamic resolution). */
+    this._renderScale = 1;
+    this._applyPixelRatio();
+    this.renderer.setSize(width, height);
 
     // Scene
     this.scene = new THREE.Scene();
 
     // Camera
     this.camera = new THREE.PerspectiveCamera(
-      60,
-      window.innerWidth / window.innerHeight,
+      Settings.get('fov'),
+      width / height,
       0.1,
-      2000
+      Settings.get('drawDistance')
     );
     this.camera.position.set(0, 50, 100);
 
@@ -33,10 +90,28 @@ class Engine {
     this._clock = new THREE.Clock();
 
     // Input
-    this.input = new InputManager(canvas);
+    this.input = new InputManager(headless ? null : canvas);
 
     // Subsystems
     this._updateables = [];
+    this._simulations = [];
+
+    /** @type {Set<object>} updatables skipped while paused */
+    this._pausable = new Set();
+
+    /** @type {Set<object>} updatables that receive the time-scaled delta */
+    this._scaled = new Set();
+
+    // Pause + time scale
+    this._paused = false;
+    this._timeScale = 1;
+
+    // Fixed-step simulation state
+    this._accumulator = 0;
+    this._alpha = 0;
+
+    /** @type {Map<THREE.Object3D, object>} object -> transform snapshots */
+    this._interpolated = new Map();
 
     // Stats (optional)
     this._stats = null;
@@ -52,12 +127,184 @@ class Engine {
       this.camera.updateProjectionMatrix();
       this.renderer.setSize(w, h);
     };
-    window.addEventListener('resize', this._onResize);
+    if (!headless) window.addEventListener('resize', this._onResize);
+
+    // User settings
+    this._onSettingsChanged = ({ key, value }) => {
+      if (key === 'pixelRatio') {
+        this._applyPixelRatio();
+      } else if (key === 'fov') {
+        this.camera.fov = value;
+        this.camera.updateProjectionMatrix();
+      } else if (key === 'drawDistance') {
+        this.camera.far = value;
+        this.camera.updateProjectionMatrix();
+      }
+    };
+    EventBus.on('settings:changed', this._onSettingsChanged);
+
+    // Profiling: count every render call of a frame, not just the last
+    // (post-processing renders several times per frame)
+    Profiler.attachRenderer(this.renderer);
+    this._onProfilerToggled = ({ enabled }) => {
+      this.renderer.info.autoReset = !enabled;
+    };
+    EventBus.on('profiler:toggled', this._onProfilerToggled);
+  }
+
+  /** Current fraction of the pixelRatio setting rendered (1 = full). */
+  get renderScale() {
+    return this._renderScale;
+  }
+
+  /**
+   * Render at a fraction of the pixelRatio setting.
+   * @param {number} scale — e.g. 0.7; 1 = full resolution
+   */
+  setRenderScale(scale) {
+    if (scale === this._renderScale) return;
+    this._renderScale = scale;
+    this._applyPixelRatio();
   }
 
-  /** Register any object with an update(delta) method. */
-  addUpdatable(system) {
+  /**
+   * Pixel ratio from the setting ('auto' = device ratio capped at 2) times
+   * the render scale.
+   * @private
+   */
+  _applyPixelRatio() {
+    if (this.headless) return; // the stub renderer stays at 1
+    const setting = Settings.get('pixelRatio');
+    const base = setting === 'auto' ? Math.min(window.devicePixelRatio, 2) : setting;
+    const ratio = base * this._renderScale;
+    if (ratio === this.renderer.getPixelRatio()) return;
+
+    this.renderer.setPixelRatio(ratio);
+    EventBus.emit('engine:pixelRatioChanged', { pixelRatio: ratio, renderScale: this._renderScale });
+  }
+
+  /**
+   * Register any object with an update(delta) method. Runs once per frame.
+   * @param {object} system
+   * @param {object} [options]
+   * @param {boolean} [options.pausable=false] — skip while paused
+   * @param {boolean} [options.scaled=false]   — receive the time-scaled delta
+   */
+  addUpdatable(system, { pausable = false, scaled = false } = {}) {
     this._updateables.push(system);
+    this.setPausable(system, pausable);
+    this.setTimeScaled(system, scaled);
+  }
+
+  /**
+   * Choose whether an updatable freezes while the engine is paused.
+   * @param {object} system
+   * @param {boolean} pausable
+   */
+  setPausable(system, pausable) {
+    if (pausable) this._pausable.add(system);
+    else this._pausable.delete(system);
+  }
+
+  /**
+   * Choose whether an updatable follows the time scale or real time.
+   * @param {object} system
+   * @param {boolean} scaled
+   */
+  setTimeScaled(system, scaled) {
+    if (scaled) this._scaled.add(system);
+    else this._scaled.delete(system);
+  }
+
+  /** @param {object} system — previously passed to addUpdatable() */
+  removeUpdatable(system) {
+    const idx = this._updateables.indexOf(system);
+    if (idx !== -1) this._updateables.splice(idx, 1);
+    this._pausable.delete(system);
+    this._scaled.delete(system);
+  }
+
+  /** Register a simulation system with an update(delta) method. Runs on the fixed step. */
+  addSimulation(system) {
+    this._simulations.push(system);
+  }
+
+  /** @param {object} system — previously passed to addSimulation() */
+  removeSimulation(system) {
+    const idx = this._simulations.indexOf(system);
+    if (idx !== -1) this._simulations.splice(idx, 1);
+  }
+
+  /**
+   * Render an Object3D interpolated between its last two simulated
+   * transforms. Use for anything moved by a simulation system.
+   * @param {THREE.Object3D} object
+   */
+  addInterpolated(object) {
+    if (this._interpolated.has(object)) return;
+    this._interpolated.set(object, {
+      prevPos: object.position.clone(),
+      prevQuat: object.quaternion.clone(),
+      currPos: object.position.clone(),
+      currQuat: object.quaternion.clone(),
+      renderPos: new THREE.Vector3(),
+      renderQuat: new THREE.Quaternion(),
+    });
+  }
+
+  /** @param {THREE.Object3D} object */
+  removeInterpolated(object) {
+    this._interpolated.delete(object);
+  }
+
+  /**
+   * Discard the previous snapshot of an interpolated object so a teleport
+   * is not rendered as a one-step smear.
+   * @param {THREE.Object3D} object
+   */
+  snapInterpolated(object) {
+    const snap = this._interpolated.get(object);
+    if (!snap) return;
+    snap.prevPos.copy(object.position);
+    snap.prevQuat.copy(object.quaternion);
+  }
+
+  /** Whether the simulation is frozen. */
+  get paused() {
+    return this._paused;
+  }
+
+  /**
+   * Freeze or resume the simulation. Interpolated objects hold their
+   * current blend, so the frozen frame does not jump.
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this._paused = paused;
+  }
+
+  /** Simulated seconds per real second. */
+  get timeScale() {
+    return this._timeScale;
+  }
+
+  /**
+   * @param {number} scale — e.g. 0.25 for quarter-speed slow motion; clamped
+   *   to [MIN_TIME_SCALE, MAX_TIME_SCALE], and ignored unless finite
+   */
+  setTimeScale(scale) {
+    if (!Number.isFinite(scale)) return;
+    this._timeScale = Math.min(Math.max(scale, MIN_TIME_SCALE), MAX_TIME_SCALE);
+  }
+
+  /** Fixed simulation step in seconds. */
+  get fixedDelta() {
+    return FIXED_TIMESTEP;
+  }
+
+  /** Blend factor (0-1) between the last two simulation steps for this frame. */
+  get interpolationAlpha() {
+    return this._alpha;
   }
 
   /** Attach Stats.js instance for FPS monitoring. */
@@ -76,31 +323,202 @@ class Engine {
     this.renderer.setAnimationLoop(this._gameLoop.bind(this));
   }
 
+  /**
+   * Advance the simulation by `seconds` in frames of `frameDelta`
+   * (headless / tests). Each frame runs exactly like a rendered one.
+   * @param {number} seconds
+   * @param {number} [frameDelta] — defaults to one fixed step per frame
+   */
+  advance(seconds, frameDelta = FIXED_TIMESTEP) {
+    // Epsilon keeps float drift from dropping the last frame
+    const frames = Math.round(seconds / frameDelta + 1e-9);
+    for (let i = 0; i < frames; i++) {
+      this.tick(frameDelta);
+    }
+  }
+
   _gameLoop() {
-    const delta = this._clock.getDelta();
+    this.tick(this._clock.getDelta());
+  }
+
+  /**
+   * Run one frame: fixed-step simulation, updatables, render.
+   * @param {number} frameDelta — seconds since the previous frame
+   */
+  tick(frameDelta) {
+    // Clamp long stalls (tab switch, breakpoint) so the sim doesn't spiral
+    const delta = Math.min(frameDelta, MAX_FRAME_DELTA);
     if (this._stats) this._stats.begin();
+    const profiling = Profiler.enabled;
+    if (profiling) {
+      Profiler.beginFrame();
+      this.renderer.info.reset();
+    }
 
-    // Poll gamepad each frame (before subsystems read it)
-    this.input.pollGamepad();
+    // ── Fixed-step simulation ──
+    if (this._paused) {
+      // Live cameras and UI still read the gamepad
+      this.input.pollGamepad();
+    } else {
+      if (profiling) Profiler.begin('simulation');
+      this._accumulator += delta * this._timeScale;
+      let steps = 0;
+      while (this._accumulator >= FIXED_TIMESTEP && steps < MAX_SUBSTEPS) {
+        this._stepSimulation(FIXED_TIMESTEP);
+        this._accumulator -= FIXED_TIMESTEP;
+        steps++;
+      }
+      // Still behind after the catch-up budget — drop the backlog
+      if (steps === MAX_SUBSTEPS && this._accumulator >= FIXED_TIMESTEP) {
+        this._accumulator %= FIXED_TIMESTEP;
+      }
+      this._alpha = this._accumulator / FIXED_TIMESTEP;
+      if (profiling) Profiler.end('simulation');
+    }
+
+    // ── Variable-rate systems see interpolated transforms ──
+    this._applyInterpolation();
 
     for (const system of this._updateables) {
-      system.update(delta);
+      if (this._paused && this._pausable.has(system)) continue;
+      this._runSystem(system, this._scaled.has(system) ? delta * this._timeScale : delta, 'update:');
     }
 
+    if (profiling) Profiler.begin('render');
     if (this._postProcessing) {
+      // Times its passes itself
       this._postProcessing.render();
     } else {
+      if (profiling) Profiler.beginGpu('render');
       this.renderer.render(this.scene, this.camera);
+      if (profiling) Profiler.endGpu('render');
+    }
+    if (profiling) {
+      Profiler.end('render');
+      const { render, memory, programs } = this.renderer.info;
+      Profiler.setCounter('drawCalls', render.calls);
+      Profiler.setCounter('triangles', render.triangles);
+      Profiler.setCounter('geometries', memory.geometries);
+      Profiler.setCounter('textures', memory.textures);
+      Profiler.setCounter('programs', programs ? programs.length : 0);
     }
+
+    this._restoreInterpolation();
+    if (profiling) Profiler.endFrame(frameDelta);
     if (this._stats) this._stats.end();
   }
 
+  /**
+   * Call system.update(dt), timed as `${prefix}<name>` while profiling.
+   * @private
+   */
+  _runSystem(system, dt, prefix) {
+    if (!Profiler.enabled) {
+      system.update(dt);
+      return;
+    }
+    const label = prefix + systemLabel(system);
+    Profiler.begin(label);
+    system.update(dt);
+    Profiler.end(label);
+  }
+
+  /** @private Advance every simulation system by one fixed step. */
+  _stepSimulation(dt) {
+    // Poll gamepad per step so edge detection lines up with simulation ticks
+    this.input.pollGamepad();
+
+    for (const [object, snap] of this._interpolated) {
+      snap.prevPos.copy(object.position);
+      snap.prevQuat.copy(object.quaternion);
+    }
+
+    for (const system of this._simulations) {
+      this._runSystem(system, dt, 'sim:');
+    }
+    this.input.endStep();
+
+    for (const [object, snap] of this._interpolated) {
+      snap.currPos.copy(object.position);
+      snap.currQuat.copy(object.quaternion);
+    }
+  }
+
+  /** @private Move interpolated objects to their blended render transform. */
+  _applyInterpolation() {
+    for (const [object, snap] of this._interpolated) {
+      // Moved outside the simulation (spawn, teleport, editor) — adopt it
+      if (!object.position.equals(snap.currPos) || !object.quaternion.equals(snap.currQuat)) {
+        snap.currPos.copy(object.position);
+        snap.currQuat.copy(object.quaternion);
+        snap.prevPos.copy(object.position);
+        snap.prevQuat.copy(object.quaternion);
+      }
+      snap.renderPos.lerpVectors(snap.prevPos, snap.currPos, this._alpha);
+      snap.renderQuat.slerpQuaternions(snap.prevQuat, snap.currQuat, this._alpha);
+      object.position.copy(snap.renderPos);
+      object.quaternion.copy(snap.renderQuat);
+    }
+  }
+
+  /** @private Put interpolated objects back on their simulated transform. */
+  _restoreInterpolation() {
+    for (const [object, snap] of this._interpolated) {
+      // Leave alone anything a variable-rate system moved after interpolation
+      if (!object.position.equals(snap.renderPos) || !object.quaternion.equals(snap.renderQuat)) {
+        continue;
+      }
+      object.position.copy(snap.currPos);
+      object.quaternion.copy(snap.currQuat);
+    }
+  }
+
   dispose() {
     this.renderer.setAnimationLoop(null);
-    window.removeEventListener('resize', this._onResize);
+    if (!this.headless) window.removeEventListener('resize', this._onResize);
+    EventBus.off('settings:changed', this._onSettingsChanged);
+    EventBus.off('profiler:toggled', this._onProfilerToggled);
     this.input.dispose();
     this.renderer.dispose();
   }
 }
 
+/**
+ * Profiler name of a system: its class name, else its `name` property.
+ * @param {object} system
+ * @returns {string}
+ */
+function systemLabel(system) {
+  const ctor = system.constructor?.name;
+  if (ctor && ctor !== 'Object') return ctor;
+  return system.name || 'anonymous';
+}
+
+/**
+ * Minimal stand-in for WebGLRenderer when there is no GPU: accepts the
+ * calls Engine and its systems make and draws nothing.
+ * @returns {object}
+ */
+function createStubRenderer() {
+  return {
+    domElement: null,
+    shadowMap: {},
+    info: {
+      render: { frame: 0, calls: 0, triangles: 0, points: 0, lines: 0 },
+      memory: { geometries: 0, textures: 0 },
+      programs: [],
+      autoReset: true,
+      reset() {},
+    },
+    render() {
+      this.info.render.frame++;
+    },
+    setAnimationLoop() {},
+    setPixelRatio() {},
+    getPixelRatio() { return 1; },
+    setSize() {},
+    dispose() {},
+  };
+}
+
 export default Engine;
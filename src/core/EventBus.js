@@ -1,38 +1,298 @@
 /**
  * Simple pub/sub event bus for decoupled communication.
  * Exported as a singleton — every import gets the same instance.
+ *
+ * Listeners:
+ *   on(event, cb, { priority, once })  — higher priority runs first; equal
+ *                                        priorities run in subscription order
+ *   once(event, cb, { priority })      — removed after the first call
+ *   off(event, cb)
+ * Both on() and once() return a function that unsubscribes. Subscribing a
+ * callback already subscribed to the event doesn't add it twice: the new
+ * priority and once flag replace the old ones, as if it had been removed
+ * and subscribed again (so once(cb) after on(cb) makes it a one-off).
+ *
+ * Wildcards: 'vehicle:*' receives every 'vehicle:...' event and '*' every
+ * event. Callbacks get (data, eventName), so wildcard listeners can tell
+ * events apart.
+ *
+ * emit() calls listeners synchronously; emitAsync() awaits each listener
+ * in turn (in priority order) and resolves when all are done. A throwing
+ * listener is logged and does not stop the others.
+ *
+ * History (off by default): enableHistory(size) keeps the last `size`
+ * (at least 1; 0 turns history off) emits in a ring buffer — name, payload (by reference), time, listener
+ * count and optionally the emitting call stack — for the event inspector
+ * (ui/EventInspector.js).
  */
+
+/** Matches every event. */
+const WILDCARD_ALL = '*';
+
 class EventBus {
   constructor() {
+    /** @type {Map<string, Array<{ callback: Function, priority: number, once: boolean, event: string, removed: boolean }>>} */
     this._listeners = new Map();
+
+    // --- History (ring buffer) ---
+    /** @private */ this._history = null;     // array of entries, or null when disabled
+    /** @private */ this._historySize = 0;
+    /** @private */ this._historyNext = 0;    // slot the next entry is written to
+    /** @private */ this._historyCount = 0;   // total emits recorded (for ids)
+    /** @private */ this._captureStack = false;
   }
 
-  on(event, callback) {
+  /**
+   * Subscribe to an event or wildcard pattern ('ns:*', '*').
+   * @param {string} event
+   * @param {Function} callback — (data, eventName)
+   * @param {object} [options]
+   * @param {number} [options.priority=0]
+   * @param {boolean} [options.once=false]
+   * @returns {Function} unsubscribe
+   */
+  on(event, callback, { priority = 0, once = false } = {}) {
     if (!this._listeners.has(event)) {
-      this._listeners.set(event, new Set());
+      this._listeners.set(event, []);
+    }
+    const list = this._listeners.get(event);
+    let entry = list.find((e) => e.callback === callback);
+    if (entry) {
+      // Already subscribed: re-subscribe with the new options
+      list.splice(list.indexOf(entry), 1);
+      entry.priority = priority;
+      entry.once = once;
+    } else {
+      entry = { callback, priority, once, event, removed: false };
     }
-    this._listeners.get(event).add(callback);
+
+    // Keep sorted by priority (descending), stable for equal priorities
+    let i = list.length;
+    while (i > 0 && list[i - 1].priority < priority) i--;
+    list.splice(i, 0, entry);
+
+    return () => this._remove(event, entry);
+  }
+
+  /**
+   * Subscribe for a single call.
+   * @param {string} event
+   * @param {Function} callback
+   * @param {object} [options]
+   * @param {number} [options.priority=0]
+   * @returns {Function} unsubscribe
+   */
+  once(event, callback, { priority = 0 } = {}) {
+    return this.on(event, callback, { priority, once: true });
   }
 
   off(event, callback) {
-    const set = this._listeners.get(event);
-    if (set) {
-      set.delete(callback);
-      if (set.size === 0) this._listeners.delete(event);
-    }
+    const list = this._listeners.get(event);
+    if (!list) return;
+    const entry = list.find((e) => e.callback === callback);
+    if (entry) this._remove(event, entry);
   }
 
   emit(event, data) {
-    const set = this._listeners.get(event);
-    if (!set) return;
-    for (const cb of set) {
+    const listeners = this._collect(event);
+    this._record(event, data, listeners.length);
+
+    for (const entry of listeners) {
+      if (!this._claim(entry)) continue;
       try {
-        cb(data);
+        entry.callback(data, event);
       } catch (err) {
         console.error(`[EventBus] Error in listener for "${event}":`, err);
       }
     }
   }
+
+  /**
+   * Emit and await every listener, one after another in priority order.
+   * @param {string} event
+   * @param {*} [data]
+   * @returns {Promise<void>}
+   */
+  async emitAsync(event, data) {
+    const listeners = this._collect(event);
+    this._record(event, data, listeners.length);
+
+    for (const entry of listeners) {
+      if (!this._claim(entry)) continue;
+      try {
+        await entry.callback(data, event);
+      } catch (err) {
+        console.error(`[EventBus] Error in listener for "${event}":`, err);
+      }
+    }
+  }
+
+  /**
+   * Number of listeners an emit of `event` would reach (wildcards included).
+   * @param {string} event
+   * @returns {number}
+   */
+  listenerCount(event) {
+    let count = 0;
+    for (const pattern of this._patternsFor(event)) {
+      count += this._listeners.get(pattern)?.length ?? 0;
+    }
+    return count;
+  }
+
+  // ---------------------------------------------------------------------------
+  // History
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start recording emits.
+   * @param {number} [size=200] — entries kept (rounded down); below 1 disables history
+   * @param {object} [options]
+   * @param {boolean} [options.captureStack=false] — store the emitting call stack (slow)
+   */
+  enableHistory(size = 200, { captureStack = false } = {}) {
+    size = Math.floor(size);
+    if (!(size >= 1)) {
+      this.disableHistory();
+      return;
+    }
+    this._history = new Array(size).fill(null);
+    this._historySize = size;
+    this._historyNext = 0;
+    this._captureStack = captureStack;
+  }
+
+  disableHistory() {
+    this._history = null;
+  }
+
+  /** @returns {boolean} */
+  get historyEnabled() {
+    return this._history !== null;
+  }
+
+  /** @param {boolean} capture */
+  setCaptureStack(capture) {
+    this._captureStack = capture;
+  }
+
+  clearHistory() {
+    if (this._history) this._history.fill(null);
+    this._historyNext = 0;
+  }
+
+  /**
+   * Recorded emits, oldest first.
+   * @returns {Array<{ id: number, event: string, data: *, time: number, listeners: number, stack: string|null }>}
+   */
+  getHistory() {
+    if (!this._history) return [];
+    const ordered = [];
+    for (let i = 0; i < this._historySize; i++) {
+      const entry = this._history[(this._historyNext + i) % this._historySize];
+      if (entry) ordered.push(entry);
+    }
+    return ordered;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Exact name, its namespace wildcards ('a:b:*', 'a:*') and '*'.
+   * @private
+   * @param {string} event
+   * @returns {string[]}
+   */
+  _patternsFor(event) {
+    const patterns = [event];
+    let idx = event.lastIndexOf(':');
+    while (idx !== -1) {
+      patterns.push(`${event.slice(0, idx)}:*`);
+      idx = event.lastIndexOf(':', idx - 1);
+    }
+    if (event !== WILDCARD_ALL) patterns.push(WILDCARD_ALL);
+    return patterns;
+  }
+
+  /**
+   * Snapshot of the listeners for an emit, merged by priority. Listeners
+   * added during the emit are not called; see _claim() for removed ones.
+   * @private
+   * @param {string} event
+   * @returns {Array<{ callback: Function, priority: number, once: boolean, event: string, removed: boolean }>}
+   */
+  _collect(event) {
+    let merged = null;
+    for (const pattern of this._patternsFor(event)) {
+      const list = this._listeners.get(pattern);
+      if (!list) continue;
+      // Stable merge: exact-name listeners win ties over wildcards
+      merged = merged ? mergeByPriority(merged, list) : [...list];
+    }
+    return merged || [];
+  }
+
+  /**
+   * Whether a collected listener should still be called: not if an
+   * earlier listener unsubscribed it (or a nested emit used up a once
+   * listener). A once listener is unsubscribed here, before its call.
+   * @private
+   * @param {{ once: boolean, event: string, removed: boolean }} entry
+   * @returns {boolean}
+   */
+  _claim(entry) {
+    if (entry.removed) return false;
+    if (entry.once) this._remove(entry.event, entry);
+    return true;
+  }
+
+  /** @private */
+  _remove(event, entry) {
+    const list = this._listeners.get(event);
+    if (!list) return;
+    const idx = list.indexOf(entry);
+    if (idx === -1) return;
+    entry.removed = true;
+    // Copy on write: callers iterating the old list (see _collect) stay valid
+    const next = list.slice();
+    next.splice(idx, 1);
+    if (next.length === 0) this._listeners.delete(event);
+    else this._listeners.set(event, next);
+  }
+
+  /** @private */
+  _record(event, data, listeners) {
+    if (!this._history) return;
+    this._history[this._historyNext] = {
+      id: ++this._historyCount,
+      event,
+      data,
+      time: performance.now(),
+      listeners,
+      stack: this._captureStack ? new Error().stack.split('\n').slice(3).join('\n') : null,
+    };
+    this._historyNext = (this._historyNext + 1) % this._historySize;
+  }
+}
+
+/**
+ * Merge two priority-sorted listener lists; `a` wins ties.
+ * @param {Array} a
+ * @param {Array} b
+ * @returns {Array}
+ */
+function mergeByPriority(a, b) {
+  const out = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length && j < b.length) {
+    out.push(a[i].priority >= b[j].priority ? a[i++] : b[j++]);
+  }
+  while (i < a.length) out.push(a[i++]);
+  while (j < b.length) out.push(b[j++]);
+  return out;
 }
 
 export default new EventBus();
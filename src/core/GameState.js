@@ -1,8 +1,13 @@
 import EventBus from './EventBus.js';
+import { MIN_TIME_SCALE, MAX_TIME_SCALE } from '../utils/constants.js';
 
 /**
  * Global game state singleton.
- * Tracks the current mode, player/vehicle references, time of day, and pause state.
+ * Tracks the current mode, player/vehicle references, time of day, pause
+ * state and time scale.
+ *
+ * Time scale multiplies simulated time (1 = real time, 0.25 = slow motion).
+ * Cameras run in real time unless cameraRealTime is turned off.
  */
 
 const VALID_MODES = ['free', 'play', 'drive', 'director'];
@@ -14,6 +19,8 @@ class GameState {
     this.vehicle = null;
     this.timeOfDay = 17.5; // hours (0-24)
     this.paused = false;
+    this.timeScale = 1;
+    this.cameraRealTime = true;
   }
 
   setMode(mode) {
@@ -31,6 +38,7 @@ class GameState {
   }
 
   setPaused(paused) {
+    if (paused === this.paused) return;
     this.paused = paused;
     EventBus.emit('gamestate:paused', { paused });
   }
@@ -38,6 +46,32 @@ class GameState {
   isPaused() {
     return this.paused;
   }
+
+  /**
+   * @param {number} scale — clamped to [MIN_TIME_SCALE, MAX_TIME_SCALE];
+   *   NaN and infinities are ignored
+   */
+  setTimeScale(scale) {
+    if (!Number.isFinite(scale)) {
+      console.warn(`[GameState] Invalid time scale: ${scale}`);
+      return;
+    }
+    const timeScale = Math.min(Math.max(scale, MIN_TIME_SCALE), MAX_TIME_SCALE);
+    if (timeScale === this.timeScale) return;
+    const previous = this.timeScale;
+    this.timeScale = timeScale;
+    EventBus.emit('gamestate:timeScaleChanged', { timeScale, previous, cameraRealTime: this.cameraRealTime });
+  }
+
+  /**
+   * Whether cameras ignore the time scale.
+   * @param {boolean} realTime
+   */
+  setCameraRealTime(realTime) {
+    if (realTime === this.cameraRealTime) return;
+    this.cameraRealTime = realTime;
+    EventBus.emit('gamestate:timeScaleChanged', { timeScale: this.timeScale, previous: this.timeScale, cameraRealTime: realTime });
+  }
 }
 
 export default new GameState();
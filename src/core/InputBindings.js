@@ -0,0 +1,512 @@
+import EventBus from './EventBus.js';
+import { HAS_DOM } from '../utils/env.js';
+import {
+  GP_A, GP_B, GP_X, GP_Y, GP_LB, GP_RB, GP_LT, GP_RT, GP_SELECT, GP_START,
+} from '../utils/constants.js';
+
+/**
+ * Rebindable action map: named actions -> keyboard / mouse / gamepad bindings.
+ *
+ * Gameplay code asks InputManager for actions (isActionDown,
+ * isActionJustPressed, getActionValue, getAxis) and UI shortcuts test their keydown events with matches(), so no
+ * module hard-codes a key. Bindings are strings:
+ *
+ *   'KeyW', 'ShiftLeft'     — KeyboardEvent.code
+ *   'Ctrl+KeyZ'             — with modifiers (Ctrl, Shift, Alt; Ctrl accepts Meta)
+ *   'Mouse0'                — mouse button (0=left, 1=middle, 2=right)
+ *   'Pad0'                  — gamepad button (standard mapping, analog for triggers)
+ *   'Axis1-' / 'Axis1+'     — one direction of a gamepad axis
+ *
+ * Every action lists the game modes it is live in; two actions conflict when
+ * they share a mode and bindings that can fire together: the same input
+ * with the same modifiers, or where one binding has none (an unmodified
+ * binding is held, and matches, under any modifiers). Bindings are kept
+ * per named profile and persisted to localStorage.
+ *
+ * Exported as a singleton -- one binding set for the whole application.
+ *
+ * Events emitted:
+ *   input:bindingsChanged { action, profile }  -- action is null for bulk changes
+ *   input:profileChanged  { profile }
+ */
+
+const ALL_MODES = ['free', 'play', 'drive', 'director'];
+const FLY_MODES = ['free', 'play', 'director'];
+const EDIT_MODES = ['free', 'director'];
+
+/**
+ * Action definitions. `defaults` is the binding list of the Default profile.
+ * Order here is the order shown in the controls panel.
+ */
+export const ACTIONS = {
+  // --- Movement (player on foot, drone camera) ---
+  moveForward: { label: 'Move forward', category: 'Movement', modes: FLY_MODES, defaults: ['KeyW', 'Axis1-'] },
+  moveBack:    { label: 'Move back',    category: 'Movement', modes: FLY_MODES, defaults: ['KeyS', 'Axis1+'] },
+  moveLeft:    { label: 'Move left',    category: 'Movement', modes: FLY_MODES, defaults: ['KeyA', 'Axis0-'] },
+  moveRight:   { label: 'Move right',   category: 'Movement', modes: FLY_MODES, defaults: ['KeyD', 'Axis0+'] },
+  moveUp:      { label: 'Fly up',       category: 'Movement', modes: EDIT_MODES, defaults: ['KeyE'] },
+  moveDown:    { label: 'Fly down',     category: 'Movement', modes: EDIT_MODES, defaults: ['KeyQ'] },
+  sprint:      { label: 'Sprint / boost', category: 'Movement', modes: FLY_MODES, defaults: ['ShiftLeft', 'ShiftRight', `Pad${GP_LB}`] },
+  walk:        { label: 'Walk',         category: 'Movement', modes: ['play'], defaults: ['ControlLeft', 'ControlRight'] },
+  jump:        { label: 'Jump',         category: 'Movement', modes: ['play'], defaults: ['Space', `Pad${GP_A}`] },
+  interact:    { label: 'Enter / exit vehicle', category: 'Movement', modes: ['play', 'drive'], defaults: ['KeyF', `Pad${GP_Y}`] },
+
+  // --- Vehicle ---
+  throttle:    { label: 'Accelerate',   category: 'Vehicle', modes: ['drive'], defaults: ['KeyW', `Pad${GP_RT}`] },
+  reverse:     { label: 'Reverse',      category: 'Vehicle', modes: ['drive'], defaults: ['KeyS'] },
+  brake:       { label: 'Brake (reverse when stopped)', category: 'Vehicle', modes: ['drive'], defaults: [`Pad${GP_LT}`] },
+  handbrake:   { label: 'Handbrake',    category: 'Vehicle', modes: ['drive'], defaults: ['Space', `Pad${GP_B}`] },
+  steerLeft:   { label: 'Steer left',   category: 'Vehicle', modes: ['drive'], defaults: ['KeyA', 'Axis0-'] },
+  steerRight:  { label: 'Steer right',  category: 'Vehicle', modes: ['drive'], defaults: ['KeyD', 'Axis0+'] },
+  boost:       { label: 'Boost',        category: 'Vehicle', modes: ['drive'], defaults: ['ShiftLeft', 'ShiftRight', `Pad${GP_X}`] },
+  shiftUp:     { label: 'Shift up',     category: 'Vehicle', modes: ['drive'], defaults: ['KeyE', `Pad${GP_RB}`] },
+  shiftDown:   { label: 'Shift down',   category: 'Vehicle', modes: ['drive'], defaults: ['KeyQ', `Pad${GP_LB}`] },
+  toggleTransmission: { label: 'Automatic / manual gearbox', category: 'Vehicle', modes: ['drive'], defaults: ['KeyH', `Pad${GP_SELECT}`] },
+
+  // --- General ---
+  pause:              { label: 'Pause',          category: 'General', modes: ALL_MODES, defaults: ['Escape', `Pad${GP_START}`] },
+  togglePlay:         { label: 'Play / free camera', category: 'General', modes: ['free', 'play'], defaults: ['KeyP'] },
+  toggleDirector:     { label: 'Director mode',  category: 'General', modes: ALL_MODES, defaults: ['Tab'] },
+  cycleCamera:        { label: 'Cycle camera',   category: 'General', modes: ALL_MODES, defaults: ['KeyC'] },
+  togglePostFX:       { label: 'Post-FX',        category: 'General', modes: ALL_MODES, defaults: ['KeyG'] },
+  toggleModelBrowser: { label: 'Model browser',  category: 'General', modes: ALL_MODES, defaults: ['KeyM'] },
+  toggleControls:     { label: 'Controls',       category: 'General', modes: ALL_MODES, defaults: ['F1'] },
+  toggleEventInspector: { label: 'Event inspector', category: 'General', modes: ALL_MODES, defaults: ['F2'] },
+  toggleSettings:     { label: 'Settings',       category: 'General', modes: ALL_MODES, defaults: ['F3'] },
+  toggleProfiler:     { label: 'Frame profiler', category: 'General', modes: ALL_MODES, defaults: ['F4'] },
+  toggleConsole:      { label: 'Developer console', category: 'General', modes: ALL_MODES, defaults: ['Backquote'] },
+  toggleOutliner:     { label: 'Outliner',       category: 'General', modes: ALL_MODES, defaults: ['KeyO'] },
+  toggleInspector:    { label: 'Inspector',      category: 'General', modes: ALL_MODES, defaults: ['KeyI'] },
+  replayRecord:       { label: 'Record input replay', category: 'General', modes: ALL_MODES, defaults: ['F8'] },
+  replayPlay:         { label: 'Play input replay',   category: 'General', modes: ALL_MODES, defaults: ['F9'] },
+  undo:               { label: 'Undo',           category: 'General', modes: EDIT_MODES, defaults: ['Ctrl+KeyZ'] },
+  redo:               { label: 'Redo',           category: 'General', modes: EDIT_MODES, defaults: ['Ctrl+Shift+KeyZ', 'Ctrl+KeyY'] },
+
+  // --- Director ---
+  pathCamera:      { label: 'Path camera',        category: 'Director', modes: ['director'], defaults: ['KeyP'] },
+  recordVideo:     { label: 'Record video',       category: 'Director', modes: ['director'], defaults: ['KeyR'] },
+  gizmoMode:       { label: 'Gizmo mode',         category: 'Director', modes: ['director'], defaults: ['KeyT'] },
+  gizmoSpace:      { label: 'Gizmo local/world',  category: 'Director', modes: ['director'], defaults: ['KeyX'] },
+  gizmoSnap:       { label: 'Gizmo snapping',     category: 'Director', modes: ['director'], defaults: ['KeyN'] },
+  deleteSelection: { label: 'Delete selection',   category: 'Director', modes: ['director'], defaults: ['Delete'] },
+  addKeyframe:     { label: 'Add path keyframe',  category: 'Director', modes: ['director'], defaults: ['KeyK'] },
+  timeEarlier:     { label: 'Time of day -',      category: 'Director', modes: ['director'], defaults: ['BracketLeft'] },
+  timeLater:       { label: 'Time of day +',      category: 'Director', modes: ['director'], defaults: ['BracketRight'] },
+  slowMotion:      { label: 'Slow motion',        category: 'Director', modes: ['director'], defaults: ['KeyB'] },
+  timeScaleDown:   { label: 'Time scale -',       category: 'Director', modes: ['director'], defaults: ['Minus'] },
+  timeScaleUp:     { label: 'Time scale +',       category: 'Director', modes: ['director'], defaults: ['Equal'] },
+  cameraTimeScale: { label: 'Camera real time / scaled', category: 'Director', modes: ['director'], defaults: ['KeyV'] },
+  cinematic1:      { label: 'Cinematic preset 1', category: 'Director', modes: EDIT_MODES, defaults: ['Digit1'] },
+  cinematic2:      { label: 'Cinematic preset 2', category: 'Director', modes: EDIT_MODES, defaults: ['Digit2'] },
+  cinematic3:      { label: 'Cinematic preset 3', category: 'Director', modes: EDIT_MODES, defaults: ['Digit3'] },
+  cinematic4:      { label: 'Cinematic preset 4', category: 'Director', modes: EDIT_MODES, defaults: ['Digit4'] },
+  cinematic5:      { label: 'Cinematic preset 5', category: 'Director', modes: EDIT_MODES, defaults: ['Digit5'] },
+  cinematic6:      { label: 'Cinematic preset 6', category: 'Director', modes: EDIT_MODES, defaults: ['Digit6'] },
+};
+
+/**
+ * Axis composites: name -> [negative action, positive action].
+ * InputManager.getAxis(name) returns positive - negative in [-1, 1].
+ */
+export const AXES = {
+  moveX: ['moveLeft', 'moveRight'],
+  moveY: ['moveBack', 'moveForward'],
+  moveZ: ['moveDown', 'moveUp'],
+  steer: ['steerRight', 'steerLeft'], // positive = left, as Vehicle expects
+};
+
+/** Profile that always exists and cannot be deleted. */
+export const DEFAULT_PROFILE = 'Default';
+
+/** localStorage key for all profiles. */
+const STORAGE_KEY = 'desde-cero.input-bindings';
+
+/** Readable names for codes whose `code` string isn't self-explanatory. */
+const KEY_NAMES = {
+  Space: 'Space', Tab: 'Tab', Escape: 'Esc', Enter: 'Enter', Backspace: 'Backspace',
+  Delete: 'Del', Backquote: '`', Minus: '-', Equal: '=', BracketLeft: '[', BracketRight: ']',
+  Backslash: '\\', Semicolon: ';', Quote: "'", Comma: ',', Period: '.', Slash: '/',
+  ShiftLeft: 'Shift', ShiftRight: 'R-Shift', ControlLeft: 'Ctrl', ControlRight: 'R-Ctrl',
+  AltLeft: 'Alt', AltRight: 'R-Alt', MetaLeft: 'Meta', MetaRight: 'R-Meta',
+  ArrowUp: 'Up', ArrowDown: 'Down', ArrowLeft: 'Left', ArrowRight: 'Right',
+};
+
+const MOUSE_NAMES = ['Mouse L', 'Mouse M', 'Mouse R'];
+
+const PAD_BUTTON_NAMES = [
+  'Pad A', 'Pad B', 'Pad X', 'Pad Y', 'Pad LB', 'Pad RB', 'Pad LT', 'Pad RT',
+  'Pad Back', 'Pad Start', 'Pad LS', 'Pad RS', 'Pad Up', 'Pad Down', 'Pad Left', 'Pad Right', 'Pad Home',
+];
+
+const PAD_AXIS_NAMES = [
+  ['LS Left', 'LS Right'], ['LS Up', 'LS Down'], ['RS Left', 'RS Right'], ['RS Up', 'RS Down'],
+];
+
+/** Parsed binding cache (bindings are immutable strings). */
+const _parsed = new Map();
+
+/**
+ * Split a binding string into its device and parameters.
+ * @param {string} binding
+ * @returns {{ device: 'key'|'mouse'|'button'|'axis', code?: string, index?: number,
+ *             sign?: number, ctrl: boolean, shift: boolean, alt: boolean }}
+ */
+export function parseBinding(binding) {
+  let parsed = _parsed.get(binding);
+  if (parsed) return parsed;
+
+  const parts = binding.split('+');
+  let last = parts.pop();
+  // 'Axis1+' splits into ['Axis1', ''] — put the sign back
+  if (last === '' && parts.length > 0) last = `${parts.pop()}+`;
+  const mods = new Set(parts);
+
+  parsed = { ctrl: mods.has('Ctrl'), shift: mods.has('Shift'), alt: mods.has('Alt') };
+  let match;
+  if ((match = /^Mouse(\d)$/.exec(last))) {
+    parsed.device = 'mouse';
+    parsed.index = Number(match[1]);
+  } else if ((match = /^Pad(\d+)$/.exec(last))) {
+    parsed.device = 'button';
+    parsed.index = Number(match[1]);
+  } else if ((match = /^Axis(\d)([+-])$/.exec(last))) {
+    parsed.device = 'axis';
+    parsed.index = Number(match[1]);
+    parsed.sign = match[2] === '+' ? 1 : -1;
+  } else {
+    parsed.device = 'key';
+    parsed.code = last;
+  }
+
+  _parsed.set(binding, parsed);
+  return parsed;
+}
+
+/**
+ * Human-readable label for a binding, e.g. 'Ctrl+Z', 'Shift', 'Pad A', 'LS Up'.
+ * @param {string} binding
+ * @returns {string}
+ */
+export function describeBinding(binding) {
+  const b = parseBinding(binding);
+  let name;
+  switch (b.device) {
+    case 'mouse':  name = MOUSE_NAMES[b.index] || `Mouse ${b.index}`; break;
+    case 'button': name = PAD_BUTTON_NAMES[b.index] || `Pad ${b.index}`; break;
+    case 'axis':   name = PAD_AXIS_NAMES[b.index]?.[b.sign > 0 ? 1 : 0] || `Axis ${b.index}${b.sign > 0 ? '+' : '-'}`; break;
+    default:
+      name = KEY_NAMES[b.code]
+        || b.code.replace(/^Key/, '').replace(/^Digit/, '').replace(/^Numpad/, 'Num ');
+  }
+  const mods = [b.ctrl && 'Ctrl', b.shift && 'Shift', b.alt && 'Alt'].filter(Boolean);
+  return [...mods, name].join('+');
+}
+
+/**
+ * Build a binding string from a keyboard event (modifier keys on their own
+ * bind as plain keys).
+ * @param {KeyboardEvent} e
+ * @returns {string}
+ */
+export function bindingFromKeyEvent(e) {
+  if (/^(Shift|Control|Alt|Meta)(Left|Right)$/.test(e.code)) return e.code;
+  const mods = [];
+  if (e.ctrlKey || e.metaKey) mods.push('Ctrl');
+  if (e.shiftKey) mods.push('Shift');
+  if (e.altKey) mods.push('Alt');
+  return [...mods, e.code].join('+');
+}
+
+class InputBindings {
+  constructor() {
+    /** @type {Map<string, object>} profile name -> { action: string[] } */
+    this._profiles = new Map();
+    this._active = DEFAULT_PROFILE;
+
+    this._load();
+  }
+
+  /* -----------------------------------------------------------
+   * Queries
+   * --------------------------------------------------------- */
+
+  /**
+   * Bindings of an action in the active profile (do not mutate).
+   * @param {string} action
+   * @returns {string[]}
+   */
+  getBindings(action) {
+    const bindings = this._profiles.get(this._active)[action];
+    if (!bindings) {
+      if (!ACTIONS[action]) console.warn(`[InputBindings] Unknown action: "${action}"`);
+      return [];
+    }
+    return bindings;
+  }
+
+  /**
+   * Label of an action's first keyboard / mouse binding (else its first
+   * binding), for prompts and hints.
+   * @param {string} action
+   * @returns {string} e.g. 'F', or '?' when unbound
+   */
+  describe(action) {
+    const bindings = this.getBindings(action);
+    const binding = bindings.find((b) => {
+      const { device } = parseBinding(b);
+      return device === 'key' || device === 'mouse';
+    }) || bindings[0];
+    return binding ? describeBinding(binding) : '?';
+  }
+
+  /**
+   * Does a keyboard or mouse event trigger this action? For UI shortcuts
+   * handled in keydown / mousedown listeners. Bindings without modifiers
+   * match regardless of modifier state.
+   * @param {string} action
+   * @param {KeyboardEvent|MouseEvent} e
+   * @returns {boolean}
+   */
+  matches(action, e) {
+    const isKey = e.code !== undefined;
+    for (const binding of this.getBindings(action)) {
+      const b = parseBinding(binding);
+      if (isKey ? b.device !== 'key' || b.code !== e.code : b.device !== 'mouse' || b.index !== e.button) {
+        continue;
+      }
+      const hasMods = b.ctrl || b.shift || b.alt;
+      if (!hasMods) return true;
+      if (b.ctrl === (e.ctrlKey || e.metaKey) && b.shift === e.shiftKey && b.alt === e.altKey) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Actions with a binding that fires together with one of `action`'s
+   * (see overlaps()) in at least one game mode.
+   * @param {string} action
+   * @returns {Array<{ action: string, binding: string, other: string }>} binding: `action`'s,
+   *   other: the conflicting action's (the same string, or differing in modifiers)
+   */
+  getConflicts(action) {
+    const def = ACTIONS[action];
+    const conflicts = [];
+    for (const binding of this.getBindings(action)) {
+      for (const other of Object.keys(ACTIONS)) {
+        if (other === action) continue;
+        if (!ACTIONS[other].modes.some((m) => def.modes.includes(m))) continue;
+        for (const otherBinding of this.getBindings(other)) {
+          if (overlaps(binding, otherBinding)) conflicts.push({ action: other, binding, other: otherBinding });
+        }
+      }
+    }
+    return conflicts;
+  }
+
+  /**
+   * Every conflicting pair in the active profile.
+   * @returns {Array<{ binding: string, other: string, actions: [string, string] }>} binding
+   *   of the first action, other of the second
+   */
+  findConflicts() {
+    const names = Object.keys(ACTIONS);
+    const result = [];
+    names.forEach((a, i) => {
+      for (const { action: b, binding, other } of this.getConflicts(a)) {
+        if (names.indexOf(b) > i) result.push({ binding, other, actions: [a, b] });
+      }
+    });
+    return result;
+  }
+
+  /* -----------------------------------------------------------
+   * Editing (active profile, saved immediately)
+   * --------------------------------------------------------- */
+
+  /**
+   * Replace all bindings of an action.
+   * @param {string} action
+   * @param {string[]} bindings
+   */
+  setBindings(action, bindings) {
+    if (!ACTIONS[action]) {
+      console.warn(`[InputBindings] Unknown action: "${action}"`);
+      return;
+    }
+    this._profiles.get(this._active)[action] = [...new Set(bindings)];
+    this._changed(action);
+  }
+
+  /**
+   * Add a binding, or replace the one at `index`.
+   * @param {string} action
+   * @param {string} binding
+   * @param {number} [index] — slot to replace; appends when omitted
+   */
+  bind(action, binding, index = -1) {
+    const bindings = [...this.getBindings(action)];
+    if (index >= 0 && index < bindings.length) bindings[index] = binding;
+    else bindings.push(binding);
+    this.setBindings(action, bindings);
+  }
+
+  /**
+   * Remove one binding from an action.
+   * @param {string} action
+   * @param {string} binding
+   */
+  unbind(action, binding) {
+    this.setBindings(action, this.getBindings(action).filter((b) => b !== binding));
+  }
+
+  /**
+   * Restore the default bindings for one action, or all when omitted.
+   * @param {string} [action]
+   */
+  reset(action) {
+    const bindings = this._profiles.get(this._active);
+    if (action) {
+      bindings[action] = [...ACTIONS[action].defaults];
+      this._changed(action);
+      return;
+    }
+    Object.assign(bindings, defaultBindings());
+    this._changed(null);
+  }
+
+  /* -----------------------------------------------------------
+   * Profiles
+   * --------------------------------------------------------- */
+
+  /** Name of the active profile. */
+  get activeProfile() {
+    return this._active;
+  }
+
+  /** @returns {string[]} */
+  getProfileNames() {
+    return [...this._profiles.keys()];
+  }
+
+  /**
+   * Switch the active profile.
+   * @param {string} name
+   */
+  setActiveProfile(name) {
+    if (!this._profiles.has(name) || name === this._active) return;
+    this._active = name;
+    this._save();
+    EventBus.emit('input:profileChanged', { profile: name });
+    EventBus.emit('input:bindingsChanged', { action: null, profile: name });
+  }
+
+  /**
+   * Create a profile as a copy of the active one and switch to it.
+   * @param {string} name
+   * @returns {boolean} false if the name is empty or taken
+   */
+  createProfile(name) {
+    name = name.trim();
+    if (!name || this._profiles.has(name)) return false;
+    this._profiles.set(name, cloneBindings(this._profiles.get(this._active)));
+    this.setActiveProfile(name);
+    return true;
+  }
+
+  /**
+   * Delete a profile (the default one can only be reset).
+   * @param {string} name
+   */
+  deleteProfile(name) {
+    if (name === DEFAULT_PROFILE || !this._profiles.has(name)) return;
+    if (name === this._active) this.setActiveProfile(DEFAULT_PROFILE);
+    this._profiles.delete(name);
+    this._save();
+  }
+
+  /* -----------------------------------------------------------
+   * Persistence
+   * --------------------------------------------------------- */
+
+  /** @private */
+  _changed(action) {
+    this._save();
+    EventBus.emit('input:bindingsChanged', { action, profile: this._active });
+  }
+
+  /** @private */
+  _save() {
+    if (!HAS_DOM) return; // headless: defaults only, nothing persisted
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify({
+        active: this._active,
+        profiles: Object.fromEntries(this._profiles),
+      }));
+    } catch (err) {
+      console.warn('[InputBindings] Could not save bindings:', err);
+    }
+  }
+
+  /**
+   * Read saved profiles; actions added since they were saved get defaults.
+   * @private
+   */
+  _load() {
+    let saved = null;
+    try {
+      if (HAS_DOM) saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (err) {
+      console.warn('[InputBindings] Ignoring unreadable saved bindings:', err);
+    }
+
+    if (saved && saved.profiles) {
+      for (const [name, bindings] of Object.entries(saved.profiles)) {
+        const merged = defaultBindings();
+        for (const action of Object.keys(merged)) {
+          if (Array.isArray(bindings[action])) merged[action] = [...bindings[action]];
+        }
+        this._profiles.set(name, merged);
+      }
+    }
+    if (!this._profiles.has(DEFAULT_PROFILE)) {
+      this._profiles.set(DEFAULT_PROFILE, defaultBindings());
+    }
+    this._active = saved && this._profiles.has(saved.active) ? saved.active : DEFAULT_PROFILE;
+  }
+}
+
+/**
+ * Can two bindings fire together? The same key, button or axis direction,
+ * with the same modifiers or with none on one of them.
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function overlaps(a, b) {
+  if (a === b) return true;
+  const pa = parseBinding(a);
+  const pb = parseBinding(b);
+  if (pa.device !== pb.device || pa.code !== pb.code || pa.index !== pb.index || pa.sign !== pb.sign) {
+    return false;
+  }
+  if (!(pa.ctrl || pa.shift || pa.alt) || !(pb.ctrl || pb.shift || pb.alt)) return true;
+  return pa.ctrl === pb.ctrl && pa.shift === pb.shift && pa.alt === pb.alt;
+}
+
+/** @returns {object} action -> default binding list */
+function defaultBindings() {
+  const bindings = {};
+  for (const [action, def] of Object.entries(ACTIONS)) bindings[action] = [...def.defaults];
+  return bindings;
+}
+
+/** @returns {object} deep copy of an action -> bindings map */
+function cloneBindings(bindings) {
+  const copy = {};
+  for (const [action, list] of Object.entries(bindings)) copy[action] = [...list];
+  return copy;
+}
+
+export default new InputBindings();
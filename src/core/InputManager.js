@@ -1,18 +1,49 @@
+import InputBindings, { AXES, parseBinding } from './InputBindings.js';
+import { HAS_DOM } from '../utils/env.js';
+
 /**
  * Centralized input state: keyboard, mouse (with pointer lock), gamepad.
  * Uses KeyboardEvent.code for layout-independent bindings.
+ *
+ * Gameplay code queries named actions (isActionDown / getActionValue /
+ * getAxis) resolved through the rebindable InputBindings profile; the raw
+ * device queries remain for the binding layer and the rebinding UI.
+ *
+ * Supports deterministic replay: captureFrame() snapshots everything the
+ * simulation can read in one tick, and setPlaybackFrame() makes every
+ * query answer from a recorded frame instead of the live devices.
+ *
+ * Constructed without a canvas (or outside a browser) it is headless:
+ * no device listeners are attached and input only arrives through
+ * setPlaybackFrame(), e.g. scripted by the headless harness.
  */
 
 const GAMEPAD_DEADZONE = 0.15;
 
+/** Analog value above which an action counts as held. */
+const ACTION_PRESS_THRESHOLD = 0.5;
+
 class InputManager {
+  /**
+   * @param {HTMLCanvasElement|null} canvas — null for headless input
+   */
   constructor(canvas) {
     this._canvas = canvas;
+
+    /** No DOM listeners; input comes only from playback frames. */
+    this._headless = !canvas || !HAS_DOM;
     this._keys = new Set();
     this._mouseDX = 0;
     this._mouseDY = 0;
     this._pointerLocked = false;
 
+    // Mouse movement since the last captureFrame() (for replay recording)
+    this._tickMouseDX = 0;
+    this._tickMouseDY = 0;
+
+    /** When false, clicking the canvas no longer grabs pointer lock (editor tools). */
+    this._autoPointerLock = true;
+
     // Mouse buttons (0=left, 1=middle, 2=right)
     this._mouseButtons = new Set();
 
@@ -20,6 +51,20 @@ class InputManager {
     this._gamepadAxes = [0, 0, 0, 0];
     this._gamepadButtons = new Array(17).fill(false);
     this._prevGamepadButtons = new Array(17).fill(false);
+    this._gamepadValues = new Array(17).fill(0);
+
+    /**
+     * Actions asked about with isActionJustPressed(), and whether each was
+     * held at the end of the previous simulation step.
+     * @type {Map<string, boolean>}
+     */
+    this._prevActions = new Map();
+
+    /**
+     * Recorded frame being played back, or null for live input.
+     * @type {{ keys: Set<string>, mouseButtons: Set<number>, pointerLocked: boolean }|null}
+     */
+    this._playback = null;
 
     // Bound handlers (stored for cleanup)
     this._onKeyDown = (e) => {
@@ -29,15 +74,17 @@ class InputManager {
       this._keys.delete(e.code);
     };
     this._onMouseMove = (e) => {
-      if (!this._pointerLocked) return;
+      if (!this._pointerLocked || this._playback) return;
       this._mouseDX += e.movementX;
       this._mouseDY += e.movementY;
+      this._tickMouseDX += e.movementX;
+      this._tickMouseDY += e.movementY;
     };
     this._onPointerLockChange = () => {
       this._pointerLocked = document.pointerLockElement === this._canvas;
     };
     this._onCanvasClick = () => {
-      if (!this._pointerLocked) {
+      if (!this._pointerLocked && this._autoPointerLock) {
         this._canvas.requestPointerLock();
       }
     };
@@ -51,6 +98,8 @@ class InputManager {
       e.preventDefault(); // prevent right-click menu during gameplay
     };
 
+    if (this._headless) return;
+
     // Attach listeners
     window.addEventListener('keydown', this._onKeyDown);
     window.addEventListener('keyup', this._onKeyUp);
@@ -67,7 +116,7 @@ class InputManager {
 
   /** Check if a key is currently held. Use KeyboardEvent.code, e.g. 'KeyW', 'ShiftLeft'. */
   isKeyDown(code) {
-    return this._keys.has(code);
+    return (this._playback ? this._playback.keys : this._keys).has(code);
   }
 
   // ── Mouse ──────────────────────────────────────────────────────────
@@ -83,15 +132,15 @@ class InputManager {
 
   /** Check if a mouse button is held (0=left, 1=middle, 2=right). */
   isMouseButtonDown(button) {
-    return this._mouseButtons.has(button);
+    return (this._playback ? this._playback.mouseButtons : this._mouseButtons).has(button);
   }
 
   isPointerLocked() {
-    return this._pointerLocked;
+    return this._playback ? this._playback.pointerLocked : this._pointerLocked;
   }
 
   requestPointerLock() {
-    if (!this._pointerLocked) {
+    if (!this._pointerLocked && !this._headless) {
       this._canvas.requestPointerLock();
     }
   }
@@ -102,10 +151,19 @@ class InputManager {
     }
   }
 
+  /**
+   * Enable/disable grabbing pointer lock on canvas click.
+   * @param {boolean} enabled
+   */
+  setAutoPointerLock(enabled) {
+    this._autoPointerLock = enabled;
+  }
+
   // ── Gamepad ────────────────────────────────────────────────────────
 
   /** Returns first connected gamepad or null. */
   getGamepad() {
+    if (typeof navigator === 'undefined' || !navigator.getGamepads) return null;
     const gamepads = navigator.getGamepads();
     for (const gp of gamepads) {
       if (gp) return gp;
@@ -118,6 +176,7 @@ class InputManager {
    * Reads axes (with deadzone) and buttons into internal arrays.
    */
   pollGamepad() {
+    if (this._playback) return; // gamepad state comes from the recorded frame
     const gp = this.getGamepad();
     if (!gp) return;
 
@@ -135,6 +194,7 @@ class InputManager {
     // Read buttons
     for (let i = 0; i < this._gamepadButtons.length && i < gp.buttons.length; i++) {
       this._gamepadButtons[i] = gp.buttons[i].pressed;
+      this._gamepadValues[i] = gp.buttons[i].value;
     }
   }
 
@@ -158,16 +218,181 @@ class InputManager {
     return this._gamepadButtons[index] && !this._prevGamepadButtons[index];
   }
 
-  /** Analog trigger value (0–1). LT=6, RT=7. */
+  /** Analog trigger value (0–1) as of the last poll. LT=6, RT=7. */
   getTrigger(index) {
-    const gp = this.getGamepad();
-    if (!gp || index >= gp.buttons.length) return 0;
-    return gp.buttons[index].value;
+    return this._gamepadValues[index] || 0;
+  }
+
+  // ── Actions ────────────────────────────────────────────────────────
+
+  /**
+   * Strength of an action (0–1): the strongest of its bindings. Keys and
+   * buttons give 0 or 1; triggers and stick directions are analog.
+   * @param {string} action — name from InputBindings ACTIONS
+   * @returns {number}
+   */
+  getActionValue(action) {
+    let value = 0;
+    for (const binding of InputBindings.getBindings(action)) {
+      value = Math.max(value, this._bindingValue(parseBinding(binding)));
+    }
+    return value;
+  }
+
+  /**
+   * Is an action held?
+   * @param {string} action
+   * @returns {boolean}
+   */
+  isActionDown(action) {
+    return this.getActionValue(action) > ACTION_PRESS_THRESHOLD;
+  }
+
+  /**
+   * Was an action pressed this simulation step (held now, not at the end
+   * of the previous step)? For one-shot actions such as jump, where
+   * isActionDown() would repeat while the binding is held.
+   * @param {string} action
+   * @returns {boolean}
+   */
+  isActionJustPressed(action) {
+    const down = this.isActionDown(action);
+    if (!this._prevActions.has(action)) this._prevActions.set(action, false);
+    return down && !this._prevActions.get(action);
+  }
+
+  /**
+   * Remember which actions are held as the step ends, for
+   * isActionJustPressed(). Called by the Engine after every simulation step.
+   */
+  endStep() {
+    for (const action of this._prevActions.keys()) {
+      this._prevActions.set(action, this.isActionDown(action));
+    }
+  }
+
+  /**
+   * Composite axis in [-1, 1] (positive action minus negative action).
+   * @param {string} name — key of InputBindings AXES, e.g. 'moveX', 'steer'
+   * @returns {number}
+   */
+  getAxis(name) {
+    const [negative, positive] = AXES[name];
+    return this.getActionValue(positive) - this.getActionValue(negative);
+  }
+
+  /** @private */
+  _bindingValue(b) {
+    switch (b.device) {
+      case 'mouse':
+        return this.isMouseButtonDown(b.index) ? 1 : 0;
+      case 'button':
+        return this._gamepadValues[b.index] || 0; // 1 for digital buttons
+      case 'axis':
+        return Math.max(0, this._gamepadAxes[b.index] * b.sign);
+      default:
+        if (!this.isKeyDown(b.code)) return 0;
+        if (b.ctrl && !this._isModifierDown('Control') && !this._isModifierDown('Meta')) return 0;
+        if (b.shift && !this._isModifierDown('Shift')) return 0;
+        if (b.alt && !this._isModifierDown('Alt')) return 0;
+        return 1;
+    }
+  }
+
+  /** @private */
+  _isModifierDown(name) {
+    return this.isKeyDown(`${name}Left`) || this.isKeyDown(`${name}Right`);
+  }
+
+  // ── Replay ─────────────────────────────────────────────────────────
+
+  /**
+   * Snapshot the input state for one simulation tick. Mouse movement is
+   * the amount accumulated since the previous capture. While a frame is
+   * played back (scripted headless input) that frame is what is captured.
+   * @returns {object} plain, JSON-serializable frame
+   */
+  captureFrame() {
+    if (this._playback) return structuredClone(this._playback.frame);
+
+    const frame = {
+      keys: [...this._keys],
+      mouse: [this._tickMouseDX, this._tickMouseDY],
+      mouseButtons: [...this._mouseButtons],
+      pointerLocked: this._pointerLocked,
+      axes: [...this._gamepadAxes],
+      buttons: this._gamepadButtons.map((b) => (b ? 1 : 0)),
+      values: [...this._gamepadValues],
+    };
+    this._tickMouseDX = 0;
+    this._tickMouseDY = 0;
+    return frame;
+  }
+
+  /**
+   * Edge-detection state: the actions isActionJustPressed() has been asked
+   * about and whether each was held at the end of the last step. Part of
+   * a replay's start state, so an action held as recording starts isn't
+   * "just pressed" on playback.
+   * @returns {Object<string, boolean>} plain, JSON-serializable
+   */
+  captureEdgeState() {
+    return Object.fromEntries(this._prevActions);
+  }
+
+  /**
+   * Restore edge-detection state from captureEdgeState().
+   * @param {Object<string, boolean>} state
+   */
+  restoreEdgeState(state) {
+    this._prevActions = new Map(Object.entries(state));
+  }
+
+  /**
+   * Answer all queries from a recorded frame until clearPlayback().
+   * Call once per simulation tick, before the systems that read input.
+   * @param {object} frame — from captureFrame()
+   */
+  setPlaybackFrame(frame) {
+    this._playback = {
+      frame,
+      keys: new Set(frame.keys),
+      mouseButtons: new Set(frame.mouseButtons),
+      pointerLocked: frame.pointerLocked,
+    };
+
+    // Cameras drain this at frame rate, like live mouse movement
+    this._mouseDX += frame.mouse[0];
+    this._mouseDY += frame.mouse[1];
+
+    for (let i = 0; i < this._gamepadButtons.length; i++) {
+      this._prevGamepadButtons[i] = this._gamepadButtons[i];
+      this._gamepadButtons[i] = frame.buttons[i] === 1;
+      this._gamepadValues[i] = frame.values[i];
+    }
+    for (let i = 0; i < this._gamepadAxes.length; i++) {
+      this._gamepadAxes[i] = frame.axes[i];
+    }
+  }
+
+  /** Return to live input. */
+  clearPlayback() {
+    this._playback = null;
+    this._gamepadAxes.fill(0);
+    this._gamepadButtons.fill(false);
+    this._prevGamepadButtons.fill(false);
+    this._gamepadValues.fill(0);
+  }
+
+  /** Whether queries are currently answered from a recorded frame. */
+  isPlayingBack() {
+    return this._playback !== null;
   }
 
   // ── Cleanup ────────────────────────────────────────────────────────
 
   dispose() {
+    if (this._headless) return;
     window.removeEventListener('keydown', this._onKeyDown);
     window.removeEventListener('keyup', this._onKeyUp);
     document.removeEventListener('mousemove', this._onMouseMove);
@@ -0,0 +1,303 @@
+import EventBus from './EventBus.js';
+import InputBindings from './InputBindings.js';
+import { setSeed } from '../utils/random.js';
+import { HAS_DOM } from '../utils/env.js';
+import { FIXED_TIMESTEP } from '../utils/constants.js';
+
+/**
+ * Deterministic input recording and gameplay replay.
+ *
+ * Registered as the FIRST simulation system so each tick starts by either
+ * capturing the live input (recording) or feeding a recorded frame back
+ * into InputManager (playback) before anything else reads it. Because the
+ * simulation runs on a fixed step and gameplay randomness goes through the
+ * seeded PRNG in utils/random.js, replaying the same frames from the same
+ * start state reproduces the session exactly.
+ *
+ * InputManager's edge-detection state (which actions were held going
+ * into the first frame, see isActionJustPressed) is recorded with the
+ * start state. State outside InputManager is plugged in by the owner:
+ *   - snapshots — captured once when recording starts, restored before
+ *                 playback (player, vehicles, mode...)
+ *   - channels  — captured every tick and re-applied on playback, for
+ *                 values set outside the simulation (e.g. camera yaw)
+ *
+ * Actions:
+ *   replayRecord (F8) — start / stop recording
+ *   replayPlay   (F9) — play back / stop the last recording
+ *
+ * Events emitted:
+ *   replay:recordingStarted { seed }
+ *   replay:recordingStopped { replay }
+ *   replay:playbackStarted  { replay }
+ *   replay:playbackEnded    { replay, completed }
+ *
+ * Usage:
+ *   const replay = new InputReplay(engine.input);
+ *   engine.addSimulation(replay);    // before every other simulation system
+ *   replay.addChannel('cameraYaw', { capture: () => yaw, apply: (v) => setYaw(v) });
+ *   replay.addSnapshot('player', { capture: () => player.captureState(), restore: (s) => player.restoreState(s) });
+ */
+
+/** Identifies our documents among arbitrary JSON files. */
+export const REPLAY_FORMAT = 'desde-cero-replay';
+
+/** Current schema version written by stopRecording(). */
+export const REPLAY_VERSION = 1;
+
+class InputReplay {
+  /**
+   * @param {import('./InputManager.js').default} inputManager
+   */
+  constructor(inputManager) {
+    this._input = inputManager;
+
+    /** @type {Map<string, { capture: Function, apply: Function }>} */
+    this._channels = new Map();
+
+    /** @type {Map<string, { capture: Function, restore: Function }>} */
+    this._snapshots = new Map();
+
+    /** 'idle' | 'recording' | 'playing' */
+    this._state = 'idle';
+
+    /** Replay being recorded or played back. */
+    this._current = null;
+
+    /** Most recent finished (or loaded) replay. */
+    this._lastReplay = null;
+
+    /** Next frame index during playback. */
+    this._frameIndex = 0;
+
+    this._onKeyDown = (e) => {
+      if (InputBindings.matches('replayRecord', e)) {
+        e.preventDefault();
+        if (this._state === 'recording') this.stopRecording();
+        else this.startRecording();
+      } else if (InputBindings.matches('replayPlay', e)) {
+        e.preventDefault();
+        if (this._state === 'playing') this.stopPlayback();
+        else if (this._lastReplay) this.startPlayback(this._lastReplay);
+      }
+    };
+    if (HAS_DOM) window.addEventListener('keydown', this._onKeyDown);
+  }
+
+  // ── Registration ───────────────────────────────────────────────────
+
+  /**
+   * Record a value every tick and re-apply it on playback.
+   * @param {string} name
+   * @param {{ capture: () => any, apply: (value: any) => void }} channel
+   */
+  addChannel(name, channel) {
+    this._channels.set(name, channel);
+  }
+
+  /**
+   * Capture state when recording starts and restore it before playback.
+   * Snapshots are restored in registration order.
+   * @param {string} name
+   * @param {{ capture: () => any, restore: (state: any) => void }} snapshot
+   */
+  addSnapshot(name, snapshot) {
+    this._snapshots.set(name, snapshot);
+  }
+
+  // ── Queries ────────────────────────────────────────────────────────
+
+  get isRecording() {
+    return this._state === 'recording';
+  }
+
+  get isPlaying() {
+    return this._state === 'playing';
+  }
+
+  /** Most recent finished or loaded replay, or null. */
+  get lastReplay() {
+    return this._lastReplay;
+  }
+
+  // ── Recording ──────────────────────────────────────────────────────
+
+  /**
+   * Snapshot the start state, reseed the PRNG and begin capturing frames.
+   * Call between ticks (key handler, button) so the snapshot lines up
+   * with frame 0.
+   */
+  startRecording() {
+    if (this._state === 'playing') this.stopPlayback();
+    if (this._state === 'recording') return;
+
+    const seed = (Math.random() * 0xffffffff) >>> 0;
+    setSeed(seed);
+
+    const start = {};
+    for (const [name, snapshot] of this._snapshots) {
+      start[name] = snapshot.capture();
+    }
+
+    // Discard mouse movement from before the recording
+    this._input.captureFrame();
+
+    this._current = {
+      format: REPLAY_FORMAT,
+      version: REPLAY_VERSION,
+      recordedAt: new Date().toISOString(),
+      fixedDelta: FIXED_TIMESTEP,
+      seed,
+      start,
+      held: this._input.captureEdgeState(),
+      frames: [],
+    };
+    this._state = 'recording';
+
+    console.log(`[InputReplay] Recording (seed ${seed})`);
+    EventBus.emit('replay:recordingStarted', { seed });
+  }
+
+  /**
+   * Finish the current recording.
+   * @returns {object|null} the replay document
+   */
+  stopRecording() {
+    if (this._state !== 'recording') return null;
+
+    const replay = this._current;
+    this._current = null;
+    this._state = 'idle';
+    this._lastReplay = replay;
+
+    console.log(`[InputReplay] Recorded ${replay.frames.length} frames`);
+    EventBus.emit('replay:recordingStopped', { replay });
+    return replay;
+  }
+
+  // ── Playback ───────────────────────────────────────────────────────
+
+  /**
+   * Restore the recorded start state and feed the frames back one per tick.
+   * @param {object} [replay] — defaults to the last recording
+   */
+  startPlayback(replay = this._lastReplay) {
+    if (!replay) return;
+    if (this._state === 'recording') this.stopRecording();
+    if (this._state === 'playing') this.stopPlayback();
+
+    if (replay.fixedDelta !== FIXED_TIMESTEP) {
+      console.warn(
+        `[InputReplay] Recorded at ${replay.fixedDelta}s steps, running at ${FIXED_TIMESTEP}s — playback will drift`
+      );
+    }
+
+    for (const [name, snapshot] of this._snapshots) {
+      if (name in replay.start) snapshot.restore(replay.start[name]);
+    }
+    setSeed(replay.seed);
+    // Replays recorded before edge state was kept: nothing held
+    this._input.restoreEdgeState(replay.held ?? {});
+
+    this._current = replay;
+    this._frameIndex = 0;
+    this._state = 'playing';
+
+    console.log(`[InputReplay] Playing ${replay.frames.length} frames`);
+    EventBus.emit('replay:playbackStarted', { replay });
+  }
+
+  /** Stop playback and return to live input. */
+  stopPlayback() {
+    this._endPlayback(false);
+  }
+
+  // ── Simulation step ────────────────────────────────────────────────
+
+  /**
+   * Capture or apply this tick's input. Must run before other simulations.
+   * @param {number} _delta — fixed timestep
+   */
+  update(_delta) {
+    if (this._state === 'recording') {
+      const channels = {};
+      for (const [name, channel] of this._channels) {
+        channels[name] = channel.capture();
+      }
+      this._current.frames.push({ input: this._input.captureFrame(), channels });
+    } else if (this._state === 'playing') {
+      const frame = this._current.frames[this._frameIndex++];
+      if (!frame) {
+        this._endPlayback(true);
+        return;
+      }
+      this._input.setPlaybackFrame(frame.input);
+      for (const [name, channel] of this._channels) {
+        if (name in frame.channels) channel.apply(frame.channels[name]);
+      }
+    }
+  }
+
+  // ── Files ──────────────────────────────────────────────────────────
+
+  /**
+   * Trigger a browser download of a replay as JSON.
+   * @param {object} [replay] — defaults to the last recording
+   * @param {string} [fileName]
+   */
+  download(replay = this._lastReplay, fileName = `desde-cero-replay-${Date.now()}.json`) {
+    if (!replay) return;
+    const blob = new Blob([JSON.stringify(replay)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = fileName;
+    anchor.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /**
+   * Read a replay from a File and make it the last replay (F9 plays it).
+   * @param {File} file
+   * @returns {Promise<object>}
+   */
+  async loadFile(file) {
+    const replay = JSON.parse(await file.text());
+    if (!replay || replay.format !== REPLAY_FORMAT) {
+      throw new Error('[InputReplay] Not a DESDE CERO replay file');
+    }
+    if (replay.version > REPLAY_VERSION) {
+      throw new Error(
+        `[InputReplay] Replay version ${replay.version} is newer than supported (${REPLAY_VERSION})`
+      );
+    }
+    this._lastReplay = replay;
+    return replay;
+  }
+
+  // ── Internal ───────────────────────────────────────────────────────
+
+  /** @private */
+  _endPlayback(completed) {
+    if (this._state !== 'playing') return;
+    const replay = this._current;
+    this._current = null;
+    this._state = 'idle';
+    this._input.clearPlayback();
+
+    // Back to live, non-reproducible randomness
+    setSeed((Math.random() * 0xffffffff) >>> 0);
+
+    EventBus.emit('replay:playbackEnded', { replay, completed });
+  }
+
+  // ── Cleanup ────────────────────────────────────────────────────────
+
+  dispose() {
+    if (HAS_DOM) window.removeEventListener('keydown', this._onKeyDown);
+  }
+}
+
+export default InputReplay;
@@ -21,16 +21,14 @@ class ModeController {
    * @param {object} params.cameraSystem    — has .setMode(name), .setAllowedModes(names), .getActiveModeName()
    * @param {object|null} params.playerController — has .update(delta), .position, .body; may be null
    * @param {object|null} params.vehicleInteraction — has .update(delta); may be null
-   * @param {object} params.director        — DirectorMode with .update(delta), .active, .toggle(), .activate(), .deactivate()
    */
-  constructor({ cameraSystem, playerController = null, vehicleInteraction = null, director }) {
+  constructor({ cameraSystem, playerController = null, vehicleInteraction = null }) {
     this.cameraSystem = cameraSystem;
     this.playerController = playerController;
     this.vehicleInteraction = vehicleInteraction;
-    this.director = director;
 
     // React to mode changes for camera switching and subsystem notification
-    EventBus.on('gamestate:modeChanged', ({ mode }) => {
+    this._onModeChanged = ({ mode }) => {
       const config = MODE_CONFIG[mode];
       if (config) {
         this.cameraSystem.setAllowedModes(config.allowedCams);
@@ -40,7 +38,8 @@ class ModeController {
       if (this.vehicleInteraction) {
         this.vehicleInteraction.setMode(mode === 'drive' ? 'drive' : 'play');
       }
-    });
+    };
+    EventBus.on('gamestate:modeChanged', this._onModeChanged);
   }
 
   /** Set/update the player controller reference (called after async asset loading). */
@@ -59,33 +58,29 @@ class ModeController {
   }
 
   /**
-   * Called every frame. Updates only the systems relevant to the current mode.
-   * @param {number} delta — time since last frame in seconds
+   * Called every simulation step (registered via Engine.addSimulation).
+   * Updates only the gameplay systems relevant to the current mode.
+   * DirectorMode is not stepped here: it is a real-time updatable, so its
+   * toggle and camera shortcuts keep working in slow motion and on pause.
+   * @param {number} delta — fixed step in seconds
    */
   update(delta) {
-    const mode = GameState.mode;
-
-    switch (mode) {
-      case 'free':
-        this.director?.update(delta);
-        break;
-
+    switch (GameState.mode) {
       case 'play':
         this.playerController?.update(delta);
         this.vehicleInteraction?.update(delta);
-        this.director?.update(delta);
         break;
 
       case 'drive':
         this.vehicleInteraction?.update(delta);
-        this.director?.update(delta);
-        break;
-
-      case 'director':
-        this.director?.update(delta);
         break;
     }
   }
+
+  /** Stop reacting to mode changes. */
+  dispose() {
+    EventBus.off('gamestate:modeChanged', this._onModeChanged);
+  }
 }
 
 export default ModeController;
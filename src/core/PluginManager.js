@@ -0,0 +1,423 @@
+import EventBus from './EventBus.js';
+import GameState from './GameState.js';
+import Settings from './Settings.js';
+import ConsoleCommands from './ConsoleCommands.js';
+import EntityManager from '../entities/EntityManager.js';
+
+/**
+ * Loads optional feature modules (weather, minimap, ...) without touching
+ * main.js.
+ *
+ * A plugin is a module whose default export looks like:
+ *
+ *   export default {
+ *     name: 'minimap',
+ *     dependencies: ['weather'],        // optional: started first, torn down last
+ *     register(engine, ctx) {
+ *       // build things; everything added through ctx is undone on teardown
+ *       return {                        // lifecycle hooks, all optional
+ *         init() {},                    // after every dependency has initialised
+ *         assetsLoaded() {},            // world, vehicles and player exist
+ *         modeChanged({ mode, previous }) {},
+ *         update(delta) {},             // every rendered frame, also while paused
+ *         dispose() {},                 // before ctx registrations are undone
+ *       };
+ *     },
+ *   };
+ *
+ * The object register() returns is also what other plugins get from
+ * ctx.getPlugin(name), so it can carry a public API next to the hooks.
+ *
+ * ctx offers the shared services handed to the manager (scene, camera,
+ * input, cameraSystem, director, sky, ...) plus:
+ *   name, options                      — plugin name and its config options
+ *   events, state, entities, settings  — EventBus, GameState, EntityManager, Settings
+ *   on(event, cb)                      — EventBus listener
+ *   addUpdatable(system, opts)         — Engine updatable (per frame)
+ *   addSimulation(system)              — Engine simulation (fixed step, time-scaled)
+ *   addCameraMode(mode)                — CameraSystem mode
+ *   addObject(object3D)                — added to the scene
+ *   addCommand(command)                — developer console command (see ConsoleCommands)
+ *   onDispose(fn)                      — any other cleanup
+ *   getPlugin(name)                    — a started plugin's register() result
+ * All of these are undone in reverse order when the plugin is torn down.
+ *
+ * Plugins start in dependency order. A plugin whose dependency is missing,
+ * circular or failed is skipped; an exception in register() or init() tears
+ * the plugin down again and skips its dependents. Errors in later hooks are
+ * logged and do not stop the other plugins.
+ *
+ * The config list (plugins/plugins.json) names the modules to load:
+ *   { "plugins": [ { "module": "./weather.js", "enabled": true, "options": {} } ] }
+ * Module paths are relative to the config file. plugins/trip-meter.js is
+ * a small working example.
+ *
+ * Events emitted:
+ *   plugin:started { name }
+ *   plugin:stopped { name }
+ *   plugin:failed  { name, error }
+ *
+ * Usage:
+ *   const plugins = new PluginManager(engine, { cameraSystem, director, sky });
+ *   engine.addUpdatable(plugins);
+ *   await plugins.loadConfig('plugins/plugins.json');
+ *   plugins.start();
+ *   // once the world is ready:
+ *   plugins.notifyAssetsLoaded();
+ */
+class PluginManager {
+  /**
+   * @param {import('./Engine.js').default} engine
+   * @param {object} [services] — shared systems exposed on every plugin ctx
+   */
+  constructor(engine, services = {}) {
+    /** @private */ this._engine = engine;
+    /** @private */ this._services = {
+      scene: engine.scene,
+      camera: engine.camera,
+      input: engine.input,
+      ...services,
+    };
+
+    /**
+     * Added but not yet started: name -> { plugin, options }.
+     * @private @type {Map<string, { plugin: object, options: object }>}
+     */
+    this._pending = new Map();
+
+    /**
+     * Started plugins in start order.
+     * @private @type {Array<{ name: string, plugin: object, hooks: object, cleanups: Function[] }>}
+     */
+    this._running = [];
+
+    /** @private */ this._assetsLoaded = false;
+
+    /** @private */
+    this._onModeChanged = (e) => {
+      for (const record of [...this._running]) this._call(record, 'modeChanged', e);
+    };
+    EventBus.on('gamestate:modeChanged', this._onModeChanged);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Loading
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Queue a plugin definition to be started by start().
+   * @param {object} plugin — { name, dependencies?, register(engine, ctx) }
+   * @param {object} [options] — passed to the plugin as ctx.options
+   */
+  add(plugin, options = {}) {
+    if (!plugin || typeof plugin.name !== 'string' || typeof plugin.register !== 'function') {
+      console.error('[PluginManager] Not a plugin (needs name and register()):', plugin);
+      return;
+    }
+    if (this._pending.has(plugin.name) || this.has(plugin.name)) {
+      console.warn(`[PluginManager] Plugin "${plugin.name}" is already added`);
+      return;
+    }
+    this._pending.set(plugin.name, { plugin, options });
+  }
+
+  /**
+   * Import every enabled module listed in a config file and add() it.
+   * A module that fails to load is logged and skipped.
+   * @param {string} url
+   * @returns {Promise<string[]>} names of the plugins added
+   */
+  async loadConfig(url) {
+    const configUrl = new URL(url, document.baseURI);
+    const response = await fetch(configUrl);
+    if (!response.ok) {
+      throw new Error(`[PluginManager] Could not load ${url}: ${response.status}`);
+    }
+    const config = await response.json();
+
+    const added = [];
+    for (const entry of config.plugins || []) {
+      if (entry.enabled === false) continue;
+      try {
+        const module = await import(new URL(entry.module, configUrl).href);
+        this.add(module.default, entry.options || {});
+        if (module.default?.name) added.push(module.default.name);
+      } catch (err) {
+        console.error(`[PluginManager] Failed to load module "${entry.module}":`, err);
+      }
+    }
+    return added;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Lifecycle
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Start every pending plugin in dependency order.
+   * @returns {string[]} names of the plugins that started
+   */
+  start() {
+    const started = [];
+    for (const name of this._resolveOrder()) {
+      const { plugin, options } = this._pending.get(name);
+      this._pending.delete(name);
+
+      const failedDep = (plugin.dependencies || []).find((dep) => !this.has(dep));
+      if (failedDep) {
+        this._fail(name, new Error(`dependency "${failedDep}" did not start`));
+        continue;
+      }
+      if (this._startPlugin(name, plugin, options)) started.push(name);
+    }
+    return started;
+  }
+
+  /** Let plugins know the world, vehicles and player are ready. */
+  notifyAssetsLoaded() {
+    this._assetsLoaded = true;
+    for (const record of [...this._running]) this._call(record, 'assetsLoaded');
+  }
+
+  /**
+   * Per-frame hook (Engine updatable).
+   * @param {number} delta
+   */
+  update(delta) {
+    for (const record of [...this._running]) this._call(record, 'update', delta);
+  }
+
+  /**
+   * Tear down a plugin and, first, every plugin that depends on it.
+   * @param {string} name
+   */
+  stop(name) {
+    const record = this._running.find((r) => r.name === name);
+    if (!record) return;
+    for (const dependent of this._running.filter((r) => (r.plugin.dependencies || []).includes(name))) {
+      this.stop(dependent.name);
+    }
+    this._teardown(record);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Queries
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {string} name
+   * @returns {boolean} true if the plugin is running
+   */
+  has(name) {
+    return this._running.some((r) => r.name === name);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object|null} the running plugin's register() result
+   */
+  get(name) {
+    return this._running.find((r) => r.name === name)?.hooks ?? null;
+  }
+
+  /** @returns {string[]} running plugin names in start order */
+  getNames() {
+    return this._running.map((r) => r.name);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Internal
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Order pending plugins so dependencies come first. Plugins with a
+   * missing (neither pending nor running) or circular dependency fail here.
+   * @private
+   * @returns {string[]}
+   */
+  _resolveOrder() {
+    const order = [];
+    const state = new Map(); // name -> 'visiting' | 'done' | 'failed'
+
+    const visit = (name, path) => {
+      const seen = state.get(name);
+      if (seen === 'done') return true;
+      if (seen === 'failed') return false;
+      if (seen === 'visiting') {
+        this._fail(name, new Error(`circular dependency: ${[...path, name].join(' -> ')}`));
+        state.set(name, 'failed');
+        return false;
+      }
+
+      state.set(name, 'visiting');
+      const { plugin } = this._pending.get(name);
+      for (const dep of plugin.dependencies || []) {
+        if (this.has(dep)) continue;
+        if (!this._pending.has(dep)) {
+          this._fail(name, new Error(`missing dependency "${dep}"`));
+          state.set(name, 'failed');
+          return false;
+        }
+        if (!visit(dep, [...path, name])) {
+          if (state.get(name) !== 'failed') {
+            this._fail(name, new Error(`dependency "${dep}" cannot start`));
+            state.set(name, 'failed');
+          }
+          return false;
+        }
+      }
+      state.set(name, 'done');
+      order.push(name);
+      return true;
+    };
+
+    for (const name of this._pending.keys()) visit(name, []);
+
+    // Drop the ones that will never start
+    for (const [name, s] of state) {
+      if (s === 'failed') this._pending.delete(name);
+    }
+    return order;
+  }
+
+  /**
+   * Run register() and init() (and assetsLoaded() if the world is ready).
+   * @private
+   * @returns {boolean} true on success
+   */
+  _startPlugin(name, plugin, options) {
+    const record = { name, plugin, hooks: {}, cleanups: [] };
+    const ctx = this._createContext(record, options);
+
+    try {
+      record.hooks = plugin.register(this._engine, ctx) || {};
+    } catch (err) {
+      this._undoRegistrations(record);
+      this._fail(name, err);
+      return false;
+    }
+
+    this._running.push(record);
+    if (!this._call(record, 'init')) {
+      this._teardown(record, false);
+      this._fail(name, new Error('init() threw'));
+      return false;
+    }
+    if (this._assetsLoaded) this._call(record, 'assetsLoaded');
+
+    EventBus.emit('plugin:started', { name });
+    return true;
+  }
+
+  /**
+   * Build the ctx handed to a plugin's register().
+   * @private
+   */
+  _createContext(record, options) {
+    const engine = this._engine;
+    const { scene, cameraSystem } = this._services;
+    const track = (fn) => record.cleanups.push(fn);
+
+    return {
+      ...this._services,
+      name: record.name,
+      options,
+      events: EventBus,
+      state: GameState,
+      entities: EntityManager,
+      settings: Settings,
+
+      on(event, callback) {
+        EventBus.on(event, callback);
+        track(() => EventBus.off(event, callback));
+      },
+      addUpdatable(system, opts) {
+        engine.addUpdatable(system, opts);
+        track(() => engine.removeUpdatable(system));
+      },
+      addSimulation(system) {
+        engine.addSimulation(system);
+        track(() => engine.removeSimulation(system));
+      },
+      addCameraMode(mode) {
+        cameraSystem.registerMode(mode);
+        track(() => cameraSystem.unregisterMode(mode.name));
+      },
+      addObject(object) {
+        scene.add(object);
+        track(() => object.removeFromParent());
+      },
+      addCommand(command) {
+        track(ConsoleCommands.register(command));
+      },
+      onDispose(fn) {
+        track(fn);
+      },
+      getPlugin: (name) => this.get(name),
+    };
+  }
+
+  /**
+   * Call a lifecycle hook, isolating errors.
+   * @private
+   * @returns {boolean} false if the hook threw
+   */
+  _call(record, hook, ...args) {
+    const fn = record.hooks[hook];
+    if (typeof fn !== 'function') return true;
+    try {
+      fn.apply(record.hooks, args);
+      return true;
+    } catch (err) {
+      console.error(`[PluginManager] Error in "${record.name}".${hook}():`, err);
+      return false;
+    }
+  }
+
+  /**
+   * Dispose a running plugin and undo its registrations.
+   * @private
+   * @param {boolean} [announce=true] — emit plugin:stopped
+   */
+  _teardown(record, announce = true) {
+    const idx = this._running.indexOf(record);
+    if (idx !== -1) this._running.splice(idx, 1);
+
+    this._call(record, 'dispose');
+    this._undoRegistrations(record);
+    if (announce) EventBus.emit('plugin:stopped', { name: record.name });
+  }
+
+  /** @private */
+  _undoRegistrations(record) {
+    while (record.cleanups.length > 0) {
+      const cleanup = record.cleanups.pop();
+      try {
+        cleanup();
+      } catch (err) {
+        console.error(`[PluginManager] Cleanup error in "${record.name}":`, err);
+      }
+    }
+  }
+
+  /** @private */
+  _fail(name, error) {
+    console.error(`[PluginManager] Plugin "${name}" not started:`, error);
+    EventBus.emit('plugin:failed', { name, error });
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  /** Tear down every plugin, dependents before their dependencies. */
+  dispose() {
+    for (const record of [...this._running].reverse()) {
+      this._teardown(record);
+    }
+    this._pending.clear();
+    EventBus.off('gamestate:modeChanged', this._onModeChanged);
+  }
+}
+
+export default PluginManager;
@@ -0,0 +1,343 @@
+import EventBus from './EventBus.js';
+
+/**
+ * Frame profiler: per-subsystem CPU timings, GPU pass timings (where the
+ * browser supports timer queries), renderer counters and memory, kept for
+ * the last WINDOW_FRAMES frames and optionally captured for CSV export.
+ *
+ * Exported as a singleton so any module can time itself. Everything is a
+ * no-op while disabled; hot paths check `Profiler.enabled` first:
+ *
+ *   if (Profiler.enabled) Profiler.begin('entity:Guido');
+ *   entity.update(delta);
+ *   if (Profiler.enabled) Profiler.end('entity:Guido');
+ *
+ * Engine brackets each frame (beginFrame / endFrame) and times every
+ * simulation ('sim:'), updatable ('update:') and the render ('render').
+ * A label timed more than once per frame (a simulation over several fixed
+ * steps) sums. Labels nest freely, so a parent includes its children.
+ *
+ * GPU timings ('gpu:' labels) use EXT_disjoint_timer_query_webgl2. Query
+ * results arrive a few frames late and are recorded on the frame they
+ * arrive; only one GPU timer runs at a time, so nested beginGpu() calls
+ * are ignored.
+ *
+ * Events emitted:
+ *   profiler:toggled { enabled }
+ */
+
+/** Frames kept for the live summary. */
+const WINDOW_FRAMES = 120;
+
+/** Capture length cap (ten minutes at 60 fps). */
+const MAX_CAPTURE_FRAMES = 36000;
+
+/** Unused timer queries kept for reuse. */
+const MAX_SPARE_QUERIES = 32;
+
+class Profiler {
+  constructor() {
+    /** @private */ this._enabled = false;
+
+    /** @private Frame being recorded, or null between frames. */
+    this._frame = null;
+    /** @private @type {Map<string, number>} label -> start time of open timers */
+    this._open = new Map();
+
+    /** @private Ring of finished frames (oldest overwritten). */
+    this._frames = [];
+    /** @private */ this._frameIndex = 0;
+
+    /** @private @type {Array<object>|null} frames recorded since startCapture() */
+    this._capture = null;
+
+    // --- GPU timer queries ---
+    /** @private */ this._gl = null;
+    /** @private */ this._timerExt = null;
+    /** @private @type {{ label: string, query: WebGLQuery }|null} */
+    this._gpuActive = null;
+    /** @private @type {Array<{ label: string, query: WebGLQuery }>} */
+    this._gpuPending = [];
+    /** @private @type {WebGLQuery[]} */
+    this._gpuSpare = [];
+  }
+
+  /* -----------------------------------------------------------
+   * Control
+   * --------------------------------------------------------- */
+
+  /** Whether timings are being recorded. */
+  get enabled() {
+    return this._enabled;
+  }
+
+  /** @param {boolean} enabled */
+  setEnabled(enabled) {
+    if (enabled === this._enabled) return;
+    this._enabled = enabled;
+    if (enabled) {
+      // Start the summary fresh rather than mixing in an old session
+      this._frames = [];
+      this._frameIndex = 0;
+    } else {
+      this._frame = null;
+      this._open.clear();
+      this._abortGpu();
+    }
+    EventBus.emit('profiler:toggled', { enabled });
+  }
+
+  /**
+   * Use the renderer's WebGL context for GPU timings (skipped when the
+   * timer query extension is missing, e.g. headless or Firefox).
+   * @param {import('three').WebGLRenderer} renderer
+   */
+  attachRenderer(renderer) {
+    const gl = renderer.getContext?.();
+    if (!gl || typeof WebGL2RenderingContext === 'undefined' || !(gl instanceof WebGL2RenderingContext)) return;
+    this._timerExt = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+    this._gl = this._timerExt ? gl : null;
+  }
+
+  /** True when GPU timings are available. */
+  get gpuSupported() {
+    return this._timerExt !== null;
+  }
+
+  /* -----------------------------------------------------------
+   * Recording (Engine calls beginFrame / endFrame)
+   * --------------------------------------------------------- */
+
+  beginFrame() {
+    if (!this._enabled) return;
+    this._frame = {
+      start: performance.now(),
+      frameMs: 0,
+      cpuMs: 0,
+      timings: new Map(),
+      counters: {},
+    };
+    this._pollGpu();
+  }
+
+  /**
+   * @param {number} delta — seconds since the previous frame
+   */
+  endFrame(delta) {
+    const frame = this._frame;
+    if (!frame) return;
+    this._frame = null;
+    frame.frameMs = delta * 1000;
+    frame.cpuMs = performance.now() - frame.start;
+    // Chrome only
+    if (performance.memory) frame.counters.heapMB = performance.memory.usedJSHeapSize / 1048576;
+
+    this._frames[this._frameIndex] = frame;
+    this._frameIndex = (this._frameIndex + 1) % WINDOW_FRAMES;
+
+    if (this._capture && this._capture.length < MAX_CAPTURE_FRAMES) this._capture.push(frame);
+  }
+
+  /** @param {string} label */
+  begin(label) {
+    if (!this._frame) return;
+    this._open.set(label, performance.now());
+  }
+
+  /** @param {string} label */
+  end(label) {
+    const start = this._open.get(label);
+    if (start === undefined || !this._frame) return;
+    this._open.delete(label);
+    this._add(label, performance.now() - start);
+  }
+
+  /**
+   * Record a counter for this frame (draw calls, entity count...).
+   * @param {string} name
+   * @param {number} value
+   */
+  setCounter(name, value) {
+    if (this._frame) this._frame.counters[name] = value;
+  }
+
+  /**
+   * Start a GPU timer. Ignored without timer query support or while
+   * another GPU timer runs.
+   * @param {string} label — recorded as 'gpu:<label>'
+   */
+  beginGpu(label) {
+    if (!this._frame || !this._gl || this._gpuActive) return;
+    const query = this._gpuSpare.pop() || this._gl.createQuery();
+    this._gl.beginQuery(this._timerExt.TIME_ELAPSED_EXT, query);
+    this._gpuActive = { label: `gpu:${label}`, query };
+  }
+
+  /** @param {string} label */
+  endGpu(label) {
+    if (!this._gpuActive || this._gpuActive.label !== `gpu:${label}`) return;
+    this._gl.endQuery(this._timerExt.TIME_ELAPSED_EXT);
+    this._gpuPending.push(this._gpuActive);
+    this._gpuActive = null;
+  }
+
+  /* -----------------------------------------------------------
+   * Queries
+   * --------------------------------------------------------- */
+
+  /**
+   * Average and peak of every label and counter over the recent frames.
+   * @returns {{ frames: number, fps: number, frameMs: number, cpuMs: number,
+   *             timings: Array<{ label: string, avg: number, max: number }>,
+   *             counters: object }} timings sorted by average, slowest first
+   */
+  getSummary() {
+    const frames = this._frames.filter(Boolean);
+    const summary = { frames: frames.length, fps: 0, frameMs: 0, cpuMs: 0, timings: [], counters: {} };
+    if (frames.length === 0) return summary;
+
+    const totals = new Map();
+    for (const frame of frames) {
+      summary.frameMs += frame.frameMs;
+      summary.cpuMs += frame.cpuMs;
+      for (const [label, ms] of frame.timings) {
+        const t = totals.get(label) || { sum: 0, max: 0 };
+        t.sum += ms;
+        t.max = Math.max(t.max, ms);
+        totals.set(label, t);
+      }
+    }
+    summary.frameMs /= frames.length;
+    summary.cpuMs /= frames.length;
+    summary.fps = summary.frameMs > 0 ? 1000 / summary.frameMs : 0;
+    summary.timings = [...totals]
+      .map(([label, t]) => ({ label, avg: t.sum / frames.length, max: t.max }))
+      .sort((a, b) => b.avg - a.avg);
+
+    // Counters are levels, not sums — show the newest
+    const newest = this._frames[(this._frameIndex - 1 + WINDOW_FRAMES) % WINDOW_FRAMES];
+    summary.counters = { ...newest.counters };
+    return summary;
+  }
+
+  /* -----------------------------------------------------------
+   * Capture
+   * --------------------------------------------------------- */
+
+  /** Whether a capture is recording. */
+  get capturing() {
+    return this._capture !== null;
+  }
+
+  /** Number of frames in the running capture. */
+  get captureLength() {
+    return this._capture ? this._capture.length : 0;
+  }
+
+  /** Start recording every frame (enables the profiler). */
+  startCapture() {
+    this._capture = [];
+    this.setEnabled(true);
+  }
+
+  /**
+   * Stop recording.
+   * @returns {string} the capture as CSV (one row per frame)
+   */
+  stopCapture() {
+    const frames = this._capture || [];
+    this._capture = null;
+    return toCSV(frames);
+  }
+
+  /* -----------------------------------------------------------
+   * Internal
+   * --------------------------------------------------------- */
+
+  /** @private */
+  _add(label, ms) {
+    const timings = this._frame.timings;
+    timings.set(label, (timings.get(label) || 0) + ms);
+  }
+
+  /**
+   * Collect finished GPU queries into the current frame.
+   * @private
+   */
+  _pollGpu() {
+    if (!this._gl || this._gpuPending.length === 0) return;
+    const gl = this._gl;
+    // A disjoint event (clock change, context switch) spoils every pending result
+    const disjoint = gl.getParameter(this._timerExt.GPU_DISJOINT_EXT);
+
+    while (this._gpuPending.length > 0) {
+      const { label, query } = this._gpuPending[0];
+      if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break; // in order, so stop here
+      this._gpuPending.shift();
+      if (!disjoint) this._add(label, gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6);
+      this._recycle(query);
+    }
+  }
+
+  /** @private */
+  _abortGpu() {
+    if (this._gpuActive) {
+      this._gl.endQuery(this._timerExt.TIME_ELAPSED_EXT);
+      this._gpuPending.push(this._gpuActive);
+      this._gpuActive = null;
+    }
+    // Results are discarded, but the queries still belong to the context
+    for (const { query } of this._gpuPending) this._recycle(query);
+    this._gpuPending = [];
+  }
+
+  /** @private */
+  _recycle(query) {
+    if (this._gpuSpare.length < MAX_SPARE_QUERIES) this._gpuSpare.push(query);
+    else this._gl.deleteQuery(query);
+  }
+}
+
+/**
+ * One row per frame; columns are the union of every counter and label.
+ * @param {Array<object>} frames
+ * @returns {string}
+ */
+function toCSV(frames) {
+  const counters = new Set();
+  const labels = new Set();
+  for (const frame of frames) {
+    for (const name of Object.keys(frame.counters)) counters.add(name);
+    for (const label of frame.timings.keys()) labels.add(label);
+  }
+  const counterCols = [...counters].sort();
+  const labelCols = [...labels].sort();
+
+  const start = frames.length > 0 ? frames[0].start : 0;
+  const rows = [['frame', 'time_ms', 'frame_ms', 'cpu_ms', ...counterCols, ...labelCols.map((l) => `${l} (ms)`)]];
+  frames.forEach((frame, i) => {
+    rows.push([
+      i,
+      (frame.start - start).toFixed(1),
+      frame.frameMs.toFixed(3),
+      frame.cpuMs.toFixed(3),
+      ...counterCols.map((name) => formatCell(frame.counters[name])),
+      ...labelCols.map((label) => formatCell(frame.timings.get(label))),
+    ]);
+  });
+  return rows.map((row) => row.map(escapeCSV).join(',')).join('\n');
+}
+
+/** @param {number|undefined} value */
+function formatCell(value) {
+  if (value === undefined) return '';
+  return Number.isInteger(value) ? String(value) : value.toFixed(3);
+}
+
+/** @param {string|number} cell */
+function escapeCSV(cell) {
+  const text = String(cell);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export default new Profiler();
@@ -0,0 +1,277 @@
+import EventBus from './EventBus.js';
+import { HAS_DOM } from '../utils/env.js';
+
+/**
+ * User settings: typed values with defaults, validation and localStorage
+ * persistence.
+ *
+ * Every setting is declared in SETTINGS below. Three types are supported:
+ *   'number'  — clamped to [min, max] and snapped to `step`
+ *   'boolean'
+ *   'choice'  — one of `options` (each { value, label })
+ * set() validates, saves and announces the change; systems read their
+ * initial value with get() and follow 'settings:changed' afterwards.
+ *
+ * Graphics presets: setting graphicsPreset to low / medium / high / ultra
+ * sets every setting listed in GRAPHICS_PRESETS to that preset's value.
+ * Changing one of those settings by hand switches graphicsPreset to the
+ * preset that matches, or 'custom'.
+ *
+ * Exported as a singleton -- one settings set for the whole application.
+ *
+ * Events emitted:
+ *   settings:changed { key, value, previous }  -- once per changed key
+ */
+
+/**
+ * Setting definitions. Order here is the order shown in the settings panel.
+ */
+export const SETTINGS = {
+  // --- Controls ---
+  mouseSensitivity: { label: 'Mouse sensitivity', category: 'Controls', type: 'number', default: 1, min: 0.1, max: 3, step: 0.05 },
+  invertY:          { label: 'Invert Y',          category: 'Controls', type: 'boolean', default: false },
+
+  // --- Display ---
+  fov:        { label: 'Field of view', category: 'Display', type: 'number', default: 60, min: 40, max: 100, step: 1 },
+  pixelRatio: {
+    label: 'Resolution', category: 'Display', type: 'choice', default: 'auto',
+    options: [
+      { value: 'auto', label: 'Auto (device, max 2x)' },
+      { value: 0.5, label: '50%' },
+      { value: 0.75, label: '75%' },
+      { value: 1, label: '100%' },
+      { value: 1.5, label: '150%' },
+      { value: 2, label: '200%' },
+    ],
+  },
+  dynamicResolution: { label: 'Dynamic resolution', category: 'Display', type: 'boolean', default: false },
+  targetFps:         { label: 'Target FPS',         category: 'Display', type: 'number', default: 60, min: 30, max: 144, step: 1 },
+
+  // --- Graphics ---
+  graphicsPreset: {
+    label: 'Quality preset', category: 'Graphics', type: 'choice', default: 'high',
+    options: [
+      { value: 'low', label: 'Low' },
+      { value: 'medium', label: 'Medium' },
+      { value: 'high', label: 'High' },
+      { value: 'ultra', label: 'Ultra' },
+      { value: 'custom', label: 'Custom' },
+    ],
+  },
+  shadowQuality: {
+    label: 'Shadows', category: 'Graphics', type: 'choice', default: 'high',
+    options: [
+      { value: 'off', label: 'Off' },
+      { value: 'low', label: 'Low' },
+      { value: 'medium', label: 'Medium' },
+      { value: 'high', label: 'High' },
+      { value: 'ultra', label: 'Ultra' },
+    ],
+  },
+  drawDistance:     { label: 'Draw distance',     category: 'Graphics', type: 'number', default: 2000, min: 400, max: 3000, step: 100 },
+  postFX:           { label: 'Post-processing',   category: 'Graphics', type: 'boolean', default: false },
+  bloom:            { label: 'Bloom',             category: 'Graphics', type: 'boolean', default: true },
+  ambientOcclusion: { label: 'Ambient occlusion', category: 'Graphics', type: 'boolean', default: true },
+  vignette:         { label: 'Vignette',          category: 'Graphics', type: 'boolean', default: true },
+  antialiasing:     { label: 'SMAA anti-aliasing', category: 'Graphics', type: 'boolean', default: true },
+
+  // --- Audio ---
+  masterVolume:  { label: 'Master volume',  category: 'Audio', type: 'number', default: 1,   min: 0, max: 1, step: 0.05 },
+  effectsVolume: { label: 'Effects volume', category: 'Audio', type: 'number', default: 1,   min: 0, max: 1, step: 0.05 },
+};
+
+/**
+ * Values each graphics preset applies. The defaults above match 'high'.
+ */
+export const GRAPHICS_PRESETS = {
+  low:    { pixelRatio: 0.75,   shadowQuality: 'low',    ambientOcclusion: false, bloom: false, antialiasing: false, drawDistance: 800 },
+  medium: { pixelRatio: 1,      shadowQuality: 'medium', ambientOcclusion: false, bloom: true,  antialiasing: true,  drawDistance: 1200 },
+  high:   { pixelRatio: 'auto', shadowQuality: 'high',   ambientOcclusion: true,  bloom: true,  antialiasing: true,  drawDistance: 2000 },
+  ultra:  { pixelRatio: 2,      shadowQuality: 'ultra',  ambientOcclusion: true,  bloom: true,  antialiasing: true,  drawDistance: 3000 },
+};
+
+/** Settings some graphics preset controls. */
+const PRESET_KEYS = new Set(Object.values(GRAPHICS_PRESETS).flatMap((preset) => Object.keys(preset)));
+
+/** localStorage key for saved settings. */
+const STORAGE_KEY = 'desde-cero.settings';
+
+class Settings {
+  constructor() {
+    /** @type {object} key -> current value */
+    this._values = defaultValues();
+
+    /** True while a preset writes its values (suppresses preset matching). */
+    this._applyingPreset = false;
+
+    this._load();
+  }
+
+  /* -----------------------------------------------------------
+   * Queries
+   * --------------------------------------------------------- */
+
+  /**
+   * Current value of a setting.
+   * @param {string} key
+   * @returns {*}
+   */
+  get(key) {
+    if (!SETTINGS[key]) {
+      console.warn(`[Settings] Unknown setting: "${key}"`);
+      return undefined;
+    }
+    return this._values[key];
+  }
+
+  /** @returns {object} copy of every key -> value */
+  getAll() {
+    return { ...this._values };
+  }
+
+  /**
+   * Check a value against a setting's definition.
+   * @param {string} key
+   * @param {*} value
+   * @returns {{ ok: boolean, value?: *, error?: string }} value is the clamped / snapped result
+   */
+  validate(key, value) {
+    const def = SETTINGS[key];
+    if (!def) return { ok: false, error: `unknown setting "${key}"` };
+
+    switch (def.type) {
+      case 'number': {
+        const n = typeof value === 'string' ? Number(value) : value;
+        if (typeof n !== 'number' || !Number.isFinite(n)) {
+          return { ok: false, error: `${key} must be a number` };
+        }
+        const snapped = def.step ? Math.round((n - def.min) / def.step) * def.step + def.min : n;
+        // Round off float noise from the snap (0.1 + 3 * 0.05 ...)
+        const clamped = Math.min(def.max, Math.max(def.min, Number(snapped.toFixed(6))));
+        return { ok: true, value: clamped };
+      }
+      case 'boolean':
+        if (typeof value !== 'boolean') return { ok: false, error: `${key} must be true or false` };
+        return { ok: true, value };
+      case 'choice':
+        if (!def.options.some((o) => o.value === value)) {
+          return { ok: false, error: `${key} must be one of ${def.options.map((o) => o.value).join(', ')}` };
+        }
+        return { ok: true, value };
+      default:
+        return { ok: false, error: `${key} has unknown type "${def.type}"` };
+    }
+  }
+
+  /* -----------------------------------------------------------
+   * Editing (saved immediately)
+   * --------------------------------------------------------- */
+
+  /**
+   * Change a setting. Invalid values are rejected with a warning.
+   * @param {string} key
+   * @param {*} value
+   * @returns {boolean} false if the value was invalid
+   */
+  set(key, value) {
+    const result = this.validate(key, value);
+    if (!result.ok) {
+      console.warn(`[Settings] Rejected value ${JSON.stringify(value)}: ${result.error}`);
+      return false;
+    }
+    const previous = this._values[key];
+    if (result.value === previous) return true;
+
+    this._values[key] = result.value;
+    this._save();
+    EventBus.emit('settings:changed', { key, value: result.value, previous });
+
+    if (key === 'graphicsPreset') this._applyPreset(result.value);
+    else if (PRESET_KEYS.has(key) && !this._applyingPreset) this.set('graphicsPreset', this._matchPreset());
+    return true;
+  }
+
+  /**
+   * Restore the default of one setting, or all when omitted.
+   * @param {string} [key]
+   */
+  reset(key) {
+    const keys = key ? [key] : Object.keys(SETTINGS);
+    for (const k of keys) this.set(k, SETTINGS[k].default);
+  }
+
+  /* -----------------------------------------------------------
+   * Graphics presets
+   * --------------------------------------------------------- */
+
+  /**
+   * Write a preset's values ('custom' leaves everything as is).
+   * @private
+   * @param {string} name
+   */
+  _applyPreset(name) {
+    const preset = GRAPHICS_PRESETS[name];
+    if (!preset) return;
+    this._applyingPreset = true;
+    try {
+      for (const [key, value] of Object.entries(preset)) this.set(key, value);
+    } finally {
+      this._applyingPreset = false;
+    }
+  }
+
+  /**
+   * @private
+   * @returns {string} the preset the current values match, or 'custom'
+   */
+  _matchPreset() {
+    const match = Object.entries(GRAPHICS_PRESETS).find(([, preset]) =>
+      Object.entries(preset).every(([key, value]) => this._values[key] === value));
+    return match ? match[0] : 'custom';
+  }
+
+  /* -----------------------------------------------------------
+   * Persistence
+   * --------------------------------------------------------- */
+
+  /** @private */
+  _save() {
+    if (!HAS_DOM) return; // headless: defaults only, nothing persisted
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this._values));
+    } catch (err) {
+      console.warn('[Settings] Could not save settings:', err);
+    }
+  }
+
+  /**
+   * Read saved values; unknown keys are dropped and invalid ones fall back
+   * to their default.
+   * @private
+   */
+  _load() {
+    let saved = null;
+    try {
+      if (HAS_DOM) saved = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    } catch (err) {
+      console.warn('[Settings] Ignoring unreadable saved settings:', err);
+    }
+    if (!saved || typeof saved !== 'object') return;
+
+    for (const key of Object.keys(SETTINGS)) {
+      if (!(key in saved)) continue;
+      const result = this.validate(key, saved[key]);
+      if (result.ok) this._values[key] = result.value;
+    }
+    this._values.graphicsPreset = this._matchPreset();
+  }
+}
+
+/** @returns {object} key -> default value */
+function defaultValues() {
+  const values = {};
+  for (const [key, def] of Object.entries(SETTINGS)) values[key] = def.default;
+  return values;
+}
+
+export default new Settings();
@@ -0,0 +1,185 @@
+import EventBus from '../core/EventBus.js';
+
+/**
+ * Undo / redo stack for editor commands (see EditCommands.js).
+ *
+ * A command is any object with:
+ *   - label            (string)   shown in the HUD history
+ *   - do()             apply the change
+ *   - undo()           revert the change
+ *   - canMerge(other)  optional — true if `other` continues the same edit
+ *   - merge(other)     optional — absorb `other` into this command
+ *   - discard()        optional — release resources once unreachable
+ *
+ * Consecutive mergeable commands issued within COALESCE_WINDOW seconds are
+ * folded into one step (e.g. every frame of a drag). Call seal() when a
+ * drag ends so the next edit starts a new step.
+ *
+ * Exported as a singleton -- one shared history for the whole application.
+ *
+ * Events emitted:
+ *   history:changed { undo: string[], redo: string[] }  -- labels, newest first
+ *   history:undo    { label }
+ *   history:redo    { label }
+ *
+ * Events listened:
+ *   scene:loaded -- clears the history (commands reference replaced entities)
+ */
+
+/** Max undo steps kept. */
+export const MAX_HISTORY = 100;
+
+/** Seconds within which mergeable commands coalesce into one step. */
+const COALESCE_WINDOW = 0.5;
+
+class CommandHistory {
+  constructor() {
+    this._undoStack = [];
+    this._redoStack = [];
+
+    /** Time (ms) the top undo command was last extended. */
+    this._lastPushTime = 0;
+
+    /** When true the next command never merges into the top one. */
+    this._sealed = true;
+
+    /** True while undo()/redo() run — lets event-driven recorders ignore echoes. */
+    this._applying = false;
+
+    EventBus.on('scene:loaded', () => this.clear());
+  }
+
+  /* -----------------------------------------------------------
+   * Recording
+   * --------------------------------------------------------- */
+
+  /**
+   * Apply a command and push it onto the history.
+   * @param {object} command
+   */
+  execute(command) {
+    command.do();
+    this.record(command);
+  }
+
+  /**
+   * Push a command whose change has already been applied
+   * (e.g. an entity the ModelBrowser just added).
+   * @param {object} command
+   */
+  record(command) {
+    if (this._applying) return;
+
+    const now = performance.now();
+    const top = this._undoStack[this._undoStack.length - 1];
+
+    this._clearRedo();
+
+    if (
+      top && !this._sealed &&
+      (now - this._lastPushTime) / 1000 < COALESCE_WINDOW &&
+      top.canMerge && top.canMerge(command)
+    ) {
+      top.merge(command);
+    } else {
+      this._undoStack.push(command);
+      if (this._undoStack.length > MAX_HISTORY) {
+        const dropped = this._undoStack.shift();
+        dropped.discard?.(false);
+      }
+    }
+
+    this._lastPushTime = now;
+    this._sealed = false;
+    this._emitChanged();
+  }
+
+  /** End the current coalescing run (call when a drag or slider release ends). */
+  seal() {
+    this._sealed = true;
+  }
+
+  /* -----------------------------------------------------------
+   * Undo / redo
+   * --------------------------------------------------------- */
+
+  undo() {
+    const command = this._undoStack.pop();
+    if (!command) return;
+
+    this._applying = true;
+    try {
+      command.undo();
+    } finally {
+      this._applying = false;
+    }
+    this._redoStack.push(command);
+    this._sealed = true;
+
+    EventBus.emit('history:undo', { label: command.label });
+    this._emitChanged();
+  }
+
+  redo() {
+    const command = this._redoStack.pop();
+    if (!command) return;
+
+    this._applying = true;
+    try {
+      command.do();
+    } finally {
+      this._applying = false;
+    }
+    this._undoStack.push(command);
+    this._sealed = true;
+
+    EventBus.emit('history:redo', { label: command.label });
+    this._emitChanged();
+  }
+
+  /** Drop every step. */
+  clear() {
+    for (const command of this._undoStack) command.discard?.(false);
+    this._undoStack = [];
+    this._clearRedo();
+    this._sealed = true;
+    this._emitChanged();
+  }
+
+  /* -----------------------------------------------------------
+   * Queries
+   * --------------------------------------------------------- */
+
+  get canUndo() {
+    return this._undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this._redoStack.length > 0;
+  }
+
+  /** True while a command is being undone or redone. */
+  get applying() {
+    return this._applying;
+  }
+
+  /* -----------------------------------------------------------
+   * Internal
+   * --------------------------------------------------------- */
+
+  /** @private Redo branch is unreachable once a new edit is recorded. */
+  _clearRedo() {
+    for (const command of this._redoStack) command.discard?.(true);
+    this._redoStack = [];
+  }
+
+  /** @private */
+  _emitChanged() {
+    EventBus.emit('history:changed', {
+      undo: this._undoStack.map((c) => c.label).reverse(),
+      redo: this._redoStack.map((c) => c.label).reverse(),
+    });
+  }
+}
+
+export default new CommandHistory();
@@ -1,44 +1,115 @@
+import { Vector3 } from 'three';
+import { SLOW_MOTION_SCALE, TIME_SCALE_STEPS } from '../utils/constants.js';
 import EventBus from '../core/EventBus.js';
 import GameState from '../core/GameState.js';
+import InputBindings from '../core/InputBindings.js';
+import CommandHistory from './CommandHistory.js';
+import { PathPointsCommand, TimeOfDayCommand, PostFXCommand } from './EditCommands.js';
+import EntityGizmo from './EntityGizmo.js';
+
+/** Hours added / removed per [ or ] press. */
+const TIME_OF_DAY_STEP = 0.25;
+
+/** Distance in front of the camera used as a new path keyframe's look target. */
+const KEYFRAME_LOOK_DISTANCE = 10;
 
 /**
  * Director mode controller.
  *
- * Press Tab to toggle between play mode and director mode.
- * While in director mode:
+ * The toggleDirector action (Tab) switches between play mode and director
+ * mode. While in director mode (default bindings in brackets):
  *   - The game state is set to 'director'
- *   - Number keys 1-6 trigger cinematic camera presets
- *   - P key switches to the path camera mode
+ *   - cinematic1-6 (1-6) trigger cinematic camera presets
+ *   - pathCamera (P) switches to the path camera mode
+ *   - Click selects an entity; gizmoMode/gizmoSpace/gizmoSnap (T/X/N) switch
+ *     gizmo mode, space and snapping; deleteSelection (Delete) removes the
+ *     selection (see EntityGizmo)
+ *   - addKeyframe (K) adds a path keyframe at the current camera
+ *   - timeEarlier / timeLater ([ / ]) scrub the time of day
+ *   - slowMotion (B) toggles bullet time; timeScaleDown / timeScaleUp (- / =)
+ *     step the time scale; cameraTimeScale (V) switches the cameras between
+ *     real time and scaled time. New keyframes record the current scale.
  *   - The default camera is set to 'drone' for free movement
  *
+ * In free and director modes, undo / redo (Ctrl+Z / Ctrl+Shift+Z or Ctrl+Y)
+ * step through CommandHistory. Post-FX toggles are recorded too.
+ *
  * Usage:
- *   const director = new DirectorMode(cameraSystem, inputManager);
+ *   const director = new DirectorMode(cameraSystem, inputManager, { camera, scene, domElement, pathCam, sky, postProcessing });
  *   engine.addUpdatable(director);
  */
 class DirectorMode {
   /**
    * @param {import('../camera/CameraSystem.js').default} cameraSystem
    * @param {import('../core/InputManager.js').default} inputManager
+   * @param {object} [editTargets] — systems whose edits are undoable
+   * @param {THREE.Camera} [editTargets.camera]
+   * @param {THREE.Scene} [editTargets.scene]       — enables picking + gizmo (with domElement)
+   * @param {HTMLElement} [editTargets.domElement]
+   * @param {import('../camera/PathCam.js').default} [editTargets.pathCam]
+   * @param {import('../world/SkySystem.js').default} [editTargets.sky]
+   * @param {import('../camera/PostProcessing.js').default} [editTargets.postProcessing]
    */
-  constructor(cameraSystem, inputManager) {
+  constructor(cameraSystem, inputManager, {
+    camera = null,
+    scene = null,
+    domElement = null,
+    pathCam = null,
+    sky = null,
+    postProcessing = null,
+  } = {}) {
     /** @private */ this._cameraSystem = cameraSystem;
     /** @private */ this._input = inputManager;
     /** @private */ this._active = false;
 
+    // --- Edit targets ---
+    /** @private */ this._camera = camera;
+    /** @private */ this._pathCam = pathCam;
+    /** @private */ this._sky = sky;
+    /** @private */ this._postProcessing = postProcessing;
+
+    // --- Selection + transform gizmo ---
+    /** @private */
+    this._gizmo = camera && scene && domElement
+      ? new EntityGizmo(scene, camera, domElement, inputManager)
+      : null;
+
     // --- State to restore when leaving director mode ---
     /** @private */ this._previousMode = 'free';
     /** @private */ this._previousCameraMode = 'drone';
 
-    // --- Tab key edge detection ---
+    // --- Director toggle edge detection ---
     /** @private */ this._tabPressed = false;
 
-    // --- Cinematic key codes ---
-    /** @private */ this._cinematicKeys = [
-      'Digit1', 'Digit2', 'Digit3', 'Digit4', 'Digit5', 'Digit6',
+    // --- Cinematic preset actions ---
+    /** @private */ this._cinematicActions = [
+      'cinematic1', 'cinematic2', 'cinematic3', 'cinematic4', 'cinematic5', 'cinematic6',
     ];
 
-    // --- P key edge detection ---
+    // --- Path camera edge detection ---
     /** @private */ this._pPressed = false;
+
+    // --- Reusable temporaries ---
+    /** @private */ this._lookDir = new Vector3();
+
+    // --- Edit shortcuts (keydown so Ctrl combos and key repeat work) ---
+    /** @private */
+    this._onKeyDown = (e) => this._handleEditKey(e);
+    window.addEventListener('keydown', this._onKeyDown);
+
+    // --- Record post-FX toggles (G is handled by PostProcessing itself) ---
+    /** @private */
+    this._onPostFXToggled = ({ enabled }) => {
+      if (!this._postProcessing || CommandHistory.applying) return;
+      CommandHistory.record(new PostFXCommand(
+        this._postProcessing,
+        { enabled: !enabled },
+        { enabled },
+        enabled ? 'Post-FX on' : 'Post-FX off',
+      ));
+      CommandHistory.seal(); // toggles never coalesce
+    };
+    EventBus.on('postprocessing:toggled', this._onPostFXToggled);
   }
 
   // ---------------------------------------------------------------------------
@@ -53,6 +124,14 @@ class DirectorMode {
     return this._active;
   }
 
+  /**
+   * Selection / transform gizmo (null when no scene was supplied).
+   * @returns {EntityGizmo|null}
+   */
+  get gizmo() {
+    return this._gizmo;
+  }
+
   /**
    * Toggle director mode on or off.
    */
@@ -82,6 +161,8 @@ class DirectorMode {
     // Default to free-fly camera in director mode
     this._cameraSystem.setMode('drone');
 
+    this._gizmo?.setEnabled(true);
+
     EventBus.emit('director:activated');
   }
 
@@ -91,6 +172,7 @@ class DirectorMode {
    */
   deactivate() {
     this._active = false;
+    this._gizmo?.setEnabled(false);
 
     // Restore previous game mode (avoid recursive 'director' restore)
     const restoreMode = this._previousMode === 'director' ? 'free' : this._previousMode;
@@ -104,12 +186,12 @@ class DirectorMode {
   // ---------------------------------------------------------------------------
 
   /**
-   * Per-frame update. Handles Tab toggle and director-mode key bindings.
+   * Per-frame update. Handles the director toggle and director-mode actions.
    * @param {number} delta - seconds since last frame
    */
   update(delta) {
-    // --- Tab key toggle (edge-detected) ---
-    const tabDown = this._input.isKeyDown('Tab');
+    // --- Director toggle (edge-detected) ---
+    const tabDown = this._input.isActionDown('toggleDirector');
     if (tabDown && !this._tabPressed) {
       this.toggle();
     }
@@ -118,9 +200,11 @@ class DirectorMode {
     // Only process director-specific keys when active
     if (!this._active) return;
 
-    // --- Number keys 1-6: trigger cinematic presets ---
-    for (let i = 0; i < this._cinematicKeys.length; i++) {
-      if (this._input.isKeyDown(this._cinematicKeys[i])) {
+    this._gizmo?.update(delta);
+
+    // --- Cinematic presets 1-6 ---
+    for (let i = 0; i < this._cinematicActions.length; i++) {
+      if (this._input.isActionDown(this._cinematicActions[i])) {
         // Switch to cinematic camera mode and fire the preset event
         this._cameraSystem.setMode('cinematic');
         EventBus.emit('cinematic:preset', { preset: i + 1 });
@@ -128,14 +212,114 @@ class DirectorMode {
       }
     }
 
-    // --- P key: switch to path camera (edge-detected) ---
-    const pDown = this._input.isKeyDown('KeyP');
+    // --- Switch to path camera (edge-detected) ---
+    const pDown = this._input.isActionDown('pathCamera');
     if (pDown && !this._pPressed) {
       this._cameraSystem.setMode('path');
     }
     this._pPressed = pDown;
   }
 
+  // ---------------------------------------------------------------------------
+  // Edit shortcuts
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Undo/redo in free and director modes; path and time edits in director only.
+   * @private
+   * @param {KeyboardEvent} e
+   */
+  _handleEditKey(e) {
+    const mode = GameState.mode;
+    if (GameState.paused || (mode !== 'free' && mode !== 'director')) return;
+
+    // Redo first: its default Ctrl+Shift+Z must not fall through to undo
+    if (InputBindings.matches('redo', e)) {
+      e.preventDefault();
+      CommandHistory.redo();
+      return;
+    }
+    if (InputBindings.matches('undo', e)) {
+      e.preventDefault();
+      CommandHistory.undo();
+      return;
+    }
+
+    if (!this._active) return;
+
+    if (this._gizmo && !e.repeat) {
+      if (InputBindings.matches('gizmoMode', e)) this._gizmo.cycleMode();
+      else if (InputBindings.matches('gizmoSpace', e)) this._gizmo.toggleSpace();
+      else if (InputBindings.matches('gizmoSnap', e)) this._gizmo.toggleSnapping();
+      else if (InputBindings.matches('deleteSelection', e)) this._gizmo.deleteSelected();
+    }
+
+    if (InputBindings.matches('addKeyframe', e) && !e.repeat) {
+      this._addPathKeyframe();
+    } else if (InputBindings.matches('timeEarlier', e)) {
+      this._stepTimeOfDay(-TIME_OF_DAY_STEP);
+    } else if (InputBindings.matches('timeLater', e)) {
+      this._stepTimeOfDay(TIME_OF_DAY_STEP);
+    }
+
+    if (e.repeat) return;
+    if (InputBindings.matches('slowMotion', e)) {
+      GameState.setTimeScale(GameState.timeScale === 1 ? SLOW_MOTION_SCALE : 1);
+    } else if (InputBindings.matches('timeScaleDown', e)) {
+      this._stepTimeScale(-1);
+    } else if (InputBindings.matches('timeScaleUp', e)) {
+      this._stepTimeScale(1);
+    } else if (InputBindings.matches('cameraTimeScale', e)) {
+      GameState.setCameraRealTime(!GameState.cameraRealTime);
+    }
+  }
+
+  /**
+   * Move to the next slower / faster entry of TIME_SCALE_STEPS.
+   * @private
+   * @param {number} direction — -1 slower, 1 faster
+   */
+  _stepTimeScale(direction) {
+    const current = GameState.timeScale;
+    const next = direction > 0
+      ? TIME_SCALE_STEPS.find((s) => s > current)
+      : TIME_SCALE_STEPS.findLast((s) => s < current);
+    if (next !== undefined) GameState.setTimeScale(next);
+  }
+
+  /**
+   * Append a PathCam keyframe at the current camera, looking where it faces.
+   * @private
+   */
+  _addPathKeyframe() {
+    if (!this._pathCam || !this._camera) return;
+
+    const before = this._pathCam.getPoints();
+    this._camera.getWorldDirection(this._lookDir);
+    const lookAt = this._camera.position.clone().addScaledVector(this._lookDir, KEYFRAME_LOOK_DISTANCE);
+
+    this._pathCam.addPoint(this._camera.position, lookAt, GameState.timeScale);
+    CommandHistory.record(new PathPointsCommand(
+      this._pathCam,
+      before,
+      this._pathCam.getPoints(),
+      `Add path keyframe ${before.length + 1}`,
+    ));
+    CommandHistory.seal();
+  }
+
+  /**
+   * Shift the time of day; held keys coalesce into one undo step.
+   * @private
+   * @param {number} hours
+   */
+  _stepTimeOfDay(hours) {
+    if (!this._sky) return;
+    const before = this._sky.getTimeOfDay();
+    const after = (before + hours + 24) % 24;
+    CommandHistory.execute(new TimeOfDayCommand(this._sky, before, after));
+  }
+
   // ---------------------------------------------------------------------------
   // Cleanup
   // ---------------------------------------------------------------------------
@@ -144,9 +328,12 @@ class DirectorMode {
    * Clean up references. Safe to call multiple times.
    */
   dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    EventBus.off('postprocessing:toggled', this._onPostFXToggled);
     if (this._active) {
       this.deactivate();
     }
+    this._gizmo?.dispose();
   }
 }
 
@@ -0,0 +1,337 @@
+import EventBus from '../core/EventBus.js';
+import EntityManager from '../entities/EntityManager.js';
+
+/**
+ * Undoable editor commands for CommandHistory.
+ *
+ * Each command captures both the "before" and "after" state up front so
+ * do()/undo() are pure state assignments and can be replayed any number
+ * of times. `discard(undone)` is called when the history drops a command;
+ * `undone` is true when it was dropped from the redo branch.
+ */
+
+/* -----------------------------------------------------------
+ * Entities
+ * --------------------------------------------------------- */
+
+/** Add an entity to the scene and the EntityManager (which emits 'entity:added'). */
+export class AddEntityCommand {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {import('../entities/Entity.js').default} entity
+   */
+  constructor(scene, entity) {
+    this.label = `Add ${entity.name}`;
+    this.scene = scene;
+    this.entity = entity;
+  }
+
+  do() {
+    this.scene.add(this.entity.mesh);
+    EntityManager.add(this.entity);
+  }
+
+  undo() {
+    this.scene.remove(this.entity.mesh);
+    EntityManager.remove(this.entity);
+  }
+
+  discard(undone) {
+    // Never re-added — nobody else owns the GPU resources
+    if (undone) this.entity.dispose();
+  }
+}
+
+/** Remove an entity from the scene without disposing it until unreachable. */
+export class RemoveEntityCommand {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {import('../entities/Entity.js').default} entity
+   */
+  constructor(scene, entity) {
+    this.label = `Remove ${entity.name}`;
+    this.scene = scene;
+    this.entity = entity;
+  }
+
+  do() {
+    this.scene.remove(this.entity.mesh);
+    EntityManager.remove(this.entity);
+  }
+
+  undo() {
+    this.scene.add(this.entity.mesh);
+    EntityManager.add(this.entity);
+  }
+
+  discard(undone) {
+    if (!undone) this.entity.dispose();
+  }
+}
+
+/** Change an entity's display name (the entity emits 'entity:renamed'). */
+export class RenameEntityCommand {
+  /**
+   * @param {import('../entities/Entity.js').default} entity
+   * @param {string} name
+   */
+  constructor(entity, name) {
+    this.label = `Rename ${entity.name} to ${name}`;
+    this.entity = entity;
+    this.before = entity.name;
+    this.after = name;
+  }
+
+  do() {
+    this.entity.name = this.after;
+  }
+
+  undo() {
+    this.entity.name = this.before;
+  }
+}
+
+/** Show or hide an entity through its Renderable. */
+export class VisibilityCommand {
+  /**
+   * @param {import('../entities/Entity.js').default} entity
+   * @param {boolean} visible
+   */
+  constructor(entity, visible) {
+    this.label = `${visible ? 'Show' : 'Hide'} ${entity.name}`;
+    this.entity = entity;
+    this.after = visible;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(!this.after);
+  }
+
+  /** @private */
+  _apply(visible) {
+    this.entity.getComponent('renderable').visible = visible;
+  }
+}
+
+/**
+ * Change component properties of an entity (inspector edits, resets,
+ * presets). Coalesces while the same properties are dragged.
+ */
+export class PropertiesCommand {
+  /**
+   * @param {import('../entities/Entity.js').default} entity
+   * @param {object} before — component type -> { key: value }
+   * @param {object} after  — same shape
+   * @param {string} [label]
+   */
+  constructor(entity, before, after, label = `Edit ${entity.name}`) {
+    this.label = label;
+    this.entity = entity;
+    this.before = before;
+    this.after = after;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(this.before);
+  }
+
+  canMerge(other) {
+    return other instanceof PropertiesCommand
+      && other.entity === this.entity
+      && propertyPaths(other.after) === propertyPaths(this.after);
+  }
+
+  merge(other) {
+    this.after = other.after;
+  }
+
+  /** @private */
+  _apply(values) {
+    for (const [type, properties] of Object.entries(values)) {
+      this.entity.getComponent(type)?.setProperties(properties);
+    }
+  }
+}
+
+/**
+ * 'drivable.maxSpeed,collider.radius' style key for comparing edits.
+ * @param {object} values — component type -> { key: value }
+ * @returns {string}
+ */
+function propertyPaths(values) {
+  return Object.entries(values)
+    .flatMap(([type, properties]) => Object.keys(properties).map((key) => `${type}.${key}`))
+    .sort()
+    .join(',');
+}
+
+/**
+ * Snapshot an Object3D's local transform.
+ * @param {THREE.Object3D} object
+ * @returns {{ position: THREE.Vector3, quaternion: THREE.Quaternion, scale: THREE.Vector3 }}
+ */
+export function captureTransform(object) {
+  return {
+    position: object.position.clone(),
+    quaternion: object.quaternion.clone(),
+    scale: object.scale.clone(),
+  };
+}
+
+/** Change an entity's position / rotation / scale. Coalesces per entity. */
+export class TransformCommand {
+  /**
+   * @param {import('../entities/Entity.js').default} entity
+   * @param {object} before — from captureTransform()
+   * @param {object} after  — from captureTransform()
+   * @param {string} [label]
+   */
+  constructor(entity, before, after, label = `Transform ${entity.name}`) {
+    this.label = label;
+    this.entity = entity;
+    this.before = before;
+    this.after = after;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(this.before);
+  }
+
+  canMerge(other) {
+    return other instanceof TransformCommand && other.entity === this.entity;
+  }
+
+  merge(other) {
+    this.after = other.after;
+  }
+
+  /** @private */
+  _apply(t) {
+    const mesh = this.entity.mesh;
+    mesh.position.copy(t.position);
+    mesh.quaternion.copy(t.quaternion);
+    mesh.scale.copy(t.scale);
+    EventBus.emit('entity:transformed', { entity: this.entity });
+  }
+}
+
+/* -----------------------------------------------------------
+ * Camera path
+ * --------------------------------------------------------- */
+
+/** Replace the PathCam keyframes (covers add, move and delete of points). */
+export class PathPointsCommand {
+  /**
+   * @param {import('../camera/PathCam.js').default} pathCam
+   * @param {Array<{ position: THREE.Vector3, lookAt: THREE.Vector3, timeScale: number }>} before — from pathCam.getPoints()
+   * @param {Array<{ position: THREE.Vector3, lookAt: THREE.Vector3, timeScale: number }>} after
+   * @param {string} [label]
+   */
+  constructor(pathCam, before, after, label = 'Edit camera path') {
+    this.label = label;
+    this.pathCam = pathCam;
+    this.before = before;
+    this.after = after;
+  }
+
+  do() {
+    this._apply(this.after);
+  }
+
+  undo() {
+    this._apply(this.before);
+  }
+
+  /** @private */
+  _apply(points) {
+    if (points.length === 0) {
+      this.pathCam.clearPoints();
+    } else {
+      this.pathCam.setPoints(points);
+    }
+  }
+}
+
+/* -----------------------------------------------------------
+ * World / rendering
+ * --------------------------------------------------------- */
+
+/** Change the time of day. Coalesces while scrubbing. */
+export class TimeOfDayCommand {
+  /**
+   * @param {import('../world/SkySystem.js').default} sky
+   * @param {number} before — hours
+   * @param {number} after  — hours
+   */
+  constructor(sky, before, after) {
+    this.label = 'Time of day';
+    this.sky = sky;
+    this.before = before;
+    this.after = after;
+  }
+
+  do() {
+    this.sky.setTimeOfDay(this.after);
+  }
+
+  undo() {
+    this.sky.setTimeOfDay(this.before);
+  }
+
+  canMerge(other) {
+    return other instanceof TimeOfDayCommand && other.sky === this.sky;
+  }
+
+  merge(other) {
+    this.after = other.after;
+  }
+}
+
+/** Change post-processing settings. Coalesces tweaks of the same keys. */
+export class PostFXCommand {
+  /**
+   * @param {import('../camera/PostProcessing.js').default} postProcessing
+   * @param {object} before — partial settings, as from getSettings()
+   * @param {object} after  — same keys as `before`
+   * @param {string} [label]
+   */
+  constructor(postProcessing, before, after, label = 'Post-FX') {
+    this.label = label;
+    this.postProcessing = postProcessing;
+    this.before = before;
+    this.after = after;
+  }
+
+  do() {
+    this.postProcessing.applySettings(this.after);
+  }
+
+  undo() {
+    this.postProcessing.applySettings(this.before);
+  }
+
+  canMerge(other) {
+    if (!(other instanceof PostFXCommand) || other.postProcessing !== this.postProcessing) {
+      return false;
+    }
+    const keys = Object.keys(this.after);
+    const otherKeys = Object.keys(other.after);
+    return keys.length === otherKeys.length && keys.every((k) => k in other.after);
+  }
+
+  merge(other) {
+    this.after = other.after;
+  }
+}
@@ -0,0 +1,312 @@
+import { Raycaster, Vector2, BoxHelper, MathUtils } from 'three';
+import { TransformControls } from 'three/addons/controls/TransformControls.js';
+import EventBus from '../core/EventBus.js';
+import EntityManager from '../entities/EntityManager.js';
+import CommandHistory from './CommandHistory.js';
+import { TransformCommand, RemoveEntityCommand, captureTransform } from './EditCommands.js';
+import { LOCKED_TAG } from '../utils/constants.js';
+
+/**
+ * Click-to-select and in-viewport transform gizmo for EntityManager entities.
+ *
+ * Picking raycasts against entity meshes only (the city is ignored). While
+ * the pointer is locked the pick ray goes through the crosshair; otherwise
+ * through the cursor. Selecting releases pointer lock so the gizmo handles
+ * can be dragged, and auto-lock stays off until the selection is cleared.
+ *
+ * Each completed drag is recorded as one TransformCommand in CommandHistory.
+ *
+ * Locked entities (tagged LOCKED_TAG) are skipped by picking. Selecting one
+ * in code (the outliner) outlines it without attaching the gizmo, and it
+ * can't be deleted.
+ *
+ * Keys (handled by DirectorMode while active):
+ *   T      — cycle translate / rotate / scale
+ *   X      — toggle local / world space
+ *   N      — toggle grid / angle snapping
+ *   Delete — remove the selected entity (undoable)
+ *
+ * Events emitted:
+ *   selection:changed { entity }  -- entity is null when cleared
+ */
+
+/** Grid step (world units) while snapping translate. */
+const TRANSLATE_SNAP = 1;
+
+/** Angle step while snapping rotate. */
+const ROTATE_SNAP = MathUtils.degToRad(15);
+
+/** Scale step while snapping scale. */
+const SCALE_SNAP = 0.1;
+
+/** Selection outline colour (matches --hud-accent). */
+const OUTLINE_COLOR = 0xffc864;
+
+const GIZMO_MODES = ['translate', 'rotate', 'scale'];
+
+class EntityGizmo {
+  /**
+   * @param {THREE.Scene} scene
+   * @param {THREE.Camera} camera
+   * @param {HTMLElement} domElement — canvas receiving pointer events
+   * @param {import('../core/InputManager.js').default} inputManager
+   */
+  constructor(scene, camera, domElement, inputManager) {
+    /** @private */ this._scene = scene;
+    /** @private */ this._camera = camera;
+    /** @private */ this._domElement = domElement;
+    /** @private */ this._input = inputManager;
+
+    /** @private */ this._enabled = false;
+    /** @private */ this._selected = null;
+    /** @private */ this._snapping = false;
+
+    // --- Picking ---
+    /** @private */ this._raycaster = new Raycaster();
+    /** @private */ this._pointer = new Vector2();
+
+    // --- Outline ---
+    /** @private */ this._outline = new BoxHelper(undefined, OUTLINE_COLOR);
+    this._outline.visible = false;
+    this._outline.material.depthTest = false;
+    this._outline.renderOrder = 999;
+    scene.add(this._outline);
+
+    // --- Gizmo ---
+    /** @private */ this._controls = new TransformControls(camera, domElement);
+    this._controls.enabled = false;
+    scene.add(this._controls);
+
+    /** @private Transform captured when a drag starts. */
+    this._dragBefore = null;
+    /** @private Swallow the click that ends a gizmo drag. */
+    this._suppressClick = false;
+
+    /** @private */
+    this._onDraggingChanged = ({ value }) => {
+      if (!this._selected) return;
+      if (value) {
+        this._dragBefore = captureTransform(this._selected.mesh);
+        return;
+      }
+      this._suppressClick = true;
+      if (this._dragBefore) {
+        CommandHistory.record(new TransformCommand(
+          this._selected,
+          this._dragBefore,
+          captureTransform(this._selected.mesh),
+          `${this._controls.mode[0].toUpperCase()}${this._controls.mode.slice(1)} ${this._selected.name}`,
+        ));
+        CommandHistory.seal();
+        this._dragBefore = null;
+      }
+    };
+    this._controls.addEventListener('dragging-changed', this._onDraggingChanged);
+
+    /** @private */
+    this._onObjectChange = () => {
+      if (this._selected) EventBus.emit('entity:transformed', { entity: this._selected });
+    };
+    this._controls.addEventListener('objectChange', this._onObjectChange);
+
+    /** @private */
+    this._onClick = (e) => this._handleClick(e);
+    domElement.addEventListener('click', this._onClick);
+
+    /** @private Drop the selection if the entity leaves the scene (undo, load). */
+    this._onEntityRemoved = ({ entity }) => {
+      if (entity === this._selected) this.select(null);
+    };
+    EventBus.on('entity:removed', this._onEntityRemoved);
+
+    /** @private Attach / detach the gizmo when the selection is (un)locked. */
+    this._onLockChanged = ({ entity, tag }) => {
+      if (entity === this._selected && tag === LOCKED_TAG) this._attachControls();
+    };
+    EventBus.on('entity:tagged', this._onLockChanged);
+    EventBus.on('entity:untagged', this._onLockChanged);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Public API
+  // ---------------------------------------------------------------------------
+
+  /** Currently selected entity, or null. */
+  get selected() {
+    return this._selected;
+  }
+
+  /** Current gizmo mode: 'translate' | 'rotate' | 'scale'. */
+  get mode() {
+    return this._controls.mode;
+  }
+
+  /** Current gizmo space: 'local' | 'world'. */
+  get space() {
+    return this._controls.space;
+  }
+
+  /** Whether grid / angle snapping is on. */
+  get snapping() {
+    return this._snapping;
+  }
+
+  /**
+   * Enable picking and the gizmo (director mode on) or clear and hide them.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    this._enabled = enabled;
+    this._controls.enabled = enabled;
+    if (!enabled) this.select(null);
+  }
+
+  /**
+   * Select an entity (or null to clear).
+   * @param {import('../entities/Entity.js').default|null} entity
+   */
+  select(entity) {
+    if (entity === this._selected) return;
+    this._selected = entity;
+
+    this._attachControls();
+    if (entity) {
+      this._outline.setFromObject(entity.mesh);
+      this._outline.visible = true;
+      // Free the cursor so the gizmo handles can be dragged
+      this._input.setAutoPointerLock(false);
+      this._input.releasePointerLock();
+    } else {
+      this._outline.visible = false;
+      this._input.setAutoPointerLock(true);
+    }
+
+    EventBus.emit('selection:changed', { entity });
+  }
+
+  /** Cycle translate -> rotate -> scale. */
+  cycleMode() {
+    const idx = GIZMO_MODES.indexOf(this._controls.mode);
+    this._controls.setMode(GIZMO_MODES[(idx + 1) % GIZMO_MODES.length]);
+  }
+
+  /** Toggle local / world space. */
+  toggleSpace() {
+    this._controls.setSpace(this._controls.space === 'local' ? 'world' : 'local');
+  }
+
+  /** Toggle grid and angle snapping. */
+  toggleSnapping() {
+    this._snapping = !this._snapping;
+    this._controls.setTranslationSnap(this._snapping ? TRANSLATE_SNAP : null);
+    this._controls.setRotationSnap(this._snapping ? ROTATE_SNAP : null);
+    this._controls.setScaleSnap(this._snapping ? SCALE_SNAP : null);
+  }
+
+  /** Remove the selected entity through CommandHistory (unless it is locked). */
+  deleteSelected() {
+    if (!this._selected || this._selected.hasTag(LOCKED_TAG)) return;
+    const entity = this._selected;
+    this.select(null);
+    CommandHistory.execute(new RemoveEntityCommand(this._scene, entity));
+    CommandHistory.seal();
+  }
+
+  /**
+   * Keep the outline fitted to the selection.
+   * @param {number} _delta
+   */
+  update(_delta) {
+    if (this._selected && this._outline.visible) {
+      this._outline.setFromObject(this._selected.mesh);
+    }
+  }
+
+  /**
+   * Gizmo on the selection unless it is locked.
+   * @private
+   */
+  _attachControls() {
+    if (this._selected && !this._selected.hasTag(LOCKED_TAG)) {
+      this._controls.attach(this._selected.mesh);
+    } else {
+      this._controls.detach();
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Picking
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @private
+   * @param {MouseEvent} e
+   */
+  _handleClick(e) {
+    if (!this._enabled || e.button !== 0) return;
+
+    // Clicks that finish a drag or land on a gizmo handle are not picks
+    if (this._suppressClick) {
+      this._suppressClick = false;
+      return;
+    }
+    if (this._controls.dragging || this._controls.axis !== null) return;
+
+    if (this._input.isPointerLocked()) {
+      this._pointer.set(0, 0); // crosshair
+    } else {
+      const rect = this._domElement.getBoundingClientRect();
+      this._pointer.set(
+        ((e.clientX - rect.left) / rect.width) * 2 - 1,
+        -((e.clientY - rect.top) / rect.height) * 2 + 1,
+      );
+    }
+
+    this.select(this.pick(this._pointer));
+  }
+
+  /**
+   * Raycast entity meshes from normalized device coordinates.
+   * @param {THREE.Vector2} ndc
+   * @returns {import('../entities/Entity.js').default|null}
+   */
+  pick(ndc) {
+    this._raycaster.setFromCamera(ndc, this._camera);
+
+    // Broad phase: only entities whose bounds the ray passes through
+    const byMesh = new Map();
+    for (const { entity } of EntityManager.raycast(this._raycaster.ray, null, this._raycaster.far)) {
+      if (entity.mesh.parent && entity.mesh.visible && !entity.hasTag(LOCKED_TAG)) byMesh.set(entity.mesh, entity);
+    }
+
+    const hits = this._raycaster.intersectObjects([...byMesh.keys()], true);
+    for (const hit of hits) {
+      // Walk up to the entity root
+      let obj = hit.object;
+      while (obj && !byMesh.has(obj)) obj = obj.parent;
+      if (obj) return byMesh.get(obj);
+    }
+    return null;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    this._domElement.removeEventListener('click', this._onClick);
+    EventBus.off('entity:removed', this._onEntityRemoved);
+    EventBus.off('entity:tagged', this._onLockChanged);
+    EventBus.off('entity:untagged', this._onLockChanged);
+    this._controls.removeEventListener('dragging-changed', this._onDraggingChanged);
+    this._controls.removeEventListener('objectChange', this._onObjectChange);
+    this._controls.detach();
+    this._controls.dispose();
+    this._scene.remove(this._controls);
+    this._scene.remove(this._outline);
+    this._outline.geometry.dispose();
+    this._outline.material.dispose();
+  }
+}
+
+export default EntityGizmo;
@@ -1,4 +1,5 @@
 import EventBus from '../core/EventBus.js';
+import GameState from '../core/GameState.js';
 
 /**
  * Video recording from a canvas element using the MediaRecorder API.
@@ -14,7 +15,29 @@ import EventBus from '../core/EventBus.js';
  *   videoExport.stop();           // stop and auto-download
  *   // or use toggle():
  *   videoExport.toggle();
+ *
+ * Recording is suspended while the game is paused (GameState.setPaused),
+ * so the pause menu never ends up in the video.
+ *
+ * Time base: 'real' records what is on screen, so slow motion plays back
+ * slowed down. 'game' keeps the footage on game time: during slow motion
+ * only every (1 / timeScale)-th frame is recorded and the recorder is
+ * paused in between, so the video plays at normal speed. Fast-forward
+ * (timeScale > 1) is always recorded as shown. Needs update() every frame:
+ *   engine.addUpdatable(videoExport);
+ *
+ * 'game' is best-effort. MediaRecorder stamps frames with the wall clock,
+ * so the only way to drop real time from the video is to pause the
+ * recorder, here up to once per rendered frame. A recording started on
+ * game time captures the canvas frame by frame (captureStream(0) and
+ * requestFrame() on each recorded frame), so each window the recorder is
+ * running for holds exactly one frame; but browsers may apply pause() and
+ * resume() late at 60 Hz, leaving slow motion a little uneven or slow.
+ * For exact timing, record in 'real' and retime the clip afterwards.
  */
+
+/** @typedef {'real'|'game'} TimeBase */
+
 class VideoExport {
   /**
    * @param {HTMLCanvasElement} canvas - the WebGL canvas to record
@@ -24,6 +47,16 @@ class VideoExport {
     /** @private */ this._recorder = null;
     /** @private */ this._chunks = [];
     /** @private */ this._recording = false;
+    /** @private @type {TimeBase} */ this._timeBase = 'real';
+    /** @private */ this._frameCredit = 0; // game-time frames owed ('game' time base)
+    /** @private @type {MediaStreamTrack|null} canvas track fed by requestFrame(), if started on game time */
+    this._frameTrack = null;
+
+    /** @private */
+    this._onPaused = ({ paused }) => {
+      if (this._recording) this._setCapturing(!paused);
+    };
+    EventBus.on('gamestate:paused', this._onPaused);
   }
 
   // ---------------------------------------------------------------------------
@@ -38,12 +71,30 @@ class VideoExport {
     return this._recording;
   }
 
+  /**
+   * Whether footage follows real time or game time.
+   * @returns {TimeBase}
+   */
+  get timeBase() {
+    return this._timeBase;
+  }
+
+  /**
+   * @param {TimeBase} timeBase — takes effect immediately, even mid-recording
+   *   (though only a recording started on game time captures frame by frame)
+   */
+  setTimeBase(timeBase) {
+    this._timeBase = timeBase === 'game' ? 'game' : 'real';
+    this._frameCredit = 0;
+  }
+
   /**
    * Start recording the canvas.
    *
    * @param {Object} [options]
    * @param {number} [options.fps=60]          - target frame rate
    * @param {number} [options.bitrate=8000000] - video bitrate in bits/second
+   * @param {TimeBase} [options.timeBase]      - overrides the current time base
    */
   start(options = {}) {
     if (this._recording) {
@@ -53,9 +104,15 @@ class VideoExport {
 
     const fps = options.fps || 60;
     const bitrate = options.bitrate || 8_000_000;
+    if (options.timeBase) this.setTimeBase(options.timeBase);
+    this._frameCredit = 0;
 
-    // Capture the canvas as a media stream
-    const stream = this._canvas.captureStream(fps);
+    // Capture the canvas as a media stream: on game time, only the frames
+    // update() asks for (where the browser supports requestFrame)
+    const manual = this._timeBase === 'game' && typeof CanvasCaptureMediaStreamTrack !== 'undefined' &&
+      typeof CanvasCaptureMediaStreamTrack.prototype.requestFrame === 'function';
+    const stream = this._canvas.captureStream(manual ? 0 : fps);
+    this._frameTrack = manual ? stream.getVideoTracks()[0] : null;
 
     // Determine a supported MIME type
     const mimeType = this._getSupportedMimeType();
@@ -100,8 +157,9 @@ class VideoExport {
       EventBus.emit('recording:error', { error: e.error });
     };
 
-    // Start capturing
+    // Start capturing (held until resume if started while paused)
     this._recorder.start();
+    if (GameState.isPaused()) this._recorder.pause();
     this._recording = true;
     EventBus.emit('recording:started');
   }
@@ -126,10 +184,37 @@ class VideoExport {
     }
   }
 
+  /**
+   * Per-frame hook (real time): decides whether this frame is recorded.
+   * @param {number} _delta
+   */
+  update(_delta) {
+    if (!this._recording) return;
+
+    let capture = !GameState.isPaused();
+    if (capture && this._timeBase === 'game' && GameState.timeScale < 1) {
+      this._frameCredit += GameState.timeScale;
+      capture = this._frameCredit >= 1;
+      if (capture) this._frameCredit -= 1;
+    }
+    this._setCapturing(capture);
+    if (capture) this._frameTrack?.requestFrame();
+  }
+
   // ---------------------------------------------------------------------------
   // Internal helpers
   // ---------------------------------------------------------------------------
 
+  /**
+   * Pause or resume the recorder without ending the recording.
+   * @private
+   * @param {boolean} capture
+   */
+  _setCapturing(capture) {
+    if (capture && this._recorder.state === 'paused') this._recorder.resume();
+    else if (!capture && this._recorder.state === 'recording') this._recorder.pause();
+  }
+
   /**
    * Determine a supported MIME type for video recording.
    * Prefers VP9, falls back to VP8, then default WebM.
@@ -159,8 +244,10 @@ class VideoExport {
    * Stop any active recording and clean up.
    */
   dispose() {
+    EventBus.off('gamestate:paused', this._onPaused);
     this.stop();
     this._recorder = null;
+    this._frameTrack = null;
     this._chunks = [];
   }
 }
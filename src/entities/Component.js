@@ -0,0 +1,177 @@
+import EventBus from '../core/EventBus.js';
+
+/**
+ * Base class for entity components.
+ *
+ * A component is one piece of data and behaviour (a collider, an animator,
+ * drivability ...) attached to an Entity with entity.addComponent(). Any
+ * entity can carry any mix of components; Vehicle, NPC and Prop are just
+ * entities created with a preset set of them.
+ *
+ * Subclasses declare a unique `static type` (the key used by getComponent
+ * and in save files) and may implement:
+ *   onAttach()        -- after `this.entity` is set
+ *   onDetach()        -- before the component is removed
+ *   update(delta)     -- per simulation step, run by the EntityManager's
+ *                        system for this type (only for registered entities)
+ *   serialize()       -- JSON data for save files, or null for nothing
+ *   deserialize(data) -- apply data from serialize() (once attached)
+ *   onCloneMesh(mesh) -- Entity.clone() copied the entity's mesh into `mesh`,
+ *                        before the copy is built (e.g. to unshare geometry)
+ *
+ * `static order` sets when a type's system runs in the step (lower first).
+ *
+ * `static properties` declares the tunable fields the inspector edits
+ * (ui/Inspector.js), read and written as `component[key]`. Definitions
+ * have the shape of Settings entries:
+ *   { label, type: 'number' | 'boolean' | 'choice', min, max, step, options }
+ * with choice options as [{ value, label }]. The values a component has
+ * when first attached -- its preset's tuning -- are kept in `defaults`.
+ *
+ * Built-in components register themselves when their module is imported
+ * (the SceneSerializer imports them all); plugins call Component.register()
+ * so their components can be attached by name and loaded from save files.
+ */
+
+/** @type {Map<string, typeof Component>} type -> component class */
+const REGISTRY = new Map();
+
+/**
+ * Check a value against a property definition.
+ * @param {object} def — entry of `static properties`
+ * @param {*} value
+ * @returns {{ ok: boolean, value?: * }} numbers come back clamped to [min, max]
+ */
+function validateProperty(def, value) {
+  switch (def.type) {
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) return { ok: false };
+      return { ok: true, value: Math.min(def.max ?? Infinity, Math.max(def.min ?? -Infinity, value)) };
+    case 'boolean':
+      return { ok: typeof value === 'boolean', value };
+    case 'choice':
+      return { ok: def.options.some((o) => o.value === value), value };
+    default:
+      return { ok: false };
+  }
+}
+
+class Component {
+  /** Unique key, overridden by every subclass. */
+  static type = 'component';
+
+  /** System order within a simulation step (lower runs first). */
+  static order = 0;
+
+  /** Tunable fields: key -> { label, type, min, max, step, options }. */
+  static properties = {};
+
+  constructor() {
+    /** @type {import('./Entity.js').default|null} set by Entity.addComponent() */
+    this.entity = null;
+
+    /** Disabled components are skipped by their system. */
+    this.enabled = true;
+
+    /**
+     * Property values when first attached, which reset returns to.
+     * @type {object|null} set by Entity.addComponent()
+     */
+    this.defaults = null;
+  }
+
+  /** @returns {string} */
+  get type() {
+    return this.constructor.type;
+  }
+
+  onAttach() {}
+
+  onDetach() {}
+
+  /** @param {THREE.Object3D} mesh -- copy of this.entity.mesh, from Entity.clone() */
+  onCloneMesh(mesh) {}
+
+  /** @returns {object|null} */
+  serialize() {
+    return null;
+  }
+
+  /** @param {object} data */
+  deserialize(data) {}
+
+  /* -----------------------------------------------------------
+   * Properties
+   * --------------------------------------------------------- */
+
+  /** @returns {object} key -> current value of each declared property */
+  getProperties() {
+    const values = {};
+    for (const key of Object.keys(this.constructor.properties)) values[key] = this[key];
+    return values;
+  }
+
+  /**
+   * Set declared properties. Numbers are clamped to their range; unknown
+   * keys and values of the wrong type are skipped with a warning.
+   * @param {object} values — key -> value
+   * @returns {object} the properties that changed, key -> new value
+   */
+  setProperties(values) {
+    const changed = {};
+    for (const [key, value] of Object.entries(values)) {
+      const def = this.constructor.properties[key];
+      const result = def ? validateProperty(def, value) : { ok: false };
+      if (!result.ok) {
+        console.warn(`[Component] ${this.type}: rejected ${key} = ${JSON.stringify(value)}`);
+        continue;
+      }
+      if (this[key] === result.value) continue;
+      this[key] = result.value;
+      changed[key] = result.value;
+    }
+    if (this.entity && Object.keys(changed).length > 0) {
+      EventBus.emit('entity:propertiesChanged', { entity: this.entity, component: this, values: changed });
+    }
+    return changed;
+  }
+
+  /* -----------------------------------------------------------
+   * Registry
+   * --------------------------------------------------------- */
+
+  /**
+   * Make a component class available by its type name.
+   * @param {typeof Component} ComponentClass
+   */
+  static register(ComponentClass) {
+    REGISTRY.set(ComponentClass.type, ComponentClass);
+  }
+
+  /**
+   * @param {string} type
+   * @returns {typeof Component|null}
+   */
+  static get(type) {
+    return REGISTRY.get(type) || null;
+  }
+
+  /** @returns {string[]} registered type names, sorted */
+  static types() {
+    return [...REGISTRY.keys()].sort();
+  }
+
+  /**
+   * Build a component from its type name, with default settings.
+   * @param {string} type
+   * @returns {Component}
+   * @throws {Error} for an unregistered type
+   */
+  static create(type) {
+    const ComponentClass = REGISTRY.get(type);
+    if (!ComponentClass) throw new Error(`[Component] Unknown component type "${type}"`);
+    return new ComponentClass();
+  }
+}
+
+export default Component;
@@ -1,24 +1,107 @@
 import { Vector3, Euler, Box3 } from 'three';
+import EventBus from '../core/EventBus.js';
+import Transform from './components/Transform.js';
+import Renderable from './components/Renderable.js';
+import Component from './Component.js';
+import { uuid } from '../utils/uuid.js';
 
 /**
  * Base class for all scene objects (characters, vehicles, props, environments).
  * Wraps a Three.js Object3D with a consistent interface.
+ *
+ * Behaviour comes from components (see Component.js): every entity has a
+ * Transform and a Renderable, and anything else -- a Collider, Drivable,
+ * AIBehaviour ... -- can be attached or removed at runtime.
+ *
+ * Identity: `id` is read-only and given at construction (save files keep
+ * it); the EntityManager refuses an entity whose ID is taken, while
+ * `name` is a display label that may be renamed or shared. Tags are free
+ * strings for grouping and lookup (EntityManager.getByTag).
+ *
+ * Entities form a hierarchy through setParent(). It is organisational:
+ * each mesh stays in world space, so moving a parent doesn't carry its
+ * children along. Disposing a parent orphans its children.
+ *
+ * Events emitted:
+ *   entity:renamed          { entity, name, previous }
+ *   entity:tagged           { entity, tag }
+ *   entity:untagged         { entity, tag }
+ *   entity:reparented       { entity, parent, previous }
+ *   entity:disposed         { entity }
+ *   entity:componentAdded   { entity, component }
+ *   entity:componentRemoved { entity, component }  -- before it is detached
+ *   entity:visibilityChanged { entity, visible }   -- from the Renderable
+ *   entity:propertiesChanged { entity, component, values }  -- from
+ *                              Component.setProperties()
+ *
+ * entity:created / entity:added / entity:removed come from the EntityManager.
  */
 class Entity {
   /**
    * @param {THREE.Object3D} mesh — The root Object3D for this entity
    * @param {string} type — 'character' | 'vehicle' | 'prop' | 'environment'
    * @param {string} name — Display name
+   * @param {string} [id] — Stable ID (saved or fixed); a new UUID by default
    */
-  constructor(mesh, type, name) {
+  constructor(mesh, type, name, id = uuid()) {
+    /** @private see the `id` getter */
+    this._id = id;
+
     this.mesh = mesh;
     this.type = type;
-    this.name = name || mesh.name || type;
-    this.mesh.name = this.name;
+    this._name = name || mesh.name || type;
+    this.mesh.name = this._name;
+
+    /** @type {Set<string>} */
+    this.tags = new Set();
+
+    /** @type {Entity|null} */
+    this.parent = null;
+    /** @type {Entity[]} */
+    this.children = [];
+
+    /** Set by dispose(); a disposed entity must not be added again. */
+    this.disposed = false;
+
+    /**
+     * Where the mesh was loaded from, so save files can rebuild it.
+     * `{ url }` for remote/local paths, `{ fileName, file }` for dropped files.
+     * Null for entities built in code.
+     * @type {{ url?: string, fileName?: string, file?: Blob }|null}
+     */
+    this.source = null;
+
+    /** @type {Map<string, Component>} type -> component */
+    this.components = new Map();
 
     this._boundingBox = new Box3();
     this._size = new Vector3();
     this._updateBounds();
+
+    this.addComponent(new Transform());
+    this.addComponent(new Renderable());
+  }
+
+  /**
+   * Stable identifier: a UUID, or the ID passed to the constructor (scene
+   * loads restore the saved one; main.js fixes the built-in vehicles').
+   * @returns {string}
+   */
+  get id() {
+    return this._id;
+  }
+
+  /** @returns {string} Display name */
+  get name() {
+    return this._name;
+  }
+
+  set name(name) {
+    if (name === this._name) return;
+    const previous = this._name;
+    this._name = name;
+    this.mesh.name = name;
+    EventBus.emit('entity:renamed', { entity: this, name, previous });
   }
 
   get position() {
@@ -51,11 +134,171 @@ class Entity {
     return this._size.clone();
   }
 
-  /** Override in subclasses for per-frame logic. */
+  /* -----------------------------------------------------------
+   * Tags
+   * --------------------------------------------------------- */
+
+  /** @param {string} tag */
+  addTag(tag) {
+    if (this.tags.has(tag)) return;
+    this.tags.add(tag);
+    EventBus.emit('entity:tagged', { entity: this, tag });
+  }
+
+  /** @param {string} tag */
+  removeTag(tag) {
+    if (!this.tags.delete(tag)) return;
+    EventBus.emit('entity:untagged', { entity: this, tag });
+  }
+
+  /**
+   * @param {string} tag
+   * @returns {boolean}
+   */
+  hasTag(tag) {
+    return this.tags.has(tag);
+  }
+
+  /* -----------------------------------------------------------
+   * Hierarchy
+   * --------------------------------------------------------- */
+
+  /**
+   * Move this entity under another one, or to the top level with null.
+   * @param {Entity|null} parent
+   * @throws {Error} when `parent` is this entity or one of its descendants
+   */
+  setParent(parent) {
+    if (parent === this.parent) return;
+    if (parent && (parent === this || this.isAncestorOf(parent))) {
+      throw new Error(`[Entity] ${parent.name} can't be the parent of ${this.name} (it's inside it)`);
+    }
+
+    const previous = this.parent;
+    if (previous) previous.children.splice(previous.children.indexOf(this), 1);
+    this.parent = parent;
+    if (parent) parent.children.push(this);
+
+    EventBus.emit('entity:reparented', { entity: this, parent, previous });
+  }
+
+  /**
+   * @param {Entity} entity
+   * @returns {boolean} whether `entity` is below this one in the hierarchy
+   */
+  isAncestorOf(entity) {
+    for (let p = entity.parent; p; p = p.parent) {
+      if (p === this) return true;
+    }
+    return false;
+  }
+
+  /* -----------------------------------------------------------
+   * Components
+   * --------------------------------------------------------- */
+
+  /**
+   * Attach a component, replacing any existing one of the same type.
+   * @template {Component} T
+   * @param {T} component
+   * @returns {T} the component, for chaining setup
+   */
+  addComponent(component) {
+    if (this.components.has(component.type)) this.removeComponent(component.type);
+    component.entity = this;
+    this.components.set(component.type, component);
+    component.onAttach();
+    component.defaults ??= component.getProperties();
+    EventBus.emit('entity:componentAdded', { entity: this, component });
+    return component;
+  }
+
+  /**
+   * Detach the component of the given type. The Transform can't be removed.
+   * @param {string} type
+   * @returns {Component|null} the removed component
+   */
+  removeComponent(type) {
+    const component = this.components.get(type);
+    if (!component) return null;
+    if (type === Transform.type) throw new Error(`[Entity] ${this.name}: the transform can't be removed`);
+
+    EventBus.emit('entity:componentRemoved', { entity: this, component });
+    component.onDetach();
+    this.components.delete(type);
+    component.entity = null;
+    return component;
+  }
+
+  /**
+   * @param {string} type — e.g. 'drivable', 'collider'
+   * @returns {Component|null}
+   */
+  getComponent(type) {
+    return this.components.get(type) || null;
+  }
+
+  /**
+   * @param {string} type
+   * @returns {boolean}
+   */
+  hasComponent(type) {
+    return this.components.has(type);
+  }
+
+  /**
+   * Copy this entity: a cloned mesh (sharing geometry and materials, like
+   * ModelLoader's cached instances, unless a component's onCloneMesh()
+   * says otherwise), the same source and tags, and each component's
+   * serialized state. The copy gets a new ID, no parent, and isn't added
+   * to the scene or the EntityManager.
+   *
+   * Presets (Vehicle, NPC, Prop) are rebuilt through their
+   * `(mesh, animations, name)` constructor.
+   * @param {string} [name]
+   * @returns {Entity}
+   */
+  clone(name = this.name) {
+    const mesh = this.mesh.clone(true);
+    for (const component of this.components.values()) component.onCloneMesh(mesh);
+    const copy = this.constructor === Entity
+      ? new Entity(mesh, this.type, name)
+      : new this.constructor(mesh, this.getComponent('animator')?.clips ?? [], name);
+    copy.source = this.source;
+    for (const tag of this.tags) copy.addTag(tag);
+
+    for (const component of this.components.values()) {
+      let target = copy.getComponent(component.type);
+      if (!target) {
+        if (!Component.get(component.type)) {
+          console.warn(`[Entity] ${this.name}: unregistered component "${component.type}" not copied`);
+          continue;
+        }
+        target = copy.addComponent(Component.create(component.type));
+      }
+      const data = component.serialize();
+      if (data) target.deserialize(data);
+    }
+    return copy;
+  }
+
+  /** Override in subclasses for per-frame logic (components have their own update). */
   update(delta) {}
 
-  /** Remove from scene and free GPU resources. */
+  /**
+   * Remove from scene and free GPU resources. The EntityManager drops a
+   * disposed entity that is still registered.
+   */
   dispose() {
+    if (this.disposed) return;
+    this.disposed = true;
+
+    for (const child of [...this.children]) child.setParent(null);
+    this.setParent(null);
+
+    for (const component of this.components.values()) {
+      component.onDetach();
+    }
     if (this.mesh.parent) {
       this.mesh.parent.remove(this.mesh);
     }
@@ -71,6 +314,8 @@ class Entity {
         }
       }
     });
+
+    EventBus.emit('entity:disposed', { entity: this });
   }
 }
 
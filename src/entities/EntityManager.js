@@ -1,30 +1,93 @@
 import EventBus from '../core/EventBus.js';
+import Profiler from '../core/Profiler.js';
+import SpatialHash from './SpatialHash.js';
+import { SPATIAL_CELL_SIZE } from '../utils/constants.js';
 
 /**
  * Registry for all active entities in the scene.
  *
- * Provides fast type-based lookups and spatial queries (nearest, within
- * radius). Entities can be added directly or via the 'entity:added' event.
+ * Provides lookups by ID, type, tag and name, and spatial queries (within
+ * radius, nearest, AABB, frustum, ray) backed by a SpatialHash grid.
+ * Whatever creates an entity calls add() (or runs an AddEntityCommand),
+ * and everyone else hears about it through 'entity:added'.
+ *
+ * The index follows movement on its own: every entity is re-bucketed
+ * after each simulation step, and on 'entity:transformed' (gizmo drags,
+ * undo / redo) straight away. Code that moves an entity outside the
+ * simulation and queries before the next step calls refresh(entity).
+ *
+ * It also runs the component systems: each step, after the entities' own
+ * update(), every component type with an update() is stepped in one pass
+ * over its components (in `static order`, see Component.js).
+ * getComponents(type) / getWithComponent(type) list what is attached to
+ * registered entities.
  *
  * Exported as a singleton -- one shared registry for the whole application.
  *
+ * Events emitted:
+ *   entity:created { entity }  -- the first time it is added, fully built
+ *                                 (preset components included), before entity:added
+ *   entity:added   { entity }  -- after it is registered
+ *   entity:removed { entity }  -- after it is unregistered
+ *
  * Events listened:
- *   entity:added   { entity }  -- auto-registers the entity
- *   entity:removed { entity }  -- auto-unregisters the entity
+ *   entity:transformed { entity }  -- re-indexes the entity
+ *   entity:tagged / entity:untagged { entity, tag }  -- tag lookup
+ *   entity:disposed    { entity }  -- unregisters it if still registered
+ *   entity:componentAdded   { entity, component }
+ *   entity:componentRemoved { entity, component }
  */
 class EntityManager {
   constructor() {
     /** @type {Entity[]} */
     this._entities = [];
 
+    /** @type {Map<string, Entity>} id -> Entity */
+    this._byId = new Map();
+
     /** @type {Map<string, Entity[]>} type -> Entity[] */
     this._byType = new Map();
 
-    // Auto-register / unregister via EventBus
-    this._onAdded = ({ entity }) => this.add(entity);
-    this._onRemoved = ({ entity }) => this.remove(entity);
-    EventBus.on('entity:added', this._onAdded);
-    EventBus.on('entity:removed', this._onRemoved);
+    /** @type {Map<string, Entity[]>} tag -> Entity[] */
+    this._byTag = new Map();
+
+    /** @type {WeakSet<Entity>} entities whose entity:created has been emitted */
+    this._created = new WeakSet();
+
+    /** Spatial index over every registered entity. */
+    this._index = new SpatialHash(SPATIAL_CELL_SIZE);
+
+    /** @type {Map<string, Component[]>} component type -> components of registered entities */
+    this._byComponent = new Map();
+
+    /**
+     * One system per component type that has update(), in run order.
+     * @type {Array<{ type: string, order: number, components: Component[] }>}
+     */
+    this._systems = [];
+
+    this._onTransformed = ({ entity }) => this._index.update(entity, true);
+    this._onTagged = ({ entity, tag }) => {
+      if (this.has(entity)) addTo(this._byTag, tag, entity);
+    };
+    this._onUntagged = ({ entity, tag }) => {
+      if (this.has(entity)) removeFrom(this._byTag, tag, entity);
+    };
+    this._onDisposed = ({ entity }) => this.remove(entity);
+    EventBus.on('entity:transformed', this._onTransformed);
+    EventBus.on('entity:tagged', this._onTagged);
+    EventBus.on('entity:untagged', this._onUntagged);
+    EventBus.on('entity:disposed', this._onDisposed);
+
+    // Components attached / detached after registration
+    this._onComponentAdded = ({ entity, component }) => {
+      if (this.has(entity)) this._addComponent(component);
+    };
+    this._onComponentRemoved = ({ entity, component }) => {
+      if (this.has(entity)) this._removeComponent(component);
+    };
+    EventBus.on('entity:componentAdded', this._onComponentAdded);
+    EventBus.on('entity:componentRemoved', this._onComponentRemoved);
   }
 
   /* -----------------------------------------------------------
@@ -32,41 +95,114 @@ class EntityManager {
    * --------------------------------------------------------- */
 
   /**
-   * Add an entity to the registry.
-   * Duplicate adds are silently ignored.
+   * Add an entity to the registry and announce it ('entity:added').
+   * Duplicate adds are silently ignored. An entity whose ID is already
+   * taken by another one is not added: IDs are never changed behind the
+   * caller's back, so one that may clash (a saved ID) is checked with
+   * getById() first.
    *
    * @param {Entity} entity
+   * @returns {boolean} true if the entity is (now) registered
    */
   add(entity) {
-    if (this._entities.indexOf(entity) !== -1) return;
+    if (this.has(entity)) return true;
+    if (entity.disposed) {
+      console.warn(`[EntityManager] Not adding disposed entity "${entity.name}"`);
+      return false;
+    }
+    if (this._byId.has(entity.id)) {
+      console.warn(`[EntityManager] Not adding "${entity.name}": ID "${entity.id}" is taken by "${this._byId.get(entity.id).name}"`);
+      return false;
+    }
+    if (!this._created.has(entity)) {
+      this._created.add(entity);
+      EventBus.emit('entity:created', { entity });
+    }
 
     this._entities.push(entity);
+    this._byId.set(entity.id, entity);
+    addTo(this._byType, entity.type, entity);
+    for (const tag of entity.tags) addTo(this._byTag, tag, entity);
+
+    this._index.insert(entity);
 
-    const type = entity.type;
-    if (!this._byType.has(type)) this._byType.set(type, []);
-    this._byType.get(type).push(entity);
+    for (const component of entity.components.values()) {
+      this._addComponent(component);
+    }
+
+    EventBus.emit('entity:added', { entity });
+    return true;
   }
 
   /**
-   * Remove an entity from the registry.
+   * Remove an entity from the registry and announce it ('entity:removed').
+   * The entity is not disposed (undo may add it back).
    *
    * @param {Entity} entity
    */
   remove(entity) {
-    const idx = this._entities.indexOf(entity);
-    if (idx !== -1) this._entities.splice(idx, 1);
+    if (!this.has(entity)) return;
+    this._entities.splice(this._entities.indexOf(entity), 1);
+    this._byId.delete(entity.id);
+    removeFrom(this._byType, entity.type, entity);
+    for (const tag of entity.tags) removeFrom(this._byTag, tag, entity);
+
+    this._index.remove(entity);
 
-    const typeArr = this._byType.get(entity.type);
-    if (typeArr) {
-      const tidx = typeArr.indexOf(entity);
-      if (tidx !== -1) typeArr.splice(tidx, 1);
+    for (const component of entity.components.values()) {
+      this._removeComponent(component);
     }
+
+    EventBus.emit('entity:removed', { entity });
+  }
+
+  /**
+   * @param {Entity} entity
+   * @returns {boolean} whether the entity is registered
+   */
+  has(entity) {
+    return this._byId.get(entity.id) === entity;
+  }
+
+  /**
+   * Re-index an entity moved outside the simulation step, so queries see
+   * it before the next step does. Also picks up a changed mesh size.
+   * @param {Entity} entity
+   */
+  refresh(entity) {
+    this._index.update(entity, true);
   }
 
   /* -----------------------------------------------------------
    * Queries
    * --------------------------------------------------------- */
 
+  /**
+   * @param {string} id
+   * @returns {Entity|null}
+   */
+  getById(id) {
+    return this._byId.get(id) || null;
+  }
+
+  /**
+   * First entity with exactly this name (names need not be unique).
+   * @param {string} name
+   * @returns {Entity|null}
+   */
+  getByName(name) {
+    return this._entities.find((entity) => entity.name === name) || null;
+  }
+
+  /**
+   * Get all entities carrying a tag.
+   * @param {string} tag
+   * @returns {Entity[]}
+   */
+  getByTag(tag) {
+    return this._byTag.get(tag) || [];
+  }
+
   /**
    * Get all entities of a specific type.
    * @param {string} type -- e.g. 'character', 'prop', 'vehicle'
@@ -91,6 +227,24 @@ class EntityManager {
     return this._entities.length;
   }
 
+  /**
+   * Components of one type attached to registered entities.
+   * @param {string} type -- e.g. 'drivable', 'interactable'
+   * @returns {Component[]}
+   */
+  getComponents(type) {
+    return this._byComponent.get(type) || [];
+  }
+
+  /**
+   * Registered entities that have a component of the given type.
+   * @param {string} type
+   * @returns {Entity[]}
+   */
+  getWithComponent(type) {
+    return this.getComponents(type).map((component) => component.entity);
+  }
+
   /* -----------------------------------------------------------
    * Spatial queries
    * --------------------------------------------------------- */
@@ -104,33 +258,56 @@ class EntityManager {
    * @returns {Entity[]}
    */
   findNearby(position, radius, type = null) {
-    const radiusSq = radius * radius;
-    const source = type ? (this._byType.get(type) || []) : this._entities;
-    return source.filter(
-      (e) => e.position.distanceToSquared(position) < radiusSq
-    );
+    return this._index.queryRadius(position, radius, typeFilter(type));
   }
 
   /**
    * Find the single closest entity to `position`.
    *
    * @param {THREE.Vector3} position
-   * @param {string|null}   [type] -- Optional type filter
+   * @param {string|null}   [type]        -- Optional type filter
+   * @param {number}        [maxDistance] -- Ignore anything farther away
    * @returns {Entity|null}
    */
-  findNearest(position, type = null) {
-    const source = type ? (this._byType.get(type) || []) : this._entities;
-    let nearest = null;
-    let minDist = Infinity;
+  findNearest(position, type = null, maxDistance = Infinity) {
+    return this._index.nearest(position, typeFilter(type), maxDistance);
+  }
 
-    for (const e of source) {
-      const d = e.position.distanceToSquared(position);
-      if (d < minDist) {
-        minDist = d;
-        nearest = e;
-      }
-    }
-    return nearest;
+  /**
+   * Find entities whose bounds may overlap `box` (loose bounding spheres).
+   *
+   * @param {THREE.Box3}  box
+   * @param {string|null} [type] -- Optional type filter
+   * @returns {Entity[]}
+   */
+  findInBox(box, type = null) {
+    return this._index.queryBox(box, typeFilter(type));
+  }
+
+  /**
+   * Find entities that may be visible in `frustum` (loose bounding spheres).
+   * Build the frustum with Frustum.setFromProjectionMatrix(camera.projectionMatrix
+   * x camera.matrixWorldInverse).
+   *
+   * @param {THREE.Frustum} frustum
+   * @param {string|null}   [type] -- Optional type filter
+   * @returns {Entity[]}
+   */
+  findInFrustum(frustum, type = null) {
+    return this._index.queryFrustum(frustum, typeFilter(type));
+  }
+
+  /**
+   * Find entities whose bounding sphere `ray` passes through, nearest
+   * first. A broad phase: raycast the returned meshes for exact hits.
+   *
+   * @param {THREE.Ray}   ray
+   * @param {string|null} [type]        -- Optional type filter
+   * @param {number}      [maxDistance] -- Ignore hits farther along the ray
+   * @returns {Array<{ entity: Entity, distance: number }>}
+   */
+  raycast(ray, type = null, maxDistance = Infinity) {
+    return this._index.raycast(ray, typeFilter(type), maxDistance);
   }
 
   /* -----------------------------------------------------------
@@ -138,13 +315,82 @@ class EntityManager {
    * --------------------------------------------------------- */
 
   /**
-   * Tick every registered entity.
+   * Tick every registered entity, then every component system.
    * @param {number} delta -- Seconds since last frame
    */
   update(delta) {
+    if (Profiler.enabled) {
+      this._updateProfiled(delta);
+      return;
+    }
+    for (const entity of this._entities) {
+      entity.update(delta);
+    }
+    for (const system of this._systems) {
+      runSystem(system, delta);
+    }
+    this._reindex();
+  }
+
+  /**
+   * update() with each entity timed as 'entity:<name>' and each component
+   * system as 'system:<type>'.
+   * @private
+   */
+  _updateProfiled(delta) {
+    Profiler.setCounter('entities', this._entities.length);
     for (const entity of this._entities) {
+      const label = `entity:${entity.name}`;
+      Profiler.begin(label);
       entity.update(delta);
+      Profiler.end(label);
+    }
+    for (const system of this._systems) {
+      const label = `system:${system.type}`;
+      Profiler.begin(label);
+      runSystem(system, delta);
+      Profiler.end(label);
+    }
+    Profiler.begin('entity:index');
+    this._reindex();
+    Profiler.end('entity:index');
+  }
+
+  /**
+   * Re-bucket whatever moved this step (entities and anything driving
+   * them, such as the player's vehicle).
+   * @private
+   */
+  _reindex() {
+    for (const entity of this._entities) {
+      this._index.update(entity);
+    }
+  }
+
+  /**
+   * Track a component of a registered entity (and its system, if any).
+   * @private
+   */
+  _addComponent(component) {
+    const type = component.type;
+    let components = this._byComponent.get(type);
+    if (!components) {
+      components = [];
+      this._byComponent.set(type, components);
+      if (typeof component.update === 'function') {
+        this._systems.push({ type, order: component.constructor.order, components });
+        this._systems.sort((a, b) => a.order - b.order);
+      }
     }
+    if (!components.includes(component)) components.push(component);
+  }
+
+  /** @private */
+  _removeComponent(component) {
+    const components = this._byComponent.get(component.type);
+    if (!components) return;
+    const idx = components.indexOf(component);
+    if (idx !== -1) components.splice(idx, 1);
   }
 
   /* -----------------------------------------------------------
@@ -155,15 +401,66 @@ class EntityManager {
    * Dispose every entity and clear the registry.
    */
   dispose() {
+    EventBus.off('entity:disposed', this._onDisposed);
     for (const entity of this._entities) {
       entity.dispose();
     }
     this._entities = [];
+    this._byId.clear();
     this._byType.clear();
+    this._byTag.clear();
+    this._byComponent.clear();
+    this._systems = [];
+    this._index.clear();
+
+    EventBus.off('entity:transformed', this._onTransformed);
+    EventBus.off('entity:tagged', this._onTagged);
+    EventBus.off('entity:untagged', this._onUntagged);
+    EventBus.off('entity:componentAdded', this._onComponentAdded);
+    EventBus.off('entity:componentRemoved', this._onComponentRemoved);
+  }
+}
 
-    EventBus.off('entity:added', this._onAdded);
-    EventBus.off('entity:removed', this._onRemoved);
+/**
+ * @param {Map<string, Entity[]>} map
+ * @param {string} key
+ * @param {Entity} entity
+ */
+function addTo(map, key, entity) {
+  if (!map.has(key)) map.set(key, []);
+  map.get(key).push(entity);
+}
+
+/**
+ * @param {Map<string, Entity[]>} map
+ * @param {string} key
+ * @param {Entity} entity
+ */
+function removeFrom(map, key, entity) {
+  const list = map.get(key);
+  if (!list) return;
+  const idx = list.indexOf(entity);
+  if (idx !== -1) list.splice(idx, 1);
+  if (list.length === 0) map.delete(key);
+}
+
+/**
+ * Step every enabled component of one type.
+ * @param {{ components: Component[] }} system
+ * @param {number} delta
+ */
+function runSystem(system, delta) {
+  for (const component of system.components) {
+    if (component.enabled) component.update(delta);
   }
 }
 
+/**
+ * @param {string|null} type
+ * @returns {Function|null} entity => boolean, or null for no filter
+ */
+function typeFilter(type) {
+  return type ? (entity) => entity.type === type : null;
+}
+
 export default new EntityManager();
@@ -0,0 +1,32 @@
+import Vehicle from './Vehicle.js';
+import NPC from './NPC.js';
+import Prop from './Prop.js';
+import Environment from './Environment.js';
+
+/**
+ * Entity preset for each entity type. The model browser, the spawn
+ * command and scene loads all build entities through this table, so an
+ * entity's `type` is always the one it was created (or saved) with.
+ */
+export const ENTITY_CLASSES = {
+  vehicle: Vehicle,
+  character: NPC,
+  prop: Prop,
+  environment: Environment,
+};
+
+/**
+ * Build the preset entity for `type`, falling back to a Prop for
+ * unknown types.
+ *
+ * @param {string} type — 'character' | 'vehicle' | 'prop' | 'environment'
+ * @param {THREE.Object3D} mesh
+ * @param {THREE.AnimationClip[]} [animations]
+ * @param {string} [name]
+ * @param {string} [id] — stable ID (saved or fixed); a new UUID by default
+ * @returns {import('./Entity.js').default}
+ */
+export function createEntity(type, mesh, animations = [], name, id) {
+  const EntityClass = ENTITY_CLASSES[type] || Prop;
+  return new EntityClass(mesh, animations, name, id);
+}
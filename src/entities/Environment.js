@@ -0,0 +1,29 @@
+import Entity from './Entity.js';
+import Animator from './components/Animator.js';
+import Collider from './components/Collider.js';
+
+/**
+ * Fixed piece of the world (buildings, terrain pieces, street furniture).
+ * Like a Prop, but its box Collider has mass 0, so vehicles and
+ * characters collide with it without pushing it around.
+ * If the GLB contains animations, an autoplaying Animator plays them all.
+ */
+class Environment extends Entity {
+  /**
+   * @param {THREE.Object3D} mesh
+   * @param {THREE.AnimationClip[]} animations
+   * @param {string} name
+   * @param {string} [id] -- stable ID (see Entity)
+   */
+  constructor(mesh, animations = [], name = 'environment', id) {
+    super(mesh, 'environment', name, id);
+
+    this.addComponent(new Collider({ shape: 'box', mass: 0 }));
+
+    if (animations.length > 0) {
+      this.addComponent(new Animator(animations, { autoplay: true }));
+    }
+  }
+}
+
+export default Environment;
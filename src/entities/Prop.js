@@ -1,41 +1,30 @@
-import { AnimationMixer } from 'three';
 import Entity from './Entity.js';
+import Animator from './components/Animator.js';
+import Collider from './components/Collider.js';
+import { PROP_MASS } from '../utils/constants.js';
 
 /**
- * Static or animated world object (buildings, trees, props).
- * If the GLB contains animations, they auto-play.
+ * Movable world object (crates, barrels, cones); fixed pieces of the
+ * world are Environment entities.
+ * If the GLB contains animations, an autoplaying Animator plays them all.
+ * A box Collider of PROP_MASS lets vehicles and characters shove it
+ * around; set its mass to 0 for props that should not move.
  */
 class Prop extends Entity {
   /**
    * @param {THREE.Object3D} mesh
    * @param {THREE.AnimationClip[]} animations
    * @param {string} name
+   * @param {string} [id] -- stable ID (see Entity)
    */
-  constructor(mesh, animations = [], name = 'prop') {
-    super(mesh, 'prop', name);
-    this._mixer = null;
+  constructor(mesh, animations = [], name = 'prop', id) {
+    super(mesh, 'prop', name, id);
 
-    if (animations.length > 0) {
-      this._mixer = new AnimationMixer(mesh);
-      // Play all animations by default
-      for (const clip of animations) {
-        this._mixer.clipAction(clip).play();
-      }
-    }
-  }
+    this.addComponent(new Collider({ shape: 'box', mass: PROP_MASS }));
 
-  update(delta) {
-    if (this._mixer) {
-      this._mixer.update(delta);
-    }
-  }
-
-  dispose() {
-    if (this._mixer) {
-      this._mixer.stopAllAction();
-      this._mixer = null;
+    if (animations.length > 0) {
+      this.addComponent(new Animator(animations, { autoplay: true }));
     }
-    super.dispose();
   }
 }
 
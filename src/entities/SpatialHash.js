@@ -0,0 +1,438 @@
+import { Box3, Sphere, Vector3 } from 'three';
+
+/**
+ * Uniform grid over the ground plane (X / Z) for entity queries.
+ *
+ * Each entity is kept as a bounding sphere around its position (loose:
+ * large enough for any rotation of its mesh) and listed in every cell
+ * that sphere overlaps. Cells are created on demand, so the grid has no
+ * fixed extent. Queries gather candidates from the cells they touch and
+ * then test the candidates exactly:
+ *
+ *   queryRadius   -- entity positions within a distance
+ *   nearest       -- closest entity position, searching outward ring by ring
+ *   queryBox      -- bounding spheres overlapping an AABB
+ *   queryFrustum  -- bounding spheres inside a camera frustum
+ *   raycast       -- bounding spheres hit by a ray, nearest first
+ *
+ * Box, frustum and ray results are broad-phase: callers wanting an exact
+ * answer test the meshes of the returned entities (picking does).
+ *
+ * The hash does not watch entities. update() re-buckets one that moved;
+ * EntityManager calls it for every entity after each simulation step.
+ */
+
+/** Cell coordinates map to one integer key while |cell| < KEY_OFFSET. */
+const KEY_OFFSET = 32768;
+
+class SpatialHash {
+  /**
+   * @param {number} [cellSize=16] -- cell edge length (world units)
+   */
+  constructor(cellSize = 16) {
+    this.cellSize = cellSize;
+
+    /** @type {Map<number, { entries: Set<object>, minY: number, maxY: number }>} key -> cell */
+    this._cells = new Map();
+
+    /** @type {Map<object, object>} entity -> entry */
+    this._entries = new Map();
+
+    /** Cell range ever occupied (bounds the nearest() search). */
+    this._bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+
+    /** Incremented per query so entities listed in several cells are visited once. */
+    this._stamp = 0;
+  }
+
+  /** Number of indexed entities. */
+  get size() {
+    return this._entries.size;
+  }
+
+  /* -----------------------------------------------------------
+   * Maintenance
+   * --------------------------------------------------------- */
+
+  /**
+   * Index an entity at its current position and size.
+   * @param {import('./Entity.js').default} entity
+   */
+  insert(entity) {
+    if (this._entries.has(entity)) return;
+    const entry = {
+      entity,
+      position: new Vector3(),
+      scale: new Vector3(),
+      radius: 0,
+      minCX: 0, maxCX: -1, minCZ: 0, maxCZ: -1, // empty range -- not in any cell yet
+      stamp: 0,
+    };
+    this._entries.set(entity, entry);
+    this._measure(entry);
+    this._place(entry);
+  }
+
+  /** @param {import('./Entity.js').default} entity */
+  remove(entity) {
+    const entry = this._entries.get(entity);
+    if (!entry) return;
+    this._unplace(entry);
+    this._entries.delete(entity);
+  }
+
+  /**
+   * Re-bucket an entity that may have moved. Cheap when it has not.
+   * @param {import('./Entity.js').default} entity
+   * @param {boolean} [remeasure=false] -- recompute its bounding radius
+   *   (scale changes are picked up without this)
+   * @returns {boolean} true if the index changed
+   */
+  update(entity, remeasure = false) {
+    const entry = this._entries.get(entity);
+    if (!entry) return false;
+
+    const mesh = entity.mesh;
+    const resized = remeasure || !entry.scale.equals(mesh.scale);
+    if (!resized && entry.position.equals(mesh.position)) return false;
+
+    if (resized) this._measure(entry);
+    entry.position.copy(mesh.position);
+
+    const r = this._cellRange(entry);
+    if (r.minCX === entry.minCX && r.maxCX === entry.maxCX && r.minCZ === entry.minCZ && r.maxCZ === entry.maxCZ) {
+      // Same cells -- only the vertical extent may have grown
+      this._forEachCell(entry, (cell) => this._growCellY(cell, entry));
+      return true;
+    }
+    this._unplace(entry);
+    this._place(entry);
+    return true;
+  }
+
+  /** Remove everything. */
+  clear() {
+    this._cells.clear();
+    this._entries.clear();
+    this._bounds = { minX: Infinity, maxX: -Infinity, minZ: Infinity, maxZ: -Infinity };
+  }
+
+  /* -----------------------------------------------------------
+   * Queries (filter is an optional entity => boolean)
+   * --------------------------------------------------------- */
+
+  /**
+   * Entities whose position is within `radius` of `position`.
+   * @param {THREE.Vector3} position
+   * @param {number} radius
+   * @param {Function|null} [filter]
+   * @returns {Entity[]}
+   */
+  queryRadius(position, radius, filter = null) {
+    const result = [];
+    const radiusSq = radius * radius;
+    const stamp = ++this._stamp;
+    const size = this.cellSize;
+    const minCX = Math.floor((position.x - radius) / size);
+    const maxCX = Math.floor((position.x + radius) / size);
+    const minCZ = Math.floor((position.z - radius) / size);
+    const maxCZ = Math.floor((position.z + radius) / size);
+
+    const test = (entry) => {
+      if (entry.stamp === stamp) return;
+      entry.stamp = stamp;
+      const entity = entry.entity;
+      if (entity.position.distanceToSquared(position) < radiusSq && (!filter || filter(entity))) {
+        result.push(entity);
+      }
+    };
+
+    // A radius covering more cells than are occupied is cheaper as a scan
+    if ((maxCX - minCX + 1) * (maxCZ - minCZ + 1) > this._cells.size) {
+      for (const entry of this._entries.values()) test(entry);
+      return result;
+    }
+    for (let cx = minCX; cx <= maxCX; cx++) {
+      for (let cz = minCZ; cz <= maxCZ; cz++) {
+        const cell = this._cells.get(cellKey(cx, cz));
+        if (cell) for (const entry of cell.entries) test(entry);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Entity whose position is closest to `position`.
+   * @param {THREE.Vector3} position
+   * @param {Function|null} [filter]
+   * @param {number} [maxDistance=Infinity]
+   * @returns {Entity|null}
+   */
+  nearest(position, filter = null, maxDistance = Infinity) {
+    if (this._entries.size === 0) return null;
+
+    const size = this.cellSize;
+    const cx0 = Math.floor(position.x / size);
+    const cz0 = Math.floor(position.z / size);
+    const b = this._bounds;
+    // Rings beyond this hold no cells
+    const lastRing = Math.max(cx0 - b.minX, b.maxX - cx0, cz0 - b.minZ, b.maxZ - cz0, 0);
+    const stamp = ++this._stamp;
+
+    let best = null;
+    let bestSq = maxDistance === Infinity ? Infinity : maxDistance * maxDistance;
+    const visit = (entry) => {
+      if (entry.stamp === stamp) return;
+      entry.stamp = stamp;
+      const d = entry.entity.position.distanceToSquared(position);
+      if (d < bestSq && (!filter || filter(entry.entity))) {
+        bestSq = d;
+        best = entry.entity;
+      }
+    };
+
+    for (let ring = 0; ring <= lastRing; ring++) {
+      // Everything in ring k or beyond is at least (k - 1) cells away
+      const reach = Math.max(0, ring - 1) * size;
+      if (reach * reach >= bestSq) break;
+
+      // A ring with more cells than are occupied is cheaper to finish by scanning
+      if (ring * 8 > this._cells.size) {
+        for (const entry of this._entries.values()) visit(entry);
+        break;
+      }
+      forEachRingCell(cx0, cz0, ring, (cx, cz) => {
+        const cell = this._cells.get(cellKey(cx, cz));
+        if (cell) for (const entry of cell.entries) visit(entry);
+      });
+    }
+    return best;
+  }
+
+  /**
+   * Entities whose bounding sphere overlaps `box`.
+   * @param {THREE.Box3} box
+   * @param {Function|null} [filter]
+   * @returns {Entity[]}
+   */
+  queryBox(box, filter = null) {
+    const result = [];
+    const stamp = ++this._stamp;
+    const size = this.cellSize;
+    const minCX = Math.floor(box.min.x / size);
+    const maxCX = Math.floor(box.max.x / size);
+    const minCZ = Math.floor(box.min.z / size);
+    const maxCZ = Math.floor(box.max.z / size);
+
+    const test = (entry) => {
+      if (entry.stamp === stamp) return;
+      entry.stamp = stamp;
+      _sphere.set(entry.position, entry.radius);
+      if (box.intersectsSphere(_sphere) && (!filter || filter(entry.entity))) result.push(entry.entity);
+    };
+
+    // Huge boxes touch more (empty) cells than there are occupied ones
+    if ((maxCX - minCX + 1) * (maxCZ - minCZ + 1) > this._cells.size) {
+      for (const entry of this._entries.values()) test(entry);
+      return result;
+    }
+    for (let cx = minCX; cx <= maxCX; cx++) {
+      for (let cz = minCZ; cz <= maxCZ; cz++) {
+        const cell = this._cells.get(cellKey(cx, cz));
+        if (cell) for (const entry of cell.entries) test(entry);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Entities whose bounding sphere is at least partly inside `frustum`.
+   * @param {THREE.Frustum} frustum
+   * @param {Function|null} [filter]
+   * @returns {Entity[]}
+   */
+  queryFrustum(frustum, filter = null) {
+    const result = [];
+    const stamp = ++this._stamp;
+
+    for (const [key, cell] of this._cells) {
+      if (!frustum.intersectsBox(this._cellBox(key, cell, _box))) continue;
+      for (const entry of cell.entries) {
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        _sphere.set(entry.position, entry.radius);
+        if (frustum.intersectsSphere(_sphere) && (!filter || filter(entry.entity))) result.push(entry.entity);
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Entities whose bounding sphere the ray hits, nearest first.
+   * @param {THREE.Ray} ray
+   * @param {Function|null} [filter]
+   * @param {number} [maxDistance=Infinity]
+   * @returns {Array<{ entity: Entity, distance: number }>} distance to the sphere along the ray
+   *   (0 when the ray starts inside it)
+   */
+  raycast(ray, filter = null, maxDistance = Infinity) {
+    const hits = [];
+    const stamp = ++this._stamp;
+
+    for (const [key, cell] of this._cells) {
+      const boxHit = ray.intersectBox(this._cellBox(key, cell, _box), _point);
+      if (!boxHit || boxHit.distanceTo(ray.origin) > maxDistance) continue;
+
+      for (const entry of cell.entries) {
+        if (entry.stamp === stamp) continue;
+        entry.stamp = stamp;
+        _sphere.set(entry.position, entry.radius);
+        const hit = ray.intersectSphere(_sphere, _point);
+        if (!hit) continue;
+        const distance = _sphere.containsPoint(ray.origin) ? 0 : hit.distanceTo(ray.origin);
+        if (distance <= maxDistance && (!filter || filter(entry.entity))) {
+          hits.push({ entity: entry.entity, distance });
+        }
+      }
+    }
+    return hits.sort((a, b) => a.distance - b.distance);
+  }
+
+  /* -----------------------------------------------------------
+   * Internal
+   * --------------------------------------------------------- */
+
+  /**
+   * Bounding radius around the entity's position, from its world bounds.
+   * @private
+   */
+  _measure(entry) {
+    const entity = entry.entity;
+    entry.scale.copy(entity.mesh.scale);
+    entry.position.copy(entity.mesh.position);
+
+    const bounds = entity.getBounds();
+    if (bounds.isEmpty()) {
+      entry.radius = 0;
+      return;
+    }
+    bounds.getBoundingSphere(_sphere);
+    entry.radius = _sphere.center.distanceTo(entry.position) + _sphere.radius;
+  }
+
+  /** @private */
+  _cellRange(entry) {
+    const { position: p, radius: r } = entry;
+    const size = this.cellSize;
+    _range.minCX = Math.floor((p.x - r) / size);
+    _range.maxCX = Math.floor((p.x + r) / size);
+    _range.minCZ = Math.floor((p.z - r) / size);
+    _range.maxCZ = Math.floor((p.z + r) / size);
+    return _range;
+  }
+
+  /** @private */
+  _place(entry) {
+    Object.assign(entry, this._cellRange(entry));
+    const b = this._bounds;
+    b.minX = Math.min(b.minX, entry.minCX);
+    b.maxX = Math.max(b.maxX, entry.maxCX);
+    b.minZ = Math.min(b.minZ, entry.minCZ);
+    b.maxZ = Math.max(b.maxZ, entry.maxCZ);
+
+    for (let cx = entry.minCX; cx <= entry.maxCX; cx++) {
+      for (let cz = entry.minCZ; cz <= entry.maxCZ; cz++) {
+        const key = cellKey(cx, cz);
+        let cell = this._cells.get(key);
+        if (!cell) {
+          cell = { entries: new Set(), minY: Infinity, maxY: -Infinity };
+          this._cells.set(key, cell);
+        }
+        cell.entries.add(entry);
+        this._growCellY(cell, entry);
+      }
+    }
+  }
+
+  /** @private */
+  _unplace(entry) {
+    for (let cx = entry.minCX; cx <= entry.maxCX; cx++) {
+      for (let cz = entry.minCZ; cz <= entry.maxCZ; cz++) {
+        const key = cellKey(cx, cz);
+        const cell = this._cells.get(key);
+        if (!cell) continue;
+        cell.entries.delete(entry);
+        // Empty cells go, so the vertical extent of a cell only grows while occupied
+        if (cell.entries.size === 0) this._cells.delete(key);
+      }
+    }
+  }
+
+  /** @private */
+  _forEachCell(entry, fn) {
+    for (let cx = entry.minCX; cx <= entry.maxCX; cx++) {
+      for (let cz = entry.minCZ; cz <= entry.maxCZ; cz++) {
+        const cell = this._cells.get(cellKey(cx, cz));
+        if (cell) fn(cell);
+      }
+    }
+  }
+
+  /** @private */
+  _growCellY(cell, entry) {
+    cell.minY = Math.min(cell.minY, entry.position.y - entry.radius);
+    cell.maxY = Math.max(cell.maxY, entry.position.y + entry.radius);
+  }
+
+  /**
+   * World box of a cell, spanning the heights of what it holds.
+   * @private
+   */
+  _cellBox(key, cell, target) {
+    const cx = Math.floor(key / (KEY_OFFSET * 2)) - KEY_OFFSET;
+    const cz = (key % (KEY_OFFSET * 2)) - KEY_OFFSET;
+    const size = this.cellSize;
+    target.min.set(cx * size, cell.minY, cz * size);
+    target.max.set((cx + 1) * size, cell.maxY, (cz + 1) * size);
+    return target;
+  }
+}
+
+/**
+ * @param {number} cx
+ * @param {number} cz
+ * @returns {number}
+ */
+function cellKey(cx, cz) {
+  return (cx + KEY_OFFSET) * (KEY_OFFSET * 2) + (cz + KEY_OFFSET);
+}
+
+/**
+ * Call fn(cx, cz) for the cells at Chebyshev distance `ring` from (cx0, cz0).
+ * @param {number} cx0
+ * @param {number} cz0
+ * @param {number} ring
+ * @param {Function} fn
+ */
+function forEachRingCell(cx0, cz0, ring, fn) {
+  if (ring === 0) {
+    fn(cx0, cz0);
+    return;
+  }
+  for (let dx = -ring; dx <= ring; dx++) {
+    fn(cx0 + dx, cz0 - ring);
+    fn(cx0 + dx, cz0 + ring);
+  }
+  for (let dz = -ring + 1; dz <= ring - 1; dz++) {
+    fn(cx0 - ring, cz0 + dz);
+    fn(cx0 + ring, cz0 + dz);
+  }
+}
+
+// Scratch objects shared by every query
+const _sphere = new Sphere();
+const _box = new Box3();
+const _point = new Vector3();
+const _range = { minCX: 0, maxCX: 0, minCZ: 0, maxCZ: 0 };
+
+export default SpatialHash;
@@ -0,0 +1,111 @@
+import EventBus from '../core/EventBus.js';
+import { HAS_DOM } from '../utils/env.js';
+
+/**
+ * Named sets of tuned component properties (see Component `properties`),
+ * saved in localStorage so tuning done in the inspector survives reloads.
+ *
+ * A preset maps component types to property values:
+ *   { drivable: { maxSpeed: 55, friction: 6 }, collider: { radius: 1.8 } }
+ * Applying it to an entity sets the values of the components that entity
+ * has and ignores the rest, so a vehicle preset also works on a prop
+ * given a Drivable.
+ *
+ * Exported as a singleton.
+ *
+ * Events emitted:
+ *   presets:changed { names }  -- after a save or removal, all names sorted
+ *
+ * Usage:
+ *   TuningPresets.save('Drift', vehicle);
+ *   const values = TuningPresets.get('Drift');   // for PropertiesCommand
+ */
+
+/** localStorage key for the saved presets. */
+const STORAGE_KEY = 'desde-cero.tuning-presets';
+
+class TuningPresets {
+  constructor() {
+    /** @type {object} name -> component type -> { key: value } */
+    this._presets = load();
+  }
+
+  /**
+   * Preset names, sorted. With an entity, only presets that set
+   * properties of at least one of its components.
+   * @param {import('./Entity.js').default} [entity]
+   * @returns {string[]}
+   */
+  getNames(entity = null) {
+    return Object.keys(this._presets)
+      .filter((name) => !entity || Object.keys(this._presets[name]).some((type) => entity.hasComponent(type)))
+      .sort((a, b) => a.localeCompare(b));
+  }
+
+  /**
+   * @param {string} name
+   * @returns {object|null} copy of the preset's values
+   */
+  get(name) {
+    const preset = this._presets[name];
+    return preset ? structuredClone(preset) : null;
+  }
+
+  /**
+   * Current property values of an entity's components, in preset form.
+   * @param {import('./Entity.js').default} entity
+   * @returns {object} component type -> { key: value }
+   */
+  capture(entity) {
+    const values = {};
+    for (const component of entity.components.values()) {
+      if (Object.keys(component.constructor.properties).length > 0) {
+        values[component.type] = component.getProperties();
+      }
+    }
+    return values;
+  }
+
+  /**
+   * Save an entity's current values under a name (replacing a preset of
+   * that name). The Renderable's visibility is scene state, not tuning,
+   * so it isn't included.
+   * @param {string} name
+   * @param {import('./Entity.js').default} entity
+   */
+  save(name, entity) {
+    const values = this.capture(entity);
+    delete values.renderable;
+    this._presets[name] = values;
+    this._changed();
+  }
+
+  /** @param {string} name */
+  remove(name) {
+    if (!(name in this._presets)) return;
+    delete this._presets[name];
+    this._changed();
+  }
+
+  /** @private */
+  _changed() {
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this._presets));
+    } catch (err) {
+      console.warn('[TuningPresets] Could not save presets:', err);
+    }
+    EventBus.emit('presets:changed', { names: this.getNames() });
+  }
+}
+
+/** @returns {object} */
+function load() {
+  try {
+    const saved = HAS_DOM ? JSON.parse(localStorage.getItem(STORAGE_KEY)) : null;
+    return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+  } catch {
+    return {};
+  }
+}
+
+export default new TuningPresets();
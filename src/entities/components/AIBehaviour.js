@@ -0,0 +1,357 @@
+import { Vector3 } from 'three';
+import Component from '../Component.js';
+import EntityManager from '../EntityManager.js';
+import { random } from '../../utils/random.js';
+import { NPC_AVOID_RADIUS, NPC_AVOID_WEIGHT, NPC_AVOID_REACH } from '../../utils/constants.js';
+
+/**
+ * Locomotion behaviours for any entity.
+ *
+ * Supported behaviours:
+ *   idle   -- stand still, play the "idle" clip
+ *   wander -- pick random points within a radius and walk between them
+ *   patrol -- follow an ordered list of waypoints in a loop
+ *
+ * While moving, the entity steers around other entities (NPCs, vehicles,
+ * props) found through the EntityManager's spatial index. The "walk" and
+ * "idle" clips play through the entity's Animator, when it has one.
+ *
+ * The mesh is turned to face where it goes: models face +Z, except
+ * drivable ones, which face -Z like Drivable drives them (override with
+ * `yawOffset`). A Drivable that is occupied is left to its driver, and
+ * an entity knocked down (Knockdown) waits until it is back up.
+ */
+class AIBehaviour extends Component {
+  static type = 'ai';
+  static order = 10;
+
+  static properties = {
+    behavior: {
+      label: 'Behaviour', type: 'choice',
+      options: [
+        { value: 'idle', label: 'Idle' },
+        { value: 'wander', label: 'Wander' },
+        { value: 'patrol', label: 'Patrol' },
+      ],
+    },
+    speed:        { label: 'Speed',         type: 'number', min: 0.5, max: 15,  step: 0.1 },
+    wanderRadius: { label: 'Wander radius', type: 'number', min: 1,   max: 200, step: 1 },
+    waitDuration: { label: 'Wait (s)',      type: 'number', min: 0,   max: 20,  step: 0.5 },
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {'idle'|'wander'|'patrol'} [options.behavior]
+   * @param {number} [options.speed]        -- World units per second
+   * @param {number} [options.wanderRadius]
+   * @param {number} [options.waitDuration] -- Base seconds to pause at each stop
+   * @param {number} [options.yawOffset]    -- Radians added to the facing
+   */
+  constructor({ behavior = 'idle', speed = 2, wanderRadius = 30, waitDuration = 3, yawOffset = null } = {}) {
+    super();
+
+    /** @type {'idle'|'wander'|'patrol'} */
+    this._behavior = behavior;
+
+    this._speed = speed;
+    this._wanderRadius = wanderRadius;
+    this._wanderCenter = new Vector3();
+    this._targetPoint = new Vector3();
+    this._yawOffset = yawOffset;
+
+    this._waitTimer = 0;
+    this._waitDuration = waitDuration;
+    this._isWaiting = true;
+
+    /** @type {THREE.Vector3[]|null} */
+    this._waypoints = null;
+    this._waypointIndex = 0;
+  }
+
+  onAttach() {
+    this._wanderCenter.copy(this.entity.mesh.position);
+    this.setBehavior(this._behavior);
+  }
+
+  /** @returns {'idle'|'wander'|'patrol'} */
+  get behavior() {
+    return this._behavior;
+  }
+
+  set behavior(behavior) {
+    this.setBehavior(behavior);
+  }
+
+  /** @returns {number} world units per second */
+  get speed() {
+    return this._speed;
+  }
+
+  set speed(speed) {
+    this._speed = speed;
+  }
+
+  /** @returns {number} */
+  get wanderRadius() {
+    return this._wanderRadius;
+  }
+
+  set wanderRadius(radius) {
+    this._wanderRadius = radius;
+  }
+
+  /** @returns {number} base seconds paused at each stop */
+  get waitDuration() {
+    return this._waitDuration;
+  }
+
+  set waitDuration(seconds) {
+    this._waitDuration = seconds;
+  }
+
+  /* -----------------------------------------------------------
+   * Behaviour API
+   * --------------------------------------------------------- */
+
+  /**
+   * Switch the locomotion behaviour.
+   * @param {'idle'|'wander'|'patrol'} behavior
+   */
+  setBehavior(behavior) {
+    this._behavior = behavior;
+
+    if (behavior === 'idle') {
+      this._isWaiting = true;
+      this._play('idle');
+    } else if (behavior === 'wander') {
+      this._pickWanderTarget();
+    } else if (behavior === 'patrol' && this._waypoints) {
+      this._isWaiting = false;
+      this._play('walk');
+    }
+    // patrol relies on setWaypoints having been called first
+  }
+
+  /**
+   * Assign an ordered list of world-space points and start patrolling.
+   * @param {THREE.Vector3[]} points
+   */
+  setWaypoints(points) {
+    this._waypoints = points;
+    this._waypointIndex = 0;
+    this._isWaiting = false;
+    this._behavior = 'patrol';
+    this._play('walk');
+  }
+
+  /**
+   * Set movement speed in world units per second.
+   * @param {number} speed
+   */
+  setSpeed(speed) {
+    this._speed = speed;
+  }
+
+  /**
+   * Set the maximum distance from center for wander behaviour.
+   * @param {number} radius
+   */
+  setWanderRadius(radius) {
+    this._wanderRadius = radius;
+  }
+
+  /* -----------------------------------------------------------
+   * Internal: wander logic
+   * --------------------------------------------------------- */
+
+  /** @private Pick a random point within the wander radius. */
+  _pickWanderTarget() {
+    const angle = random() * Math.PI * 2;
+    const dist = random() * this._wanderRadius;
+    this._targetPoint.set(
+      this._wanderCenter.x + Math.cos(angle) * dist,
+      0,
+      this._wanderCenter.z + Math.sin(angle) * dist
+    );
+    this._isWaiting = false;
+    this._play('walk');
+  }
+
+  /** @private */
+  _updateWander(delta) {
+    if (this._isWaiting) {
+      this._waitTimer -= delta;
+      if (this._waitTimer <= 0) {
+        this._pickWanderTarget();
+      }
+      return;
+    }
+
+    this._moveToward(this._targetPoint, delta, () => {
+      this._isWaiting = true;
+      this._waitTimer = this._waitDuration * (0.5 + random());
+      this._play('idle');
+    });
+  }
+
+  /* -----------------------------------------------------------
+   * Internal: patrol logic
+   * --------------------------------------------------------- */
+
+  /** @private */
+  _updatePatrol(delta) {
+    if (!this._waypoints || this._waypoints.length === 0) return;
+
+    if (this._isWaiting) {
+      this._waitTimer -= delta;
+      if (this._waitTimer <= 0) {
+        this._isWaiting = false;
+        this._waypointIndex =
+          (this._waypointIndex + 1) % this._waypoints.length;
+        this._play('walk');
+      }
+      return;
+    }
+
+    const target = this._waypoints[this._waypointIndex];
+    this._moveToward(target, delta, () => {
+      this._isWaiting = true;
+      this._waitTimer = this._waitDuration;
+      this._play('idle');
+    });
+  }
+
+  /* -----------------------------------------------------------
+   * Internal: shared movement
+   * --------------------------------------------------------- */
+
+  /**
+   * Move the entity toward `target`, steering around nearby entities. When
+   * within arrival threshold, call `onArrive`. Also rotates the mesh to
+   * face the movement direction.
+   *
+   * @private
+   * @param {THREE.Vector3} target
+   * @param {number}        delta
+   * @param {Function}      onArrive
+   */
+  _moveToward(target, delta, onArrive) {
+    const mesh = this.entity.mesh;
+    const dir = _dir.subVectors(target, mesh.position);
+    dir.y = 0;
+    const dist = dir.length();
+
+    if (dist < 0.5) {
+      onArrive();
+      return;
+    }
+
+    dir.normalize();
+    this._avoid(dir);
+    mesh.position.addScaledVector(dir, this._speed * delta);
+
+    // Face movement direction
+    mesh.rotation.y = Math.atan2(dir.x, dir.z) + this._facingOffset();
+  }
+
+  /**
+   * Bend a normalized heading away from entities within NPC_AVOID_RADIUS
+   * (of their Collider's outline, for solid ones), pushing harder the
+   * closer they are. Each push also has a sideways part so an entity
+   * straight ahead is walked around rather than backed off from.
+   *
+   * @private
+   * @param {THREE.Vector3} dir -- Heading, modified in place
+   */
+  _avoid(dir) {
+    const pos = this.entity.mesh.position;
+    const neighbours = EntityManager.findNearby(pos, NPC_AVOID_RADIUS + NPC_AVOID_REACH);
+    _push.set(0, 0, 0);
+
+    for (const other of neighbours) {
+      if (other === this.entity) continue;
+      _away.subVectors(pos, other.position);
+      _away.y = 0;
+      const dist = _away.length();
+      const size = other.getComponent('collider')?.extent ?? 0;
+      const gap = Math.max(0, dist - size);
+      if (dist < 1e-4 || gap >= NPC_AVOID_RADIUS) continue;
+      const weight = 1 - gap / NPC_AVOID_RADIUS;
+      _push.addScaledVector(_away, weight / dist);
+
+      // Perpendicular to the heading, on the side away from the entity
+      const side = dir.z * _away.x - dir.x * _away.z >= 0 ? 1 : -1;
+      _push.x += dir.z * side * weight;
+      _push.z -= dir.x * side * weight;
+    }
+
+    if (_push.lengthSq() === 0) return;
+    _away.copy(dir).addScaledVector(_push, NPC_AVOID_WEIGHT);
+    // A push exactly cancelling the heading keeps the heading rather than stall
+    if (_away.lengthSq() > 1e-8) dir.copy(_away).normalize();
+  }
+
+  /** @private */
+  _facingOffset() {
+    if (this._yawOffset !== null) return this._yawOffset;
+    return this.entity.hasComponent('drivable') ? Math.PI : 0;
+  }
+
+  /** @private */
+  _play(name) {
+    this.entity?.getComponent('animator')?.play(name);
+  }
+
+  /* -----------------------------------------------------------
+   * Frame update
+   * --------------------------------------------------------- */
+
+  /** @param {number} delta */
+  update(delta) {
+    if (this.entity.getComponent('drivable')?.occupied) return;
+    if (this.entity.getComponent('knockdown')?.down) return;
+
+    if (this._behavior === 'wander') {
+      this._updateWander(delta);
+    } else if (this._behavior === 'patrol') {
+      this._updatePatrol(delta);
+    }
+  }
+
+  /* -----------------------------------------------------------
+   * Serialization
+   * --------------------------------------------------------- */
+
+  serialize() {
+    return {
+      behavior: this._behavior,
+      speed: this._speed,
+      wanderRadius: this._wanderRadius,
+      wanderCenter: this._wanderCenter.toArray(),
+      waitDuration: this._waitDuration,
+      yawOffset: this._yawOffset,
+      waypoints: this._waypoints ? this._waypoints.map((p) => p.toArray()) : null,
+    };
+  }
+
+  deserialize(data) {
+    if (data.speed !== undefined) this._speed = data.speed;
+    if (data.wanderRadius !== undefined) this._wanderRadius = data.wanderRadius;
+    if (data.wanderCenter) this._wanderCenter.fromArray(data.wanderCenter);
+    if (data.waitDuration !== undefined) this._waitDuration = data.waitDuration;
+    if (data.yawOffset !== undefined) this._yawOffset = data.yawOffset;
+    if (data.waypoints) {
+      this.setWaypoints(data.waypoints.map((p) => new Vector3().fromArray(p)));
+    }
+    if (data.behavior) this.setBehavior(data.behavior);
+  }
+}
+
+// Shared Vector3s to avoid per-frame allocations in _moveToward / _avoid
+const _dir = new Vector3();
+const _push = new Vector3();
+const _away = new Vector3();
+
+Component.register(AIBehaviour);
+
+export default AIBehaviour;
@@ -0,0 +1,107 @@
+import { AnimationMixer } from 'three';
+import Component from '../Component.js';
+import AnimationManager from '../../animation/AnimationManager.js';
+
+/**
+ * Animation playback for an entity's mesh.
+ *
+ * Clips are resolved in two stages:
+ *   1. Clips embedded in the loaded model (passed to the constructor).
+ *   2. Shared clips registered in the global AnimationManager.
+ *
+ * With `autoplay` every embedded clip plays at once (animated props);
+ * otherwise play() cross-fades between named clips (characters).
+ */
+class Animator extends Component {
+  static type = 'animator';
+  static order = 20;
+
+  /**
+   * @param {THREE.AnimationClip[]} [clips]    -- Clips bundled with the model
+   * @param {object}                [options]
+   * @param {boolean}               [options.autoplay] -- Play every clip on attach
+   */
+  constructor(clips = [], { autoplay = false } = {}) {
+    super();
+    this.clips = clips;
+    this.autoplay = autoplay;
+
+    /** @type {THREE.AnimationMixer|null} */
+    this.mixer = null;
+    /** @type {Object.<string, THREE.AnimationAction>} */
+    this.actions = {};
+    /** @type {THREE.AnimationAction|null} */
+    this.currentAction = null;
+  }
+
+  onAttach() {
+    this.mixer = new AnimationMixer(this.entity.mesh);
+    this.actions = {};
+    this.currentAction = null;
+
+    // Cache actions for every clip that shipped with the model
+    for (const clip of this.clips) {
+      this.actions[clip.name] = this.mixer.clipAction(clip);
+      if (this.autoplay) this.actions[clip.name].play();
+    }
+  }
+
+  onDetach() {
+    this.mixer.stopAllAction();
+    this.mixer.uncacheRoot(this.entity.mesh);
+    this.mixer = null;
+    this.currentAction = null;
+  }
+
+  /**
+   * Cross-fade to the named animation. Checks the model's clips first,
+   * then falls back to the global AnimationManager clip cache.
+   *
+   * @param {string} name       -- Clip name (e.g. 'idle', 'walk', 'run')
+   * @param {number} [fadeTime] -- Cross-fade duration in seconds
+   */
+  play(name, fadeTime = 0.3) {
+    if (!this.mixer) return;
+
+    // Resolve action: local cache -> AnimationManager
+    let action = this.actions[name];
+    if (!action) {
+      action = AnimationManager.createAction(this.mixer, name);
+      if (action) this.actions[name] = action;
+    }
+    if (!action) return;
+
+    // Already playing -- nothing to do
+    if (this.currentAction === action) return;
+
+    // Cross-fade
+    if (this.currentAction) {
+      this.currentAction.fadeOut(fadeTime);
+    }
+    action.reset().fadeIn(fadeTime).play();
+    this.currentAction = action;
+  }
+
+  /** @param {number} delta */
+  update(delta) {
+    this.mixer.update(delta);
+  }
+
+  serialize() {
+    return { autoplay: this.autoplay };
+  }
+
+  deserialize(data) {
+    if (data.autoplay === undefined || data.autoplay === this.autoplay) return;
+    this.autoplay = data.autoplay;
+    for (const action of Object.values(this.actions)) {
+      if (this.autoplay) action.play();
+      else action.stop();
+    }
+    this.currentAction = null;
+  }
+}
+
+Component.register(Animator);
+
+export default Animator;
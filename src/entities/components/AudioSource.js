@@ -0,0 +1,154 @@
+import { AudioLoader, PositionalAudio } from 'three';
+import Component from '../Component.js';
+import Settings from '../../core/Settings.js';
+
+/**
+ * Positional sound emitted from an entity, scaled by the effectsVolume
+ * setting (masterVolume applies to the shared listener).
+ *
+ * Sounds need the listener that main.js attaches to the camera
+ * (AudioSource.setListener). Without one -- headless runs, or before it
+ * exists -- the component keeps its settings but stays silent.
+ */
+
+/** @type {THREE.AudioListener|null} */
+let listener = null;
+
+/** @type {Map<string, Promise<AudioBuffer>>} url -> decoded buffer, shared */
+const buffers = new Map();
+
+class AudioSource extends Component {
+  static type = 'audio';
+  static order = 40;
+
+  static properties = {
+    volume: { label: 'Volume', type: 'number', min: 0, max: 1, step: 0.05 },
+  };
+
+  /**
+   * Set the listener new sounds are heard through.
+   * @param {THREE.AudioListener|null} audioListener
+   */
+  static setListener(audioListener) {
+    listener = audioListener;
+  }
+
+  /**
+   * @param {object}  [options]
+   * @param {string}  [options.url]         -- Sound file
+   * @param {number}  [options.volume]      -- 0-1, before effectsVolume
+   * @param {boolean} [options.loop]
+   * @param {boolean} [options.autoplay]    -- Play once loaded
+   * @param {number}  [options.refDistance] -- Distance at full volume
+   */
+  constructor({ url = '', volume = 1, loop = true, autoplay = true, refDistance = 5 } = {}) {
+    super();
+    this.url = url;
+    this.volume = volume;
+    this.loop = loop;
+    this.autoplay = autoplay;
+    this.refDistance = refDistance;
+
+    /** @type {THREE.PositionalAudio|null} */
+    this.sound = null;
+    /** @private effective volume last applied */
+    this._appliedVolume = -1;
+  }
+
+  onAttach() {
+    this._load();
+  }
+
+  onDetach() {
+    this._release();
+  }
+
+  /** Start (or restart) playback, once the sound has loaded. */
+  play() {
+    if (this.sound?.buffer && !this.sound.isPlaying) this.sound.play();
+  }
+
+  stop() {
+    if (this.sound?.isPlaying) this.sound.stop();
+  }
+
+  /** @param {number} delta */
+  update(delta) {
+    if (!this.sound) return;
+    const volume = this.volume * Settings.get('effectsVolume');
+    if (volume !== this._appliedVolume) {
+      this.sound.setVolume(volume);
+      this._appliedVolume = volume;
+    }
+  }
+
+  serialize() {
+    return {
+      url: this.url,
+      volume: this.volume,
+      loop: this.loop,
+      autoplay: this.autoplay,
+      refDistance: this.refDistance,
+    };
+  }
+
+  deserialize(data) {
+    const previousUrl = this.url;
+    if (typeof data.url === 'string') this.url = data.url;
+    if (data.volume !== undefined) this.volume = data.volume;
+    if (data.loop !== undefined) this.loop = data.loop;
+    if (data.autoplay !== undefined) this.autoplay = data.autoplay;
+    if (data.refDistance !== undefined) this.refDistance = data.refDistance;
+
+    if (this.url !== previousUrl) {
+      this._release();
+      this._load();
+    } else if (this.sound) {
+      this.sound.setLoop(this.loop);
+      this.sound.setRefDistance(this.refDistance);
+    }
+  }
+
+  /* -----------------------------------------------------------
+   * Internal
+   * --------------------------------------------------------- */
+
+  /** @private */
+  _load() {
+    if (!listener || !this.url || !this.entity) return;
+
+    const sound = new PositionalAudio(listener);
+    sound.setLoop(this.loop);
+    sound.setRefDistance(this.refDistance);
+    this.entity.mesh.add(sound);
+    this.sound = sound;
+    this._appliedVolume = -1;
+    this.update(0);
+
+    if (!buffers.has(this.url)) {
+      buffers.set(this.url, new AudioLoader().loadAsync(this.url));
+    }
+    buffers.get(this.url).then((buffer) => {
+      // Detached or reloaded while loading
+      if (this.sound !== sound) return;
+      sound.setBuffer(buffer);
+      if (this.autoplay) sound.play();
+    }).catch((err) => {
+      buffers.delete(this.url);
+      console.warn(`[AudioSource] Could not load "${this.url}":`, err);
+    });
+  }
+
+  /** @private */
+  _release() {
+    if (!this.sound) return;
+    if (this.sound.isPlaying) this.sound.stop();
+    this.sound.removeFromParent();
+    this.sound.gain.disconnect(); // unhook from the listener
+    this.sound = null;
+  }
+}
+
+Component.register(AudioSource);
+
+export default AudioSource;
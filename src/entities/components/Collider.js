@@ -0,0 +1,188 @@
+import { Vector3, Sphere, Box3 } from 'three';
+import Component from '../Component.js';
+import CollisionWorld from '../../physics/CollisionWorld.js';
+import { measureLocalBounds } from '../../utils/bounds.js';
+
+/**
+ * Collision sphere against the static world (CollisionWorld), resting on
+ * the entity's origin.
+ *
+ * Whatever moves the entity calls resolve() after moving it (Drivable does
+ * so while driving). A `dynamic` collider is also resolved every step by
+ * the collider system, for entities moved by other components (AI) or
+ * code; those are only pushed sideways so walkers stay on the ground.
+ *
+ * Against other entities (EntityCollisions) the collider is the sphere's
+ * circle on the ground plane, or with `shape: 'box'` the model's bounds
+ * turning with the entity. Hits push it with `velocity` and `spin`, which
+ * die away over time. Its mass is the Drivable's, if it has one, else
+ * `mass`; 0 makes it fixed (nothing pushes it).
+ */
+class Collider extends Component {
+  static type = 'collider';
+  static order = 30;
+
+  static properties = {
+    radius:  { label: 'Collision radius', type: 'number', min: 0.1, max: 10, step: 0.1 },
+    dynamic: { label: 'Resolve every step', type: 'boolean' },
+    shape: {
+      label: 'Shape against entities', type: 'choice',
+      options: [{ value: 'sphere', label: 'Sphere' }, { value: 'box', label: 'Box (model bounds)' }],
+    },
+    mass:    { label: 'Mass (kg, 0 = fixed)', type: 'number', min: 0, max: 20000, step: 10 },
+  };
+
+  /**
+   * @param {object}  [options]
+   * @param {number}  [options.radius]  -- Sphere radius (world units)
+   * @param {boolean} [options.dynamic] -- Resolve every step
+   * @param {'sphere'|'box'} [options.shape] -- Outline against other entities
+   * @param {number}  [options.mass]    -- kg, without a Drivable (0 = fixed)
+   */
+  constructor({ radius = 0.5, dynamic = false, shape = 'sphere', mass = 0 } = {}) {
+    super();
+    this.radius = radius;
+    this.dynamic = dynamic;
+    this.shape = shape;
+    this.mass = mass;
+
+    /** Push from hits (world units / second, horizontal). */
+    this.velocity = new Vector3();
+    /** Yaw rate from hits (radians / second). */
+    this.spin = 0;
+    /** Model-space bounds, the outline of a box collider. */
+    this.bounds = new Box3();
+    /** @type {Entity|null} Entity this one passes through (a part that came off it). */
+    this.ignore = null;
+
+    /** @private reused every test */
+    this._sphere = new Sphere(new Vector3(), radius);
+  }
+
+  onAttach() {
+    measureLocalBounds(this.entity.mesh, this.bounds);
+  }
+
+  onDetach() {
+    this.velocity.set(0, 0, 0);
+    this.spin = 0;
+  }
+
+  /** @returns {number} kg, Infinity when fixed */
+  get bodyMass() {
+    const mass = this.entity.getComponent('drivable')?.mass ?? this.mass;
+    return mass > 0 ? mass : Infinity;
+  }
+
+  /** @returns {number} horizontal reach of the outline from its center */
+  get extent() {
+    if (this.shape !== 'box') return this.radius;
+    const scale = this.entity.mesh.scale;
+    return Math.hypot(
+      (this.bounds.max.x - this.bounds.min.x) * 0.5 * Math.abs(scale.x),
+      (this.bounds.max.z - this.bounds.min.z) * 0.5 * Math.abs(scale.z),
+    );
+  }
+
+  /**
+   * The collider's outline on the ground plane and its height range, in
+   * world space.
+   * @param {object} [target]
+   * @returns {{ box: boolean, center: THREE.Vector3, axisX: THREE.Vector3, axisZ: THREE.Vector3,
+   *             halfX: number, halfZ: number, radius: number, minY: number, maxY: number }}
+   *   radius: of the circle, or the box's reach from its center
+   */
+  getOutline(target = newOutline()) {
+    const mesh = this.entity.mesh;
+    target.box = this.shape === 'box';
+    if (!target.box) {
+      target.center.set(mesh.position.x, 0, mesh.position.z);
+      target.radius = this.radius;
+      target.minY = mesh.position.y;
+      target.maxY = mesh.position.y + this.radius * 2;
+      return target;
+    }
+
+    const scale = mesh.scale;
+    this.bounds.getCenter(_local);
+    target.center.copy(_local).multiply(scale).applyQuaternion(mesh.quaternion).add(mesh.position);
+    // Axes flattened onto the ground (a pitched or rolled body keeps its heading)
+    target.axisX.set(1, 0, 0).applyQuaternion(mesh.quaternion).setY(0).normalize();
+    target.axisZ.set(-target.axisX.z, 0, target.axisX.x);
+    target.halfX = (this.bounds.max.x - this.bounds.min.x) * 0.5 * Math.abs(scale.x);
+    target.halfZ = (this.bounds.max.z - this.bounds.min.z) * 0.5 * Math.abs(scale.z);
+    target.radius = this.extent;
+    target.minY = mesh.position.y + this.bounds.min.y * scale.y;
+    target.maxY = mesh.position.y + this.bounds.max.y * scale.y;
+    target.center.y = 0;
+    return target;
+  }
+
+  /**
+   * Push the entity out of the world geometry it overlaps.
+   * @param {boolean} [horizontal] -- Ignore the vertical part of the push
+   * @param {number}  [lift]       -- Raise the sphere off the ground (vehicle body clearance)
+   * @returns {{ normal: THREE.Vector3, depth: number }|null} the contact, if any
+   */
+  resolve(horizontal = false, lift = 0) {
+    if (!CollisionWorld.ready) return null;
+
+    const position = this.entity.mesh.position;
+    this._sphere.radius = this.radius;
+    this._sphere.center.copy(position);
+    this._sphere.center.y += this.radius + lift;
+
+    const result = CollisionWorld.sphereCollision(this._sphere);
+    if (!result || !result.collided) return null;
+
+    const { normal, depth } = result;
+    if (horizontal) {
+      _push.set(normal.x, 0, normal.z).multiplyScalar(depth);
+      position.add(_push);
+    } else {
+      position.addScaledVector(normal, depth);
+    }
+    return { normal, depth };
+  }
+
+  update() {
+    if (this.dynamic) this.resolve(true);
+  }
+
+  /** @returns {object} JSON-serializable push state (replays) */
+  captureState() {
+    return { velocity: this.velocity.toArray(), spin: this.spin };
+  }
+
+  /** @param {object} s -- from captureState() */
+  restoreState(s) {
+    this.velocity.fromArray(s.velocity);
+    this.spin = s.spin;
+  }
+
+  serialize() {
+    return { radius: this.radius, dynamic: this.dynamic, shape: this.shape, mass: this.mass };
+  }
+
+  deserialize(data) {
+    if (data.radius !== undefined) this.radius = data.radius;
+    if (data.dynamic !== undefined) this.dynamic = data.dynamic;
+    if (data.shape === 'sphere' || data.shape === 'box') this.shape = data.shape;
+    if (typeof data.mass === 'number') this.mass = data.mass;
+  }
+}
+
+/** @returns {object} an empty outline for getOutline() */
+function newOutline() {
+  return {
+    box: false, center: new Vector3(), axisX: new Vector3(), axisZ: new Vector3(),
+    halfX: 0, halfZ: 0, radius: 0, minY: 0, maxY: 0,
+  };
+}
+
+const _push = new Vector3();
+const _local = new Vector3();
+
+Component.register(Collider);
+
+export default Collider;
@@ -0,0 +1,638 @@
+import { Vector3, MathUtils } from 'three';
+import Component from '../Component.js';
+import EventBus from '../../core/EventBus.js';
+import {
+  VEHICLE_ACCEL_SMOOTHING,
+  VEHICLE_STEER_SMOOTHING,
+  VEHICLE_GRIP_THRESHOLD,
+  VEHICLE_BODY_TILT_MAX,
+  VEHICLE_REFERENCE_MASS,
+  VEHICLE_COLLISION_MIN_IMPACT,
+} from '../../utils/constants.js';
+
+/** Tuning values saved with the scene (and accepted by the constructor). */
+const TUNING_KEYS = [
+  'maxSpeed', 'acceleration', 'braking', 'friction', 'steerSpeed', 'boostMultiplier',
+  'mass', 'grip', 'driftThreshold',
+];
+
+/** Spin radius of wheels no wheel spec gives one. */
+const DEFAULT_WHEEL_RADIUS = 0.5;
+
+/**
+ * Arcade-style driving for any entity.
+ *
+ * Features:
+ *   - Exponential-lerp acceleration and friction for smooth speed ramp
+ *   - Smoothed steering with speed-dependent effectiveness
+ *   - Drift mechanics with grip threshold and event emission
+ *   - Visual body tilt proportional to steering and speed
+ *   - Simple spring-damper suspension bounce on Y axis
+ *   - Collision through the entity's Collider component, if it has one
+ *     (the world here; other entities in EntityCollisions)
+ *   - Full gamepad support (triggers, stick, buttons) merged with keyboard
+ *
+ * With a WheelSuspension component the body rides on raycast wheels
+ * instead: it follows slopes, falls and jumps, and only accelerates and
+ * steers while a wheel touches the ground. The visual tilt and bounce
+ * above are then left to the suspension.
+ *
+ * When occupied, call `drive(inputManager, delta)` each frame to process
+ * acceleration, steering, braking and boost inputs (VehicleInteraction
+ * does). Wheel child meshes (names containing "wheel", or matching
+ * `wheelSpecs`) are auto-detected and spun at speed / radius.
+ *
+ * Handling profiles (VehicleProfiles) set the tuning plus mass, torque
+ * curve, grip, drift threshold, seat offset and wheel specs; `profile`
+ * keeps the URL of the one applied. A Powertrain component adds RPM and
+ * gears: the torque curve is then read by RPM / redline. A VehicleDamage
+ * component lowers the top speed and pulls the steering as it takes hits.
+ *
+ * Events emitted:
+ *   vehicle:drifting  { vehicle, driftFactor }  -- vehicle is the entity
+ *   vehicle:collision { vehicle, other: null, impact, impulse, point, normal }
+ *     -- on hitting the world at VEHICLE_COLLISION_MIN_IMPACT (m/s) or more
+ *        (see EntityCollisions for hits between entities)
+ */
+class Drivable extends Component {
+  static type = 'drivable';
+
+  static properties = {
+    maxSpeed:        { label: 'Top speed',        type: 'number', min: 5,   max: 120, step: 1 },
+    acceleration:    { label: 'Acceleration',     type: 'number', min: 1,   max: 80,  step: 1 },
+    braking:         { label: 'Braking',          type: 'number', min: 1,   max: 100, step: 1 },
+    friction:        { label: 'Friction',         type: 'number', min: 0,   max: 30,  step: 0.5 },
+    steerSpeed:      { label: 'Steering speed',   type: 'number', min: 0.5, max: 6,   step: 0.1 },
+    boostMultiplier: { label: 'Boost multiplier', type: 'number', min: 1,   max: 4,   step: 0.1 },
+    mass:            { label: 'Mass (kg)',        type: 'number', min: 100, max: 5000, step: 10 },
+    grip:            { label: 'Grip',             type: 'number', min: 0.2, max: 3,   step: 0.05 },
+    driftThreshold:  { label: 'Drift threshold',  type: 'number', min: 0.1, max: 1,   step: 0.05 },
+  };
+
+  /**
+   * @param {object} [tuning] — overrides for maxSpeed, acceleration, braking,
+   *   friction, steerSpeed, boostMultiplier, mass, grip, driftThreshold,
+   *   torqueCurve, seatOffset, wheelSpecs, profile (see serialize())
+   */
+  constructor(tuning = {}) {
+    super();
+
+    // ── Physics tuning ───────────────────────────────────────────────
+    this.speed            = 0;
+    this.maxSpeed         = 40;    // units / second
+    this.acceleration     = 20;    // units / second² (used for target calculation)
+    this.braking          = 30;    // braking lerp rate
+    this.friction         = 8;     // exponential friction half-life factor
+    this.steerSpeed       = 2.5;   // radians / second at full lock
+    this.boostMultiplier  = 1.8;   // top-speed multiplier while boosting
+    this.mass             = VEHICLE_REFERENCE_MASS; // kg — acceleration scales with reference / mass
+    this.grip             = 1;     // steering kept while drifting, grip recovery rate
+    this.driftThreshold   = VEHICLE_GRIP_THRESHOLD; // speed ratio × steer that breaks grip
+
+    /** @type {number[][]|null} [speed / top speed, acceleration multiplier] points; null = flat */
+    this.torqueCurve = null;
+    /** Driver's seat in the vehicle's local space (the seated player follows it). */
+    this.seatOffset = new Vector3(0, 1, 0);
+    /** @type {{ name: string, radius: number }[]|null} wheels to spin; null = any "wheel" mesh */
+    this.wheelSpecs = null;
+    /** URL of the handling profile applied (VehicleProfiles), '' if none. */
+    this.profile = '';
+
+    this.wheels = [];
+    /** @private spin radius of each wheel in `wheels` */
+    this._wheelRadii = [];
+    this.deserialize(tuning);
+
+    // ── Runtime state ────────────────────────────────────────────────
+    this.steering  = 0;            // current visual steer angle (exposed for HUD / camera)
+    this.occupied  = false;        // true while a player is driving
+    this.driver    = null;         // reference to the occupying player controller
+
+    // ── Internal smoothing state ─────────────────────────────────────
+    /** @private */ this._steerAngle    = 0;   // smoothed steer input (-1 to 1)
+    /** @private */ this._driftFactor   = 0;   // 0 = full grip, 1 = full drift
+    /** @private */ this._prevSpeed     = 0;   // speed last frame (for suspension impulse)
+    /** @private */ this._prevSteer     = 0;   // steer angle last frame (for suspension impulse)
+    /** @private */ this._traction      = true; // false while raycast wheels are all off the ground
+    /** @private */ this._wallContact   = false; // driving into the world last step (one event per hit)
+
+    // ── Suspension spring-damper ─────────────────────────────────────
+    /** @private */ this._suspensionY   = 0;   // current vertical displacement
+    /** @private */ this._suspensionVel = 0;   // current vertical velocity
+
+    // ── Reusable scratch objects (avoids allocation in hot loop) ─────
+    /** @private */ this._forward = new Vector3();
+  }
+
+  onAttach() {
+    this._collectWheels();
+  }
+
+  onDetach() {
+    this.wheels = [];
+    this._wheelRadii = [];
+    this.occupied = false;
+    this.driver = null;
+    this.speed = 0;
+    this._driftFactor   = 0;
+    this._steerAngle    = 0;
+    this._suspensionY   = 0;
+    this._suspensionVel = 0;
+  }
+
+  // ===================================================================
+  //  DRIVE  —  main per-frame driving update
+  // ===================================================================
+
+  /**
+   * Process driving inputs and update vehicle position / rotation.
+   * Called every frame while the vehicle is occupied.
+   *
+   * Actions (default keyboard / gamepad bindings, see InputBindings):
+   *   throttle    — W / RT, analog accelerate (0-1)
+   *   reverse     — S
+   *   brake       — LT, analog brake, reverses when nearly stopped
+   *   steerLeft/Right — A / D / left stick X (effectiveness scales with speed)
+   *   handbrake   — Space / B
+   *   boost       — Shift / X (raises top speed)
+   *   shiftUp/Down, toggleTransmission — E / Q / RB / LB, H / Back (Powertrain only)
+   *
+   * @param {InputManager} input — Input manager instance
+   * @param {number}       delta — Frame time in seconds
+   */
+  drive(input, delta) {
+    // ── Gather raw inputs (keyboard + gamepad merge) ─────────────────
+    const { accelInput, brakeInput, steerInput, isBraking, boosting } =
+      this._gatherInput(input);
+    const powertrain = this.entity.getComponent('powertrain');
+    if (powertrain?.enabled) powertrain.handleInput(input);
+
+    // ── Effective top speed (and pull), less for a damaged vehicle ───
+    const damage = this.entity.getComponent('damage');
+    const damaged = damage?.enabled ? damage : null;
+    let maxSpd = boosting ? this.maxSpeed * this.boostMultiplier : this.maxSpeed;
+    if (damaged) maxSpd *= damaged.speedFactor;
+
+    // ── Raycast wheels, if fitted (no grip while in the air) ─────────
+    const suspension = this.entity.getComponent('suspension');
+    const wheels = suspension?.enabled ? suspension : null;
+    this._traction = !wheels || wheels.grounded;
+
+    // ── Smooth acceleration (exponential lerp toward target speed) ───
+    if (this._traction) {
+      this._applyAcceleration(accelInput, brakeInput, isBraking, maxSpd, delta);
+    }
+
+    // ── Smooth steering ─────────────────────────────────────────────
+    this._applySteering(damaged ? MathUtils.clamp(steerInput + damaged.steerPull, -1, 1) : steerInput, delta);
+
+    // ── Drift mechanics ─────────────────────────────────────────────
+    this._applyDrift(delta);
+
+    if (wheels) {
+      // ── Translate along the body's (pitched) forward axis ──────────
+      this._forward.set(0, 0, -1).applyQuaternion(this.entity.mesh.quaternion);
+      this.entity.mesh.position.addScaledVector(this._forward, this.speed * delta);
+
+      // ── Collide above the wheels, then let the springs carry the body
+      this._applyCollision(wheels.clearance);
+      wheels.step(delta);
+    } else {
+      // ── Body tilt (visual only) ───────────────────────────────────
+      this._applyBodyTilt(delta);
+
+      // ── Suspension bounce (visual spring-damper on Y) ──────────────
+      this._applySuspension(delta);
+
+      // ── Translation along local forward axis ───────────────────────
+      this._forward.set(0, 0, -1).applyQuaternion(this.entity.mesh.quaternion);
+      this.entity.mesh.position.addScaledVector(this._forward, this.speed * delta);
+
+      // ── Sphere collision ───────────────────────────────────────────
+      this._applyCollision();
+
+      // Keep the vehicle on the ground plane
+      this.entity.mesh.position.y = Math.max(0, this.entity.mesh.position.y);
+
+      // Apply suspension visual offset (after ground clamp)
+      this.entity.mesh.position.y += this._suspensionY;
+    }
+
+    // ── Wheel animation ──────────────────────────────────────────────
+    this.wheels.forEach((wheel, i) => {
+      wheel.rotation.x += this.speed * delta / this._wheelRadii[i];
+    });
+
+    // ── Bookkeeping for next frame ──────────────────────────────────
+    this._prevSpeed = this.speed;
+    this._prevSteer = this._steerAngle;
+  }
+
+  // ===================================================================
+  //  INPUT GATHERING
+  // ===================================================================
+
+  /**
+   * Resolve the driving actions into a single set of driving values.
+   * Each action already takes the strongest of its bindings, so analog
+   * triggers and sticks blend with their digital counterparts.
+   *
+   * @private
+   * @param   {InputManager} input
+   * @returns {{ accelInput: number, brakeInput: number, steerInput: number,
+   *             isBraking: boolean, boosting: boolean }}
+   */
+  _gatherInput(input) {
+    let accelInput = input.getActionValue('throttle');   // 0-1
+    if (input.isActionDown('reverse')) accelInput = -1;
+
+    const steerInput = input.getAxis('steer');           // +1 = left
+
+    let brakeInput = input.getActionValue('brake');      // analog 0-1
+    // If already stopped or very slow, brake acts as reverse throttle
+    if (brakeInput > 0 && Math.abs(this.speed) < 0.5) {
+      accelInput = -brakeInput;
+    }
+
+    const isBraking = input.isActionDown('handbrake');
+    if (isBraking) brakeInput = 1;
+
+    const boosting = input.isActionDown('boost');
+
+    return { accelInput, brakeInput, steerInput, isBraking, boosting };
+  }
+
+  // ===================================================================
+  //  ACCELERATION & FRICTION
+  // ===================================================================
+
+  /**
+   * Exponential-lerp acceleration toward a target speed, with exponential
+   * friction when coasting and lerp-based braking. Speeding up, the lerp
+   * rate follows the torque curve and the mass. With a Powertrain the
+   * engine and gearbox supply the acceleration instead of the lerp.
+   *
+   * @private
+   * @param {number}  accelInput — -1 to 1 (throttle / reverse)
+   * @param {number}  brakeInput — 0 to 1 (brake intensity)
+   * @param {boolean} isBraking  — true when handbrake / space is held
+   * @param {number}  maxSpd     — current effective top speed
+   * @param {number}  delta      — frame time in seconds
+   */
+  _applyAcceleration(accelInput, brakeInput, isBraking, maxSpd, delta) {
+    const powertrain = this.entity.getComponent('powertrain');
+    if (powertrain?.enabled) {
+      // Engine and gearbox: drive force, or brake on the opposing pedal
+      const drive = powertrain.step(accelInput, maxSpd, delta);
+      if (drive !== 0) {
+        this.speed += drive * delta;
+      } else if (powertrain.braking) {
+        this.speed = MathUtils.lerp(this.speed, 0, Math.min(1, this.braking * Math.abs(accelInput) * delta));
+        if (Math.abs(this.speed) < 0.05) this.speed = 0;
+      } else if (powertrain.throttle === 0 || powertrain.gear === 0) {
+        this._applyFriction(delta);
+      }
+      // (Throttle held through a shift or on the limiter: the car rolls on)
+    } else if (accelInput !== 0) {
+      // Determine target: forward uses full maxSpd, reverse limited to 30 %
+      const targetSpeed = accelInput > 0
+        ? accelInput * maxSpd
+        : accelInput * maxSpd * 0.3;
+
+      // Exponential lerp toward target (torque / mass while speeding up)
+      const speedingUp = Math.abs(targetSpeed) > Math.abs(this.speed) &&
+        Math.sign(targetSpeed) !== -Math.sign(this.speed);
+      const rate = speedingUp
+        ? VEHICLE_ACCEL_SMOOTHING * this.torqueAt(Math.abs(this.speed) / maxSpd) * VEHICLE_REFERENCE_MASS / this.mass
+        : VEHICLE_ACCEL_SMOOTHING;
+      this.speed += (targetSpeed - this.speed) * Math.min(1, rate * delta);
+    } else {
+      this._applyFriction(delta);
+    }
+
+    // ── Braking (lerp toward zero) ──────────────────────────────────
+    if (isBraking && Math.abs(this.speed) > 0.05) {
+      const brakeLerp = Math.min(1, this.braking * brakeInput * delta);
+      this.speed = MathUtils.lerp(this.speed, 0, brakeLerp);
+
+      // Snap to zero when nearly stopped under braking
+      if (Math.abs(this.speed) < 0.05) {
+        this.speed = 0;
+      }
+    }
+
+    // Final clamp: reverse limited to 30 % of forward top speed
+    this.speed = MathUtils.clamp(this.speed, -maxSpd * 0.3, maxSpd);
+  }
+
+  /**
+   * No throttle — exponential friction (half-life decay).
+   *
+   * @private
+   * @param {number} delta — frame time in seconds
+   */
+  _applyFriction(delta) {
+    this.speed *= Math.pow(0.5, this.friction * delta);
+
+    // Snap to zero when very slow
+    if (Math.abs(this.speed) < 0.05) {
+      this.speed = 0;
+    }
+  }
+
+  /**
+   * Torque curve multiplier (linear between points, flat past the ends).
+   *
+   * @param   {number} ratio — speed / top speed, or RPM / redline with a Powertrain
+   * @returns {number}
+   */
+  torqueAt(ratio) {
+    const curve = this.torqueCurve;
+    if (!curve) return 1;
+    if (ratio <= curve[0][0]) return curve[0][1];
+    for (let i = 1; i < curve.length; i++) {
+      const [x1, y1] = curve[i];
+      if (ratio <= x1) {
+        const [x0, y0] = curve[i - 1];
+        return MathUtils.lerp(y0, y1, (ratio - x0) / (x1 - x0));
+      }
+    }
+    return curve[curve.length - 1][1];
+  }
+
+  // ===================================================================
+  //  STEERING
+  // ===================================================================
+
+  /**
+   * Smooth the raw steer input and apply it to the vehicle's Y rotation.
+   * Steering effectiveness scales with speed and is reduced during drifts.
+   *
+   * @private
+   * @param {number} steerInput — raw steer input (-1 to 1)
+   * @param {number} delta      — frame time in seconds
+   */
+  _applySteering(steerInput, delta) {
+    // Lerp _steerAngle toward input for smooth transitions
+    this._steerAngle += (steerInput - this._steerAngle) *
+      Math.min(1, VEHICLE_STEER_SMOOTHING * delta);
+
+    // Expose for external consumers (HUD, camera)
+    this.steering = this._steerAngle;
+
+    // Only steer when moving, with the wheels on the ground
+    if (this._traction && Math.abs(this.speed) > 0.5) {
+      const steerFactor = Math.min(1, Math.abs(this.speed) / 10);
+
+      // Reduce steering effectiveness when drifting (grip loss)
+      const gripMult = 1 - this._driftFactor * Math.min(1, 0.4 / this.grip);
+
+      this.entity.mesh.rotation.y +=
+        this._steerAngle * this.steerSpeed * steerFactor * gripMult *
+        delta * Math.sign(this.speed);
+    }
+  }
+
+  // ===================================================================
+  //  DRIFT MECHANICS
+  // ===================================================================
+
+  /**
+   * Blend drift factor based on speed ratio and steer angle.
+   * When drifting, emits `vehicle:drifting` on the EventBus.
+   * When grip is recovered, lerps drift factor back to zero.
+   *
+   * @private
+   * @param {number} delta — frame time in seconds
+   */
+  _applyDrift(delta) {
+    const speedRatio = Math.abs(this.speed) / this.maxSpeed;
+    const steerMag   = Math.abs(this._steerAngle);
+
+    const shouldDrift = speedRatio * steerMag > this.driftThreshold &&
+                        speedRatio > 0.4;
+
+    if (shouldDrift) {
+      // Blend drift factor toward 1
+      this._driftFactor += (1 - this._driftFactor) * Math.min(1, 4 * delta);
+
+      EventBus.emit('vehicle:drifting', {
+        vehicle: this.entity,
+        driftFactor: this._driftFactor,
+      });
+    } else {
+      // Recover grip — lerp back to 0
+      this._driftFactor += (0 - this._driftFactor) * Math.min(1, 3 * this.grip * delta);
+
+      // Snap when negligible
+      if (this._driftFactor < 0.01) {
+        this._driftFactor = 0;
+      }
+    }
+  }
+
+  // ===================================================================
+  //  BODY TILT (visual only)
+  // ===================================================================
+
+  /**
+   * Tilt the vehicle body on the Z axis proportional to steer angle and
+   * speed ratio for a satisfying visual lean into turns.
+   *
+   * @private
+   * @param {number} delta — frame time in seconds
+   */
+  _applyBodyTilt(delta) {
+    const speedRatio = MathUtils.clamp(
+      Math.abs(this.speed) / this.maxSpeed, 0, 1,
+    );
+    const tiltTarget = -this._steerAngle * speedRatio * VEHICLE_BODY_TILT_MAX;
+
+    this.entity.mesh.rotation.z += (tiltTarget - this.entity.mesh.rotation.z) *
+      Math.min(1, 5 * delta);
+  }
+
+  // ===================================================================
+  //  SUSPENSION (spring-damper on Y)
+  // ===================================================================
+
+  /**
+   * Simple spring-damper system that produces a visual bounce on the Y axis.
+   * Impulses are injected by speed changes (bumps from accel/decel) and
+   * steering changes (weight transfer in turns).
+   *
+   * @private
+   * @param {number} delta — frame time in seconds
+   */
+  _applySuspension(delta) {
+    const springK  = 80;  // spring constant
+    const dampingK = 8;   // damping coefficient
+
+    // Inject impulses from driving events
+    const speedDelta = this.speed - this._prevSpeed;
+    const steerDelta = this._steerAngle - this._prevSteer;
+
+    this._suspensionVel += -speedDelta * 0.02;    // bump from accel changes
+    this._suspensionVel += Math.abs(steerDelta) * 0.01; // bump from steering
+
+    // Spring-damper integration
+    const springForce  = -springK  * this._suspensionY;
+    const dampingForce = -dampingK * this._suspensionVel;
+    this._suspensionVel += (springForce + dampingForce) * delta;
+    this._suspensionY   += this._suspensionVel * delta;
+
+    // Clamp to avoid runaway
+    this._suspensionY = MathUtils.clamp(this._suspensionY, -0.15, 0.15);
+  }
+
+  // ===================================================================
+  //  COLLISION
+  // ===================================================================
+
+  /**
+   * Resolve the entity's Collider (if it has one) against the world.
+   * On frontal collision, the vehicle loses 70 % of its speed.
+   *
+   * @private
+   * @param {number} [lift] — raise the collision sphere (suspension clearance)
+   */
+  _applyCollision(lift = 0) {
+    const collider = this.entity.getComponent('collider');
+    const contact = collider?.resolve(false, lift);
+    if (!contact) {
+      this._wallContact = false;
+      return;
+    }
+
+    // Check if the collision is frontal (normal opposing travel direction)
+    this._forward.set(0, 0, -1).applyQuaternion(this.entity.mesh.quaternion);
+
+    // Closing speed, once per hit (not again while pressed against the wall)
+    const impact = -this.speed * this._forward.dot(contact.normal);
+    const touching = this._wallContact;
+    this._wallContact = impact >= VEHICLE_COLLISION_MIN_IMPACT;
+    if (this._wallContact && !touching) {
+      EventBus.emit('vehicle:collision', {
+        vehicle: this.entity,
+        other: null,
+        impact,
+        impulse: impact * this.mass,
+        point: this.entity.mesh.position.clone()
+          .add(_up.set(0, collider.radius + lift, 0))
+          .addScaledVector(contact.normal, -collider.radius),
+        normal: contact.normal.clone(),
+      });
+    }
+
+    if (this._forward.dot(contact.normal) < -0.3) {
+      // Frontal collision — lose 70 % of speed
+      this.speed *= 0.3;
+    }
+  }
+
+  // ===================================================================
+  //  STATE SNAPSHOT (replays)
+  // ===================================================================
+
+  /**
+   * Snapshot everything drive() carries between ticks.
+   * @returns {object} JSON-serializable state
+   */
+  captureState() {
+    return {
+      position: this.entity.mesh.position.toArray(),
+      quaternion: this.entity.mesh.quaternion.toArray(),
+      speed: this.speed,
+      steerAngle: this._steerAngle,
+      driftFactor: this._driftFactor,
+      prevSpeed: this._prevSpeed,
+      prevSteer: this._prevSteer,
+      suspensionY: this._suspensionY,
+      suspensionVel: this._suspensionVel,
+      wheelRotations: this.wheels.map((w) => w.rotation.x),
+      suspension: this.entity.getComponent('suspension')?.captureState() ?? null,
+      powertrain: this.entity.getComponent('powertrain')?.captureState() ?? null,
+      collider: this.entity.getComponent('collider')?.captureState() ?? null,
+      damage: this.entity.getComponent('damage')?.captureState() ?? null,
+      wallContact: this._wallContact,
+    };
+  }
+
+  /**
+   * Restore a snapshot from captureState().
+   * @param {object} s
+   */
+  restoreState(s) {
+    this.entity.mesh.position.fromArray(s.position);
+    this.entity.mesh.quaternion.fromArray(s.quaternion);
+    this.speed          = s.speed;
+    this._steerAngle    = s.steerAngle;
+    this.steering       = s.steerAngle;
+    this._driftFactor   = s.driftFactor;
+    this._prevSpeed     = s.prevSpeed;
+    this._prevSteer     = s.prevSteer;
+    this._suspensionY   = s.suspensionY;
+    this._suspensionVel = s.suspensionVel;
+    s.wheelRotations.forEach((x, i) => {
+      if (this.wheels[i]) this.wheels[i].rotation.x = x;
+    });
+    if (s.suspension) this.entity.getComponent('suspension')?.restoreState(s.suspension);
+    if (s.powertrain) this.entity.getComponent('powertrain')?.restoreState(s.powertrain);
+    if (s.collider) this.entity.getComponent('collider')?.restoreState(s.collider);
+    if (s.damage) this.entity.getComponent('damage')?.restoreState(s.damage);
+    this._wallContact = s.wallContact ?? false;
+  }
+
+  // ===================================================================
+  //  SERIALIZATION
+  // ===================================================================
+
+  serialize() {
+    const data = {};
+    for (const key of TUNING_KEYS) data[key] = this[key];
+    data.torqueCurve = this.torqueCurve && this.torqueCurve.map((point) => [...point]);
+    data.seatOffset = this.seatOffset.toArray();
+    data.wheelSpecs = this.wheelSpecs && this.wheelSpecs.map((spec) => ({ ...spec }));
+    data.profile = this.profile;
+    return data;
+  }
+
+  deserialize(data) {
+    for (const key of TUNING_KEYS) {
+      if (typeof data[key] === 'number') this[key] = data[key];
+    }
+    if (data.torqueCurve !== undefined) this.torqueCurve = data.torqueCurve;
+    if (Array.isArray(data.seatOffset)) this.seatOffset.fromArray(data.seatOffset);
+    if (typeof data.profile === 'string') this.profile = data.profile;
+    if (data.wheelSpecs !== undefined) {
+      this.wheelSpecs = data.wheelSpecs;
+      if (this.entity) this._collectWheels();
+    }
+  }
+
+  /**
+   * Find the wheel meshes to spin: children matching a wheel spec, or
+   * any mesh whose name contains "wheel".
+   * @private
+   */
+  _collectWheels() {
+    const specs = this.wheelSpecs ?? [{ name: 'wheel', radius: DEFAULT_WHEEL_RADIUS }];
+    this.wheels = [];
+    this._wheelRadii = [];
+    this.entity.mesh.traverse((child) => {
+      if (!child.isMesh) return;
+      const name = child.name.toLowerCase();
+      const spec = specs.find((s) => name.includes(s.name.toLowerCase()));
+      if (spec) {
+        this.wheels.push(child);
+        this._wheelRadii.push(spec.radius);
+      }
+    });
+  }
+}
+
+const _up = new Vector3();
+
+Component.register(Drivable);
+
+export default Drivable;
@@ -0,0 +1,54 @@
+import Component from '../Component.js';
+import EventBus from '../../core/EventBus.js';
+
+/**
+ * Makes an entity respond to the interact action (F by default). While
+ * the player is on foot within `radius` of it, VehicleInteraction shows
+ * "Press F to <prompt>" and calls interact() on a press. Vehicles still
+ * take precedence when both are in reach.
+ *
+ * React through the event, or set `onInteract` from code.
+ *
+ * Events emitted:
+ *   entity:interacted { entity, by }  -- by is the player controller
+ */
+class Interactable extends Component {
+  static type = 'interactable';
+
+  static properties = {
+    radius: { label: 'Reach', type: 'number', min: 0.5, max: 10, step: 0.1 },
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {string} [options.prompt] -- Action shown after "Press F to"
+   * @param {number} [options.radius] -- Reach from the entity's origin
+   */
+  constructor({ prompt = 'interact', radius = 2 } = {}) {
+    super();
+    this.prompt = prompt;
+    this.radius = radius;
+
+    /** @type {Function|null} (by) => void, not saved */
+    this.onInteract = null;
+  }
+
+  /** @param {object} by — whoever interacted (the player controller) */
+  interact(by) {
+    EventBus.emit('entity:interacted', { entity: this.entity, by });
+    this.onInteract?.(by);
+  }
+
+  serialize() {
+    return { prompt: this.prompt, radius: this.radius };
+  }
+
+  deserialize(data) {
+    if (typeof data.prompt === 'string') this.prompt = data.prompt;
+    if (data.radius !== undefined) this.radius = data.radius;
+  }
+}
+
+Component.register(Interactable);
+
+export default Interactable;
@@ -0,0 +1,149 @@
+import { Vector3, Quaternion } from 'three';
+import Component from '../Component.js';
+import EventBus from '../../core/EventBus.js';
+import { KNOCKDOWN_FALL_SPEED, KNOCKDOWN_RISE_SPEED } from '../../utils/constants.js';
+
+/**
+ * Ragdoll-style reaction to being hit: a hit at `threshold` or harder
+ * tips the entity over, away from the blow, while the push from the hit
+ * (Collider.velocity) slides it along the ground. After `recoverTime` it
+ * gets back up and its AIBehaviour, paused while down, carries on.
+ *
+ * Plays the "fall" clip while down when the Animator can find one, else
+ * "idle". EntityCollisions calls hit() on the entities it pushes.
+ *
+ * Events emitted:
+ *   entity:knockedDown { entity, impact }  -- impact: closing speed of the hit (m/s)
+ *   entity:gotUp       { entity }
+ */
+class Knockdown extends Component {
+  static type = 'knockdown';
+  static order = 5;
+
+  static properties = {
+    threshold:   { label: 'Knocked down at (m/s)', type: 'number', min: 0.5, max: 30, step: 0.5 },
+    recoverTime: { label: 'Time down (s)',         type: 'number', min: 0.5, max: 20, step: 0.5 },
+  };
+
+  /**
+   * @param {object} [options]
+   * @param {number} [options.threshold]   -- Impact (m/s) that knocks the entity down
+   * @param {number} [options.recoverTime] -- Seconds on the ground before getting up
+   */
+  constructor({ threshold = 4, recoverTime = 3 } = {}) {
+    super();
+    this.threshold = threshold;
+    this.recoverTime = recoverTime;
+
+    /** True from the hit until back on its feet. */
+    this.down = false;
+
+    /** @private 0 = upright, 1 = flat on the ground */
+    this._tilt = 0;
+    /** @private seconds left on the ground */
+    this._timer = 0;
+    /** @private horizontal axis the body tips over about */
+    this._axis = new Vector3();
+    /** @private orientation when hit, restored on getting up */
+    this._upright = new Quaternion();
+  }
+
+  onDetach() {
+    if (this.down) this._stand();
+  }
+
+  /**
+   * React to a hit.
+   * @param {number}        impact    -- closing speed (m/s)
+   * @param {THREE.Vector3} direction -- horizontal direction of the blow
+   * @returns {boolean} whether it knocked the entity down
+   */
+  hit(impact, direction) {
+    if (impact < this.threshold) return false;
+    this._timer = this.recoverTime;
+    if (this.down) return true;
+
+    this.down = true;
+    this._upright.copy(this.entity.mesh.quaternion);
+    // Tip over away from the blow: about the horizontal axis across it
+    this._axis.set(direction.z, 0, -direction.x).normalize();
+    if (this._axis.lengthSq() === 0) this._axis.set(1, 0, 0);
+
+    const animator = this.entity.getComponent('animator');
+    animator?.play('fall', 0.1);
+    if (animator && !animator.actions.fall) animator.play('idle', 0.1);
+    EventBus.emit('entity:knockedDown', { entity: this.entity, impact });
+    return true;
+  }
+
+  /** @param {number} delta */
+  update(delta) {
+    if (!this.down) return;
+
+    if (this._timer > 0) {
+      this._timer -= delta;
+      this._tilt = Math.min(1, this._tilt + KNOCKDOWN_FALL_SPEED * delta);
+    } else {
+      this._tilt -= KNOCKDOWN_RISE_SPEED * delta;
+      if (this._tilt <= 0) {
+        this._stand();
+        return;
+      }
+    }
+    this._pose();
+  }
+
+  /** @private lean the body by the current tilt */
+  _pose() {
+    _tip.setFromAxisAngle(this._axis, this._tilt * Math.PI / 2);
+    this.entity.mesh.quaternion.multiplyQuaternions(_tip, this._upright);
+  }
+
+  /** @private back on its feet: restore the orientation, resume the AI */
+  _stand() {
+    this.down = false;
+    this._tilt = 0;
+    this._timer = 0;
+    this.entity.mesh.quaternion.copy(this._upright);
+
+    const ai = this.entity.getComponent('ai');
+    if (ai) ai.setBehavior(ai.behavior);
+    EventBus.emit('entity:gotUp', { entity: this.entity });
+  }
+
+  /** @returns {object} JSON-serializable state (replays) */
+  captureState() {
+    return {
+      down: this.down,
+      tilt: this._tilt,
+      timer: this._timer,
+      axis: this._axis.toArray(),
+      upright: this._upright.toArray(),
+    };
+  }
+
+  /** @param {object} s -- from captureState() */
+  restoreState(s) {
+    if (this.down && !s.down) this._stand();
+    this.down = s.down;
+    this._tilt = s.tilt;
+    this._timer = s.timer;
+    this._axis.fromArray(s.axis);
+    this._upright.fromArray(s.upright);
+  }
+
+  serialize() {
+    return { threshold: this.threshold, recoverTime: this.recoverTime };
+  }
+
+  deserialize(data) {
+    if (typeof data.threshold === 'number') this.threshold = data.threshold;
+    if (typeof data.recoverTime === 'number') this.recoverTime = data.recoverTime;
+  }
+}
+
+const _tip = new Quaternion();
+
+Component.register(Knockdown);
+
+export default Knockdown;
@@ -0,0 +1,283 @@
+import { MathUtils } from 'three';
+import Component from '../Component.js';
+import EventBus from '../../core/EventBus.js';
+import {
+  VEHICLE_REFERENCE_MASS,
+  VEHICLE_RPM_RESPONSE,
+  VEHICLE_RPM_EVENT_STEP,
+} from '../../utils/constants.js';
+
+/** Tuning values saved with the scene (and accepted by the constructor). */
+const TUNING_KEYS = [
+  'transmission', 'idleRpm', 'redline', 'reverseRatio', 'shiftTime', 'upshiftAt', 'downshiftAt',
+];
+
+/** Below this speed (units / second) the automatic gearbox may pick reverse or first. */
+const STOPPED_SPEED = 0.5;
+
+/**
+ * Engine and gearbox for a Drivable: RPM follows the wheels through the
+ * selected gear, the Drivable's torque curve (by RPM / redline) and the
+ * gear ratio set the acceleration, and the rev limiter cuts power at the
+ * redline. Without one, Drivable lerps toward a target speed instead.
+ *
+ * Gears: -1 reverse, 0 neutral, 1..gearRatios.length forward. The top
+ * gear at the redline reaches the Drivable's (boosted) top speed; lower
+ * gears top out in proportion to their ratios.
+ *
+ * Automatic: shifts at upshiftAt / downshiftAt of the redline, and picks
+ * reverse (or first) when the opposite pedal is held at a standstill.
+ * Manual: the shiftUp / shiftDown actions move through R, N, 1, 2 ...;
+ * shifting by hand switches an automatic to manual and
+ * toggleTransmission switches back. Either way the pedal opposing the
+ * gear's direction brakes. Power is cut for shiftTime after each shift.
+ *
+ * Drivable.drive() calls handleInput() and step(); update() idles the
+ * engine while nobody is driving.
+ *
+ * Events emitted:
+ *   vehicle:gearChanged { vehicle, gear, previous, transmission }  -- also on a transmission switch
+ *   vehicle:rpm         { vehicle, rpm, redline, throttle, limiter }  -- every VEHICLE_RPM_EVENT_STEP rpm
+ */
+class Powertrain extends Component {
+  static type = 'powertrain';
+  static order = 15;
+
+  static properties = {
+    transmission: {
+      label: 'Transmission', type: 'choice',
+      options: [{ value: 'automatic', label: 'Automatic' }, { value: 'manual', label: 'Manual' }],
+    },
+    idleRpm:      { label: 'Idle RPM',          type: 'number', min: 400,  max: 2000,  step: 50 },
+    redline:      { label: 'Redline RPM',       type: 'number', min: 3000, max: 12000, step: 100 },
+    reverseRatio: { label: 'Reverse ratio',     type: 'number', min: 0.5,  max: 6,     step: 0.05 },
+    shiftTime:    { label: 'Shift time (s)',    type: 'number', min: 0,    max: 1,     step: 0.05 },
+    upshiftAt:    { label: 'Upshift (x redline)',   type: 'number', min: 0.5, max: 1,   step: 0.01 },
+    downshiftAt:  { label: 'Downshift (x redline)', type: 'number', min: 0.1, max: 0.7, step: 0.01 },
+  };
+
+  /**
+   * @param {object} [tuning] -- overrides for the properties above and
+   *   gearRatios (forward gears, first to top)
+   */
+  constructor(tuning = {}) {
+    super();
+    this.transmission = 'automatic';
+    this.idleRpm      = 900;
+    this.redline      = 7000;
+    this.gearRatios   = [3.2, 2.1, 1.5, 1.15, 0.92];
+    this.reverseRatio = 3;
+    this.shiftTime    = 0.25;   // seconds without drive while shifting
+    this.upshiftAt    = 0.92;   // automatic: fraction of redline
+    this.downshiftAt  = 0.45;
+    this.deserialize(tuning);
+
+    /** Selected gear: -1 reverse, 0 neutral, 1.. forward. */
+    this.gear = 1;
+    this.rpm = this.idleRpm;
+    /** Accelerator position along the gear's direction, 0-1. */
+    this.throttle = 0;
+    /** True while the pedal opposes the gear's direction (Drivable brakes). */
+    this.braking = false;
+    /** True while the rev limiter is cutting power. */
+    this.limiter = false;
+
+    /** @private seconds of the current shift left */
+    this._shiftTimer = 0;
+    /** @private rpm in the last vehicle:rpm event */
+    this._emittedRpm = -Infinity;
+  }
+
+  /** Shift into a gear (clamped to R .. top), cutting power for shiftTime. */
+  setGear(gear) {
+    const next = MathUtils.clamp(gear, -1, this.gearRatios.length);
+    if (next === this.gear) return;
+    const previous = this.gear;
+    this.gear = next;
+    this._shiftTimer = this.shiftTime;
+    this._emitGear(previous);
+  }
+
+  /** @param {'automatic'|'manual'} transmission */
+  setTransmission(transmission) {
+    if (transmission === this.transmission) return;
+    this.transmission = transmission;
+    this._emitGear(this.gear);
+  }
+
+  /**
+   * Read the shift and transmission actions (edge-triggered).
+   * @param {InputManager} input
+   */
+  handleInput(input) {
+    const up = input.isActionJustPressed('shiftUp');
+    const down = input.isActionJustPressed('shiftDown');
+
+    if (input.isActionJustPressed('toggleTransmission')) {
+      this.setTransmission(this.transmission === 'automatic' ? 'manual' : 'automatic');
+    }
+    if (up || down) {
+      this.setTransmission('manual');
+      this.setGear(this.gear + (up ? 1 : -1));
+    }
+  }
+
+  /**
+   * Advance the engine one step and return the drive acceleration.
+   * @param {number} accelInput -- -1 to 1, as Drivable gathers it (+ forward)
+   * @param {number} maxSpd     -- current effective top speed
+   * @param {number} delta      -- seconds
+   * @returns {number} acceleration along the vehicle's forward axis (units / second²)
+   */
+  step(accelInput, maxSpd, delta) {
+    const drivable = this.entity.getComponent('drivable');
+    const speed = drivable.speed;
+    this._shiftTimer = Math.max(0, this._shiftTimer - delta);
+    if (this.transmission === 'automatic') this._autoShift(accelInput, speed, maxSpd);
+
+    // An automatic in reverse drives on the reverse pedal
+    const pedal = this.transmission === 'automatic' && this.gear < 0 ? -accelInput : accelInput;
+    this.throttle = Math.max(0, pedal);
+    this.braking = pedal < 0 && Math.abs(speed) > 0.05;
+
+    // ── RPM: locked to the wheels in gear, free-revving otherwise ────
+    const ratio = this._ratio(this.gear);
+    const engaged = ratio > 0 && this._shiftTimer === 0;
+    const wheelRpm = ratio > 0 ? this.redline * Math.abs(speed) / this._gearTopSpeed(ratio, maxSpd) : 0;
+    const target = engaged
+      ? Math.max(this.idleRpm, wheelRpm)
+      : this.idleRpm + this.throttle * (this.redline - this.idleRpm);
+    this._setRpm(this.rpm + (target - this.rpm) * Math.min(1, VEHICLE_RPM_RESPONSE * delta));
+
+    // ── Rev limiter ──────────────────────────────────────────────────
+    this.limiter = this.throttle > 0 && (engaged ? wheelRpm : this.rpm) >= this.redline;
+    if (!engaged || this.throttle === 0 || this.limiter) return 0;
+
+    const torque = drivable.torqueAt(this.rpm / this.redline);
+    const leverage = ratio / this.gearRatios[this.gearRatios.length - 1];
+    return Math.sign(this.gear) * this.throttle * drivable.acceleration * torque * leverage *
+      VEHICLE_REFERENCE_MASS / drivable.mass;
+  }
+
+  /**
+   * Idle while nobody drives.
+   * @param {number} delta
+   */
+  update(delta) {
+    if (this.entity.getComponent('drivable')?.occupied) return;
+    this.throttle = 0;
+    this.braking = false;
+    this.limiter = false;
+    this._setRpm(this.rpm + (this.idleRpm - this.rpm) * Math.min(1, VEHICLE_RPM_RESPONSE * delta));
+  }
+
+  /**
+   * Automatic gear choice.
+   * @private
+   * @param {number} accelInput
+   * @param {number} speed
+   * @param {number} maxSpd
+   */
+  _autoShift(accelInput, speed, maxSpd) {
+    if (this._shiftTimer > 0) return;
+    if (Math.abs(speed) < STOPPED_SPEED) {
+      if (accelInput < 0 && this.gear >= 0) return this.setGear(-1);
+      if (accelInput > 0 && this.gear <= 0) return this.setGear(1);
+    }
+    if (this.gear < 1) return;
+
+    const rpmFraction = Math.abs(speed) / this._gearTopSpeed(this._ratio(this.gear), maxSpd);
+    if (rpmFraction >= this.upshiftAt && accelInput > 0 && this.gear < this.gearRatios.length) {
+      this.setGear(this.gear + 1);
+    } else if (rpmFraction < this.downshiftAt && this.gear > 1) {
+      this.setGear(this.gear - 1);
+    }
+  }
+
+  /**
+   * @private
+   * @param {number} gear
+   * @returns {number} the gear's ratio, 0 in neutral
+   */
+  _ratio(gear) {
+    if (gear < 0) return this.reverseRatio;
+    return gear === 0 ? 0 : this.gearRatios[gear - 1];
+  }
+
+  /**
+   * Speed at the redline in a gear: the top gear reaches maxSpd.
+   * @private
+   */
+  _gearTopSpeed(ratio, maxSpd) {
+    return maxSpd * this.gearRatios[this.gearRatios.length - 1] / ratio;
+  }
+
+  /** @private */
+  _setRpm(rpm) {
+    this.rpm = Math.min(rpm, this.redline);
+    if (Math.abs(this.rpm - this._emittedRpm) < VEHICLE_RPM_EVENT_STEP) return;
+    this._emittedRpm = this.rpm;
+    EventBus.emit('vehicle:rpm', {
+      vehicle: this.entity,
+      rpm: this.rpm,
+      redline: this.redline,
+      throttle: this.throttle,
+      limiter: this.limiter,
+    });
+  }
+
+  /** @private */
+  _emitGear(previous) {
+    EventBus.emit('vehicle:gearChanged', {
+      vehicle: this.entity,
+      gear: this.gear,
+      previous,
+      transmission: this.transmission,
+    });
+  }
+
+  // ===================================================================
+  //  STATE SNAPSHOT (replays, via Drivable)
+  // ===================================================================
+
+  /** @returns {object} JSON-serializable state */
+  captureState() {
+    return {
+      gear: this.gear,
+      rpm: this.rpm,
+      transmission: this.transmission,
+      shiftTimer: this._shiftTimer,
+    };
+  }
+
+  /** @param {object} s -- from captureState() */
+  restoreState(s) {
+    this.gear = s.gear;
+    this.rpm = s.rpm;
+    this.transmission = s.transmission;
+    this._shiftTimer = s.shiftTimer;
+  }
+
+  serialize() {
+    const data = { gearRatios: [...this.gearRatios] };
+    for (const key of TUNING_KEYS) data[key] = this[key];
+    return data;
+  }
+
+  deserialize(data) {
+    for (const key of TUNING_KEYS) {
+      if (key !== 'transmission' && typeof data[key] === 'number') this[key] = data[key];
+    }
+    if (data.transmission === 'automatic' || data.transmission === 'manual') {
+      this.transmission = data.transmission;
+    }
+    if (Array.isArray(data.gearRatios) && data.gearRatios.length > 0) {
+      this.gearRatios = [...data.gearRatios];
+      this.gear = Math.min(this.gear ?? 1, this.gearRatios.length);
+    }
+  }
+}
+
+Component.register(Powertrain);
+
+export default Powertrain;
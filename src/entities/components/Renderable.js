@@ -0,0 +1,87 @@
+import Component from '../Component.js';
+import EventBus from '../../core/EventBus.js';
+
+/**
+ * Visibility and shadow flags for every mesh of an entity. The initial
+ * flags are read from the model (ModelLoader enables shadows on load).
+ *
+ * Events emitted:
+ *   entity:visibilityChanged { entity, visible }
+ */
+class Renderable extends Component {
+  static type = 'renderable';
+
+  static properties = {
+    visible: { label: 'Visible', type: 'boolean' },
+  };
+
+  constructor() {
+    super();
+    this._castShadow = true;
+    this._receiveShadow = true;
+  }
+
+  onAttach() {
+    let cast = false;
+    let receive = false;
+    this.entity.mesh.traverse((child) => {
+      if (!child.isMesh) return;
+      cast ||= child.castShadow;
+      receive ||= child.receiveShadow;
+    });
+    this._castShadow = cast;
+    this._receiveShadow = receive;
+  }
+
+  /** @returns {boolean} */
+  get visible() {
+    return this.entity.mesh.visible;
+  }
+
+  set visible(visible) {
+    if (visible === this.entity.mesh.visible) return;
+    this.entity.mesh.visible = visible;
+    EventBus.emit('entity:visibilityChanged', { entity: this.entity, visible });
+  }
+
+  /** @returns {boolean} */
+  get castShadow() {
+    return this._castShadow;
+  }
+
+  /** @returns {boolean} */
+  get receiveShadow() {
+    return this._receiveShadow;
+  }
+
+  /**
+   * Set the shadow flags on every mesh of the entity.
+   * @param {boolean} cast
+   * @param {boolean} receive
+   */
+  setShadows(cast, receive) {
+    this._castShadow = cast;
+    this._receiveShadow = receive;
+    this.entity.mesh.traverse((child) => {
+      if (!child.isMesh) return;
+      child.castShadow = cast;
+      child.receiveShadow = receive;
+    });
+  }
+
+  serialize() {
+    return { visible: this.visible, castShadow: this._castShadow, receiveShadow: this._receiveShadow };
+  }
+
+  deserialize(data) {
+    if (data.visible !== undefined) this.visible = data.visible;
+    const cast = data.castShadow ?? this._castShadow;
+    const receive = data.receiveShadow ?? this._receiveShadow;
+    // Leave the model's per-mesh flags alone unless they were changed
+    if (cast !== this._castShadow || receive !== this._receiveShadow) this.setShadows(cast, receive);
+  }
+}
+
+Component.register(Renderable);
+
+export default Renderable;
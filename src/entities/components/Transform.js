@@ -0,0 +1,42 @@
+import Component from '../Component.js';
+
+/**
+ * Position, rotation and scale of an entity -- a view onto its mesh's own
+ * transform, which stays the single source of truth. Every entity has one.
+ */
+class Transform extends Component {
+  static type = 'transform';
+
+  /** @returns {THREE.Vector3} */
+  get position() {
+    return this.entity.mesh.position;
+  }
+
+  /** @returns {THREE.Quaternion} */
+  get quaternion() {
+    return this.entity.mesh.quaternion;
+  }
+
+  /** @returns {THREE.Vector3} */
+  get scale() {
+    return this.entity.mesh.scale;
+  }
+
+  serialize() {
+    return {
+      position: this.position.toArray(),
+      quaternion: this.quaternion.toArray(),
+      scale: this.scale.toArray(),
+    };
+  }
+
+  deserialize(data) {
+    if (data.position) this.position.fromArray(data.position);
+    if (data.quaternion) this.quaternion.fromArray(data.quaternion);
+    if (data.scale) this.scale.fromArray(data.scale);
+  }
+}
+
+Component.register(Transform);
+
+export default Transform;
@@ -0,0 +1,578 @@
+import { Vector3, Matrix4, Box3 } from 'three';
+import Component from '../Component.js';
+import EventBus from '../../core/EventBus.js';
+import EntityManager from '../EntityManager.js';
+import Prop from '../Prop.js';
+import CollisionWorld from '../../physics/CollisionWorld.js';
+import { measureLocalBounds } from '../../utils/bounds.js';
+import { random } from '../../utils/random.js';
+import {
+  GRAVITY,
+  GROUND_Y,
+  DAMAGE_DENT_RADIUS,
+  DAMAGE_SPEED_LOSS,
+  DAMAGE_STEER_PULL,
+  DAMAGE_PART_MASS,
+} from '../../utils/constants.js';
+
+/** Tuning values saved with the scene (and accepted by the constructor). */
+const TUNING_KEYS = ['strength', 'threshold', 'deformation', 'detachAt'];
+
+/** Sub-meshes whose names contain one of these can come off. */
+const DEFAULT_PART_NAMES = ['bumper', 'door', 'spoiler', 'hood', 'mirror'];
+
+/** Damage zones, by side of the model's bounds (forward is -Z). */
+const ZONES = ['front', 'rear', 'left', 'right'];
+
+/**
+ * Crash damage for a vehicle. Each vehicle:collision hit adds damage to
+ * the zone it lands on (front, rear, left, right), in proportion to the
+ * speed change it causes (impulse / mass) above `threshold`; `strength`
+ * of speed change wrecks a zone.
+ *
+ * Hits dent the body: vertices within DAMAGE_DENT_RADIUS of the impact
+ * point are pushed in along the hit, at most `deformation` from where
+ * they started. A mesh gets its own copy of its geometry on its first
+ * dent, so vehicles sharing a model don't dent together; a copy made by
+ * Entity.clone() starts from the undented geometry, with all its parts.
+ *
+ * Parts -- sub-meshes (or groups) named like `partNames`, found the way
+ * Drivable finds wheels -- come off once their zone reaches `detachAt`,
+ * the one nearest the impact first. A part that comes off becomes a Prop
+ * (pushed around by EntityCollisions) and drops to the ground.
+ *
+ * Damage costs top speed (speedFactor) and pulls the steering toward a
+ * wrecked side (steerPull); Drivable applies both. repair() undoes it all.
+ *
+ * Events emitted:
+ *   vehicle:damaged      { vehicle, zone, amount, damage, total }
+ *     -- amount: added to the zone, damage: the zone's, total: average of all zones (0-1)
+ *   vehicle:partDetached { vehicle, part, name, zone }  -- part: the new Prop
+ *   vehicle:repaired     { vehicle }
+ *
+ * Events listened:
+ *   vehicle:collision { vehicle, impulse, point, normal }  -- for this vehicle
+ */
+class VehicleDamage extends Component {
+  static type = 'damage';
+  static order = 35;
+
+  static properties = {
+    strength:    { label: 'Strength (m/s to wreck)', type: 'number', min: 5,   max: 200, step: 1 },
+    threshold:   { label: 'Damage from (m/s)',       type: 'number', min: 0,   max: 30,  step: 0.5 },
+    deformation: { label: 'Deepest dent (m)',        type: 'number', min: 0,   max: 1,   step: 0.05 },
+    detachAt:    { label: 'Parts come off at',       type: 'number', min: 0.1, max: 1,   step: 0.05 },
+  };
+
+  /**
+   * @param {object} [tuning] -- overrides for the properties above and
+   *   partNames (name fragments of detachable sub-meshes)
+   */
+  constructor(tuning = {}) {
+    super();
+    this.strength    = 40;    // m/s of speed change that wrecks a zone
+    this.threshold   = 3;     // m/s; softer hits leave no mark
+    this.deformation = 0.3;   // metres
+    this.detachAt    = 0.5;   // zone damage (0-1)
+    /** @type {string[]} */
+    this.partNames = [...DEFAULT_PART_NAMES];
+    this.deserialize(tuning);
+
+    /** Damage per zone, 0 (intact) to 1 (wrecked). */
+    this.zones = { front: 0, rear: 0, left: 0, right: 0 };
+
+    /** @private model-space bounds, for zones */
+    this._bounds = new Box3();
+    /** @private @type {{ mesh: THREE.Mesh, original: THREE.BufferGeometry|null }[]} dentable meshes */
+    this._body = [];
+    /**
+     * @private detachable parts and where they sit on the model
+     * @type {{ object: THREE.Object3D, name: string, parent: THREE.Object3D, zone: string, center: Vector3,
+     *          position: Vector3, quaternion: THREE.Quaternion, scale: Vector3, prop: Prop|null }[]}
+     */
+    this._parts = [];
+    /** @private parts dropping to the ground: { prop, drop, speed } */
+    this._falling = [];
+    /**
+     * @private dents so far, in model space, to redo them on restoreState()
+     * @type {{ point: Vector3, normal: Vector3, depth: number }[]}
+     */
+    this._dents = [];
+
+    this._onCollision = (event) => {
+      if (event.vehicle === this.entity) this._hit(event);
+    };
+  }
+
+  onAttach() {
+    measureLocalBounds(this.entity.mesh, this._bounds);
+    this._collectMeshes();
+    EventBus.on('vehicle:collision', this._onCollision);
+  }
+
+  onDetach() {
+    EventBus.off('vehicle:collision', this._onCollision);
+    this.repair();
+    this._body = [];
+    this._parts = [];
+  }
+
+  /**
+   * A copy of the vehicle starts undamaged: its dented meshes go back to
+   * the geometry they had before their first dent, which the copy's own
+   * first dent copies in turn, and parts that came off are copied back
+   * onto it where they sat.
+   * @param {THREE.Object3D} mesh -- copy of the vehicle's mesh
+   */
+  onCloneMesh(mesh) {
+    // clone(true) keeps the order of children, so the trees line up
+    const copies = new Map();
+    pairUp(this.entity.mesh, mesh, copies);
+
+    for (const part of this._parts) {
+      const parent = part.prop && copies.get(part.parent);
+      if (!parent) continue;
+      const object = part.object.clone(true);
+      pairUp(part.object, object, copies);
+      object.name = part.name;   // the Prop renamed it
+      object.position.copy(part.position);
+      object.quaternion.copy(part.quaternion);
+      object.scale.copy(part.scale);
+      parent.add(object);
+    }
+
+    for (const entry of this._body) {
+      const copy = entry.original && copies.get(entry.mesh);
+      if (copy) copy.geometry = entry.original;
+    }
+  }
+
+  /** @returns {number} average damage of all zones (0-1) */
+  get total() {
+    return ZONES.reduce((sum, zone) => sum + this.zones[zone], 0) / ZONES.length;
+  }
+
+  /** @returns {number} top speed multiplier */
+  get speedFactor() {
+    return 1 - DAMAGE_SPEED_LOSS * this.total;
+  }
+
+  /** @returns {number} steering offset (+ = left), toward the more damaged side */
+  get steerPull() {
+    return (this.zones.left - this.zones.right) * DAMAGE_STEER_PULL;
+  }
+
+  /**
+   * Undo all damage: restore the body's geometry, put detached parts
+   * back (removing their Props) and clear the zones.
+   */
+  repair() {
+    this._undo();
+    const damaged = ZONES.some((zone) => this.zones[zone] > 0);
+    for (const zone of ZONES) this.zones[zone] = 0;
+    if (damaged && this.entity) EventBus.emit('vehicle:repaired', { vehicle: this.entity });
+  }
+
+  /**
+   * Drop detached parts to the ground.
+   * @param {number} delta
+   */
+  update(delta) {
+    for (let i = this._falling.length - 1; i >= 0; i--) {
+      const falling = this._falling[i];
+      falling.speed -= GRAVITY * delta;
+      const step = Math.min(falling.drop, falling.speed * delta);
+      falling.prop.position.y -= step;
+      falling.drop -= step;
+      if (falling.drop <= 0) this._falling.splice(i, 1);
+    }
+  }
+
+  /**
+   * Take a hit.
+   * @private
+   * @param {{ impulse: number, point: Vector3, normal: Vector3 }} hit
+   */
+  _hit({ impulse, point, normal }) {
+    const mass = this.entity.getComponent('drivable')?.mass ?? 1;
+    const speedChange = impulse / mass;
+    if (speedChange <= this.threshold) return;
+    const amount = (speedChange - this.threshold) / this.strength;
+
+    const mesh = this.entity.mesh;
+    mesh.updateMatrixWorld(true);
+    const local = mesh.worldToLocal(_local.copy(point));
+    const zone = this._zoneOf(local);
+    this.zones[zone] = Math.min(1, this.zones[zone] + amount);
+
+    const depth = Math.min(1, amount * 2) * this.deformation;
+    this._dent(point, normal, depth);
+    _inverse.copy(mesh.matrixWorld).invert();
+    this._dents.push({
+      point: local.clone(),
+      normal: normal.clone().transformDirection(_inverse),
+      depth,
+    });
+    EventBus.emit('vehicle:damaged', {
+      vehicle: this.entity,
+      zone,
+      amount,
+      damage: this.zones[zone],
+      total: this.total,
+    });
+
+    if (this.zones[zone] >= this.detachAt) this._detachNearest(zone, local, normal);
+  }
+
+  /**
+   * @private
+   * @param {Vector3} local -- point in model space
+   * @returns {string} the zone it falls in
+   */
+  _zoneOf(local) {
+    this._bounds.getCenter(_center);
+    this._bounds.getSize(_size);
+    const x = (local.x - _center.x) / Math.max(_size.x, 1e-3);
+    const z = (local.z - _center.z) / Math.max(_size.z, 1e-3);
+    if (Math.abs(z) >= Math.abs(x)) return z < 0 ? 'front' : 'rear';
+    return x < 0 ? 'left' : 'right';
+  }
+
+  /**
+   * Push the body's vertices near a world point in along the hit.
+   * @private
+   * @param {Vector3} point  -- world space
+   * @param {Vector3} normal -- world space, pointing into the vehicle
+   * @param {number}  depth  -- metres at the impact point
+   */
+  _dent(point, normal, depth) {
+    if (depth <= 0) return;
+
+    for (const entry of this._body) {
+      const mesh = entry.mesh;
+      const position = mesh.geometry.attributes.position;
+      if (!position) continue;
+
+      // Work in the mesh's own space, scaling distances to match
+      _inverse.copy(mesh.matrixWorld).invert();
+      const scale = mesh.getWorldScale(_scale);
+      const unit = 1 / Math.max(Math.abs(scale.x), Math.abs(scale.y), Math.abs(scale.z), 1e-6);
+      _point.copy(point).applyMatrix4(_inverse);
+      const radius = DAMAGE_DENT_RADIUS * unit;
+      if (!mesh.geometry.boundingSphere) mesh.geometry.computeBoundingSphere();
+      const sphere = mesh.geometry.boundingSphere;
+      if (sphere.center.distanceTo(_point) > sphere.radius + radius) continue;
+      _direction.copy(normal).transformDirection(_inverse);
+
+      // First dent: this mesh's own copy of the geometry, the original kept for repair()
+      if (!entry.original) {
+        entry.original = mesh.geometry;
+        mesh.geometry = entry.original.clone();
+      }
+      const dented = mesh.geometry.attributes.position;
+      const original = entry.original.attributes.position;
+      const limit = this.deformation * unit;
+      let moved = false;
+
+      for (let i = 0; i < dented.count; i++) {
+        _vertex.fromBufferAttribute(dented, i);
+        const distance = _vertex.distanceTo(_point);
+        if (distance >= radius) continue;
+        const falloff = (1 - distance / radius) ** 2;
+        _vertex.addScaledVector(_direction, depth * unit * falloff);
+        // No deeper than `deformation` from where the vertex started
+        _start.fromBufferAttribute(original, i);
+        _offset.subVectors(_vertex, _start);
+        if (_offset.length() > limit) _vertex.copy(_start).add(_offset.setLength(limit));
+        dented.setXYZ(i, _vertex.x, _vertex.y, _vertex.z);
+        moved = true;
+      }
+
+      if (moved) {
+        dented.needsUpdate = true;
+        mesh.geometry.computeVertexNormals();
+        mesh.geometry.computeBoundingSphere();
+        mesh.geometry.computeBoundingBox();
+      }
+    }
+  }
+
+  /**
+   * Knock off the zone's attached part nearest the impact.
+   * @private
+   * @param {string}  zone
+   * @param {Vector3} local  -- impact point in model space
+   * @param {Vector3} normal -- world space, pointing into the vehicle
+   */
+  _detachNearest(zone, local, normal) {
+    let nearest = null;
+    for (const part of this._parts) {
+      if (part.prop || part.zone !== zone) continue;
+      if (!nearest || part.center.distanceToSquared(local) < nearest.center.distanceToSquared(local)) {
+        nearest = part;
+      }
+    }
+    if (nearest) this._detach(nearest, normal);
+  }
+
+  /**
+   * Turn a part into a Prop of its own, flung off the vehicle.
+   * @private
+   * @param {object}  part
+   * @param {Vector3} normal -- world space, pointing into the vehicle
+   */
+  _detach(part, normal) {
+    const prop = this._breakOff(part);
+    if (!prop) return;
+    const object = part.object;
+    const collider = prop.getComponent('collider');
+
+    // The body can reach into a wall the vehicle's collider stops short
+    // of: bring the part back out to this side of it
+    _box.setFromObject(object);
+    _box.getCenter(_center);
+    _start.copy(this.entity.mesh.position).setY(_center.y);
+    _direction.subVectors(_center, _start);
+    const reach = _direction.length();
+    if (reach > 1e-3) {
+      _direction.divideScalar(reach);
+      const wall = CollisionWorld.raycast(_start, _direction, reach + collider.radius);
+      if (wall) object.position.addScaledVector(_direction, wall.distance - reach - collider.radius);
+    }
+
+    // Carried along by the vehicle but not on into what it hit, thrown
+    // back out of the hit (normal points away from the other body), tumbling
+    const drivable = this.entity.getComponent('drivable');
+    _forward.set(0, 0, -1).applyQuaternion(this.entity.mesh.quaternion).setY(0).normalize();
+    _outward.set(normal.x, 0, normal.z).normalize();
+    const velocity = collider.velocity.copy(_forward).multiplyScalar(drivable?.speed ?? 0);
+    const into = velocity.dot(_outward);
+    if (into < 0) velocity.addScaledVector(_outward, -into);
+    velocity.addScaledVector(_outward, 3);
+    collider.spin = (random() - 0.5) * 6;
+
+    // Fall from where it was to the ground under it
+    _box.setFromObject(object);
+    _box.getCenter(_center);
+    _down.set(0, -1, 0);
+    _center.y = _box.max.y;
+    const ground = CollisionWorld.raycast(_center, _down)?.point.y ?? GROUND_Y;
+    this._falling.push({ prop, drop: Math.max(0, _box.min.y - ground), speed: 0 });
+
+    EventBus.emit('vehicle:partDetached', {
+      vehicle: this.entity,
+      part: prop,
+      name: part.name,
+      zone: part.zone,
+    });
+  }
+
+  /**
+   * Take a part off the vehicle as a Prop of its own, where it is.
+   * @private
+   * @param {object} part
+   * @param {string} [id] -- entity ID for the Prop (restoreState)
+   * @returns {Prop|null} null when the vehicle isn't in a scene
+   */
+  _breakOff(part, id) {
+    const scene = this.entity.mesh.parent;
+    if (!scene) return null;
+
+    const object = part.object;
+    scene.attach(object);   // keeps its world transform
+    const prop = new Prop(object, [], `${this.entity.name} ${object.name}`, id);
+    part.prop = prop;
+
+    const collider = prop.getComponent('collider');
+    collider.mass = DAMAGE_PART_MASS;
+    collider.ignore = this.entity;
+    EntityManager.add(prop);
+    return prop;
+  }
+
+  /**
+   * Restore the body's geometry and put detached parts back (removing
+   * and disposing their Props), leaving the zones as they are.
+   * @private
+   */
+  _undo() {
+    for (const entry of this._body) {
+      if (!entry.original) continue;
+      entry.mesh.geometry.dispose();
+      entry.mesh.geometry = entry.original;
+      entry.original = null;
+    }
+    for (const part of this._parts) {
+      if (!part.prop) continue;
+      // The Prop goes for good; its part's geometry and materials are
+      // uploaded again when the vehicle is next drawn
+      EntityManager.remove(part.prop);
+      part.prop.dispose();
+      part.parent.add(part.object);
+      part.object.name = part.name;   // the Prop renamed it
+      part.object.position.copy(part.position);
+      part.object.quaternion.copy(part.quaternion);
+      part.object.scale.copy(part.scale);
+      part.prop = null;
+    }
+    this._falling = [];
+    this._dents = [];
+  }
+
+  /**
+   * Find the dentable meshes and detachable parts: like Drivable's wheel
+   * search, by name, skipping the wheels. A part is the outermost object
+   * whose name matches; its meshes dent too.
+   * @private
+   */
+  _collectMeshes() {
+    this._body = [];
+    this._parts = [];
+    const root = this.entity.mesh;
+    const wheels = new Set(this.entity.getComponent('drivable')?.wheels ?? []);
+    const names = this.partNames.map((name) => name.toLowerCase());
+    root.updateMatrixWorld(true);
+    _inverse.copy(root.matrixWorld).invert();
+
+    const visit = (object, inPart) => {
+      if (wheels.has(object)) return;
+      if (object.isMesh) this._body.push({ mesh: object, original: null });
+
+      const name = object.name.toLowerCase();
+      const isPart = !inPart && object !== root && names.some((n) => name.includes(n));
+      if (isPart) {
+        _box.setFromObject(object).getCenter(_center);
+        const center = _center.clone().applyMatrix4(_inverse);
+        this._parts.push({
+          object,
+          name: object.name,
+          parent: object.parent,
+          zone: this._zoneOf(center),
+          center,
+          position: object.position.clone(),
+          quaternion: object.quaternion.clone(),
+          scale: object.scale.clone(),
+          prop: null,
+        });
+      }
+      for (const child of object.children) visit(child, inPart || isPart);
+    };
+    visit(root, false);
+  }
+
+  // ===================================================================
+  //  STATE SNAPSHOT (replays, via Drivable)
+  // ===================================================================
+
+  /**
+   * @returns {object} JSON-serializable damage: per zone, the dents (to
+   *   redo on the original geometry) and the detached parts as Props
+   */
+  captureState() {
+    return {
+      zones: { ...this.zones },
+      dents: this._dents.map((d) => ({ point: d.point.toArray(), normal: d.normal.toArray(), depth: d.depth })),
+      parts: this._parts.flatMap((part, index) => {
+        if (!part.prop) return [];
+        const falling = this._falling.find((f) => f.prop === part.prop);
+        return [{
+          index,
+          id: part.prop.id,
+          position: part.object.position.toArray(),
+          quaternion: part.object.quaternion.toArray(),
+          collider: part.prop.getComponent('collider').captureState(),
+          falling: falling ? { drop: falling.drop, speed: falling.speed } : null,
+        }];
+      }),
+    };
+  }
+
+  /**
+   * Tear down the current dents and detached parts and rebuild them as
+   * captured. Call with the vehicle's transform already restored.
+   * @param {object} s -- from captureState()
+   */
+  restoreState(s) {
+    this._undo();
+    Object.assign(this.zones, s.zones);
+
+    const mesh = this.entity.mesh;
+    mesh.updateMatrixWorld(true);
+    for (const d of s.dents ?? []) {
+      const dent = {
+        point: new Vector3().fromArray(d.point),
+        normal: new Vector3().fromArray(d.normal),
+        depth: d.depth,
+      };
+      _local.copy(dent.point).applyMatrix4(mesh.matrixWorld);
+      _outward.copy(dent.normal).transformDirection(mesh.matrixWorld);
+      this._dent(_local, _outward, dent.depth);
+      this._dents.push(dent);
+    }
+
+    for (const saved of s.parts ?? []) {
+      const part = this._parts[saved.index];
+      if (!part || part.prop) continue;
+      // Keep the saved ID unless something else has it meanwhile
+      const id = EntityManager.getById(saved.id) ? undefined : saved.id;
+      const prop = this._breakOff(part, id);
+      if (!prop) continue;
+      part.object.position.fromArray(saved.position);
+      part.object.quaternion.fromArray(saved.quaternion);
+      prop.getComponent('collider').restoreState(saved.collider);
+      if (saved.falling) this._falling.push({ prop, ...saved.falling });
+    }
+  }
+
+  serialize() {
+    const data = { partNames: [...this.partNames] };
+    for (const key of TUNING_KEYS) data[key] = this[key];
+    return data;
+  }
+
+  deserialize(data) {
+    for (const key of TUNING_KEYS) {
+      if (typeof data[key] === 'number') this[key] = data[key];
+    }
+    if (Array.isArray(data.partNames)) {
+      this.partNames = data.partNames.filter((name) => typeof name === 'string' && name);
+      if (this.entity) {
+        // Parts are found on the intact model: put detached ones back first
+        this._undo();
+        this._collectMeshes();
+      }
+    }
+  }
+}
+
+/**
+ * Map each object of a tree to its counterpart in a clone of it.
+ * @param {THREE.Object3D} source
+ * @param {THREE.Object3D} copy -- source.clone(true)
+ * @param {Map<THREE.Object3D, THREE.Object3D>} map
+ */
+function pairUp(source, copy, map) {
+  const sources = [];
+  source.traverse((object) => sources.push(object));
+  let index = 0;
+  copy.traverse((object) => map.set(sources[index++], object));
+}
+
+const _local = new Vector3();
+const _center = new Vector3();
+const _size = new Vector3();
+const _point = new Vector3();
+const _direction = new Vector3();
+const _vertex = new Vector3();
+const _start = new Vector3();
+const _offset = new Vector3();
+const _scale = new Vector3();
+const _forward = new Vector3();
+const _outward = new Vector3();
+const _down = new Vector3();
+const _inverse = new Matrix4();
+const _box = new Box3();
+
+Component.register(VehicleDamage);
+
+export default VehicleDamage;
@@ -0,0 +1,293 @@
+import { Vector3, Box3, MathUtils } from 'three';
+import Component from '../Component.js';
+import EventBus from '../../core/EventBus.js';
+import CollisionWorld from '../../physics/CollisionWorld.js';
+import { measureLocalBounds } from '../../utils/bounds.js';
+import {
+  GRAVITY,
+  SUSPENSION_RAY_LIFT,
+  VEHICLE_AIRBORNE_GRACE,
+  VEHICLE_LANDING_SPEED_LOSS,
+  VEHICLE_BODY_TILT_MAX,
+} from '../../utils/constants.js';
+
+/** Tuning values saved with the scene (and accepted by the constructor). */
+const TUNING_KEYS = ['restLength', 'stiffness', 'damping', 'clearance', 'alignSpeed'];
+
+/** Wheel order used by every per-wheel array. */
+const FL = 0, FR = 1, RL = 2, RR = 3;
+
+const _up = new Vector3();
+const _down = new Vector3();
+const _origin = new Vector3();
+const _bounds = new Box3();
+const _size = new Vector3();
+const _center = new Vector3();
+
+/**
+ * Physical ride for a vehicle: four wheels cast rays down against the
+ * CollisionWorld, each pushing the body up with a spring-damper. Gravity
+ * pulls it back down, the body pitches and rolls to match the ground
+ * under the wheels, and with no wheel touching it flies until it lands.
+ *
+ * Opt-in per vehicle: a Drivable without this component keeps the flat
+ * arcade model. With it, Drivable still handles throttle, steering and
+ * drift (only while the wheels have grip) and hands height and tilt over
+ * to step(). Parked or AI-moved vehicles are stepped by update().
+ *
+ * Wheel mounts sit near the corners of the model's bounds (forward is -Z).
+ * Stiffness is per unit of mass, so it doesn't depend on the model.
+ *
+ * Events emitted:
+ *   vehicle:airborne { vehicle }          -- no contact for VEHICLE_AIRBORNE_GRACE
+ *   vehicle:landed   { vehicle, impact }  -- impact: downward speed (m/s) at touchdown
+ */
+class WheelSuspension extends Component {
+  static type = 'suspension';
+  static order = 25;
+
+  static properties = {
+    restLength: { label: 'Suspension travel', type: 'number', min: 0.2, max: 1.5, step: 0.05 },
+    stiffness:  { label: 'Spring stiffness',  type: 'number', min: 20,  max: 200, step: 1 },
+    damping:    { label: 'Damping',           type: 'number', min: 0,   max: 30,  step: 0.5 },
+    clearance:  { label: 'Body clearance',    type: 'number', min: 0,   max: 1.5, step: 0.05 },
+    alignSpeed: { label: 'Ground alignment',  type: 'number', min: 1,   max: 20,  step: 0.5 },
+  };
+
+  /**
+   * @param {object} [tuning]
+   * @param {number} [tuning.restLength] -- Spring length with no load (m)
+   * @param {number} [tuning.stiffness]  -- Spring rate per unit mass
+   * @param {number} [tuning.damping]    -- Damper rate per unit mass
+   * @param {number} [tuning.clearance]  -- Lift of the collision sphere, so kerbs go under the body
+   * @param {number} [tuning.alignSpeed] -- How fast the body follows the ground's slope
+   */
+  constructor(tuning = {}) {
+    super();
+    this.restLength = 0.5;
+    this.stiffness  = 60;
+    this.damping    = 8;
+    this.clearance  = 0.4;
+    this.alignSpeed = 8;
+    this.deserialize(tuning);
+
+    /** True while at least one wheel touches the ground. */
+    this.grounded = true;
+    /** True once off the ground for VEHICLE_AIRBORNE_GRACE, until landing. */
+    this.airborne = false;
+    /** Spring compression per wheel (m): FL, FR, RL, RR. */
+    this.compression = [0, 0, 0, 0];
+
+    /** @private world vertical speed from the springs and gravity (m/s) */
+    this._verticalSpeed = 0;
+    /** @private seconds without contact */
+    this._airTime = 0;
+    /** @private height at the end of the last step, for the landing impact */
+    this._prevY = 0;
+    /** @private wheel mounts in model space, FL, FR, RL, RR */
+    this._mounts = [new Vector3(), new Vector3(), new Vector3(), new Vector3()];
+    /** @private ground (or fully extended wheel) height under each wheel */
+    this._wheelY = [0, 0, 0, 0];
+  }
+
+  onAttach() {
+    const mesh = this.entity.mesh;
+    // Yaw first, so pitch and roll are about the car's own axes
+    mesh.rotation.reorder('YXZ');
+    this._prevY = mesh.position.y;
+
+    measureLocalBounds(mesh, _bounds);
+    _bounds.getSize(_size);
+    _bounds.getCenter(_center);
+    const halfTrack = Math.max(0.3, _size.x * 0.4);
+    const halfBase  = Math.max(0.5, _size.z * 0.35);
+    this._mounts[FL].set(_center.x - halfTrack, 0, _center.z - halfBase);
+    this._mounts[FR].set(_center.x + halfTrack, 0, _center.z - halfBase);
+    this._mounts[RL].set(_center.x - halfTrack, 0, _center.z + halfBase);
+    this._mounts[RR].set(_center.x + halfTrack, 0, _center.z + halfBase);
+  }
+
+  onDetach() {
+    // Back to the arcade model's level body
+    const rotation = this.entity.mesh.rotation;
+    rotation.x = 0;
+    rotation.z = 0;
+    this._verticalSpeed = 0;
+    this._airTime = 0;
+    this.airborne = false;
+    this.grounded = true;
+  }
+
+  /**
+   * Settle vehicles nobody is driving (while driven, Drivable calls step()).
+   * @param {number} delta
+   */
+  update(delta) {
+    if (this.entity.getComponent('drivable')?.occupied) return;
+    this.step(delta);
+  }
+
+  /**
+   * Cast the wheels, integrate the body's height and align it with the
+   * ground. Call after the vehicle has moved for this step.
+   * @param {number} delta -- seconds
+   */
+  step(delta) {
+    const mesh = this.entity.mesh;
+
+    // Vertical speed going into this step (driving up or down a slope
+    // included), for the landing impact
+    const fallSpeed = this._verticalSpeed + (mesh.position.y - this._prevY) / delta;
+
+    _up.set(0, 1, 0).applyQuaternion(mesh.quaternion);
+    _down.copy(_up).negate();
+
+    // Mounts sit where the springs rest under the car's own weight
+    const mountY = this.restLength + GRAVITY / this.stiffness;
+    let force = 0;
+    let contacts = 0;
+    let bottomOut = 0;
+
+    for (let i = 0; i < 4; i++) {
+      const mount = this._mounts[i];
+      _origin.set(mount.x * mesh.scale.x, mountY + SUSPENSION_RAY_LIFT, mount.z * mesh.scale.z)
+        .applyQuaternion(mesh.quaternion)
+        .add(mesh.position);
+
+      const reach = SUSPENSION_RAY_LIFT + this.restLength;
+      // Like the arcade model, nothing drops below the ground plane (which
+      // is all there is before the CollisionWorld is built)
+      const distance = CollisionWorld.raycast(_origin, _down, reach)?.distance ??
+        (_up.y > 0 && _origin.y < reach * _up.y ? _origin.y / _up.y : Infinity);
+      if (distance === Infinity) {
+        this.compression[i] = 0;
+        this._wheelY[i] = _origin.y - reach * _up.y;
+        continue;
+      }
+
+      const compression = this.restLength - (distance - SUSPENSION_RAY_LIFT);
+      const compressionSpeed = (compression - this.compression[i]) / delta;
+      force += Math.max(0, this.stiffness * compression + this.damping * compressionSpeed);
+      bottomOut = Math.max(bottomOut, compression - this.restLength);
+      this.compression[i] = compression;
+      this._wheelY[i] = _origin.y - distance * _up.y;
+      contacts++;
+    }
+
+    // ── Height: springs (along the body's up) against gravity ────────
+    this._verticalSpeed += ((force / 4) * _up.y + GRAVITY) * delta;
+    mesh.position.y += this._verticalSpeed * delta;
+    if (bottomOut > 0) {
+      // Out of travel: the body rides on the ground
+      mesh.position.y += bottomOut;
+      this._verticalSpeed = Math.max(0, this._verticalSpeed);
+    }
+
+    this._updateContact(contacts > 0, fallSpeed, delta);
+    this._align(delta);
+    this._prevY = mesh.position.y;
+  }
+
+  /**
+   * Track ground contact and emit airborne / landed.
+   * @private
+   * @param {boolean} grounded
+   * @param {number}  fallSpeed -- world vertical speed before this step (m/s)
+   * @param {number}  delta
+   */
+  _updateContact(grounded, fallSpeed, delta) {
+    this.grounded = grounded;
+    if (!grounded) {
+      this._airTime += delta;
+      if (!this.airborne && this._airTime >= VEHICLE_AIRBORNE_GRACE) {
+        this.airborne = true;
+        EventBus.emit('vehicle:airborne', { vehicle: this.entity });
+      }
+      return;
+    }
+
+    this._airTime = 0;
+    if (!this.airborne) return;
+    this.airborne = false;
+
+    const impact = Math.max(0, -fallSpeed);
+    const drivable = this.entity.getComponent('drivable');
+    if (drivable) drivable.speed *= 1 - Math.min(0.5, impact * VEHICLE_LANDING_SPEED_LOSS);
+    EventBus.emit('vehicle:landed', { vehicle: this.entity, impact });
+  }
+
+  /**
+   * Ease pitch and roll toward the ground under the wheels (plus the
+   * arcade lean into turns); in the air, slowly level out.
+   * @private
+   * @param {number} delta
+   */
+  _align(delta) {
+    const rotation = this.entity.mesh.rotation;
+    let pitch = 0;
+    let roll = 0;
+    let rate = this.alignSpeed * 0.25;
+
+    if (this.grounded) {
+      const m = this._mounts;
+      const wheelbase = m[RL].z - m[FL].z;
+      const track = m[FR].x - m[FL].x;
+      const w = this._wheelY;
+      pitch = Math.atan2((w[FL] + w[FR] - w[RL] - w[RR]) / 2, wheelbase);
+      roll  = Math.atan2((w[FR] + w[RR] - w[FL] - w[RL]) / 2, track);
+
+      const drivable = this.entity.getComponent('drivable');
+      if (drivable) {
+        const speedRatio = MathUtils.clamp(Math.abs(drivable.speed) / drivable.maxSpeed, 0, 1);
+        roll -= drivable.steering * speedRatio * VEHICLE_BODY_TILT_MAX;
+      }
+      rate = this.alignSpeed;
+    }
+
+    const t = Math.min(1, rate * delta);
+    rotation.x += (pitch - rotation.x) * t;
+    rotation.z += (roll - rotation.z) * t;
+  }
+
+  // ===================================================================
+  //  STATE SNAPSHOT (replays, via Drivable)
+  // ===================================================================
+
+  /** @returns {object} JSON-serializable state */
+  captureState() {
+    return {
+      verticalSpeed: this._verticalSpeed,
+      airTime: this._airTime,
+      prevY: this._prevY,
+      airborne: this.airborne,
+      grounded: this.grounded,
+      compression: [...this.compression],
+    };
+  }
+
+  /** @param {object} s -- from captureState() */
+  restoreState(s) {
+    this._verticalSpeed = s.verticalSpeed;
+    this._airTime = s.airTime;
+    this._prevY = s.prevY;
+    this.airborne = s.airborne;
+    this.grounded = s.grounded;
+    this.compression = [...s.compression];
+  }
+
+  serialize() {
+    const data = {};
+    for (const key of TUNING_KEYS) data[key] = this[key];
+    return data;
+  }
+
+  deserialize(data) {
+    for (const key of TUNING_KEYS) {
+      if (typeof data[key] === 'number') this[key] = data[key];
+    }
+  }
+}
+
+Component.register(WheelSuspension);
+
+export default WheelSuspension;
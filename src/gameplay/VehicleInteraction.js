@@ -1,15 +1,22 @@
 import { Vector3 } from 'three';
 import EventBus from '../core/EventBus.js';
 import GameState from '../core/GameState.js';
-import { VEHICLE_ENTER_DISTANCE, GP_Y } from '../utils/constants.js';
+import InputBindings from '../core/InputBindings.js';
+import EntityManager from '../entities/EntityManager.js';
+import { HAS_DOM } from '../utils/env.js';
+import { VEHICLE_ENTER_DISTANCE } from '../utils/constants.js';
 
 /**
  * Manages proximity-based enter / exit interaction between the player and
- * vehicles in the scene.
+ * vehicles in the scene. A vehicle is any entity with a Drivable component.
  *
  * While in "play" mode the system checks for nearby vehicles each frame and
- * shows a prompt when one is within VEHICLE_ENTER_DISTANCE. Pressing F enters
- * the nearest vehicle (switches to "drive" mode). Pressing F again exits.
+ * shows a prompt when one is within VEHICLE_ENTER_DISTANCE. The interact action
+ * (F by default) enters the nearest vehicle (switches to "drive" mode) and
+ * exits it again. With no vehicle in reach, the nearest entity with an
+ * Interactable component in its radius gets the prompt and the press.
+ * While driving, the (hidden) player rides at the Drivable's seatOffset
+ * and gets out on that side.
  *
  * Usage:
  *   const interaction = new VehicleInteraction(playerCtrl, vehicles, inputManager);
@@ -19,7 +26,7 @@ import { VEHICLE_ENTER_DISTANCE, GP_Y } from '../utils/constants.js';
 class VehicleInteraction {
   /**
    * @param {Object}         playerController — Player controller with `.position` and `._body.container`
-   * @param {Vehicle[]}      vehicles         — Array of Vehicle entity instances
+   * @param {Entity[]}       vehicles         — Entities with a Drivable component
    * @param {InputManager}   inputManager     — Input manager instance
    */
   constructor(playerController, vehicles, inputManager) {
@@ -27,14 +34,17 @@ class VehicleInteraction {
     this._vehicles = vehicles;        // live array — can be extended via addVehicle()
     this._input    = inputManager;
 
-    /** @type {Vehicle|null} Closest vehicle within interaction range */
+    /** @type {Entity|null} Closest vehicle within interaction range */
     this._nearestVehicle = null;
 
-    /** @type {HTMLElement|null} On-screen prompt element */
-    this._promptEl = null;
+    /** @type {Interactable|null} Closest interactable in reach (no vehicle in range) */
+    this._nearestInteractable = null;
+
+    /** What the prompt offers after "Press F to". */
+    this._promptAction = 'enter vehicle';
 
-    // Edge-detection flag so holding F doesn't toggle repeatedly
-    this._fPressed = false;
+    /** @type {HTMLElement|null} On-screen prompt element (null when headless) */
+    this._promptEl = null;
 
     // Reusable scratch vector for exit offset calculation
     this._exitOffset = new Vector3();
@@ -43,15 +53,20 @@ class VehicleInteraction {
     this._mode = 'play';
 
     this._createPrompt();
+
+    // Keep the prompt in sync with the interact binding
+    this._onBindingsChanged = () => this._updatePromptText();
+    EventBus.on('input:bindingsChanged', this._onBindingsChanged);
   }
 
   // ── UI ──────────────────────────────────────────────────────────────
 
-  /** Create the "Press F to enter vehicle" HUD prompt. */
+  /** Create the "Press <interact> to enter vehicle" HUD prompt. */
   _createPrompt() {
+    if (!HAS_DOM) return;
     this._promptEl = document.createElement('div');
     this._promptEl.className = 'interaction-prompt';
-    this._promptEl.textContent = 'Press F to enter vehicle';
+    this._updatePromptText();
     this._promptEl.style.cssText = [
       'position: fixed',
       'bottom: 80px',
@@ -72,20 +87,64 @@ class VehicleInteraction {
     document.body.appendChild(this._promptEl);
   }
 
+  /**
+   * Show or hide the prompt (no-op when headless).
+   * @param {boolean} visible
+   * @param {string} [action] — what the prompt offers, e.g. 'enter vehicle'
+   */
+  _showPrompt(visible, action = this._promptAction) {
+    if (action !== this._promptAction) {
+      this._promptAction = action;
+      this._updatePromptText();
+    }
+    if (this._promptEl) this._promptEl.style.display = visible ? 'block' : 'none';
+  }
+
+  /** Show the current interact binding in the prompt. */
+  _updatePromptText() {
+    if (!this._promptEl) return;
+    this._promptEl.textContent = `Press ${InputBindings.describe('interact')} to ${this._promptAction}`;
+  }
+
   // ── Public API ──────────────────────────────────────────────────────
 
   /**
-   * Register an additional vehicle at runtime (e.g. after spawning).
-   * @param {Vehicle} vehicle
+   * Register an additional vehicle at runtime (e.g. after spawning, or
+   * after a Drivable is attached).
+   * @param {Entity} vehicle
    */
   addVehicle(vehicle) {
+    if (this._vehicles.includes(vehicle)) return;
     this._vehicles.push(vehicle);
   }
 
+  /**
+   * Unregister a vehicle (e.g. before it is disposed).
+   * @param {Entity} vehicle
+   */
+  removeVehicle(vehicle) {
+    const idx = this._vehicles.indexOf(vehicle);
+    if (idx !== -1) this._vehicles.splice(idx, 1);
+    if (this._nearestVehicle === vehicle) this._nearestVehicle = null;
+  }
+
   setMode(mode) {
     this._mode = mode;
   }
 
+  /**
+   * Seat the player in a vehicle immediately (e.g. restoring a replay start).
+   * @param {Entity} vehicle — an entity with a Drivable
+   */
+  enterVehicle(vehicle) {
+    this._enterVehicle(vehicle);
+  }
+
+  /** Take the player out of the current vehicle, if any. */
+  exitVehicle() {
+    this._exitVehicle();
+  }
+
   /**
    * Per-frame update. Must be called from the main game loop.
    * Handles proximity detection, prompt visibility and enter/exit logic
@@ -94,54 +153,85 @@ class VehicleInteraction {
    * @param {number} delta — Frame time in seconds
    */
   update(delta) {
-    // F key edge detection (keyboard or gamepad Y button)
-    const fDown = this._input.isKeyDown('KeyF');
-    const fJustPressed = (fDown && !this._fPressed) || this._input.isButtonJustPressed(GP_Y);
-    this._fPressed = fDown;
+    // Interact (F / gamepad Y by default): holding it doesn't toggle repeatedly
+    const fJustPressed = this._input.isActionJustPressed('interact');
 
     if (this._mode === 'play') {
-      // Proximity check for nearby vehicles
+      // Proximity check through the spatial index (only vehicles registered here)
       this._nearestVehicle = null;
-      let minDist = VEHICLE_ENTER_DISTANCE;
+      let minDist = Infinity;
       const playerPos = this._player.position;
 
-      for (const v of this._vehicles) {
-        const dist = playerPos.distanceTo(v.position);
-        if (dist < minDist) {
+      for (const v of EntityManager.findNearby(playerPos, VEHICLE_ENTER_DISTANCE)) {
+        const dist = playerPos.distanceToSquared(v.position);
+        if (dist < minDist && this._vehicles.includes(v)) {
           minDist = dist;
           this._nearestVehicle = v;
         }
       }
-
-      this._promptEl.style.display = this._nearestVehicle ? 'block' : 'none';
+      this._nearestInteractable = this._nearestVehicle ? null : this._findInteractable(playerPos);
+
+      if (this._nearestVehicle) {
+        this._showPrompt(true, 'enter vehicle');
+      } else if (this._nearestInteractable) {
+        this._showPrompt(true, this._nearestInteractable.prompt);
+      } else {
+        this._showPrompt(false);
+      }
 
       if (fJustPressed && this._nearestVehicle) {
         this._enterVehicle(this._nearestVehicle);
+      } else if (fJustPressed && this._nearestInteractable) {
+        this._nearestInteractable.interact(this._player);
       }
     } else if (this._mode === 'drive') {
-      this._promptEl.style.display = 'none';
-
-      if (GameState.vehicle) {
-        GameState.vehicle.drive(this._input, delta);
+      this._showPrompt(false);
+
+      const drivable = GameState.vehicle?.getComponent('drivable');
+      if (drivable) {
+        drivable.drive(this._input, delta);
+        this._player.position.copy(drivable.seatOffset)
+          .applyQuaternion(GameState.vehicle.mesh.quaternion)
+          .add(GameState.vehicle.position);
       }
 
       if (fJustPressed) {
         this._exitVehicle();
       }
     } else {
-      this._promptEl.style.display = 'none';
+      this._showPrompt(false);
     }
   }
 
+  /**
+   * Closest enabled Interactable whose radius reaches `position`.
+   * @param {THREE.Vector3} position
+   * @returns {Interactable|null}
+   */
+  _findInteractable(position) {
+    let nearest = null;
+    let minDist = Infinity;
+    for (const interactable of EntityManager.getComponents('interactable')) {
+      if (!interactable.enabled) continue;
+      const dist = position.distanceTo(interactable.entity.position);
+      if (dist <= interactable.radius && dist < minDist) {
+        minDist = dist;
+        nearest = interactable;
+      }
+    }
+    return nearest;
+  }
+
   // ── Internal transitions ────────────────────────────────────────────
 
   /**
    * Seat the player inside the given vehicle and switch to drive mode.
-   * @param {Vehicle} vehicle
+   * @param {Entity} vehicle — an entity with a Drivable
    */
   _enterVehicle(vehicle) {
-    vehicle.occupied = true;
-    vehicle.driver   = this._player;
+    const drivable = vehicle.getComponent('drivable');
+    drivable.occupied = true;
+    drivable.driver   = this._player;
     GameState.vehicle = vehicle;
     GameState.setMode('drive');
 
@@ -153,19 +243,24 @@ class VehicleInteraction {
 
   /**
    * Remove the player from the current vehicle and return to play mode.
-   * The player is placed to the right side of the vehicle (local +X).
+   * The player is placed beside the vehicle on the seat's side (local +X
+   * unless the seat is left of centre).
    */
   _exitVehicle() {
     const vehicle = GameState.vehicle;
     if (!vehicle) return;
 
-    // Reset vehicle state
-    vehicle.occupied = false;
-    vehicle.driver   = null;
-    vehicle.speed    = 0;
+    // Reset vehicle state (the Drivable may be gone if it was just detached)
+    const drivable = vehicle.getComponent('drivable');
+    if (drivable) {
+      drivable.occupied = false;
+      drivable.driver   = null;
+      drivable.speed    = 0;
+    }
 
-    // Position the player to the right of the vehicle so they don't overlap
-    this._exitOffset.set(3, 0, 0).applyQuaternion(vehicle.mesh.quaternion);
+    // Position the player beside the vehicle so they don't overlap
+    const side = drivable && drivable.seatOffset.x < 0 ? -1 : 1;
+    this._exitOffset.set(3 * side, 0, 0).applyQuaternion(vehicle.mesh.quaternion);
     this._player.position.copy(vehicle.position).add(this._exitOffset);
     this._player.position.y = 0;
 
@@ -182,6 +277,7 @@ class VehicleInteraction {
 
   /** Remove the prompt element from the DOM. */
   dispose() {
+    EventBus.off('input:bindingsChanged', this._onBindingsChanged);
     if (this._promptEl && this._promptEl.parentNode) {
       this._promptEl.parentNode.removeChild(this._promptEl);
       this._promptEl = null;
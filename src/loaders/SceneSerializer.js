@@ -0,0 +1,392 @@
+import { Vector3 } from 'three';
+import EventBus from '../core/EventBus.js';
+import GameState from '../core/GameState.js';
+import EntityManager from '../entities/EntityManager.js';
+import { createEntity } from '../entities/EntityTypes.js';
+import Component from '../entities/Component.js';
+// Every built-in component, so saved ones can be rebuilt by type
+import '../entities/components/Transform.js';
+import '../entities/components/Renderable.js';
+import '../entities/components/Animator.js';
+import '../entities/components/Collider.js';
+import '../entities/components/Drivable.js';
+import '../entities/components/WheelSuspension.js';
+import '../entities/components/Powertrain.js';
+import '../entities/components/VehicleDamage.js';
+import '../entities/components/AIBehaviour.js';
+import '../entities/components/Knockdown.js';
+import '../entities/components/Interactable.js';
+import '../entities/components/AudioSource.js';
+import ModelLoader from './ModelLoader.js';
+
+/**
+ * Saves and restores the editable scene as a versioned JSON document.
+ *
+ * A document captures:
+ *   - every EntityManager entity that has an asset `source`
+ *     (URL, or the dropped GLB embedded as a base64 data URL) and the
+ *     serialize() data of each of its components, transform included.
+ *     Loading rebuilds the preset for the entity's type (EntityTypes.js),
+ *     which brings its components, then adds or updates the saved ones.
+ *     IDs, tags and parents are kept, so references by ID survive a
+ *     save / load round trip.
+ *   - camera transform, FOV and active camera mode
+ *   - time of day (SkySystem / GameState)
+ *   - PathCam keyframes (with their time scale), duration and loop flag
+ *   - PostProcessing settings
+ *
+ * Documents from older schema versions are upgraded step by step through
+ * the migration table before loading (see registerMigration()).
+ *
+ * Events emitted:
+ *   scene:saved    { doc }
+ *   scene:loaded   { doc }
+ *   entity:added   { entity }  -- for each rebuilt entity (via EntityManager)
+ *   entity:removed { entity }  -- for each entity cleared before loading
+ *
+ * Usage:
+ *   const serializer = new SceneSerializer({ scene, camera, cameraSystem, sky, pathCam, postProcessing });
+ *   await serializer.download();          // save to a .json file
+ *   await serializer.loadFile(file);      // restore from a .json file
+ */
+
+/** Identifies our documents among arbitrary JSON files. */
+export const SCENE_FORMAT = 'desde-cero-scene';
+
+/** Current schema version written by serialize(). */
+export const SCENE_VERSION = 4;
+
+/**
+ * Migration table: fromVersion -> fn(doc) returning a doc of fromVersion + 1.
+ * @type {Map<number, Function>}
+ */
+const MIGRATIONS = new Map();
+
+class SceneSerializer {
+  /**
+   * @param {object} params
+   * @param {THREE.Scene} params.scene
+   * @param {THREE.PerspectiveCamera} params.camera
+   * @param {object} params.cameraSystem        — CameraSystem (getActiveModeName / setMode)
+   * @param {object} params.sky                 — SkySystem (getTimeOfDay / setTimeOfDay)
+   * @param {object|null} params.pathCam        — PathCam (getPoints / setPoints)
+   * @param {object|null} params.postProcessing — PostProcessing (getSettings / applySettings)
+   */
+  constructor({ scene, camera, cameraSystem, sky, pathCam = null, postProcessing = null }) {
+    this._scene = scene;
+    this._camera = camera;
+    this._cameraSystem = cameraSystem;
+    this._sky = sky;
+    this._pathCam = pathCam;
+    this._postProcessing = postProcessing;
+  }
+
+  /**
+   * Register an upgrade step for documents saved at `fromVersion`.
+   * @param {number} fromVersion
+   * @param {(doc: object) => object} migrate — returns the upgraded document
+   */
+  static registerMigration(fromVersion, migrate) {
+    MIGRATIONS.set(fromVersion, migrate);
+  }
+
+  /* -----------------------------------------------------------
+   * Save
+   * --------------------------------------------------------- */
+
+  /**
+   * Build a scene document from the current state.
+   * Async because dropped files are read back to embed them.
+   * @returns {Promise<object>}
+   */
+  async serialize() {
+    const entities = [];
+    for (const entity of EntityManager.getAll()) {
+      if (!entity.source) continue;
+      const components = {};
+      for (const component of entity.components.values()) {
+        components[component.type] = component.serialize() ?? {};
+      }
+      entities.push({
+        id: entity.id,
+        type: entity.type,
+        name: entity.name,
+        tags: [...entity.tags],
+        parent: entity.parent ? entity.parent.id : null,
+        source: await this._serializeSource(entity.source),
+        components,
+      });
+    }
+
+    const doc = {
+      format: SCENE_FORMAT,
+      version: SCENE_VERSION,
+      savedAt: new Date().toISOString(),
+      camera: {
+        mode: this._cameraSystem.getActiveModeName(),
+        position: this._camera.position.toArray(),
+        quaternion: this._camera.quaternion.toArray(),
+        fov: this._camera.fov,
+      },
+      world: {
+        timeOfDay: this._sky.getTimeOfDay(),
+      },
+      path: this._pathCam ? {
+        duration: this._pathCam.duration,
+        loop: this._pathCam.loop,
+        points: this._pathCam.getPoints().map((p) => ({
+          position: p.position.toArray(),
+          lookAt: p.lookAt.toArray(),
+          timeScale: p.timeScale,
+        })),
+      } : null,
+      postProcessing: this._postProcessing ? this._postProcessing.getSettings() : null,
+      entities,
+    };
+
+    EventBus.emit('scene:saved', { doc });
+    return doc;
+  }
+
+  /**
+   * Serialize the scene and trigger a browser download of the JSON file.
+   * @param {string} [fileName]
+   */
+  async download(fileName = `desde-cero-scene-${Date.now()}.json`) {
+    const doc = await this.serialize();
+    const blob = new Blob([JSON.stringify(doc)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = fileName;
+    anchor.click();
+
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+  }
+
+  /* -----------------------------------------------------------
+   * Load
+   * --------------------------------------------------------- */
+
+  /**
+   * Read a scene document from a File (file input / drag-and-drop).
+   * @param {File} file
+   * @returns {Promise<void>}
+   */
+  async loadFile(file) {
+    const text = await file.text();
+    return this.load(JSON.parse(text));
+  }
+
+  /**
+   * Replace the current scene contents with a saved document.
+   * Entities whose asset fails to load are skipped with a warning.
+   *
+   * @param {object} rawDoc
+   * @returns {Promise<void>}
+   */
+  async load(rawDoc) {
+    const doc = this._migrate(rawDoc);
+
+    this._clearEntities();
+
+    const kept = GameState.vehicle;
+    const loaded = [];
+    for (const data of doc.entities) {
+      // The occupied vehicle stayed through the clear: don't add its saved copy too.
+      // Only its ID identifies it -- other entities may share its name.
+      if (kept && data.id === kept.id) continue;
+      try {
+        loaded.push([await this._loadEntity(data), data]);
+      } catch (err) {
+        console.warn(`[SceneSerializer] Skipping entity "${data.name}":`, err);
+      }
+    }
+    // Parents may be listed after their children, or be entities kept from before the load
+    for (const [entity, data] of loaded) {
+      if (data.parent) entity.setParent(EntityManager.getById(data.parent));
+    }
+
+    if (doc.world) {
+      this._sky.setTimeOfDay(doc.world.timeOfDay);
+    }
+
+    if (doc.path && this._pathCam) {
+      this._pathCam.setDuration(doc.path.duration);
+      this._pathCam.setLoop(doc.path.loop);
+      if (doc.path.points.length > 0) {
+        this._pathCam.setPoints(doc.path.points.map((p) => ({
+          position: new Vector3().fromArray(p.position),
+          lookAt: new Vector3().fromArray(p.lookAt),
+          timeScale: p.timeScale,
+        })));
+      } else {
+        this._pathCam.clearPoints();
+      }
+    }
+
+    if (doc.postProcessing && this._postProcessing) {
+      this._postProcessing.applySettings(doc.postProcessing);
+    }
+
+    if (doc.camera) {
+      this._camera.position.fromArray(doc.camera.position);
+      this._camera.quaternion.fromArray(doc.camera.quaternion);
+      this._camera.fov = doc.camera.fov;
+      this._camera.updateProjectionMatrix();
+
+      // Switch after restoring the transform so activate() syncs from it.
+      // Play/drive own their camera, so only free-look modes are restored.
+      if (doc.camera.mode && GameState.mode !== 'play' && GameState.mode !== 'drive') {
+        this._cameraSystem.setMode(doc.camera.mode);
+      }
+    }
+
+    EventBus.emit('scene:loaded', { doc });
+  }
+
+  /* -----------------------------------------------------------
+   * Internal
+   * --------------------------------------------------------- */
+
+  /**
+   * Validate a document and run it through the migration table.
+   * @private
+   * @param {object} doc
+   * @returns {object}
+   */
+  _migrate(doc) {
+    if (!doc || doc.format !== SCENE_FORMAT) {
+      throw new Error('[SceneSerializer] Not a DESDE CERO scene file');
+    }
+    if (doc.version > SCENE_VERSION) {
+      throw new Error(
+        `[SceneSerializer] Scene version ${doc.version} is newer than supported (${SCENE_VERSION})`
+      );
+    }
+
+    let migrated = doc;
+    while (migrated.version < SCENE_VERSION) {
+      const migrate = MIGRATIONS.get(migrated.version);
+      if (!migrate) {
+        throw new Error(`[SceneSerializer] No migration from scene version ${migrated.version}`);
+      }
+      migrated = migrate(migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Turn an entity source into its JSON form, embedding dropped files.
+   * @private
+   * @param {{ url?: string, fileName?: string, file?: Blob }} source
+   * @returns {Promise<object>}
+   */
+  async _serializeSource(source) {
+    if (source.file) {
+      return { fileName: source.fileName, embedded: await blobToDataURL(source.file) };
+    }
+    return { url: source.url };
+  }
+
+  /**
+   * Load one entity's asset, rebuild it and add it to the scene.
+   * @private
+   * @param {object} data — entry from doc.entities
+   * @returns {Promise<Entity>}
+   */
+  async _loadEntity(data) {
+    let result;
+    let source;
+    if (data.source.embedded) {
+      const blob = await (await fetch(data.source.embedded)).blob();
+      result = await ModelLoader.loadFile(blob);
+      source = { fileName: data.source.fileName, file: blob };
+    } else {
+      result = await ModelLoader.load(data.source.url);
+      source = { url: data.source.url };
+    }
+
+    // Keep the saved ID unless a kept entity (the occupied vehicle) still has it
+    const id = data.id && !EntityManager.getById(data.id) ? data.id : undefined;
+    const entity = createEntity(data.type, result.scene, result.animations, data.name, id);
+    entity.source = source;
+    for (const tag of data.tags) entity.addTag(tag);
+
+    for (const [type, componentData] of Object.entries(data.components)) {
+      let component = entity.getComponent(type);
+      if (!component) {
+        if (!Component.get(type)) {
+          console.warn(`[SceneSerializer] "${data.name}": unknown component "${type}" skipped`);
+          continue;
+        }
+        component = entity.addComponent(Component.create(type));
+      }
+      component.deserialize(componentData);
+    }
+
+    this._scene.add(entity.mesh);
+    EntityManager.add(entity);
+    return entity;
+  }
+
+  /**
+   * Remove every saveable entity before a load. The occupied vehicle is
+   * kept so the player isn't left driving a disposed mesh (load() skips
+   * its saved entry).
+   * @private
+   */
+  _clearEntities() {
+    const toRemove = EntityManager.getAll().filter(
+      (e) => e.source && e !== GameState.vehicle
+    );
+    for (const entity of toRemove) {
+      EntityManager.remove(entity);
+      entity.dispose();
+    }
+  }
+}
+
+/**
+ * Read a Blob as a base64 data URL.
+ * @param {Blob} blob
+ * @returns {Promise<string>}
+ */
+function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(reader.result);
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+// v1 -> v2: path keyframes gained a time scale
+SceneSerializer.registerMigration(1, (doc) => ({
+  ...doc,
+  version: 2,
+  path: doc.path && {
+    ...doc.path,
+    points: doc.path.points.map((p) => ({ ...p, timeScale: 1 })),
+  },
+}));
+
+// v2 -> v3: entity transforms moved into per-component data
+SceneSerializer.registerMigration(2, (doc) => ({
+  ...doc,
+  version: 3,
+  entities: doc.entities.map(({ position, quaternion, scale, ...entity }) => ({
+    ...entity,
+    components: { transform: { position, quaternion, scale } },
+  })),
+}));
+
+// v3 -> v4: entities gained stable IDs (assigned on load), tags and a parent
+SceneSerializer.registerMigration(3, (doc) => ({
+  ...doc,
+  version: 4,
+  entities: doc.entities.map((entity) => ({ id: null, tags: [], parent: null, ...entity })),
+}));
+
+export default SceneSerializer;
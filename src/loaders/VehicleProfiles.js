@@ -0,0 +1,328 @@
+import EventBus from '../core/EventBus.js';
+import EntityManager from '../entities/EntityManager.js';
+import Drivable from '../entities/components/Drivable.js';
+import Powertrain from '../entities/components/Powertrain.js';
+import { HAS_DOM } from '../utils/env.js';
+import { VEHICLE_COLLIDER_RADIUS, VEHICLE_PROFILE_POLL_INTERVAL } from '../utils/constants.js';
+
+/**
+ * Per-vehicle handling profiles: JSON files next to the vehicle GLBs
+ * (cars/guido.glb -> cars/guido.json), applied to a vehicle's Drivable,
+ * Powertrain and Collider. Models without one keep the default handling.
+ *
+ * Profile format (every field optional; missing ones take the defaults):
+ *   {
+ *     "name": "Guido",
+ *     "mass": 350,                          -- kg
+ *     "topSpeed": 25,                       -- units / second
+ *     "torqueCurve": [[0, 1.4], [1, 0.6]],  -- [RPM / redline (speed / top speed without
+ *                                           --  a Powertrain), acceleration multiplier]
+ *     "grip": 0.8,                          -- steering kept while drifting, grip recovery
+ *     "driftThreshold": 0.6,                -- speed ratio x steer that breaks grip
+ *     "steerLock": 3.2,                     -- yaw rate at full lock (radians / second)
+ *     "boost": 1.5,                         -- top-speed multiplier while boosting
+ *     "collision": { "radius": 0.9 },       -- Collider sphere
+ *     "seatOffset": [0.3, 0.6, 0],          -- driver's seat in the vehicle's space
+ *     "wheels": [{ "name": "wheel", "radius": 0.2 }],
+ *     "engine": {                           -- Powertrain
+ *       "transmission": "automatic",        -- or "manual"
+ *       "idleRpm": 1000, "redline": 5500,
+ *       "gears": [3.5, 2.2, 1.4],           -- forward ratios, first to top
+ *       "reverseRatio": 3, "shiftTime": 0.3
+ *     }
+ *   }
+ * A wheel entry spins every child mesh whose name contains `name`
+ * (case-insensitive; the first matching entry wins).
+ *
+ * Applying a profile also makes its values the components' defaults (the
+ * inspector's reset). The Drivable keeps the profile URL, so clones and
+ * saved scenes stay linked to the file.
+ *
+ * Hot reload: update() re-reads every loaded profile each
+ * VEHICLE_PROFILE_POLL_INTERVAL seconds (browser only) and re-applies a
+ * changed file to every vehicle using it.
+ *
+ * Exported as a singleton.
+ *
+ * Events emitted:
+ *   profile:loaded   { url, profile }            -- first load of a profile file
+ *   profile:reloaded { url, profile, vehicles }  -- the file changed and was re-applied
+ *
+ * Usage:
+ *   await VehicleProfiles.applyFor(vehicle);     // from vehicle.source.url
+ *   VehicleProfiles.apply(vehicle, await VehicleProfiles.load(url));
+ */
+
+/** Drivable fields a profile sets: profile key -> Drivable key. */
+const DRIVABLE_FIELDS = {
+  mass: 'mass',
+  topSpeed: 'maxSpeed',
+  grip: 'grip',
+  driftThreshold: 'driftThreshold',
+  steerLock: 'steerSpeed',
+  boost: 'boostMultiplier',
+};
+
+class VehicleProfiles {
+  constructor() {
+    /** @type {Map<string, { profile: object, text: string }>} url -> loaded profile */
+    this._profiles = new Map();
+    /** @type {Map<string, Promise<object|null>>} url -> load in flight */
+    this._loading = new Map();
+
+    /** @private seconds since the last hot-reload check */
+    this._sincePoll = 0;
+    /** @private a hot-reload check is running */
+    this._polling = false;
+
+    /** Handling with no profile (Drivable and Vehicle defaults). */
+    this.defaultProfile = parseProfile({}, '');
+
+    // Watch the profiles of vehicles that arrive already linked (scene loads)
+    EventBus.on('entity:added', ({ entity }) => {
+      const url = entity.getComponent('drivable')?.profile;
+      if (url && !this._profiles.has(url)) this.load(url);
+    });
+  }
+
+  /**
+   * Where a model's profile lives: the same path with a .json extension.
+   * @param {string} modelUrl
+   * @returns {string|null} null for in-memory models (dropped files)
+   */
+  profileUrl(modelUrl) {
+    if (!modelUrl || /^(blob|data):/.test(modelUrl)) return null;
+    const url = modelUrl.replace(/\.(glb|gltf)(\?.*)?$/i, '.json');
+    return url === modelUrl ? null : url;
+  }
+
+  /**
+   * Load (or return the loaded) profile at a URL.
+   * @param {string} url
+   * @returns {Promise<object|null>} null if there is no such file or it is invalid
+   */
+  load(url) {
+    if (this._profiles.has(url)) return Promise.resolve(this._profiles.get(url).profile);
+    if (this._loading.has(url)) return this._loading.get(url);
+
+    const loading = fetchText(url)
+      .then((text) => {
+        if (text === null) return null;
+        const profile = parseProfile(JSON.parse(text), url);
+        this._profiles.set(url, { profile, text });
+        EventBus.emit('profile:loaded', { url, profile });
+        return profile;
+      })
+      .catch((err) => {
+        console.warn(`[VehicleProfiles] ${url}: ${err.message}`);
+        return null;
+      })
+      .finally(() => this._loading.delete(url));
+    this._loading.set(url, loading);
+    return loading;
+  }
+
+  /**
+   * Load the profile next to an entity's model and apply it, if there is one.
+   * @param {import('../entities/Entity.js').default} entity
+   * @returns {Promise<object|null>} the applied profile
+   */
+  async applyFor(entity) {
+    const url = this.profileUrl(entity.source?.url);
+    const profile = url ? await this.load(url) : null;
+    if (profile) this.apply(entity, profile);
+    return profile;
+  }
+
+  /**
+   * Set an entity's handling from a profile (defaultProfile to unlink it).
+   * @param {import('../entities/Entity.js').default} entity -- with a Drivable
+   * @param {object} profile -- from load() or get()
+   */
+  apply(entity, profile) {
+    const drivable = entity.getComponent('drivable');
+    if (!drivable) throw new Error(`${entity.name} has no Drivable`);
+
+    drivable.deserialize(profile.drivable);
+    drivable.defaults = drivable.getProperties();
+    EventBus.emit('entity:propertiesChanged', { entity, component: drivable, values: drivable.defaults });
+
+    const powertrain = entity.getComponent('powertrain');
+    if (powertrain) {
+      powertrain.deserialize(profile.powertrain);
+      powertrain.defaults = powertrain.getProperties();
+      EventBus.emit('entity:propertiesChanged', { entity, component: powertrain, values: powertrain.defaults });
+    }
+
+    const collider = entity.getComponent('collider');
+    if (collider) {
+      collider.deserialize(profile.collider);
+      collider.defaults = collider.getProperties();
+      EventBus.emit('entity:propertiesChanged', { entity, component: collider, values: collider.defaults });
+    }
+  }
+
+  /**
+   * @param {string} url
+   * @returns {object|null} the loaded profile at url
+   */
+  get(url) {
+    return this._profiles.get(url)?.profile ?? null;
+  }
+
+  /** @returns {object[]} every loaded profile, by name */
+  getLoaded() {
+    return [...this._profiles.values()]
+      .map((entry) => entry.profile)
+      .sort((a, b) => a.name.localeCompare(b.name));
+  }
+
+  /**
+   * @param {string} url
+   * @returns {import('../entities/Entity.js').default[]} vehicles linked to a profile
+   */
+  getVehicles(url) {
+    return EntityManager.getWithComponent('drivable')
+      .filter((entity) => entity.getComponent('drivable').profile === url);
+  }
+
+  /**
+   * Re-read a loaded profile and, if it changed, re-apply it. A file that
+   * no longer parses is reported and the previous values are kept.
+   * @param {string} url
+   * @returns {Promise<boolean>} true if the profile changed
+   */
+  async reload(url) {
+    const entry = this._profiles.get(url);
+    if (!entry) return false;
+
+    let text;
+    try {
+      text = await fetchText(url);
+    } catch {
+      return false; // Server busy or restarting: next check
+    }
+    if (text === null || text === entry.text) return false;
+    entry.text = text;
+
+    try {
+      entry.profile = parseProfile(JSON.parse(text), url);
+    } catch (err) {
+      console.warn(`[VehicleProfiles] ${url}: ${err.message}`);
+      return false;
+    }
+
+    const vehicles = this.getVehicles(url);
+    for (const vehicle of vehicles) this.apply(vehicle, entry.profile);
+    console.log(`[VehicleProfiles] Reloaded ${url} (${vehicles.length} vehicle(s))`);
+    EventBus.emit('profile:reloaded', { url, profile: entry.profile, vehicles });
+    return true;
+  }
+
+  /**
+   * Hot reload: check the loaded profiles every VEHICLE_PROFILE_POLL_INTERVAL.
+   * @param {number} delta
+   */
+  update(delta) {
+    if (!HAS_DOM || this._polling) return;
+    this._sincePoll += delta;
+    if (this._sincePoll < VEHICLE_PROFILE_POLL_INTERVAL) return;
+    this._sincePoll = 0;
+
+    this._polling = true;
+    Promise.all([...this._profiles.keys()].map((url) => this.reload(url)))
+      .finally(() => { this._polling = false; });
+  }
+}
+
+/**
+ * @param {string} url
+ * @returns {Promise<string|null>} the file's text, null if it doesn't exist
+ */
+async function fetchText(url) {
+  const response = await fetch(url, { cache: 'no-store' });
+  if (response.status === 404) return null;
+  if (!response.ok) throw new Error(`HTTP ${response.status}`);
+  return response.text();
+}
+
+/**
+ * Validate a profile file's contents and resolve it to component data.
+ * @param {object} data -- parsed JSON
+ * @param {string} url
+ * @returns {{ url: string, name: string, drivable: object, collider: object }}
+ */
+function parseProfile(data, url) {
+  if (!data || typeof data !== 'object' || Array.isArray(data)) throw new Error('a profile must be a JSON object');
+
+  const defaults = new Drivable().serialize();
+  const drivable = { ...defaults, profile: url };
+  for (const [key, field] of Object.entries(DRIVABLE_FIELDS)) {
+    if (data[key] === undefined) continue;
+    if (!(typeof data[key] === 'number' && data[key] > 0)) throw new Error(`${key} must be a positive number`);
+    drivable[field] = data[key];
+  }
+
+  if (data.torqueCurve !== undefined) {
+    const curve = data.torqueCurve;
+    if (!Array.isArray(curve) || curve.length === 0 ||
+        !curve.every((p) => Array.isArray(p) && p.length === 2 && p.every(Number.isFinite))) {
+      throw new Error('torqueCurve must be a list of [speed ratio, multiplier] pairs');
+    }
+    drivable.torqueCurve = [...curve].sort((a, b) => a[0] - b[0]);
+  }
+
+  if (data.seatOffset !== undefined) {
+    if (!Array.isArray(data.seatOffset) || data.seatOffset.length !== 3 || !data.seatOffset.every(Number.isFinite)) {
+      throw new Error('seatOffset must be [x, y, z]');
+    }
+    drivable.seatOffset = data.seatOffset;
+  }
+
+  if (data.wheels !== undefined) {
+    if (!Array.isArray(data.wheels) ||
+        !data.wheels.every((w) => typeof w?.name === 'string' && w.name && w.radius > 0)) {
+      throw new Error('wheels must be a list of { name, radius }');
+    }
+    drivable.wheelSpecs = data.wheels.map(({ name, radius }) => ({ name, radius }));
+  }
+
+  const powertrain = { ...new Powertrain().serialize(), ...parseEngine(data.engine ?? {}) };
+
+  const radius = data.collision?.radius ?? VEHICLE_COLLIDER_RADIUS;
+  if (!(typeof radius === 'number' && radius > 0)) throw new Error('collision.radius must be a positive number');
+
+  let name = url ? url.split('/').pop().replace(/\.json$/i, '') : 'Default';
+  if (typeof data.name === 'string' && data.name) name = data.name;
+  return { url, name, drivable, powertrain, collider: { radius } };
+}
+
+/**
+ * @param {object} engine -- a profile's engine section
+ * @returns {object} Powertrain data
+ */
+function parseEngine(engine) {
+  const data = {};
+  for (const key of ['idleRpm', 'redline', 'reverseRatio', 'shiftTime']) {
+    if (engine[key] === undefined) continue;
+    if (!(typeof engine[key] === 'number' && engine[key] >= 0)) throw new Error(`engine.${key} must be a number`);
+    data[key] = engine[key];
+  }
+  if (engine.transmission !== undefined) {
+    if (engine.transmission !== 'automatic' && engine.transmission !== 'manual') {
+      throw new Error('engine.transmission must be "automatic" or "manual"');
+    }
+    data.transmission = engine.transmission;
+  }
+  if (engine.gears !== undefined) {
+    if (!Array.isArray(engine.gears) || engine.gears.length === 0 ||
+        !engine.gears.every((ratio) => typeof ratio === 'number' && ratio > 0)) {
+      throw new Error('engine.gears must be a list of positive ratios');
+    }
+    data.gearRatios = engine.gears;
+  }
+  if ((data.redline ?? 1) <= (data.idleRpm ?? 0)) throw new Error('engine.redline must be above idleRpm');
+  return data;
+}
+
+export default new VehicleProfiles();
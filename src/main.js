@@ -3,6 +3,12 @@ import Engine from './core/Engine.js';
 import EventBus from './core/EventBus.js';
 import GameState from './core/GameState.js';
 import ModeController from './core/ModeController.js';
+import InputReplay from './core/InputReplay.js';
+import InputBindings from './core/InputBindings.js';
+import Settings from './core/Settings.js';
+import PluginManager from './core/PluginManager.js';
+import DynamicResolution from './core/DynamicResolution.js';
+import { registerBuiltinCommands } from './core/BuiltinCommands.js';
 import SkySystem from './world/SkySystem.js';
 import TerrainGenerator from './world/TerrainGenerator.js';
 
@@ -23,6 +29,7 @@ import PlayerController from './player/PlayerController.js';
 // Entities
 import Vehicle from './entities/Vehicle.js';
 import EntityManager from './entities/EntityManager.js';
+import AudioSource from './entities/components/AudioSource.js';
 
 // Gameplay
 import VehicleInteraction from './gameplay/VehicleInteraction.js';
@@ -37,13 +44,24 @@ import AnimationManager from './animation/AnimationManager.js';
 // Loaders
 import AvaturnLoader from './loaders/AvaturnLoader.js';
 import ModelLoader from './loaders/ModelLoader.js';
+import SceneSerializer from './loaders/SceneSerializer.js';
+import VehicleProfiles from './loaders/VehicleProfiles.js';
 
 // UI
 import ModelBrowser from './ui/ModelBrowser.js';
+import ControlsPanel from './ui/ControlsPanel.js';
+import SettingsPanel from './ui/SettingsPanel.js';
+import EventInspector from './ui/EventInspector.js';
+import ProfilerOverlay from './ui/ProfilerOverlay.js';
+import DevConsole from './ui/DevConsole.js';
+import Outliner from './ui/Outliner.js';
+import Inspector from './ui/Inspector.js';
 import HUD from './ui/HUD.js';
+import PauseMenu from './ui/PauseMenu.js';
 
 // Physics
 import CollisionWorld from './physics/CollisionWorld.js';
+import EntityCollisions from './physics/EntityCollisions.js';
 
 // Utils
 import { createStats } from './utils/debug.js';
@@ -53,6 +71,12 @@ import { createStats } from './utils/debug.js';
 const canvas = document.getElementById('scene-canvas');
 const engine = new Engine(canvas);
 
+// ── Input Replay ─────────────────────────────────────────────────────
+
+// First simulation system: every later one reads this tick's (recorded) input
+const inputReplay = new InputReplay(engine.input);
+engine.addSimulation(inputReplay);
+
 // ── World ────────────────────────────────────────────────────────────
 
 const sky = new SkySystem(engine.scene);
@@ -68,7 +92,8 @@ cameraSystem.registerMode(new DrivingCam());
 const orbitCam = new OrbitCam();
 cameraSystem.registerMode(orbitCam);
 cameraSystem.registerMode(new CinematicCam());
-cameraSystem.registerMode(new PathCam());
+const pathCam = new PathCam();
+cameraSystem.registerMode(pathCam);
 cameraSystem.setMode('drone');
 engine.addUpdatable(cameraSystem);
 
@@ -77,9 +102,23 @@ engine.addUpdatable(cameraSystem);
 const postProcessing = new PostProcessing(engine.renderer, engine.scene, engine.camera);
 engine.setPostProcessing(postProcessing);
 
+// Lowers the render resolution to hold the target FPS (when enabled in settings)
+const dynamicResolution = new DynamicResolution(engine);
+engine.addUpdatable(dynamicResolution);
+
 // ── Director Mode ────────────────────────────────────────────────────
 
-const director = new DirectorMode(cameraSystem, engine.input);
+const director = new DirectorMode(cameraSystem, engine.input, {
+  camera: engine.camera,
+  scene: engine.scene,
+  domElement: canvas,
+  pathCam,
+  sky,
+  postProcessing,
+});
+// Real time and not pausable: the Tab toggle and camera shortcuts must not
+// slow down with the time scale or freeze on pause
+engine.addUpdatable(director);
 
 // ── Mode Controller (replaces scattered event listeners) ─────────────
 
@@ -87,30 +126,105 @@ const modeController = new ModeController({
   cameraSystem,
   playerController: null,
   vehicleInteraction: null,
-  director,
 });
-engine.addUpdatable(modeController);
-
-// Director is updated by ModeController now, so don't add it separately
+engine.addSimulation(modeController);
 
 // ── Video Export ─────────────────────────────────────────────────────
 
 const videoExport = new VideoExport(canvas);
+engine.addUpdatable(videoExport);
+
+const videoTimeBaseSelect = document.getElementById('video-timebase-select');
+if (videoTimeBaseSelect) {
+  videoTimeBaseSelect.addEventListener('change', () => videoExport.setTimeBase(videoTimeBaseSelect.value));
+}
 
 window.addEventListener('keydown', (e) => {
-  if (e.code === 'KeyR' && GameState.mode === 'director') {
+  if (InputBindings.matches('recordVideo', e) && GameState.mode === 'director') {
     videoExport.toggle();
   }
 });
 
+// Hot reload of vehicle handling profiles
+engine.addUpdatable(VehicleProfiles);
+
 // ── UI ───────────────────────────────────────────────────────────────
 
 const modelBrowser = new ModelBrowser(engine.scene, engine.camera);
 engine.addUpdatable(modelBrowser);
 
+// Entity behaviours (component systems: AI, animators, colliders ...) run on the fixed step
+engine.addSimulation(EntityManager);
+// ... then entities that ran into each other are pushed apart
+engine.addSimulation(EntityCollisions);
+
+// Entity sounds (AudioSource components) are heard from the camera
+const audioListener = new THREE.AudioListener();
+engine.camera.add(audioListener);
+audioListener.setMasterVolume(Settings.get('masterVolume'));
+AudioSource.setListener(audioListener);
+EventBus.on('settings:changed', ({ key, value }) => {
+  if (key === 'masterVolume') audioListener.setMasterVolume(value);
+});
+// Browsers keep audio suspended until the user interacts with the page
+window.addEventListener('pointerdown', () => audioListener.context.resume(), { once: true });
+
+// Anything spawned at runtime is moved by the simulation — render it interpolated
+EventBus.on('entity:added', ({ entity }) => engine.addInterpolated(entity.mesh));
+EventBus.on('entity:removed', ({ entity }) => engine.removeInterpolated(entity.mesh));
+
 const hud = new HUD();
 engine.addUpdatable(hud);
 
+const controlsPanel = new ControlsPanel(engine.input);
+engine.addUpdatable(controlsPanel);
+
+const settingsPanel = new SettingsPanel({ onControls: () => controlsPanel.open() });
+
+const eventInspector = new EventInspector();
+engine.addUpdatable(eventInspector);
+
+const profilerOverlay = new ProfilerOverlay();
+engine.addUpdatable(profilerOverlay);
+
+const outliner = new Outliner({
+  scene: engine.scene,
+  camera: engine.camera,
+  cameraSystem,
+  orbitCam,
+  director,
+});
+engine.addUpdatable(outliner);
+
+const inspector = new Inspector({ director });
+
+// Backtick console; systems and plugins add their own commands to ConsoleCommands
+const devConsole = new DevConsole();
+registerBuiltinCommands({ engine, cameraSystem, sky, director, modeController });
+
+// ── Pause ────────────────────────────────────────────────────────────
+
+const pauseMenu = new PauseMenu(engine, {
+  cameraSystem,
+  onSettings: () => settingsPanel.open(),
+  onQuit: () => {
+    if (director.active) director.deactivate();
+    modeController.vehicleInteraction?.exitVehicle();
+    GameState.setMode('free');
+  },
+});
+engine.addUpdatable(pauseMenu);
+
+// ── Time scale ───────────────────────────────────────────────────────
+
+// Simulation (entities, mixers, vehicles, sky) follows GameState.timeScale;
+// cameras too unless they run in real time
+engine.addSimulation(sky);
+EventBus.on('gamestate:timeScaleChanged', ({ timeScale, cameraRealTime }) => {
+  engine.setTimeScale(timeScale);
+  engine.setTimeScaled(cameraSystem, !cameraRealTime);
+});
+
 // Make drop zone clickable
 const dropZone = document.getElementById('model-drop-zone');
 const fileInput = document.getElementById('model-file-input');
@@ -118,6 +232,79 @@ if (dropZone && fileInput) {
   dropZone.addEventListener('click', () => fileInput.click());
 }
 
+// ── Scene save / load ────────────────────────────────────────────────
+
+const sceneSerializer = new SceneSerializer({
+  scene: engine.scene,
+  camera: engine.camera,
+  cameraSystem,
+  sky,
+  pathCam,
+  postProcessing,
+});
+
+const sceneSaveBtn = document.getElementById('scene-save-btn');
+const sceneLoadBtn = document.getElementById('scene-load-btn');
+const sceneFileInput = document.getElementById('scene-file-input');
+if (sceneSaveBtn) {
+  sceneSaveBtn.addEventListener('click', () => {
+    sceneSerializer.download().catch((err) => console.error('[Scene] Save error:', err));
+  });
+}
+if (sceneLoadBtn && sceneFileInput) {
+  sceneLoadBtn.addEventListener('click', () => sceneFileInput.click());
+  sceneFileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    sceneFileInput.value = ''; // allow re-loading the same file
+    if (!file) return;
+    try {
+      await sceneSerializer.loadFile(file);
+    } catch (err) {
+      console.error('[Scene] Load error:', err);
+    }
+  });
+}
+
+// ── Replay save / load ───────────────────────────────────────────────
+
+const replaySaveBtn = document.getElementById('replay-save-btn');
+const replayLoadBtn = document.getElementById('replay-load-btn');
+const replayFileInput = document.getElementById('replay-file-input');
+if (replaySaveBtn) {
+  replaySaveBtn.addEventListener('click', () => inputReplay.download());
+}
+if (replayLoadBtn && replayFileInput) {
+  replayLoadBtn.addEventListener('click', () => replayFileInput.click());
+  replayFileInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    replayFileInput.value = '';
+    if (!file) return;
+    try {
+      inputReplay.startPlayback(await inputReplay.loadFile(file));
+    } catch (err) {
+      console.error('[Replay] Load error:', err);
+    }
+  });
+}
+
+// ── Plugins (optional features listed in plugins/plugins.json) ───────
+
+const plugins = new PluginManager(engine, {
+  cameraSystem,
+  director,
+  modeController,
+  sky,
+  postProcessing,
+  hud,
+  pauseMenu,
+  inputReplay,
+  videoExport,
+});
+engine.addUpdatable(plugins);
+plugins.loadConfig('plugins/plugins.json')
+  .then(() => plugins.start())
+  .catch((err) => console.error('[Plugins] Config error:', err));
+
 // ── Debug ────────────────────────────────────────────────────────────
 
 const stats = createStats();
@@ -164,23 +351,31 @@ async function loadAssets() {
     ]);
 
     // Create Vehicle entities
-    const mcqueen = new Vehicle(mcqueenData.scene, mcqueenData.animations, 'Lightning McQueen');
+    // Fixed IDs, so replays and save files from earlier sessions find them
+    const mcqueen = new Vehicle(mcqueenData.scene, mcqueenData.animations, 'Lightning McQueen', 'vehicle:lightning-mcqueen');
+    mcqueen.source = { url: 'assets/models/vehicles/rookie_lightning_mcqueen.glb' };
     mcqueen.position.set(10, 0, 10);
     engine.scene.add(mcqueen.mesh);
     EntityManager.add(mcqueen);
 
-    const cal = new Vehicle(calData.scene, calData.animations, 'Cal Weathers');
+    const cal = new Vehicle(calData.scene, calData.animations, 'Cal Weathers', 'vehicle:cal-weathers');
+    cal.source = { url: 'assets/models/vehicles/cal_weathers.glb' };
     cal.position.set(20, 0, 10);
     engine.scene.add(cal.mesh);
     EntityManager.add(cal);
 
-    const guido = new Vehicle(guidoData.scene, guidoData.animations, 'Guido');
+    const guido = new Vehicle(guidoData.scene, guidoData.animations, 'Guido', 'vehicle:guido');
+    guido.source = { url: 'assets/models/vehicles/guido/guido.glb' };
     guido.position.set(30, 0, 10);
     engine.scene.add(guido.mesh);
     EntityManager.add(guido);
 
+    // (EntityManager.add announced them, so they are already interpolated)
     const vehicles = [mcqueen, cal, guido];
 
+    // Handling profiles next to each GLB (default handling if missing)
+    await Promise.all(vehicles.map((vehicle) => VehicleProfiles.applyFor(vehicle)));
+
     // Load avatar via AvaturnLoader
     setStatus('Loading avatar...');
     const avatarResult = await AvaturnLoader.load('assets/models/characters/model.glb');
@@ -193,6 +388,7 @@ async function loadAssets() {
     const body = new CharacterBody(avatarResult.mesh, avatarResult.animations);
     body.container.position.set(0, 0, 15);
     engine.scene.add(body.container);
+    engine.addInterpolated(body.container);
 
     // Preload Mixamo animations (auto-retargets to Avaturn skeleton)
     setStatus('Loading animations...');
@@ -206,6 +402,8 @@ async function loadAssets() {
     // Player controller (updated by ModeController, not engine directly)
     const playerController = new PlayerController(body, engine.input);
     GameState.player = playerController;
+    // Vehicles, NPCs and props collide with the player through its entity
+    EntityManager.add(playerController.entity);
 
     // Register third-person camera (needs player reference)
     const tpCam = new ThirdPersonCam(playerController);
@@ -218,6 +416,23 @@ async function loadAssets() {
     modeController.setPlayerController(playerController);
     modeController.setVehicleInteraction(vehicleInteraction);
 
+    // Anything with a Drivable can be driven: vehicles spawned or removed
+    // later (scene load, model browser) and Drivables attached at runtime
+    EventBus.on('entity:added', ({ entity }) => {
+      if (entity.hasComponent('drivable')) vehicleInteraction.addVehicle(entity);
+    });
+    EventBus.on('entity:removed', ({ entity }) => vehicleInteraction.removeVehicle(entity));
+    EventBus.on('entity:componentAdded', ({ entity, component }) => {
+      if (component.type === 'drivable' && EntityManager.getAll().includes(entity)) {
+        vehicleInteraction.addVehicle(entity);
+      }
+    });
+    EventBus.on('entity:componentRemoved', ({ entity, component }) => {
+      if (component.type !== 'drivable') return;
+      if (GameState.vehicle === entity) vehicleInteraction.exitVehicle();
+      vehicleInteraction.removeVehicle(entity);
+    });
+
     // Wire OrbitCam to follow the player/vehicle based on mode
     EventBus.on('gamestate:modeChanged', ({ mode }) => {
       if (mode === 'play') {
@@ -236,21 +451,88 @@ async function loadAssets() {
       orbitCam.setFollowTarget(body.container, 1.5);
     });
 
-    setStatus('All assets loaded! Press P to play');
+    // Replay start state: mode, player, every vehicle and everything else
+    // EntityCollisions can push (props, NPCs: where they are, their push
+    // and whether they're knocked down)
+    inputReplay.addSnapshot('session', {
+      capture: () => ({
+        mode: GameState.mode,
+        vehicle: GameState.vehicle ? GameState.vehicle.id : null,
+        player: playerController.captureState(),
+        vehicles: EntityManager.getWithComponent('drivable').map((v) => ({
+          id: v.id,
+          state: v.getComponent('drivable').captureState(),
+        })),
+        bodies: EntityManager.getWithComponent('collider')
+          .filter((e) => !e.hasComponent('drivable'))
+          .map((e) => ({
+            id: e.id,
+            position: e.mesh.position.toArray(),
+            quaternion: e.mesh.quaternion.toArray(),
+            collider: e.getComponent('collider').captureState(),
+            knockdown: e.getComponent('knockdown')?.captureState() ?? null,
+          })),
+      }),
+      restore: (s) => {
+        // Replays recorded before entity IDs referenced vehicles by name
+        const drivable = (key) => {
+          const entity = EntityManager.getById(key) || EntityManager.getByName(key);
+          return entity?.hasComponent('drivable') ? entity : null;
+        };
+
+        vehicleInteraction.exitVehicle();
+        playerController.restoreState(s.player);
+        for (const { id, name, state } of s.vehicles) {
+          drivable(id ?? name)?.getComponent('drivable').restoreState(state);
+        }
+        // Replays recorded before entity collisions have no bodies
+        for (const body of s.bodies ?? []) {
+          const entity = EntityManager.getById(body.id);
+          const collider = entity?.getComponent('collider');
+          if (!collider) continue;
+          // Knockdown first: getting up resets the orientation
+          if (body.knockdown) entity.getComponent('knockdown')?.restoreState(body.knockdown);
+          entity.mesh.position.fromArray(body.position);
+          entity.mesh.quaternion.fromArray(body.quaternion);
+          collider.restoreState(body.collider);
+        }
+        const vehicle = s.vehicle && drivable(s.vehicle);
+        if (vehicle) {
+          vehicleInteraction.enterVehicle(vehicle);
+        } else if (GameState.mode !== s.mode) {
+          GameState.setMode(s.mode);
+        }
+      },
+    });
+    // Set outside the fixed step (camera update, P key) — replayed per tick
+    inputReplay.addChannel('cameraYaw', {
+      capture: () => playerController.cameraYaw,
+      apply: (yaw) => playerController.setCameraYaw(yaw),
+    });
+    inputReplay.addChannel('mode', {
+      capture: () => GameState.mode,
+      apply: (mode) => {
+        if (GameState.mode !== mode) GameState.setMode(mode);
+      },
+    });
+
+    setStatus(`All assets loaded! Press ${InputBindings.describe('togglePlay')} to play`);
     console.log('[Assets] All loaded — city, 3 vehicles, avatar, animations');
 
     // Start in free camera mode
     GameState.setMode('free');
 
+    plugins.notifyAssetsLoaded();
+
   } catch (err) {
     console.error('[Assets] Load error:', err);
     setStatus('Asset load failed — check console');
   }
 }
 
-// P key to toggle between free camera and play mode
+// Toggle between free camera and play mode (P by default)
 window.addEventListener('keydown', (e) => {
-  if (e.code === 'KeyP' && GameState.mode !== 'director') {
+  if (InputBindings.matches('togglePlay', e) && GameState.mode !== 'director' && !GameState.paused) {
     if (GameState.mode === 'free') {
       if (GameState.player) {
         GameState.setMode('play');
@@ -1,17 +1,18 @@
 import { Octree } from 'three/addons/math/Octree.js';
 import { Capsule } from 'three/addons/math/Capsule.js';
-import { Vector3, Sphere } from 'three';
+import { Vector3, Sphere, Ray } from 'three';
 
 /**
  * Singleton collision world using Three.js Octree.
  * Builds an octree from the city mesh and provides capsule (player)
- * and sphere (vehicle) collision queries.
+ * and sphere (vehicle) collision queries, and ray casts (wheel suspension).
  *
  * Usage:
  *   import CollisionWorld from './physics/CollisionWorld.js';
  *   CollisionWorld.build(cityScene);         // once after loading
  *   const result = CollisionWorld.capsuleCollision(capsule);
  *   const result = CollisionWorld.sphereCollision(sphere);
+ *   const hit = CollisionWorld.raycast(origin, direction, maxDistance);
  */
 
 class CollisionWorldSingleton {
@@ -21,6 +22,9 @@ class CollisionWorldSingleton {
 
     /** Whether the octree has been built. */
     this._ready = false;
+
+    /** Reused by raycast(). */
+    this._ray = new Ray();
   }
 
   /** Whether collision queries will function. */
@@ -87,6 +91,29 @@ class CollisionWorldSingleton {
     return { collided: false, normal: new Vector3(), depth: 0 };
   }
 
+  /**
+   * Nearest surface facing a ray (back faces are ignored), within a distance.
+   * Returns null if nothing is hit or the octree is not built.
+   *
+   * @param {Vector3} origin
+   * @param {Vector3} direction — normalized
+   * @param {number} [far] — max distance
+   * @returns {{ distance: number, point: Vector3, normal: Vector3 }|null}
+   */
+  raycast(origin, direction, far = Infinity) {
+    if (!this._ready) return null;
+
+    this._ray.origin.copy(origin);
+    this._ray.direction.copy(direction);
+    const result = this._octree.rayIntersect(this._ray);
+    if (!result || result.distance > far) return null;
+    return {
+      distance: result.distance,
+      point: result.position,
+      normal: result.triangle.getNormal(new Vector3()),
+    };
+  }
+
   /**
    * Discard the octree and free memory.
    */
@@ -0,0 +1,448 @@
+import { Vector3, Quaternion } from 'three';
+import EventBus from '../core/EventBus.js';
+import EntityManager from '../entities/EntityManager.js';
+import {
+  COLLISION_RESTITUTION,
+  COLLISION_FRICTION,
+  COLLISION_PUSH_DECAY,
+  VEHICLE_COLLISION_MIN_IMPACT,
+} from '../utils/constants.js';
+
+/**
+ * Singleton collision system between entities: vehicles, characters and
+ * props with a Collider push each other apart instead of passing through.
+ * (CollisionWorld only holds the static city geometry.)
+ *
+ * Runs on the fixed step after the EntityManager, once everything has
+ * moved. Each step it:
+ *   1. carries pushed entities along by their Collider's velocity and
+ *      spin (dying away with COLLISION_PUSH_DECAY), resolving them
+ *      against the world;
+ *   2. finds overlapping pairs through the EntityManager's spatial index
+ *      and tests their outlines on the ground plane (circles and oriented
+ *      boxes, see Collider.getOutline) where their height ranges overlap;
+ *   3. separates each pair in inverse proportion to mass and, if they
+ *      are closing, exchanges an impulse with restitution, friction and
+ *      spin from off-centre hits.
+ *
+ * A driven vehicle's velocity is its Drivable speed along its heading
+ * (plus any push); the impulse along the heading comes off that speed,
+ * the rest pushes it sideways. Other entities only move by their push,
+ * so a character walking into a parked car is stopped, not knocked down.
+ * Entities with a Knockdown are knocked down by hard enough hits.
+ *
+ * Usage:
+ *   engine.addSimulation(EntityCollisions);   // after EntityManager
+ *
+ * Events emitted:
+ *   vehicle:collision { vehicle, other, impact, impulse, point, normal }
+ *     -- one per vehicle involved, for hits closing at VEHICLE_COLLISION_MIN_IMPACT
+ *        or faster; other: the entity hit, or null for the world (emitted by
+ *        Drivable); impact: closing speed (m/s); impulse: kg·m/s; normal:
+ *        pointing away from what was hit (horizontal between entities)
+ */
+class EntityCollisionsSingleton {
+  constructor() {
+    /** @private body records, reused between steps */
+    this._bodies = [];
+    /** @private entity -> body record, this step */
+    this._byEntity = new Map();
+    /** @private largest reach of any body this step (broad-phase margin) */
+    this._maxReach = 0;
+    /** @private narrow-phase result */
+    this._contact = { normal: new Vector3(), point: new Vector3(), depth: 0 };
+  }
+
+  /**
+   * One collision step.
+   * @param {number} delta -- seconds
+   */
+  update(delta) {
+    const colliders = EntityManager.getComponents('collider');
+    for (const collider of colliders) {
+      if (collider.enabled) integrate(collider, delta);
+    }
+
+    const count = this._gather(colliders);
+    for (let i = 0; i < count; i++) {
+      const a = this._bodies[i];
+      const nearby = EntityManager.findNearby(a.entity.position, a.reach + this._maxReach);
+      for (const entity of nearby) {
+        const b = this._byEntity.get(entity);
+        if (!b || b.index <= i) continue;
+        if (a.invMass === 0 && b.invMass === 0) continue;
+        if (a.collider.ignore === b.entity || b.collider.ignore === a.entity) continue;
+        if (a.outline.maxY < b.outline.minY || b.outline.maxY < a.outline.minY) continue;
+        if (!overlap(a.outline, b.outline, this._contact)) continue;
+        this._resolve(a, b, this._contact);
+      }
+    }
+  }
+
+  /**
+   * Build this step's body records from the enabled colliders of visible
+   * entities.
+   * @private
+   * @param {Collider[]} colliders
+   * @returns {number} how many
+   */
+  _gather(colliders) {
+    this._byEntity.clear();
+    this._maxReach = 0;
+    let count = 0;
+
+    for (const collider of colliders) {
+      const entity = collider.entity;
+      if (!collider.enabled || entity.getComponent('renderable')?.visible === false) continue;
+
+      let body = this._bodies[count];
+      if (!body) {
+        body = { outline: undefined, velocity: new Vector3() };
+        this._bodies[count] = body;
+      }
+      body.index = count++;
+      body.entity = entity;
+      body.collider = collider;
+      body.outline = collider.getOutline(body.outline);
+
+      const drivable = entity.getComponent('drivable');
+      body.driven = drivable?.occupied ? drivable : null;
+      const mass = collider.bodyMass;
+      body.invMass = 1 / mass;
+      // Circles don't spin; boxes as uniform slabs
+      body.invInertia = body.outline.box && mass !== Infinity
+        ? 3 / (mass * (body.outline.halfX ** 2 + body.outline.halfZ ** 2))
+        : 0;
+
+      body.velocity.copy(collider.velocity);
+      if (body.driven) body.velocity.addScaledVector(heading(entity, _heading), body.driven.speed);
+      body.spin = collider.spin;
+
+      const o = body.outline;
+      body.reach = Math.hypot(o.center.x - entity.position.x, o.center.z - entity.position.z) + o.radius;
+      this._maxReach = Math.max(this._maxReach, body.reach);
+      this._byEntity.set(entity, body);
+    }
+    return count;
+  }
+
+  /**
+   * Separate an overlapping pair and exchange the impulse of the hit.
+   * @private
+   * @param {object} a
+   * @param {object} b
+   * @param {{ normal: Vector3, point: Vector3, depth: number }} contact -- normal from a to b
+   */
+  _resolve(a, b, contact) {
+    const { normal: n, point, depth } = contact;
+    const invMassSum = a.invMass + b.invMass;
+
+    // ── Separate, the lighter body moving more ──────────────────────
+    moveBy(a, n, -depth * a.invMass / invMassSum);
+    moveBy(b, n, depth * b.invMass / invMassSum);
+
+    // ── Relative velocity at the contact point ──────────────────────
+    _ra.subVectors(point, a.outline.center);
+    _rb.subVectors(point, b.outline.center);
+    pointVelocity(a, _ra, _va);
+    pointVelocity(b, _rb, _vb);
+    _relative.subVectors(_vb, _va);
+    const closing = -_relative.dot(n);
+    if (closing <= 0) return;   // already separating
+
+    // ── Normal impulse (restitution) ────────────────────────────────
+    const raN = cross(_ra, n);
+    const rbN = cross(_rb, n);
+    const j = (1 + COLLISION_RESTITUTION) * closing /
+      (invMassSum + raN * raN * a.invInertia + rbN * rbN * b.invInertia);
+    _impulse.copy(n).multiplyScalar(j);
+
+    // ── Friction impulse along the sliding direction ────────────────
+    _tangent.copy(_relative).addScaledVector(n, closing);
+    const slide = _tangent.length();
+    if (slide > 1e-4) {
+      _tangent.divideScalar(slide);
+      const raT = cross(_ra, _tangent);
+      const rbT = cross(_rb, _tangent);
+      const jt = Math.min(COLLISION_FRICTION * j,
+        slide / (invMassSum + raT * raT * a.invInertia + rbT * rbT * b.invInertia));
+      _impulse.addScaledVector(_tangent, -jt);
+    }
+
+    // b takes the impulse, a the opposite
+    push(a, _impulse, -1, _ra);
+    push(b, _impulse, 1, _rb);
+
+    const strength = _impulse.length();
+    if (closing >= VEHICLE_COLLISION_MIN_IMPACT) {
+      // Halfway up where the two overlap
+      point.y = (Math.max(a.outline.minY, b.outline.minY) + Math.min(a.outline.maxY, b.outline.maxY)) / 2;
+      announce(a, b, closing, strength, point, n, -1);
+      announce(b, a, closing, strength, point, n, 1);
+    }
+    a.entity.getComponent('knockdown')?.hit(closing, _away.copy(n).negate());
+    b.entity.getComponent('knockdown')?.hit(closing, n);
+  }
+}
+
+// ── Shared scratch (avoids per-step allocations) ───────────────────────
+
+const _heading = new Vector3();
+const _ra = new Vector3();
+const _rb = new Vector3();
+const _va = new Vector3();
+const _vb = new Vector3();
+const _relative = new Vector3();
+const _tangent = new Vector3();
+const _impulse = new Vector3();
+const _change = new Vector3();
+const _away = new Vector3();
+const _offset = new Vector3();
+const _yaw = new Quaternion();
+const _up = new Vector3(0, 1, 0);
+const _corners = [new Vector3(), new Vector3(), new Vector3(), new Vector3()];
+
+/**
+ * Carry a pushed entity along by its Collider's velocity and spin, and
+ * let the push die away.
+ * @param {Collider} collider
+ * @param {number}   delta
+ */
+function integrate(collider, delta) {
+  const velocity = collider.velocity;
+  if (velocity.lengthSq() === 0 && collider.spin === 0) return;
+
+  const mesh = collider.entity.mesh;
+  mesh.position.x += velocity.x * delta;
+  mesh.position.z += velocity.z * delta;
+  if (collider.spin !== 0) mesh.quaternion.premultiply(_yaw.setFromAxisAngle(_up, collider.spin * delta));
+
+  const decay = Math.pow(0.5, COLLISION_PUSH_DECAY * delta);
+  velocity.multiplyScalar(decay);
+  collider.spin *= decay;
+  if (velocity.lengthSq() < 1e-4) velocity.set(0, 0, 0);
+  if (Math.abs(collider.spin) < 1e-3) collider.spin = 0;
+
+  collider.resolve(true);
+}
+
+/**
+ * Horizontal forward (-Z) of an entity.
+ * @param {Entity}  entity
+ * @param {Vector3} target
+ * @returns {Vector3}
+ */
+function heading(entity, target) {
+  return target.set(0, 0, -1).applyQuaternion(entity.mesh.quaternion).setY(0).normalize();
+}
+
+/**
+ * Move a body (and its outline) along a horizontal direction.
+ * @param {object}  body
+ * @param {Vector3} direction
+ * @param {number}  distance
+ */
+function moveBy(body, direction, distance) {
+  if (distance === 0) return;
+  body.entity.mesh.position.addScaledVector(direction, distance);
+  body.outline.center.addScaledVector(direction, distance);
+}
+
+/**
+ * Velocity of a point of a body: linear plus spin about the vertical.
+ * @param {object}  body
+ * @param {Vector3} r      -- from the body's centre to the point
+ * @param {Vector3} target
+ * @returns {Vector3}
+ */
+function pointVelocity(body, r, target) {
+  return target.set(body.velocity.x + body.spin * r.z, 0, body.velocity.z - body.spin * r.x);
+}
+
+/**
+ * Vertical part of r x v: the yaw torque of v applied at r.
+ * @param {Vector3} r
+ * @param {Vector3} v
+ * @returns {number}
+ */
+function cross(r, v) {
+  return r.z * v.x - r.x * v.z;
+}
+
+/**
+ * Apply an impulse to a body at r. A driven vehicle takes the part along
+ * its heading as a change of speed; everything else is pushed.
+ * @param {object}  body
+ * @param {Vector3} impulse
+ * @param {number}  sign    -- 1 or -1
+ * @param {Vector3} r
+ */
+function push(body, impulse, sign, r) {
+  if (body.invMass === 0) return;
+  _change.copy(impulse).multiplyScalar(sign * body.invMass);
+  body.velocity.add(_change);
+  const spin = sign * cross(r, impulse) * body.invInertia;
+  body.spin += spin;
+  body.collider.spin += spin;
+
+  if (body.driven) {
+    heading(body.entity, _heading);
+    const along = _change.dot(_heading);
+    body.driven.speed += along;
+    _change.addScaledVector(_heading, -along);
+  }
+  body.collider.velocity.add(_change);
+}
+
+/**
+ * Emit vehicle:collision for a body that is a vehicle.
+ * @param {object}  body
+ * @param {object}  other
+ * @param {number}  impact
+ * @param {number}  impulse
+ * @param {Vector3} point
+ * @param {Vector3} normal -- from a to b
+ * @param {number}  sign   -- -1 for a, 1 for b
+ */
+function announce(body, other, impact, impulse, point, normal, sign) {
+  if (!body.entity.hasComponent('drivable')) return;
+  EventBus.emit('vehicle:collision', {
+    vehicle: body.entity,
+    other: other.entity,
+    impact,
+    impulse,
+    point: point.clone(),
+    normal: normal.clone().multiplyScalar(sign),
+  });
+}
+
+// ── Narrow phase (ground plane) ────────────────────────────────────────
+
+/**
+ * Test two outlines for overlap.
+ * @param {object} a
+ * @param {object} b
+ * @param {{ normal: Vector3, point: Vector3, depth: number }} contact -- set on overlap, normal from a to b
+ * @returns {boolean}
+ */
+function overlap(a, b, contact) {
+  if (!a.box && !b.box) return circleCircle(a, b, contact);
+  if (a.box && b.box) return boxBox(a, b, contact);
+  if (b.box) return circleBox(a, b, contact);
+  if (!circleBox(b, a, contact)) return false;
+  contact.normal.negate();
+  return true;
+}
+
+/** @returns {boolean} */
+function circleCircle(a, b, contact) {
+  _offset.subVectors(b.center, a.center);
+  const distance = _offset.length();
+  const depth = a.radius + b.radius - distance;
+  if (depth <= 0) return false;
+
+  if (distance > 1e-6) contact.normal.copy(_offset).divideScalar(distance);
+  else contact.normal.set(1, 0, 0);
+  contact.point.copy(a.center).addScaledVector(contact.normal, a.radius - depth / 2);
+  contact.depth = depth;
+  return true;
+}
+
+/**
+ * @param {object} circle
+ * @param {object} box
+ * @returns {boolean} normal from the circle to the box
+ */
+function circleBox(circle, box, contact) {
+  _offset.subVectors(circle.center, box.center);
+  const x = _offset.dot(box.axisX);
+  const z = _offset.dot(box.axisZ);
+  const cx = Math.max(-box.halfX, Math.min(box.halfX, x));
+  const cz = Math.max(-box.halfZ, Math.min(box.halfZ, z));
+
+  if (cx !== x || cz !== z) {
+    // Centre outside the box: push away from the closest point
+    const dx = x - cx;
+    const dz = z - cz;
+    const distance = Math.hypot(dx, dz);
+    if (distance >= circle.radius) return false;
+    contact.point.copy(box.center).addScaledVector(box.axisX, cx).addScaledVector(box.axisZ, cz);
+    contact.normal.copy(box.axisX).multiplyScalar(-dx / distance).addScaledVector(box.axisZ, -dz / distance);
+    contact.depth = circle.radius - distance;
+    return true;
+  }
+
+  // Centre inside: out through the nearest face
+  const faceX = box.halfX - Math.abs(x);
+  const faceZ = box.halfZ - Math.abs(z);
+  if (faceX < faceZ) {
+    contact.normal.copy(box.axisX).multiplyScalar(-Math.sign(x) || -1);
+    contact.point.copy(box.center).addScaledVector(box.axisX, Math.sign(x) * box.halfX).addScaledVector(box.axisZ, z);
+    contact.depth = circle.radius + faceX;
+  } else {
+    contact.normal.copy(box.axisZ).multiplyScalar(-Math.sign(z) || -1);
+    contact.point.copy(box.center).addScaledVector(box.axisZ, Math.sign(z) * box.halfZ).addScaledVector(box.axisX, x);
+    contact.depth = circle.radius + faceZ;
+  }
+  return true;
+}
+
+/**
+ * Separating-axis test of two oriented rectangles. The contact point is
+ * the deepest corner (or edge midpoint) of the box not owning the axis.
+ * @returns {boolean}
+ */
+function boxBox(a, b, contact) {
+  _offset.subVectors(b.center, a.center);
+  let depth = Infinity;
+  let axisOfA = true;
+
+  for (const axis of [a.axisX, a.axisZ, b.axisX, b.axisZ]) {
+    const reachA = a.halfX * Math.abs(a.axisX.dot(axis)) + a.halfZ * Math.abs(a.axisZ.dot(axis));
+    const reachB = b.halfX * Math.abs(b.axisX.dot(axis)) + b.halfZ * Math.abs(b.axisZ.dot(axis));
+    const distance = _offset.dot(axis);
+    const overlapping = reachA + reachB - Math.abs(distance);
+    if (overlapping <= 0) return false;
+    if (overlapping < depth) {
+      depth = overlapping;
+      contact.normal.copy(axis).multiplyScalar(distance < 0 ? -1 : 1);
+      axisOfA = axis === a.axisX || axis === a.axisZ;
+    }
+  }
+  contact.depth = depth;
+
+  // Deepest corner: of b against a's face (least along the normal), or of a against b's
+  const corners = boxCorners(axisOfA ? b : a);
+  const sign = axisOfA ? 1 : -1;
+  let deepest = Infinity;
+  for (const corner of corners) deepest = Math.min(deepest, sign * corner.dot(contact.normal));
+  contact.point.set(0, 0, 0);
+  let n = 0;
+  for (const corner of corners) {
+    if (sign * corner.dot(contact.normal) - deepest < 1e-3) {
+      contact.point.add(corner);
+      n++;
+    }
+  }
+  contact.point.divideScalar(n);
+  return true;
+}
+
+/**
+ * @param {object} box
+ * @returns {Vector3[]} the four corners (shared scratch)
+ */
+function boxCorners(box) {
+  let i = 0;
+  for (const sx of [-1, 1]) {
+    for (const sz of [-1, 1]) {
+      _corners[i++].copy(box.center)
+        .addScaledVector(box.axisX, sx * box.halfX)
+        .addScaledVector(box.axisZ, sz * box.halfZ);
+    }
+  }
+  return _corners;
+}
+
+const EntityCollisions = new EntityCollisionsSingleton();
+export default EntityCollisions;
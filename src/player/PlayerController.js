@@ -2,6 +2,8 @@ import { Vector3 } from 'three';
 import { Capsule } from 'three/addons/math/Capsule.js';
 import EventBus from '../core/EventBus.js';
 import CollisionWorld from '../physics/CollisionWorld.js';
+import Entity from '../entities/Entity.js';
+import Collider from '../entities/components/Collider.js';
 import {
   WALK_SPEED,
   RUN_SPEED,
@@ -14,8 +16,8 @@ import {
   PLAYER_AIR_CONTROL,
   COYOTE_TIME,
   JUMP_BUFFER_TIME,
-  GP_A,
-  GP_LB,
+  PLAYER_MASS,
+  LOCKED_TAG,
 } from '../utils/constants.js';
 
 /**
@@ -29,8 +31,17 @@ import {
  *
  * Integrates with GameState -- only processes input when mode === 'play'.
  *
+ * Against vehicles, NPCs and props the player is `entity` (ID 'player'
+ * unless another is given):
+ * an Entity around the character container with a Collider, so
+ * EntityCollisions pushes it and is pushed by it. Whoever creates the
+ * controller registers the entity with the EntityManager. It is locked,
+ * so the director can't pick or delete it, and has no `source`, so save
+ * files leave it out.
+ *
  * Usage:
  *   const ctrl = new PlayerController(characterBody, inputManager);
+ *   EntityManager.add(ctrl.entity);
  *   engine.addUpdatable(ctrl);              // gets update(delta) each frame
  *   thirdPersonCam = new ThirdPersonCam(ctrl);
  */
@@ -46,8 +57,9 @@ class PlayerController {
   /**
    * @param {import('./CharacterBody.js').default} characterBody
    * @param {import('../core/InputManager.js').default} inputManager
+   * @param {string} [id='player'] -- ID of `entity`
    */
-  constructor(characterBody, inputManager) {
+  constructor(characterBody, inputManager, id = 'player') {
     /** @private */ this._body = characterBody;
     /** @private */ this._input = inputManager;
 
@@ -95,6 +107,12 @@ class PlayerController {
       new Vector3(0, CAPSULE_HEIGHT - CAPSULE_RADIUS, 0),
       CAPSULE_RADIUS,
     );
+
+    /** The player against other entities (see the class comment). */
+    this.entity = new Entity(characterBody.container, 'character', 'Player', id);
+    this.entity.addComponent(new Collider({ radius: CAPSULE_RADIUS, mass: PLAYER_MASS }));
+    this.entity.addTag('player');
+    this.entity.addTag(LOCKED_TAG);
   }
 
   // ---------------------------------------------------------------------------
@@ -129,6 +147,45 @@ class PlayerController {
     return this._body;
   }
 
+  /** Camera yaw used for camera-relative movement (radians). */
+  get cameraYaw() {
+    return this._cameraYaw;
+  }
+
+  /**
+   * Snapshot everything update() carries between ticks (used by replays).
+   * @returns {object} JSON-serializable state
+   */
+  captureState() {
+    const c = this._body.container;
+    return {
+      position: c.position.toArray(),
+      rotationY: c.rotation.y,
+      velocity: this._velocity.toArray(),
+      grounded: this._grounded,
+      state: this._state,
+      coyoteTimer: this._coyoteTimer,
+      jumpBufferTimer: this._jumpBufferTimer,
+      cameraYaw: this._cameraYaw,
+    };
+  }
+
+  /**
+   * Restore a snapshot from captureState().
+   * @param {object} s
+   */
+  restoreState(s) {
+    const c = this._body.container;
+    c.position.fromArray(s.position);
+    c.rotation.y = s.rotationY;
+    this._velocity.fromArray(s.velocity);
+    this._grounded = s.grounded;
+    this._state = s.state;
+    this._coyoteTimer = s.coyoteTimer;
+    this._jumpBufferTimer = s.jumpBufferTimer;
+    this._cameraYaw = s.cameraYaw;
+  }
+
   // ---------------------------------------------------------------------------
   // Per-frame update
   // ---------------------------------------------------------------------------
@@ -141,25 +198,15 @@ class PlayerController {
 
     const input = this._input;
 
-    // --- Gather movement input (keyboard) ---
+    // --- Gather movement input (move actions: keys and left stick) ---
     this._moveDir.set(0, 0, 0);
 
     // Camera-relative basis vectors (horizontal plane only)
     this._forward.set(0, 0, -1).applyAxisAngle(this._upAxis, this._cameraYaw);
     this._right.set(1, 0, 0).applyAxisAngle(this._upAxis, this._cameraYaw);
 
-    if (input.isKeyDown('KeyW')) this._moveDir.add(this._forward);
-    if (input.isKeyDown('KeyS')) this._moveDir.sub(this._forward);
-    if (input.isKeyDown('KeyA')) this._moveDir.sub(this._right);
-    if (input.isKeyDown('KeyD')) this._moveDir.add(this._right);
-
-    // --- Blend in gamepad left stick ---
-    const stick = input.getLeftStick();
-    if (Math.abs(stick.x) > 0 || Math.abs(stick.y) > 0) {
-      // Stick Y is inverted: negative = forward
-      this._moveDir.addScaledVector(this._forward, -stick.y);
-      this._moveDir.addScaledVector(this._right, stick.x);
-    }
+    this._moveDir.addScaledVector(this._forward, input.getAxis('moveY'));
+    this._moveDir.addScaledVector(this._right, input.getAxis('moveX'));
 
     const hasInput = this._moveDir.lengthSq() > 0;
     if (hasInput) this._moveDir.normalize();
@@ -169,15 +216,10 @@ class PlayerController {
     let newState = 'idle';
 
     if (hasInput) {
-      const sprinting =
-        input.isKeyDown('ShiftLeft') ||
-        input.isKeyDown('ShiftRight') ||
-        input.isButtonDown(GP_LB);
-
-      if (sprinting) {
+      if (input.isActionDown('sprint')) {
         speed = SPRINT_SPEED;
         newState = 'sprint';
-      } else if (input.isKeyDown('ControlLeft') || input.isKeyDown('ControlRight')) {
+      } else if (input.isActionDown('walk')) {
         speed = WALK_SPEED;
         newState = 'walk';
       } else {
@@ -193,9 +235,8 @@ class PlayerController {
       this._coyoteTimer -= delta;
     }
 
-    // --- Jump input detection (keyboard + gamepad) ---
-    const jumpPressed =
-      input.isKeyDown('Space') || input.isButtonJustPressed(GP_A);
+    // --- Jump input detection (edge: holding jump doesn't re-jump on landing) ---
+    const jumpPressed = input.isActionJustPressed('jump');
 
     // --- Jump buffer ---
     if (jumpPressed && this._coyoteTimer <= 0) {
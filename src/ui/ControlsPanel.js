@@ -0,0 +1,361 @@
+import EventBus from '../core/EventBus.js';
+import InputBindings, {
+  ACTIONS,
+  DEFAULT_PROFILE,
+  describeBinding,
+  bindingFromKeyEvent,
+} from '../core/InputBindings.js';
+
+/**
+ * Rebinding UI for InputBindings. The toggleControls action (F1) toggles it.
+ *
+ * Every action is listed by category with its bindings as chips: click a
+ * chip to rebind it, "+" to add a binding, right-click a chip to remove it.
+ * While waiting for input the next key (with modifiers), mouse button,
+ * gamepad button or stick direction is taken; Esc cancels. Rows whose
+ * bindings clash with another action in the same game mode are flagged.
+ *
+ * Profiles: pick one from the list, save the current bindings under a new
+ * name, delete it, or reset it to the defaults.
+ *
+ * Expects the following DOM elements (from index.html):
+ *   #controls-panel, #controls-list, #controls-profile-select,
+ *   #controls-profile-name, #controls-profile-save, #controls-profile-delete,
+ *   #controls-reset, #controls-status
+ *
+ * Usage:
+ *   const controlsPanel = new ControlsPanel(engine.input);
+ *   engine.addUpdatable(controlsPanel);   // polls the gamepad while capturing
+ */
+
+/** Stick deflection that counts as a press while capturing. */
+const AXIS_CAPTURE_THRESHOLD = 0.6;
+
+class ControlsPanel {
+  /**
+   * @param {import('../core/InputManager.js').default} inputManager
+   */
+  constructor(inputManager) {
+    this._input = inputManager;
+    this._isOpen = false;
+
+    /**
+     * Binding slot waiting for input, or null.
+     * @type {{ action: string, index: number, padBaseline: boolean[], axisBaseline: number[] }|null}
+     */
+    this._capture = null;
+
+    /** Modifier pressed alone while capturing — bound on release if nothing follows. */
+    this._pendingModifier = null;
+
+    // DOM elements
+    this._panel = document.getElementById('controls-panel');
+    this._list = document.getElementById('controls-list');
+    this._profileSelect = document.getElementById('controls-profile-select');
+    this._profileName = document.getElementById('controls-profile-name');
+    this._saveBtn = document.getElementById('controls-profile-save');
+    this._deleteBtn = document.getElementById('controls-profile-delete');
+    this._resetBtn = document.getElementById('controls-reset');
+    this._status = document.getElementById('controls-status');
+
+    this._setupEvents();
+    this._render();
+  }
+
+  _setupEvents() {
+    // Toggle panel (F1 by default)
+    this._onKeyDown = (e) => {
+      if (!this._capture && InputBindings.matches('toggleControls', e)) {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+    window.addEventListener('keydown', this._onKeyDown);
+
+    // Capture-phase listeners see input before any game handler
+    this._onCaptureKeyDown = (e) => this._handleCaptureKeyDown(e);
+    this._onCaptureKeyUp = (e) => this._handleCaptureKeyUp(e);
+    this._onCaptureMouseDown = (e) => this._handleCaptureMouseDown(e);
+    window.addEventListener('keydown', this._onCaptureKeyDown, true);
+    window.addEventListener('keyup', this._onCaptureKeyUp, true);
+    window.addEventListener('mousedown', this._onCaptureMouseDown, true);
+
+    // Profiles
+    this._profileSelect.addEventListener('change', () => {
+      InputBindings.setActiveProfile(this._profileSelect.value);
+    });
+    this._saveBtn.addEventListener('click', () => {
+      const name = this._profileName.value;
+      if (InputBindings.createProfile(name)) {
+        this._profileName.value = '';
+        this._setStatus(`Saved profile "${name.trim()}"`);
+      } else {
+        this._setStatus('Enter a new, unused profile name', true);
+      }
+    });
+    this._deleteBtn.addEventListener('click', () => {
+      const name = InputBindings.activeProfile;
+      if (name === DEFAULT_PROFILE) {
+        this._setStatus('The default profile can only be reset', true);
+        return;
+      }
+      InputBindings.deleteProfile(name);
+      this._render();
+      this._setStatus(`Deleted profile "${name}"`);
+    });
+    this._resetBtn.addEventListener('click', () => {
+      InputBindings.reset();
+      this._setStatus('Restored default bindings');
+    });
+
+    // Rebuild whenever bindings change (here or elsewhere)
+    this._onBindingsChanged = () => this._render();
+    EventBus.on('input:bindingsChanged', this._onBindingsChanged);
+  }
+
+  toggle() {
+    if (this._isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    this._isOpen = true;
+    this._panel.classList.add('open');
+    // Release pointer lock so the user can interact with the panel
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+  }
+
+  close() {
+    this._isOpen = false;
+    this._panel.classList.remove('open');
+    this._cancelCapture();
+  }
+
+  /**
+   * Poll the gamepad while waiting for a binding.
+   * @param {number} _delta
+   */
+  update(_delta) {
+    if (!this._capture) return;
+    const { padBaseline, axisBaseline } = this._capture;
+
+    for (let i = 0; i < padBaseline.length; i++) {
+      const down = this._input.isButtonDown(i);
+      if (down && !padBaseline[i]) {
+        this._finishCapture(`Pad${i}`);
+        return;
+      }
+      padBaseline[i] = down; // a held button must be released first
+    }
+
+    const axes = this._readAxes();
+    for (let i = 0; i < axes.length; i++) {
+      if (Math.abs(axes[i]) > AXIS_CAPTURE_THRESHOLD && Math.abs(axisBaseline[i]) <= AXIS_CAPTURE_THRESHOLD) {
+        this._finishCapture(`Axis${i}${axes[i] > 0 ? '+' : '-'}`);
+        return;
+      }
+      axisBaseline[i] = axes[i];
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Capture
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Wait for input to bind into a slot.
+   * @param {string} action
+   * @param {number} index — slot to replace, or -1 to add
+   */
+  _startCapture(action, index) {
+    const padBaseline = [];
+    for (let i = 0; i < 17; i++) padBaseline.push(this._input.isButtonDown(i));
+    this._capture = { action, index, padBaseline, axisBaseline: this._readAxes() };
+    this._pendingModifier = null;
+    this._render();
+    this._setStatus(`Press a key, mouse button or gamepad input for "${ACTIONS[action].label}" (Esc cancels)`);
+  }
+
+  _cancelCapture() {
+    if (!this._capture) return;
+    this._capture = null;
+    this._pendingModifier = null;
+    this._render();
+    this._setStatus('');
+  }
+
+  /** @param {string} binding */
+  _finishCapture(binding) {
+    const { action, index } = this._capture;
+    this._capture = null;
+    this._pendingModifier = null;
+    InputBindings.bind(action, binding, index);
+
+    const conflicts = InputBindings.getConflicts(action).filter((c) => c.binding === binding);
+    if (conflicts.length > 0) {
+      const names = conflicts.map((c) => `${ACTIONS[c.action].label} (${describeBinding(c.other)})`).join(', ');
+      this._setStatus(`${describeBinding(binding)} is also bound to: ${names}`, true);
+    } else {
+      this._setStatus(`${ACTIONS[action].label}: ${describeBinding(binding)}`);
+    }
+  }
+
+  /** @param {KeyboardEvent} e */
+  _handleCaptureKeyDown(e) {
+    if (!this._capture) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (e.repeat) return;
+
+    if (e.code === 'Escape') {
+      this._cancelCapture();
+      return;
+    }
+    if (/^(Shift|Control|Alt|Meta)(Left|Right)$/.test(e.code)) {
+      this._pendingModifier = e.code;
+      return;
+    }
+    this._finishCapture(bindingFromKeyEvent(e));
+  }
+
+  /** @param {KeyboardEvent} e */
+  _handleCaptureKeyUp(e) {
+    if (!this._capture) return;
+    e.stopPropagation();
+    if (e.code === this._pendingModifier) {
+      this._finishCapture(e.code);
+    }
+  }
+
+  /** @param {MouseEvent} e */
+  _handleCaptureMouseDown(e) {
+    if (!this._capture) return;
+    e.preventDefault();
+    e.stopPropagation();
+    this._finishCapture(`Mouse${e.button}`);
+  }
+
+  /** @returns {number[]} the four stick axes */
+  _readAxes() {
+    const left = this._input.getLeftStick();
+    const right = this._input.getRightStick();
+    return [left.x, left.y, right.x, right.y];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  _render() {
+    // Profiles
+    this._profileSelect.textContent = '';
+    for (const name of InputBindings.getProfileNames()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      option.selected = name === InputBindings.activeProfile;
+      this._profileSelect.appendChild(option);
+    }
+
+    // Actions grouped by category, in ACTIONS order
+    this._list.textContent = '';
+    let category = null;
+    for (const [action, def] of Object.entries(ACTIONS)) {
+      if (def.category !== category) {
+        category = def.category;
+        const heading = document.createElement('div');
+        heading.className = 'controls-category';
+        heading.textContent = category;
+        this._list.appendChild(heading);
+      }
+      this._list.appendChild(this._renderRow(action, def));
+    }
+  }
+
+  /**
+   * @param {string} action
+   * @param {object} def — entry of ACTIONS
+   * @returns {HTMLElement}
+   */
+  _renderRow(action, def) {
+    const row = document.createElement('div');
+    row.className = 'controls-row';
+
+    const conflicts = InputBindings.getConflicts(action);
+    if (conflicts.length > 0) {
+      row.classList.add('conflict');
+      row.title = 'Conflicts with: ' + conflicts
+        .map((c) => `${ACTIONS[c.action].label} (${describeBinding(c.other)})`)
+        .join(', ');
+    }
+
+    const label = document.createElement('span');
+    label.className = 'controls-label';
+    label.textContent = def.label;
+    row.appendChild(label);
+
+    const chips = document.createElement('span');
+    chips.className = 'controls-chips';
+    const bindings = InputBindings.getBindings(action);
+
+    bindings.forEach((binding, index) => {
+      const capturing = this._capture?.action === action && this._capture.index === index;
+      chips.appendChild(this._createChip(
+        capturing ? '...' : describeBinding(binding),
+        capturing,
+        () => this._startCapture(action, index),
+        () => InputBindings.unbind(action, binding),
+      ));
+    });
+
+    const adding = this._capture?.action === action && this._capture.index === -1;
+    chips.appendChild(this._createChip(adding ? '...' : '+', adding, () => this._startCapture(action, -1)));
+
+    row.appendChild(chips);
+    return row;
+  }
+
+  /**
+   * @param {string} text
+   * @param {boolean} active — waiting for input
+   * @param {Function} onClick
+   * @param {Function} [onRemove] — right-click handler
+   * @returns {HTMLButtonElement}
+   */
+  _createChip(text, active, onClick, onRemove) {
+    const chip = document.createElement('button');
+    chip.className = 'controls-chip';
+    chip.classList.toggle('capturing', active);
+    chip.textContent = text;
+    chip.addEventListener('click', onClick);
+    if (onRemove) {
+      chip.title = 'Click to rebind, right-click to remove';
+      chip.addEventListener('contextmenu', (e) => {
+        e.preventDefault();
+        onRemove();
+      });
+    }
+    return chip;
+  }
+
+  _setStatus(msg, isError = false) {
+    this._status.textContent = msg;
+    this._status.style.color = isError ? '#ff6b6b' : 'var(--hud-accent)';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    window.removeEventListener('keydown', this._onCaptureKeyDown, true);
+    window.removeEventListener('keyup', this._onCaptureKeyUp, true);
+    window.removeEventListener('mousedown', this._onCaptureMouseDown, true);
+    EventBus.off('input:bindingsChanged', this._onBindingsChanged);
+  }
+}
+
+export default ControlsPanel;
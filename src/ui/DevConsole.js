@@ -0,0 +1,255 @@
+import ConsoleCommands from '../core/ConsoleCommands.js';
+import InputBindings from '../core/InputBindings.js';
+import { HAS_DOM } from '../utils/env.js';
+
+/**
+ * Developer console for core/ConsoleCommands.js. The toggleConsole action
+ * (backtick) toggles it.
+ *
+ * Enter runs the line, Up / Down walk the command history (kept across
+ * sessions), Tab completes command names and arguments (press again on
+ * an ambiguous prefix to list the matches) and Esc closes. Keys typed
+ * into the console don't reach the game or other shortcuts.
+ *
+ * Expects the following DOM elements (from index.html):
+ *   #dev-console, #dev-console-output, #dev-console-input
+ *
+ * Usage:
+ *   const devConsole = new DevConsole();
+ */
+
+/** Output lines kept before the oldest are dropped. */
+const MAX_OUTPUT_LINES = 500;
+
+/** History entries kept (and saved). */
+const MAX_HISTORY = 100;
+
+/** localStorage key for the command history. */
+const HISTORY_STORAGE_KEY = 'desde-cero.console-history';
+
+class DevConsole {
+  constructor() {
+    this._isOpen = false;
+
+    /** @type {string[]} oldest first */
+    this._history = loadHistory();
+    /** Position while walking the history (history.length = the new line). */
+    this._historyIndex = this._history.length;
+    /** What was typed before walking into the history. */
+    this._draft = '';
+
+    // DOM elements
+    this._panel = document.getElementById('dev-console');
+    this._output = document.getElementById('dev-console-output');
+    this._input = document.getElementById('dev-console-input');
+
+    this._unregisterClear = ConsoleCommands.register({
+      name: 'clear',
+      description: 'Clear the console output',
+      run: () => {
+        this._output.textContent = '';
+      },
+    });
+
+    this._setupEvents();
+    this.print(`Type help for a list of commands. ${InputBindings.describe('toggleConsole')} to close.`);
+  }
+
+  _setupEvents() {
+    // Toggle console (backtick by default)
+    this._onKeyDown = (e) => {
+      if (InputBindings.matches('toggleConsole', e)) {
+        e.preventDefault(); // don't type the backtick into the input
+        this.toggle();
+      }
+    };
+    window.addEventListener('keydown', this._onKeyDown);
+
+    this._input.addEventListener('keydown', (e) => {
+      // Typing must not drive the game or trigger shortcuts (keyup still
+      // propagates so keys held when the console opened are released)
+      e.stopPropagation();
+
+      if (e.key === 'Escape' || InputBindings.matches('toggleConsole', e)) {
+        e.preventDefault();
+        this.close();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        this._submit();
+      } else if (e.key === 'ArrowUp') {
+        e.preventDefault();
+        this._walkHistory(-1);
+      } else if (e.key === 'ArrowDown') {
+        e.preventDefault();
+        this._walkHistory(1);
+      } else if (e.key === 'Tab') {
+        e.preventDefault();
+        this._complete();
+      }
+    });
+  }
+
+  toggle() {
+    if (this._isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    this._isOpen = true;
+    this._panel.classList.add('open');
+    // Release pointer lock so the user can type
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    this._input.focus();
+  }
+
+  close() {
+    this._isOpen = false;
+    this._panel.classList.remove('open');
+    this._input.blur();
+  }
+
+  /**
+   * Append a line to the output.
+   * @param {string} text
+   * @param {string} [kind] — 'command' | 'error' | '' for plain output
+   */
+  print(text, kind = '') {
+    const line = document.createElement('div');
+    line.className = kind ? `console-line console-${kind}` : 'console-line';
+    line.textContent = text;
+    this._output.appendChild(line);
+    while (this._output.childElementCount > MAX_OUTPUT_LINES) {
+      this._output.firstElementChild.remove();
+    }
+    this._output.scrollTop = this._output.scrollHeight;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Running commands
+  // ---------------------------------------------------------------------------
+
+  async _submit() {
+    const line = this._input.value.trim();
+    this._input.value = '';
+    if (!line) return;
+
+    this.print(`> ${line}`, 'command');
+    this._remember(line);
+
+    try {
+      const output = await ConsoleCommands.execute(line);
+      for (const text of output) this.print(text);
+    } catch (err) {
+      this.print(err.message, 'error');
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // History
+  // ---------------------------------------------------------------------------
+
+  /** @param {string} line */
+  _remember(line) {
+    if (this._history[this._history.length - 1] !== line) {
+      this._history.push(line);
+      if (this._history.length > MAX_HISTORY) this._history.shift();
+      saveHistory(this._history);
+    }
+    this._historyIndex = this._history.length;
+    this._draft = '';
+  }
+
+  /** @param {number} step — -1 older, +1 newer */
+  _walkHistory(step) {
+    const index = Math.min(Math.max(this._historyIndex + step, 0), this._history.length);
+    if (index === this._historyIndex) return;
+    if (this._historyIndex === this._history.length) this._draft = this._input.value;
+
+    this._historyIndex = index;
+    this._input.value = index === this._history.length ? this._draft : this._history[index];
+    // Caret to the end (after the browser's own Up / Down handling)
+    const end = this._input.value.length;
+    this._input.setSelectionRange(end, end);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Autocomplete
+  // ---------------------------------------------------------------------------
+
+  _complete() {
+    const line = this._input.value;
+    const { start, matches } = ConsoleCommands.complete(line);
+    if (matches.length === 0) return;
+
+    const head = line.slice(0, start);
+    if (matches.length === 1) {
+      this._input.value = `${head}${quote(matches[0])} `;
+      return;
+    }
+
+    // Extend to the longest shared prefix, or list the options when there is none to add
+    const typed = line.slice(start).replace(/^["']/, '');
+    const common = commonPrefix(matches);
+    if (common.length > typed.length) {
+      this._input.value = head + (/\s/.test(common) ? `"${common}` : common);
+    } else {
+      this.print(matches.join('  '));
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    this._unregisterClear();
+  }
+}
+
+/**
+ * Quote a completed argument that contains spaces.
+ * @param {string} text
+ * @returns {string}
+ */
+function quote(text) {
+  return /\s/.test(text) ? `"${text}"` : text;
+}
+
+/**
+ * Longest case-insensitive shared prefix, in the first match's casing.
+ * @param {string[]} values
+ * @returns {string}
+ */
+function commonPrefix(values) {
+  let prefix = values[0];
+  for (const value of values) {
+    let i = 0;
+    while (i < prefix.length && i < value.length && prefix[i].toLowerCase() === value[i].toLowerCase()) i++;
+    prefix = prefix.slice(0, i);
+  }
+  return prefix;
+}
+
+/** @returns {string[]} */
+function loadHistory() {
+  try {
+    const saved = HAS_DOM ? JSON.parse(localStorage.getItem(HISTORY_STORAGE_KEY)) : null;
+    return Array.isArray(saved) ? saved.filter((line) => typeof line === 'string').slice(-MAX_HISTORY) : [];
+  } catch {
+    return [];
+  }
+}
+
+/** @param {string[]} history */
+function saveHistory(history) {
+  try {
+    localStorage.setItem(HISTORY_STORAGE_KEY, JSON.stringify(history));
+  } catch (err) {
+    console.warn('[DevConsole] Could not save history:', err);
+  }
+}
+
+export default DevConsole;
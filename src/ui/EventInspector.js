@@ -0,0 +1,267 @@
+import EventBus from '../core/EventBus.js';
+import InputBindings from '../core/InputBindings.js';
+
+/**
+ * Dev overlay listing recent EventBus emits. The toggleEventInspector
+ * action (F2) toggles it.
+ *
+ * Turns on EventBus history when constructed, so events from before the
+ * panel was opened are there too. Each row shows the time, event name,
+ * how many listeners it reached and a one-line payload summary; click a
+ * row for the full payload and, with "Call stacks" on, where it was
+ * emitted from. The filter takes an event name, a wildcard pattern
+ * ('vehicle:*') or any substring.
+ *
+ * Payloads are kept by reference, so an expanded payload shows the
+ * object's current state rather than its state at emit time.
+ *
+ * Expects the following DOM elements (from index.html):
+ *   #event-inspector, #event-inspector-filter, #event-inspector-pause,
+ *   #event-inspector-clear, #event-inspector-stacks, #event-inspector-list,
+ *   #event-inspector-status
+ *
+ * Usage:
+ *   const eventInspector = new EventInspector();
+ *   engine.addUpdatable(eventInspector);   // refreshes the list while open
+ */
+
+/** Entries kept in the EventBus ring buffer. */
+const HISTORY_SIZE = 200;
+
+/** Seconds between list refreshes while open. */
+const REFRESH_INTERVAL = 0.25;
+
+/** Nesting shown in payload summaries / expanded payloads. */
+const SUMMARY_DEPTH = 1;
+const DETAIL_DEPTH = 4;
+
+class EventInspector {
+  constructor() {
+    this._isOpen = false;
+    this._frozen = false;
+
+    /** Id of the newest entry rendered (skip refreshes when nothing changed). */
+    this._lastId = 0;
+    this._refreshTimer = 0;
+
+    /** Entry id whose details are expanded, or null. */
+    this._expandedId = null;
+
+    EventBus.enableHistory(HISTORY_SIZE);
+
+    // DOM elements
+    this._panel = document.getElementById('event-inspector');
+    this._filter = document.getElementById('event-inspector-filter');
+    this._pauseBtn = document.getElementById('event-inspector-pause');
+    this._clearBtn = document.getElementById('event-inspector-clear');
+    this._stacks = document.getElementById('event-inspector-stacks');
+    this._list = document.getElementById('event-inspector-list');
+    this._status = document.getElementById('event-inspector-status');
+
+    this._setupEvents();
+  }
+
+  _setupEvents() {
+    // Toggle panel (F2 by default)
+    this._onKeyDown = (e) => {
+      if (InputBindings.matches('toggleEventInspector', e)) {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+    window.addEventListener('keydown', this._onKeyDown);
+
+    this._filter.addEventListener('input', () => this._render());
+    this._pauseBtn.addEventListener('click', () => {
+      this._frozen = !this._frozen;
+      this._pauseBtn.textContent = this._frozen ? 'Resume' : 'Freeze';
+      if (!this._frozen) this._render();
+    });
+    this._clearBtn.addEventListener('click', () => {
+      EventBus.clearHistory();
+      this._expandedId = null;
+      this._render();
+    });
+    this._stacks.addEventListener('change', () => {
+      EventBus.setCaptureStack(this._stacks.checked);
+    });
+  }
+
+  toggle() {
+    if (this._isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    this._isOpen = true;
+    this._panel.classList.add('open');
+    this._render();
+  }
+
+  close() {
+    this._isOpen = false;
+    this._panel.classList.remove('open');
+  }
+
+  /**
+   * Refresh the list while open (throttled).
+   * @param {number} delta
+   */
+  update(delta) {
+    if (!this._isOpen || this._frozen) return;
+    this._refreshTimer += delta;
+    if (this._refreshTimer < REFRESH_INTERVAL) return;
+    this._refreshTimer = 0;
+
+    const history = EventBus.getHistory();
+    const newest = history.length > 0 ? history[history.length - 1].id : 0;
+    if (newest !== this._lastId) this._render(history);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {Array} [history] — from EventBus.getHistory()
+   */
+  _render(history = EventBus.getHistory()) {
+    this._lastId = history.length > 0 ? history[history.length - 1].id : 0;
+
+    const matches = createFilter(this._filter.value.trim());
+    const shown = history.filter((entry) => matches(entry.event));
+
+    this._list.textContent = '';
+    const now = performance.now();
+    // Newest first
+    for (let i = shown.length - 1; i >= 0; i--) {
+      this._list.appendChild(this._renderRow(shown[i], now));
+    }
+
+    this._status.textContent = `${shown.length} of ${history.length} recent events`;
+  }
+
+  /**
+   * @param {{ id: number, event: string, data: *, time: number, listeners: number, stack: string|null }} entry
+   * @param {number} now — performance.now()
+   * @returns {HTMLElement}
+   */
+  _renderRow(entry, now) {
+    const row = document.createElement('div');
+    row.className = 'event-row';
+    if (entry.listeners === 0) row.classList.add('unheard');
+
+    const head = document.createElement('div');
+    head.className = 'event-head';
+    head.title = 'Click for details';
+
+    const age = document.createElement('span');
+    age.className = 'event-age';
+    age.textContent = `-${((now - entry.time) / 1000).toFixed(1)}s`;
+
+    const name = document.createElement('span');
+    name.className = 'event-name';
+    name.textContent = entry.event;
+
+    const listeners = document.createElement('span');
+    listeners.className = 'event-listeners';
+    listeners.textContent = `×${entry.listeners}`;
+    listeners.title = `${entry.listeners} listener(s) called`;
+
+    const summary = document.createElement('span');
+    summary.className = 'event-summary';
+    summary.textContent = entry.data === undefined ? '' : formatPayload(entry.data, SUMMARY_DEPTH);
+
+    head.append(age, name, listeners, summary);
+    head.addEventListener('click', () => {
+      this._expandedId = this._expandedId === entry.id ? null : entry.id;
+      this._render();
+    });
+    row.appendChild(head);
+
+    if (this._expandedId === entry.id) {
+      const details = document.createElement('pre');
+      details.className = 'event-details';
+      details.textContent = formatPayload(entry.data, DETAIL_DEPTH, '  ');
+      if (entry.stack) details.textContent += `\n\nEmitted from:\n${entry.stack}`;
+      row.appendChild(details);
+    }
+    return row;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    EventBus.disableHistory();
+  }
+}
+
+/**
+ * Build an event-name predicate from the filter text.
+ * @param {string} text — '', exact name, 'ns:*' / '*', or a substring
+ * @returns {(event: string) => boolean}
+ */
+function createFilter(text) {
+  if (!text || text === '*') return () => true;
+  if (text.endsWith(':*')) {
+    const prefix = text.slice(0, -1);
+    return (event) => event.startsWith(prefix);
+  }
+  const lower = text.toLowerCase();
+  return (event) => event.toLowerCase().includes(lower);
+}
+
+/**
+ * Readable, cycle-safe rendering of an event payload. Class instances are
+ * labelled with their constructor name; nesting beyond `depth` is elided.
+ * @param {*} value
+ * @param {number} depth
+ * @param {string} [indent] — pretty-print with this indent (single line if omitted)
+ * @returns {string}
+ */
+function formatPayload(value, depth, indent = '') {
+  const seen = new WeakSet();
+
+  const format = (v, level) => {
+    if (v === null || v === undefined) return String(v);
+    if (typeof v === 'string') return JSON.stringify(v);
+    if (typeof v === 'number') return Number.isInteger(v) ? String(v) : v.toFixed(3);
+    if (typeof v === 'function') return `${v.name || 'function'}()`;
+    if (typeof v !== 'object') return String(v);
+
+    const ctor = v.constructor && v.constructor !== Object && v.constructor !== Array
+      ? v.constructor.name
+      : '';
+    if (seen.has(v)) return `${ctor || 'object'} (circular)`;
+    // Vector3 / Quaternion / Color style values read best as a tuple
+    if (typeof v.toArray === 'function' && (v.isVector3 || v.isVector2 || v.isQuaternion || v.isEuler || v.isColor)) {
+      return `${ctor}(${v.toArray().slice(0, 4).map((n) => format(n, level)).join(', ')})`;
+    }
+    if (level >= depth) {
+      if (Array.isArray(v)) return `[${v.length}]`;
+      return ctor ? `${ctor}{${v.name !== undefined ? format(v.name, level) : '…'}}` : '{…}';
+    }
+
+    seen.add(v);
+    const pad = indent ? `\n${indent.repeat(level + 1)}` : ' ';
+    const close = indent ? `\n${indent.repeat(level)}` : ' ';
+    let body;
+    if (Array.isArray(v)) {
+      body = v.map((item) => format(item, level + 1));
+      seen.delete(v);
+      return body.length ? `[${pad}${body.join(`,${pad}`)}${close}]` : '[]';
+    }
+    body = Object.keys(v)
+      .filter((key) => !key.startsWith('_'))
+      .map((key) => `${key}: ${format(v[key], level + 1)}`);
+    seen.delete(v);
+    return `${ctor}{${body.length ? `${pad}${body.join(`,${pad}`)}${close}` : ''}}`;
+  };
+
+  return format(value, 0);
+}
+
+export default EventInspector;
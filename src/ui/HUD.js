@@ -1,5 +1,7 @@
 import EventBus from '../core/EventBus.js';
 import GameState from '../core/GameState.js';
+import InputBindings from '../core/InputBindings.js';
+import { HAS_DOM } from '../utils/env.js';
 
 /**
  * Head-up display: shows the current game mode, contextual controls hint,
@@ -9,47 +11,117 @@ import GameState from '../core/GameState.js';
  *   - 'gamestate:modeChanged'  -> updates mode label and controls text
  *   - 'player:stateChanged'    -> updates player state indicator
  *   - 'camera:modeChanged'     -> updates camera label
+ *   - 'history:changed'        -> updates the undo/redo summary
+ *   - 'input:bindingsChanged'  -> rebuilds the controls hint from the bindings
+ *   - 'vehicle:gearChanged', 'vehicle:rpm' -> gear and tachometer of the driven vehicle
  *
  * Expects the following DOM elements (from index.html):
  *   #hud-camera-mode   - text span for the current camera/mode label
+ *   #hud-history       - text span for the last undoable edit
+ *   #hud-engine-row    - gear (#hud-gear) and tachometer (#hud-tach-fill, #hud-rpm),
+ *                        shown while driving a vehicle with a Powertrain
  *   .hud-controls      - text row for contextual key bindings
  *
+ * Without a DOM (headless harness) every element is null and updates are no-ops.
+ *
  * Usage:
  *   const hud = new HUD();
  *   engine.addUpdatable(hud);   // optional, for future animated elements
  */
 
-/** Contextual control hints per game mode. */
+/**
+ * Contextual control hints per game mode: [actions, description] pairs
+ * rendered with the current bindings, or plain strings for fixed controls.
+ */
+const MOVE = ['moveForward', 'moveLeft', 'moveBack', 'moveRight'];
 const MODE_CONTROLS = {
-  free:     'WASD Move \u00B7 Q/E Up/Down \u00B7 Mouse Look \u00B7 Shift Boost \u00B7 C Camera \u00B7 M Models',
-  play:     'WASD Move \u00B7 Shift Sprint \u00B7 Space Jump \u00B7 F Enter Vehicle \u00B7 C Camera \u00B7 M Models',
-  drive:    'W/S Accel \u00B7 A/D Steer \u00B7 Space Brake \u00B7 Shift Boost \u00B7 F Exit \u00B7 C Camera',
-  director: 'WASD+QE Fly \u00B7 Mouse Look \u00B7 Click Select \u00B7 1-6 Cameras \u00B7 G Post-FX \u00B7 Tab Back',
+  free: [
+    [MOVE, 'Move'], [['moveDown', 'moveUp'], 'Up/Down'], 'Mouse Look', [['sprint'], 'Boost'],
+    [['cycleCamera'], 'Camera'], [['toggleModelBrowser'], 'Models'],
+  ],
+  play: [
+    [MOVE, 'Move'], [['sprint'], 'Sprint'], [['jump'], 'Jump'], [['interact'], 'Enter Vehicle'],
+    [['cycleCamera'], 'Camera'], [['toggleModelBrowser'], 'Models'], [['pause'], 'Pause'],
+  ],
+  drive: [
+    [['throttle', 'reverse'], 'Accel'], [['steerLeft', 'steerRight'], 'Steer'], [['handbrake'], 'Brake'],
+    [['boost'], 'Boost'], [['shiftDown', 'shiftUp'], 'Gears'], [['interact'], 'Exit'],
+    [['cycleCamera'], 'Camera'], [['pause'], 'Pause'],
+  ],
+  director: [
+    [[...MOVE, 'moveDown', 'moveUp'], 'Fly'], 'Mouse Look', 'Click Select',
+    [['gizmoMode', 'gizmoSpace', 'gizmoSnap'], 'Gizmo'], [['deleteSelection'], 'Remove'],
+    [['cinematic1', 'cinematic6'], 'Cameras', '-'], [['addKeyframe'], 'Keyframe'],
+    [['timeEarlier', 'timeLater'], 'Time'], [['slowMotion'], 'Slow-mo'], [['togglePostFX'], 'Post-FX'], [['undo'], 'Undo'],
+    [['toggleDirector'], 'Back'],
+  ],
 };
 
+/**
+ * Render one mode's hint with the active bindings, e.g. 'WASD Move · Shift Boost'.
+ * Four or more single-character keys run together (WASD); others join with '/'.
+ * @param {Array} entries — from MODE_CONTROLS
+ * @returns {string}
+ */
+function formatControls(entries) {
+  return entries.map((entry) => {
+    if (typeof entry === 'string') return entry;
+    const [actions, text, separator] = entry;
+    const keys = actions.map((a) => InputBindings.describe(a));
+    const joiner = separator ?? (keys.length >= 4 && keys.every((k) => k.length === 1) ? '' : '/');
+    return `${keys.join(joiner)} ${text}`;
+  }).join(' \u00B7 ');
+}
+
 class HUD {
   constructor() {
     // --- Cached DOM references ---
-    /** @private */ this._modeEl = document.getElementById('hud-camera-mode');
-    /** @private */ this._controlsEl = document.querySelector('.hud-controls');
+    /** @private */ this._modeEl = HAS_DOM ? document.getElementById('hud-camera-mode') : null;
+    /** @private */ this._controlsEl = HAS_DOM ? document.querySelector('.hud-controls') : null;
+    /** @private */ this._historyEl = HAS_DOM ? document.getElementById('hud-history') : null;
+    /** @private */ this._timeScaleEl = HAS_DOM ? document.getElementById('hud-time-scale') : null;
+    /** @private */ this._engineRowEl = HAS_DOM ? document.getElementById('hud-engine-row') : null;
+    /** @private */ this._gearEl = HAS_DOM ? document.getElementById('hud-gear') : null;
+    /** @private */ this._tachEl = HAS_DOM ? document.getElementById('hud-tach-fill') : null;
+    /** @private */ this._rpmEl = HAS_DOM ? document.getElementById('hud-rpm') : null;
 
     // --- Player state element (created dynamically if not present) ---
-    /** @private */ this._playerStateEl = document.getElementById('hud-player-state');
+    /** @private */ this._playerStateEl = HAS_DOM ? document.getElementById('hud-player-state') : null;
 
     // --- Bind event listeners (store references for cleanup) ---
     /** @private */
-    this._onModeChanged = ({ mode }) => this._updateMode(mode);
+    this._onModeChanged = ({ mode }) => {
+      this._updateMode(mode);
+      this._updateEngine();
+    };
     /** @private */
     this._onPlayerState = ({ state }) => this._updatePlayerState(state);
     /** @private */
     this._onCameraChanged = ({ mode }) => this._updateCameraLabel(mode);
+    /** @private */
+    this._onHistoryChanged = ({ undo, redo }) => this._updateHistory(undo, redo);
+    /** @private */
+    this._onBindingsChanged = () => this._updateMode(GameState.mode);
+    /** @private */
+    this._onTimeScaleChanged = ({ timeScale, cameraRealTime }) => this._updateTimeScale(timeScale, cameraRealTime);
+    /** @private */
+    this._onEngineChanged = ({ vehicle }) => {
+      if (vehicle === GameState.vehicle) this._updateEngine();
+    };
 
     EventBus.on('gamestate:modeChanged', this._onModeChanged);
     EventBus.on('player:stateChanged', this._onPlayerState);
     EventBus.on('camera:modeChanged', this._onCameraChanged);
+    EventBus.on('history:changed', this._onHistoryChanged);
+    EventBus.on('input:bindingsChanged', this._onBindingsChanged);
+    EventBus.on('gamestate:timeScaleChanged', this._onTimeScaleChanged);
+    EventBus.on('vehicle:entered', this._onEngineChanged);
+    EventBus.on('vehicle:gearChanged', this._onEngineChanged);
+    EventBus.on('vehicle:rpm', this._onEngineChanged);
 
     // Initialize display with current state
     this._updateMode(GameState.mode);
+    this._updateTimeScale(GameState.timeScale, GameState.cameraRealTime);
   }
 
   // ---------------------------------------------------------------------------
@@ -67,7 +139,7 @@ class HUD {
     }
 
     if (this._controlsEl) {
-      this._controlsEl.textContent = MODE_CONTROLS[mode] || '';
+      this._controlsEl.textContent = MODE_CONTROLS[mode] ? formatControls(MODE_CONTROLS[mode]) : '';
     }
   }
 
@@ -96,6 +168,50 @@ class HUD {
     }
   }
 
+  /**
+   * Show the most recent undoable edit and the undo/redo depth.
+   * @param {string[]} undo - labels, newest first
+   * @param {string[]} redo - labels, newest first
+   * @private
+   */
+  _updateHistory(undo, redo) {
+    if (!this._historyEl) return;
+    const last = undo.length > 0 ? undo[0] : '\u2014';
+    this._historyEl.textContent = `${last}  (${undo.length} undo / ${redo.length} redo)`;
+    this._historyEl.title = undo.join('\n');
+  }
+
+  /**
+   * Show the time scale, e.g. '0.25x (camera real time)'.
+   * @param {number} timeScale
+   * @param {boolean} cameraRealTime
+   * @private
+   */
+  _updateTimeScale(timeScale, cameraRealTime) {
+    if (!this._timeScaleEl) return;
+    const camera = timeScale === 1 ? '' : cameraRealTime ? '  (camera real time)' : '  (camera scaled)';
+    this._timeScaleEl.textContent = `${+timeScale.toFixed(2)}x${camera}`;
+  }
+
+  /**
+   * Show the driven vehicle's gear and RPM, e.g. 'D3' and '4200 rpm';
+   * hidden on foot or without a Powertrain.
+   * @private
+   */
+  _updateEngine() {
+    if (!this._engineRowEl) return;
+    const powertrain = GameState.mode === 'drive' ? GameState.vehicle?.getComponent('powertrain') : null;
+    this._engineRowEl.hidden = !powertrain?.enabled;
+    if (this._engineRowEl.hidden) return;
+
+    const { gear, rpm, redline, limiter, transmission } = powertrain;
+    const mode = transmission === 'automatic' ? 'D' : 'M';
+    this._gearEl.textContent = gear < 0 ? 'R' : gear === 0 ? 'N' : `${mode}${gear}`;
+    this._tachEl.style.width = `${Math.round((rpm / redline) * 100)}%`;
+    this._tachEl.classList.toggle('limiter', limiter);
+    this._rpmEl.textContent = `${Math.round(rpm / 100) * 100} rpm`;
+  }
+
   // ---------------------------------------------------------------------------
   // Updatable interface (for Engine.addUpdatable)
   // ---------------------------------------------------------------------------
@@ -117,6 +233,12 @@ class HUD {
     EventBus.off('gamestate:modeChanged', this._onModeChanged);
     EventBus.off('player:stateChanged', this._onPlayerState);
     EventBus.off('camera:modeChanged', this._onCameraChanged);
+    EventBus.off('history:changed', this._onHistoryChanged);
+    EventBus.off('input:bindingsChanged', this._onBindingsChanged);
+    EventBus.off('gamestate:timeScaleChanged', this._onTimeScaleChanged);
+    EventBus.off('vehicle:entered', this._onEngineChanged);
+    EventBus.off('vehicle:gearChanged', this._onEngineChanged);
+    EventBus.off('vehicle:rpm', this._onEngineChanged);
   }
 }
 
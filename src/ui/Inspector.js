@@ -0,0 +1,412 @@
+import EventBus from '../core/EventBus.js';
+import InputBindings from '../core/InputBindings.js';
+import CommandHistory from '../director/CommandHistory.js';
+import { PropertiesCommand } from '../director/EditCommands.js';
+import TuningPresets from '../entities/TuningPresets.js';
+
+/**
+ * Property inspector for the selected entity. The toggleInspector action
+ * (I) toggles it.
+ *
+ * Lists every component of the entity that declares `static properties`
+ * (see Component.js) with a control matching each property's type: a
+ * slider plus a number field for numbers, a checkbox for booleans and a
+ * dropdown for choices. Edits apply live and go through CommandHistory
+ * (a slider drag is one step); ↺ returns a property to the value its
+ * component was created with (the preset's default).
+ *
+ * The preset row saves the entity's current values under a name
+ * (TuningPresets, kept in localStorage) and applies or deletes saved
+ * presets that fit the entity.
+ *
+ * The selection comes from the director gizmo ('selection:changed'), so
+ * viewport picks and the outliner both drive it.
+ *
+ * Expects the following DOM elements (from index.html):
+ *   #inspector, #inspector-title, #inspector-fields, #inspector-reset,
+ *   #inspector-preset, #inspector-preset-apply, #inspector-preset-delete,
+ *   #inspector-preset-name, #inspector-preset-save, #inspector-status
+ *
+ * Usage:
+ *   const inspector = new Inspector({ director });
+ */
+class Inspector {
+  /**
+   * @param {object} params
+   * @param {import('../director/DirectorMode.js').default} params.director — its gizmo holds the selection
+   */
+  constructor({ director }) {
+    this._isOpen = false;
+
+    /** @type {import('../entities/Entity.js').default|null} */
+    this._entity = director.gizmo?.selected ?? null;
+
+    /**
+     * Controls of the shown properties.
+     * @type {Map<string, { component: object, key: string, def: object, input: HTMLElement, number: HTMLInputElement|null, reset: HTMLButtonElement }>}
+     * 'type.key' -> controls
+     */
+    this._controls = new Map();
+
+    // DOM elements
+    this._panel = document.getElementById('inspector');
+    this._title = document.getElementById('inspector-title');
+    this._fields = document.getElementById('inspector-fields');
+    this._resetBtn = document.getElementById('inspector-reset');
+    this._presetSelect = document.getElementById('inspector-preset');
+    this._applyBtn = document.getElementById('inspector-preset-apply');
+    this._deleteBtn = document.getElementById('inspector-preset-delete');
+    this._presetName = document.getElementById('inspector-preset-name');
+    this._saveBtn = document.getElementById('inspector-preset-save');
+    this._status = document.getElementById('inspector-status');
+
+    this._setupEvents();
+    this._render();
+  }
+
+  _setupEvents() {
+    // Toggle panel (I by default)
+    this._onKeyDown = (e) => {
+      if (InputBindings.matches('toggleInspector', e)) {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+    window.addEventListener('keydown', this._onKeyDown);
+
+    // Typing into fields must not drive the camera or trigger shortcuts
+    this._panel.addEventListener('keydown', (e) => {
+      if (!e.target.matches('input, select')) return;
+      e.stopPropagation();
+      if (e.key === 'Escape') e.target.blur();
+    });
+
+    this._resetBtn.addEventListener('click', () => this._resetAll());
+    this._applyBtn.addEventListener('click', () => this._applyPreset());
+    this._deleteBtn.addEventListener('click', () => {
+      const name = this._presetSelect.value;
+      if (!name) return;
+      TuningPresets.remove(name);
+      this._setStatus(`Deleted preset "${name}"`);
+    });
+    this._saveBtn.addEventListener('click', () => this._savePreset());
+
+    this._onSelectionChanged = ({ entity }) => {
+      this._entity = entity;
+      this._render();
+    };
+    EventBus.on('selection:changed', this._onSelectionChanged);
+
+    this._onPropertiesChanged = ({ entity, component, values }) => {
+      if (entity !== this._entity) return;
+      for (const key of Object.keys(values)) this._sync(`${component.type}.${key}`);
+    };
+    EventBus.on('entity:propertiesChanged', this._onPropertiesChanged);
+
+    // Components come and go; visibility may change from the outliner
+    this._onEntityChanged = ({ entity }) => {
+      if (entity === this._entity) this._render();
+    };
+    for (const event of ['entity:componentAdded', 'entity:componentRemoved', 'entity:renamed']) {
+      EventBus.on(event, this._onEntityChanged);
+    }
+    this._onVisibilityChanged = ({ entity }) => {
+      if (entity === this._entity) this._sync('renderable.visible');
+    };
+    EventBus.on('entity:visibilityChanged', this._onVisibilityChanged);
+
+    this._onPresetsChanged = () => this._renderPresets();
+    EventBus.on('presets:changed', this._onPresetsChanged);
+  }
+
+  toggle() {
+    if (this._isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    this._isOpen = true;
+    this._panel.classList.add('open');
+    // Release pointer lock so the user can interact with the panel
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+  }
+
+  close() {
+    this._isOpen = false;
+    this._panel.classList.remove('open');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Editing
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Set one property through CommandHistory.
+   * @param {string} path — 'type.key'
+   * @param {*} value
+   */
+  _edit(path, value) {
+    const { component, key, def } = this._controls.get(path);
+    const type = component.type;
+    CommandHistory.execute(new PropertiesCommand(
+      this._entity,
+      { [type]: { [key]: component[key] } },
+      { [type]: { [key]: value } },
+      `${def.label} of ${this._entity.name}`,
+    ));
+  }
+
+  _resetAll() {
+    if (!this._entity) return;
+    const before = {};
+    const after = {};
+    for (const component of this._entity.components.values()) {
+      if (!component.defaults || Object.keys(component.defaults).length === 0) continue;
+      before[component.type] = component.getProperties();
+      after[component.type] = { ...component.defaults };
+    }
+    CommandHistory.execute(new PropertiesCommand(this._entity, before, after, `Reset ${this._entity.name}`));
+    CommandHistory.seal();
+    this._setStatus('Restored default values');
+  }
+
+  _applyPreset() {
+    const name = this._presetSelect.value;
+    const preset = name ? TuningPresets.get(name) : null;
+    if (!this._entity || !preset) return;
+
+    const before = {};
+    const after = {};
+    for (const [type, values] of Object.entries(preset)) {
+      const component = this._entity.getComponent(type);
+      if (!component) continue;
+      const current = component.getProperties();
+      before[type] = Object.fromEntries(Object.keys(values).map((key) => [key, current[key]]));
+      after[type] = values;
+    }
+    CommandHistory.execute(new PropertiesCommand(this._entity, before, after, `Apply ${name} to ${this._entity.name}`));
+    CommandHistory.seal();
+    this._setStatus(`Applied preset "${name}"`);
+  }
+
+  _savePreset() {
+    const name = this._presetName.value.trim();
+    if (!this._entity) return;
+    if (!name) {
+      this._setStatus('Enter a preset name', true);
+      return;
+    }
+    TuningPresets.save(name, this._entity);
+    this._presetName.value = '';
+    this._presetSelect.value = name;
+    this._setStatus(`Saved preset "${name}"`);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  /** Rebuild the fields for the current entity. */
+  _render() {
+    this._fields.textContent = '';
+    this._controls.clear();
+    this._status.textContent = '';
+
+    const entity = this._entity;
+    this._title.textContent = entity ? `${entity.name} · ${entity.type}` : 'Nothing selected';
+    for (const el of [this._resetBtn, this._saveBtn, this._presetName]) el.disabled = !entity;
+
+    if (entity) {
+      for (const component of entity.components.values()) {
+        const properties = Object.entries(component.constructor.properties);
+        if (properties.length === 0) continue;
+
+        const heading = document.createElement('div');
+        heading.className = 'settings-category';
+        heading.textContent = component.type;
+        this._fields.appendChild(heading);
+
+        for (const [key, def] of properties) {
+          this._fields.appendChild(this._renderRow(component, key, def));
+          this._sync(`${component.type}.${key}`);
+        }
+      }
+    }
+    this._renderPresets();
+  }
+
+  /**
+   * @param {object} component
+   * @param {string} key
+   * @param {object} def — entry of the component's `static properties`
+   * @returns {HTMLElement}
+   */
+  _renderRow(component, key, def) {
+    const path = `${component.type}.${key}`;
+
+    const row = document.createElement('div');
+    row.className = 'settings-row';
+
+    const label = document.createElement('span');
+    label.className = 'settings-label';
+    label.textContent = def.label;
+    row.appendChild(label);
+
+    let input;
+    let number = null;
+    switch (def.type) {
+      case 'number':
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min = def.min;
+        input.max = def.max;
+        input.step = def.step;
+        input.addEventListener('input', () => this._edit(path, Number(input.value)));
+        input.addEventListener('change', () => CommandHistory.seal());
+
+        number = document.createElement('input');
+        number.type = 'number';
+        number.className = 'inspector-number';
+        number.min = def.min;
+        number.max = def.max;
+        number.step = def.step;
+        number.addEventListener('change', () => {
+          if (number.value !== '') this._edit(path, Number(number.value));
+          CommandHistory.seal();
+          this._sync(path); // show the clamped value
+        });
+        break;
+      case 'boolean':
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.addEventListener('change', () => {
+          this._edit(path, input.checked);
+          CommandHistory.seal();
+        });
+        break;
+      case 'choice':
+        input = document.createElement('select');
+        def.options.forEach((option, index) => {
+          const el = document.createElement('option');
+          el.value = index;
+          el.textContent = option.label;
+          input.appendChild(el);
+        });
+        // Option values may be numbers — map back through the index
+        input.addEventListener('change', () => {
+          this._edit(path, def.options[input.selectedIndex].value);
+          CommandHistory.seal();
+        });
+        break;
+    }
+
+    const reset = document.createElement('button');
+    reset.className = 'inspector-reset';
+    reset.textContent = '↺';
+    reset.addEventListener('click', () => {
+      this._edit(path, component.defaults[key]);
+      CommandHistory.seal();
+    });
+
+    const control = document.createElement('span');
+    control.className = 'settings-control';
+    control.appendChild(input);
+    if (number) control.appendChild(number);
+    control.appendChild(reset);
+    row.appendChild(control);
+
+    this._controls.set(path, { component, key, def, input, number, reset });
+    return row;
+  }
+
+  /**
+   * Show a property's current value in its controls.
+   * @param {string} path — 'type.key'
+   */
+  _sync(path) {
+    const controls = this._controls.get(path);
+    if (!controls) return;
+    const { component, key, def, input, number, reset } = controls;
+    const current = component[key];
+
+    switch (def.type) {
+      case 'number':
+        input.value = current;
+        number.value = Number(current.toFixed(decimalsOf(def.step)));
+        break;
+      case 'boolean':
+        input.checked = current;
+        break;
+      case 'choice':
+        input.selectedIndex = def.options.findIndex((o) => o.value === current);
+        break;
+    }
+
+    const atDefault = !component.defaults || component.defaults[key] === current;
+    reset.disabled = atDefault;
+    reset.title = atDefault ? 'Default value' : `Reset to ${formatValue(component.defaults[key], def)}`;
+  }
+
+  /** Fill the preset dropdown with the presets that fit the entity. */
+  _renderPresets() {
+    const previous = this._presetSelect.value;
+    const names = this._entity ? TuningPresets.getNames(this._entity) : [];
+
+    this._presetSelect.textContent = '';
+    for (const name of names) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      this._presetSelect.appendChild(option);
+    }
+    if (names.includes(previous)) this._presetSelect.value = previous;
+
+    const none = names.length === 0;
+    this._presetSelect.disabled = none;
+    this._applyBtn.disabled = none;
+    this._deleteBtn.disabled = none;
+  }
+
+  _setStatus(msg, isError = false) {
+    this._status.textContent = msg;
+    this._status.style.color = isError ? '#ff6b6b' : 'var(--hud-accent)';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    EventBus.off('selection:changed', this._onSelectionChanged);
+    EventBus.off('entity:propertiesChanged', this._onPropertiesChanged);
+    for (const event of ['entity:componentAdded', 'entity:componentRemoved', 'entity:renamed']) {
+      EventBus.off(event, this._onEntityChanged);
+    }
+    EventBus.off('entity:visibilityChanged', this._onVisibilityChanged);
+    EventBus.off('presets:changed', this._onPresetsChanged);
+  }
+}
+
+/**
+ * @param {number} step
+ * @returns {number} decimals worth showing for values on that step
+ */
+function decimalsOf(step) {
+  return step >= 1 ? 0 : String(step).split('.')[1]?.length ?? 2;
+}
+
+/**
+ * @param {*} value
+ * @param {object} def
+ * @returns {string}
+ */
+function formatValue(value, def) {
+  if (def.type === 'number') return value.toFixed(decimalsOf(def.step));
+  if (def.type === 'choice') return def.options.find((o) => o.value === value)?.label ?? String(value);
+  return value ? 'on' : 'off';
+}
+
+export default Inspector;
@@ -1,11 +1,18 @@
 import * as THREE from 'three';
 import EventBus from '../core/EventBus.js';
+import InputBindings from '../core/InputBindings.js';
 import ModelLoader from '../loaders/ModelLoader.js';
-import Prop from '../entities/Prop.js';
+import { createEntity } from '../entities/EntityTypes.js';
+import VehicleProfiles from '../loaders/VehicleProfiles.js';
+import CommandHistory from '../director/CommandHistory.js';
+import { AddEntityCommand } from '../director/EditCommands.js';
 
 /**
  * UI panel for loading GLB models via file upload, drag-and-drop, or URL.
- * Press M to toggle. Loaded models appear at camera focus point.
+ * The toggleModelBrowser action (M) toggles it. Loaded models appear at camera focus point.
+ * The chosen type picks the preset: Vehicle, NPC (character), Prop or a
+ * fixed Environment piece. Vehicles get the chosen handling profile: the
+ * one beside the model, the default, or any loaded profile.
  */
 class ModelBrowser {
   /**
@@ -22,6 +29,8 @@ class ModelBrowser {
     this._panel = document.getElementById('model-browser');
     this._urlInput = document.getElementById('model-url-input');
     this._typeSelect = document.getElementById('model-type-select');
+    this._profileGroup = document.getElementById('model-profile-group');
+    this._profileSelect = document.getElementById('model-profile-select');
     this._scaleInput = document.getElementById('model-scale-input');
     this._scaleValue = document.getElementById('model-scale-value');
     this._loadBtn = document.getElementById('model-load-btn');
@@ -33,9 +42,9 @@ class ModelBrowser {
   }
 
   _setupEvents() {
-    // Toggle panel with M key
+    // Toggle panel (M by default)
     this._onKeyDown = (e) => {
-      if (e.code === 'KeyM') {
+      if (InputBindings.matches('toggleModelBrowser', e)) {
         e.preventDefault();
         this.toggle();
       }
@@ -62,6 +71,14 @@ class ModelBrowser {
       if (file) this._loadFromFile(file);
     });
 
+    // Handling profiles only apply to vehicles
+    this._typeSelect.addEventListener('change', () => {
+      this._profileGroup.hidden = this._typeSelect.value !== 'vehicle';
+    });
+    this._onProfilesChanged = () => this._renderProfiles();
+    EventBus.on('profile:loaded', this._onProfilesChanged);
+    EventBus.on('profile:reloaded', this._onProfilesChanged);
+
     // Scale slider
     this._scaleInput.addEventListener('input', () => {
       this._scaleValue.textContent = this._scaleInput.value;
@@ -100,6 +117,13 @@ class ModelBrowser {
       }
     });
 
+    // Forget entities removed elsewhere (e.g. cleared by a scene load)
+    this._onEntityRemoved = ({ entity }) => {
+      const idx = this._entities.indexOf(entity);
+      if (idx !== -1) this._entities.splice(idx, 1);
+    };
+    EventBus.on('entity:removed', this._onEntityRemoved);
+
     // Loading progress
     EventBus.on('model:loading', ({ progress }) => {
       const pct = Math.round(progress * 100);
@@ -133,7 +157,7 @@ class ModelBrowser {
     this._setStatus('Loading...');
     try {
       const result = await ModelLoader.load(url);
-      this._addToScene(result, url);
+      await this._addToScene(result, url, { url });
       this._setStatus('Loaded successfully!');
     } catch (err) {
       console.error('[ModelBrowser] Load error:', err);
@@ -145,7 +169,7 @@ class ModelBrowser {
     this._setStatus(`Loading ${file.name}...`);
     try {
       const result = await ModelLoader.loadFile(file);
-      this._addToScene(result, file.name);
+      await this._addToScene(result, file.name, { fileName: file.name, file });
       this._setStatus(`Loaded: ${file.name}`);
     } catch (err) {
       console.error('[ModelBrowser] File load error:', err);
@@ -153,7 +177,12 @@ class ModelBrowser {
     }
   }
 
-  _addToScene(result, sourceName) {
+  /**
+   * @param {{ scene: THREE.Object3D, animations: THREE.AnimationClip[] }} result
+   * @param {string} sourceName — display name for the entity
+   * @param {object} source     — asset source kept on the entity for save files
+   */
+  async _addToScene(result, sourceName, source) {
     const type = this._typeSelect ? this._typeSelect.value : 'prop';
     const scale = parseFloat(this._scaleInput ? this._scaleInput.value : 1);
 
@@ -168,11 +197,39 @@ class ModelBrowser {
     mesh.position.copy(this._camera.position).add(dir.multiplyScalar(10));
     mesh.position.y = 0;
 
-    const entity = new Prop(mesh, result.animations, sourceName);
-    this._scene.add(mesh);
+    const entity = createEntity(type, mesh, result.animations, sourceName);
+    entity.source = source;
+    if (type === 'vehicle') await this._applyProfile(entity);
     this._entities.push(entity);
 
-    EventBus.emit('entity:added', { entity });
+    // Undoable: adds to the scene and emits 'entity:added'
+    CommandHistory.execute(new AddEntityCommand(this._scene, entity));
+    CommandHistory.seal();
+  }
+
+  /**
+   * Apply the handling profile chosen in the panel.
+   * @param {import('../entities/Vehicle.js').default} vehicle
+   */
+  async _applyProfile(vehicle) {
+    const choice = this._profileSelect.value;
+    if (choice === 'auto') {
+      await VehicleProfiles.applyFor(vehicle);
+    } else if (choice) {
+      const profile = VehicleProfiles.get(choice);
+      if (profile) VehicleProfiles.apply(vehicle, profile);
+    }
+  }
+
+  /** List the loaded profiles after the two fixed choices, keeping the selection. */
+  _renderProfiles() {
+    const selected = this._profileSelect.value;
+    while (this._profileSelect.options.length > 2) this._profileSelect.remove(2);
+    for (const profile of VehicleProfiles.getLoaded()) {
+      this._profileSelect.add(new Option(profile.name, profile.url));
+    }
+    this._profileSelect.value = selected;
+    if (this._profileSelect.selectedIndex === -1) this._profileSelect.value = 'auto';
   }
 
   /** Get all loaded entities. */
@@ -192,14 +249,15 @@ class ModelBrowser {
     }
   }
 
-  update(delta) {
-    for (const entity of this._entities) {
-      entity.update(delta);
-    }
+  update(_delta) {
+    // Spawned entities are ticked by EntityManager on the simulation step
   }
 
   dispose() {
     window.removeEventListener('keydown', this._onKeyDown);
+    EventBus.off('entity:removed', this._onEntityRemoved);
+    EventBus.off('profile:loaded', this._onProfilesChanged);
+    EventBus.off('profile:reloaded', this._onProfilesChanged);
     for (const entity of this._entities) {
       entity.dispose();
     }
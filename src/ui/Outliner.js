@@ -0,0 +1,522 @@
+import { Vector3, Sphere } from 'three';
+import EventBus from '../core/EventBus.js';
+import GameState from '../core/GameState.js';
+import InputBindings from '../core/InputBindings.js';
+import EntityManager from '../entities/EntityManager.js';
+import CommandHistory from '../director/CommandHistory.js';
+import {
+  AddEntityCommand,
+  RemoveEntityCommand,
+  RenameEntityCommand,
+  VisibilityCommand,
+} from '../director/EditCommands.js';
+import { LOCKED_TAG } from '../utils/constants.js';
+import { HAS_DOM } from '../utils/env.js';
+
+/**
+ * Scene outliner: every EntityManager entity, grouped by type, with
+ * children nested under their parent. The toggleOutliner action (O)
+ * toggles it; the Dock button moves it to the other side of the screen
+ * (remembered across sessions).
+ *
+ * Clicking a row selects the entity in the viewport (entering director
+ * mode if needed) and viewport picks highlight their row. Double-click a
+ * name to rename it. Row buttons show / hide, lock, focus the camera on,
+ * duplicate and delete the entity; renames, visibility, duplicates and
+ * deletes go through CommandHistory. Locking tags the entity LOCKED_TAG,
+ * so it is saved with the scene and the director can't pick, move or
+ * delete it.
+ *
+ * The filter matches names, IDs, tags and types; parents of a match stay
+ * listed so it keeps its place in the hierarchy.
+ *
+ * Expects the following DOM elements (from index.html):
+ *   #outliner, #outliner-filter, #outliner-dock, #outliner-list,
+ *   #outliner-status
+ *
+ * Usage:
+ *   const outliner = new Outliner({ scene, camera, cameraSystem, orbitCam, director });
+ *   engine.addUpdatable(outliner);   // rebuilds the list after entity changes
+ */
+
+/** Group order; other types follow alphabetically. */
+const TYPE_LABELS = {
+  vehicle: 'Vehicles',
+  character: 'Characters',
+  prop: 'Props',
+  environment: 'Environment',
+};
+
+/** Indent per hierarchy level (px). */
+const INDENT = 14;
+
+/** Focus distance, in bounding-sphere radii, and its minimum (units). */
+const FOCUS_RADII = 2.5;
+const FOCUS_MIN_DISTANCE = 4;
+
+/** localStorage key for the docked side. */
+const DOCK_STORAGE_KEY = 'desde-cero.outliner-dock';
+
+/** Entity events that change what the list shows. */
+const REFRESH_EVENTS = [
+  'entity:added',
+  'entity:removed',
+  'entity:renamed',
+  'entity:tagged',
+  'entity:untagged',
+  'entity:reparented',
+  'entity:visibilityChanged',
+];
+
+class Outliner {
+  /**
+   * @param {object} params
+   * @param {THREE.Scene} params.scene
+   * @param {THREE.PerspectiveCamera} params.camera
+   * @param {import('../camera/CameraSystem.js').default} params.cameraSystem
+   * @param {import('../camera/OrbitCam.js').default|null} params.orbitCam — focused on instead of moving the camera while active
+   * @param {import('../director/DirectorMode.js').default} params.director — its gizmo holds the selection
+   */
+  constructor({ scene, camera, cameraSystem, orbitCam = null, director }) {
+    this._scene = scene;
+    this._camera = camera;
+    this._cameraSystem = cameraSystem;
+    this._orbitCam = orbitCam;
+    this._director = director;
+
+    this._isOpen = false;
+    /** Rebuild the list on the next update. */
+    this._dirty = true;
+    /** Scroll the selected row into view on the next rebuild. */
+    this._reveal = false;
+
+    /** @type {import('../entities/Entity.js').default|null} */
+    this._selected = director.gizmo?.selected ?? null;
+    /** Entity whose name is being edited (the list isn't rebuilt meanwhile). */
+    this._renaming = null;
+    /** @type {Set<string>} collapsed group types */
+    this._collapsed = new Set();
+
+    // DOM elements
+    this._panel = document.getElementById('outliner');
+    this._filter = document.getElementById('outliner-filter');
+    this._dockBtn = document.getElementById('outliner-dock');
+    this._list = document.getElementById('outliner-list');
+    this._status = document.getElementById('outliner-status');
+
+    this._setDock(loadDock());
+    this._setupEvents();
+  }
+
+  _setupEvents() {
+    // Toggle panel (O by default)
+    this._onKeyDown = (e) => {
+      if (InputBindings.matches('toggleOutliner', e)) {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+    window.addEventListener('keydown', this._onKeyDown);
+
+    this._filter.addEventListener('input', () => this._render());
+    this._filter.addEventListener('keydown', (e) => {
+      // Typing a filter must not drive the camera or trigger shortcuts
+      e.stopPropagation();
+      if (e.key === 'Escape') this._filter.blur();
+    });
+    this._dockBtn.addEventListener('click', () => {
+      this._setDock(this._dock === 'left' ? 'right' : 'left');
+      saveDock(this._dock);
+    });
+
+    this._onEntitiesChanged = () => {
+      this._dirty = true;
+    };
+    for (const event of REFRESH_EVENTS) EventBus.on(event, this._onEntitiesChanged);
+
+    // Restyle rows in place: rebuilding between the clicks of a double-click would lose it
+    this._onSelectionChanged = ({ entity }) => {
+      this._selected = entity;
+      this._highlightSelection();
+    };
+    EventBus.on('selection:changed', this._onSelectionChanged);
+  }
+
+  toggle() {
+    if (this._isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    this._isOpen = true;
+    this._panel.classList.add('open');
+    // Free the cursor so rows can be clicked
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+    this._reveal = true;
+    this._render();
+  }
+
+  close() {
+    this._isOpen = false;
+    this._panel.classList.remove('open');
+    this._filter.blur();
+  }
+
+  /**
+   * Rebuild the list while open if entities changed.
+   * @param {number} _delta
+   */
+  update(_delta) {
+    if (this._isOpen && this._dirty && !this._renaming) this._render();
+  }
+
+  // ---------------------------------------------------------------------------
+  // Actions
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Select in the viewport. Selection lives in director mode, so enter it first.
+   * @param {import('../entities/Entity.js').default} entity
+   */
+  select(entity) {
+    const gizmo = this._director.gizmo;
+    if (!gizmo) return;
+    if (!this._director.active) this._director.activate();
+    gizmo.select(entity);
+  }
+
+  /**
+   * Frame an entity: orbit around it when the orbit camera is active,
+   * otherwise move the camera back along its view direction and look at it.
+   * @param {import('../entities/Entity.js').default} entity
+   */
+  focus(entity) {
+    // Play and drive own the camera
+    if (GameState.mode === 'play' || GameState.mode === 'drive') this._director.activate();
+
+    const sphere = entity.getBounds().getBoundingSphere(new Sphere());
+    const distance = Math.max(sphere.radius * FOCUS_RADII, FOCUS_MIN_DISTANCE);
+
+    if (this._orbitCam && this._cameraSystem.getActiveModeName() === this._orbitCam.name) {
+      this._orbitCam.setFollowTarget(null);
+      this._orbitCam.setTarget(sphere.center);
+      this._orbitCam.setDistance(distance);
+      return;
+    }
+
+    const forward = this._camera.getWorldDirection(new Vector3());
+    this._camera.position.copy(sphere.center).addScaledVector(forward, -distance);
+    this._camera.lookAt(sphere.center);
+    // (Re)activating the drone picks up the new orientation
+    this._cameraSystem.setMode('drone');
+  }
+
+  /**
+   * Add an offset copy of an entity next to it and select it.
+   * @param {import('../entities/Entity.js').default} entity
+   */
+  duplicate(entity) {
+    const copy = entity.clone(copyName(entity.name));
+    copy.position.x += entity.getSize().x + 1;
+    copy.setParent(entity.parent);
+    CommandHistory.execute(new AddEntityCommand(this._scene, copy));
+    CommandHistory.seal();
+    this.select(copy);
+  }
+
+  /**
+   * Remove an entity (undoable). Locked and occupied entities are kept.
+   * @param {import('../entities/Entity.js').default} entity
+   */
+  delete(entity) {
+    if (entity.hasTag(LOCKED_TAG)) {
+      this._setStatus(`${entity.name} is locked`, true);
+      return;
+    }
+    if (entity === GameState.vehicle) {
+      this._setStatus(`Leave ${entity.name} before deleting it`, true);
+      return;
+    }
+    if (entity === this._selected) this._director.gizmo?.select(null);
+    CommandHistory.execute(new RemoveEntityCommand(this._scene, entity));
+    CommandHistory.seal();
+  }
+
+  /** @param {import('../entities/Entity.js').default} entity */
+  toggleVisible(entity) {
+    const renderable = entity.getComponent('renderable');
+    CommandHistory.execute(new VisibilityCommand(entity, !renderable.visible));
+    CommandHistory.seal();
+  }
+
+  /** @param {import('../entities/Entity.js').default} entity */
+  toggleLock(entity) {
+    if (entity.hasTag(LOCKED_TAG)) entity.removeTag(LOCKED_TAG);
+    else entity.addTag(LOCKED_TAG);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  _render() {
+    this._dirty = false;
+
+    const all = EntityManager.getAll();
+    const query = this._filter.value.trim().toLowerCase();
+    const listed = query ? matchingWithAncestors(all, query) : null;
+
+    // Children are listed under their parent, so groups hold the roots
+    const groups = new Map();
+    for (const entity of all) {
+      if (entity.parent && EntityManager.has(entity.parent)) continue;
+      if (listed && !listed.has(entity)) continue;
+      if (!groups.has(entity.type)) groups.set(entity.type, []);
+      groups.get(entity.type).push(entity);
+    }
+
+    this._list.textContent = '';
+    for (const type of sortTypes([...groups.keys()])) {
+      const roots = groups.get(type);
+      const collapsed = this._collapsed.has(type) && !query;
+      this._list.appendChild(this._renderGroup(type, roots.length, collapsed));
+      if (collapsed) continue;
+
+      const addRows = (entity, depth) => {
+        this._list.appendChild(this._renderRow(entity, depth));
+        for (const child of entity.children) {
+          if (EntityManager.has(child) && (!listed || listed.has(child))) addRows(child, depth + 1);
+        }
+      };
+      for (const entity of roots) addRows(entity, 0);
+    }
+
+    if (this._reveal) this._highlightSelection();
+
+    this._status.textContent = listed
+      ? `${all.filter((e) => listed.has(e)).length} of ${all.length} entities`
+      : `${all.length} entities`;
+    this._status.style.color = '';
+  }
+
+  /** Mark the selected entity's row and scroll it into view. */
+  _highlightSelection() {
+    this._reveal = false;
+    for (const row of this._list.children) {
+      const selected = this._selected !== null && row.dataset.id === this._selected.id;
+      row.classList.toggle('selected', selected);
+      if (selected) row.scrollIntoView({ block: 'nearest' });
+    }
+  }
+
+  /**
+   * @param {string} type
+   * @param {number} count — top-level entities in the group
+   * @param {boolean} collapsed
+   * @returns {HTMLElement}
+   */
+  _renderGroup(type, count, collapsed) {
+    const header = document.createElement('div');
+    header.className = 'outliner-group';
+    header.textContent = `${collapsed ? '▸' : '▾'} ${TYPE_LABELS[type] || type} (${count})`;
+    header.addEventListener('click', () => {
+      if (this._collapsed.has(type)) this._collapsed.delete(type);
+      else this._collapsed.add(type);
+      this._render();
+    });
+    return header;
+  }
+
+  /**
+   * @param {import('../entities/Entity.js').default} entity
+   * @param {number} depth — hierarchy level below the group
+   * @returns {HTMLElement}
+   */
+  _renderRow(entity, depth) {
+    const visible = entity.getComponent('renderable').visible;
+    const locked = entity.hasTag(LOCKED_TAG);
+
+    const row = document.createElement('div');
+    row.className = 'outliner-row';
+    row.dataset.id = entity.id;
+    row.classList.toggle('selected', entity === this._selected);
+    row.classList.toggle('hidden', !visible);
+    row.classList.toggle('locked', locked);
+    row.style.paddingLeft = `${4 + depth * INDENT}px`;
+    row.addEventListener('click', () => this.select(entity));
+
+    const name = document.createElement('span');
+    name.className = 'outliner-name';
+    name.textContent = entity.name;
+    name.title = [entity.id, ...[...entity.tags].map((tag) => `#${tag}`)].join(' ');
+    name.addEventListener('dblclick', (e) => {
+      e.stopPropagation();
+      this._startRename(entity, name);
+    });
+
+    const actions = document.createElement('span');
+    actions.className = 'outliner-actions';
+    actions.append(
+      rowButton(visible ? '◉' : '○', visible ? 'Hide' : 'Show', () => this.toggleVisible(entity), !visible),
+      rowButton(locked ? '■' : '□', locked ? 'Unlock' : 'Lock', () => this.toggleLock(entity), locked),
+      rowButton('⌖', 'Focus camera', () => this.focus(entity)),
+      rowButton('⧉', 'Duplicate', () => this.duplicate(entity)),
+      rowButton('✕', locked ? 'Locked' : 'Delete', () => this.delete(entity)),
+    );
+
+    row.append(name, actions);
+    return row;
+  }
+
+  /**
+   * Swap a row's name for a text field. Enter or leaving the field
+   * renames (undoable), Esc cancels.
+   * @param {import('../entities/Entity.js').default} entity
+   * @param {HTMLElement} nameEl
+   */
+  _startRename(entity, nameEl) {
+    this._renaming = entity;
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'outliner-rename';
+    input.value = entity.name;
+
+    let done = false;
+    const finish = (commit) => {
+      if (done) return;
+      done = true;
+      this._renaming = null;
+      const name = input.value.trim();
+      if (commit && name && name !== entity.name) {
+        CommandHistory.execute(new RenameEntityCommand(entity, name));
+        CommandHistory.seal();
+      }
+      this._render();
+    };
+
+    input.addEventListener('keydown', (e) => {
+      // Typing the name must not drive the camera or trigger shortcuts
+      e.stopPropagation();
+      if (e.key === 'Enter') finish(true);
+      else if (e.key === 'Escape') finish(false);
+    });
+    input.addEventListener('blur', () => finish(true));
+    input.addEventListener('click', (e) => e.stopPropagation());
+
+    nameEl.replaceWith(input);
+    input.focus();
+    input.select();
+  }
+
+  /**
+   * @param {'left'|'right'} side
+   */
+  _setDock(side) {
+    this._dock = side;
+    this._panel.classList.toggle('dock-left', side === 'left');
+    this._panel.classList.toggle('dock-right', side === 'right');
+    this._dockBtn.textContent = side === 'left' ? 'Dock right' : 'Dock left';
+  }
+
+  _setStatus(msg, isError = false) {
+    this._status.textContent = msg;
+    this._status.style.color = isError ? '#ff6b6b' : 'var(--hud-accent)';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    for (const event of REFRESH_EVENTS) EventBus.off(event, this._onEntitiesChanged);
+    EventBus.off('selection:changed', this._onSelectionChanged);
+  }
+}
+
+/**
+ * Small icon button for a row; clicks don't select the row.
+ * @param {string} icon
+ * @param {string} title
+ * @param {Function} onClick
+ * @param {boolean} [active] — highlighted (hidden / locked)
+ * @returns {HTMLButtonElement}
+ */
+function rowButton(icon, title, onClick, active = false) {
+  const button = document.createElement('button');
+  button.className = active ? 'outliner-btn active' : 'outliner-btn';
+  button.textContent = icon;
+  button.title = title;
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    onClick();
+  });
+  return button;
+}
+
+/**
+ * Entities matching the filter text (name, ID, tag or type) plus their
+ * ancestors.
+ * @param {Array<import('../entities/Entity.js').default>} entities
+ * @param {string} query — lower case
+ * @returns {Set<import('../entities/Entity.js').default>}
+ */
+function matchingWithAncestors(entities, query) {
+  const listed = new Set();
+  for (const entity of entities) {
+    const matches = entity.name.toLowerCase().includes(query)
+      || entity.id.toLowerCase().includes(query)
+      || entity.type.includes(query)
+      || [...entity.tags].some((tag) => tag.toLowerCase().includes(query));
+    if (!matches) continue;
+    for (let e = entity; e && !listed.has(e); e = e.parent) listed.add(e);
+  }
+  return listed;
+}
+
+/**
+ * Known types in TYPE_LABELS order, then the rest alphabetically.
+ * @param {string[]} types
+ * @returns {string[]}
+ */
+function sortTypes(types) {
+  const order = Object.keys(TYPE_LABELS);
+  const rank = (type) => (order.includes(type) ? order.indexOf(type) : order.length);
+  return types.sort((a, b) => rank(a) - rank(b) || a.localeCompare(b));
+}
+
+/**
+ * 'Cone' -> 'Cone (2)', 'Cone (2)' -> 'Cone (3)', skipping names in use.
+ * @param {string} name
+ * @returns {string}
+ */
+function copyName(name) {
+  const match = name.match(/^(.*) \((\d+)\)$/);
+  const base = match ? match[1] : name;
+  let n = match ? Number(match[2]) + 1 : 2;
+  while (EntityManager.getByName(`${base} (${n})`)) n++;
+  return `${base} (${n})`;
+}
+
+/** @returns {'left'|'right'} */
+function loadDock() {
+  try {
+    return HAS_DOM && localStorage.getItem(DOCK_STORAGE_KEY) === 'right' ? 'right' : 'left';
+  } catch {
+    return 'left';
+  }
+}
+
+/** @param {'left'|'right'} side */
+function saveDock(side) {
+  try {
+    localStorage.setItem(DOCK_STORAGE_KEY, side);
+  } catch (err) {
+    console.warn('[Outliner] Could not save dock side:', err);
+  }
+}
+
+export default Outliner;
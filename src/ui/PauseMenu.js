@@ -0,0 +1,140 @@
+import EventBus from '../core/EventBus.js';
+import GameState from '../core/GameState.js';
+import InputBindings, { parseBinding } from '../core/InputBindings.js';
+
+/**
+ * Pause menu overlay. The pause action (Esc / gamepad Start) toggles
+ * GameState.setPaused; this menu reacts to 'gamestate:paused' by freezing
+ * the engine simulation and showing the overlay.
+ *
+ * While paused the simulation (player, vehicles, entity mixers, NPC
+ * behaviours, input replay) stands still and UI keeps running. The
+ * "Live camera" checkbox chooses whether the camera system keeps updating
+ * too, for lining up a shot of the frozen frame.
+ *
+ * Note: while the pointer is locked the browser consumes the first Esc to
+ * release it, so pausing from mouse look takes a second press.
+ *
+ * Expects the following DOM elements (from index.html):
+ *   #pause-menu, #pause-resume-btn, #pause-settings-btn, #pause-quit-btn,
+ *   #pause-live-camera
+ *
+ * Usage:
+ *   const pauseMenu = new PauseMenu(engine, { cameraSystem, onSettings, onQuit });
+ *   engine.addUpdatable(pauseMenu);   // polls the gamepad pause button
+ */
+class PauseMenu {
+  /**
+   * @param {import('../core/Engine.js').default} engine
+   * @param {object} [options]
+   * @param {import('../camera/CameraSystem.js').default} [options.cameraSystem] — frozen unless "Live camera" is on
+   * @param {Function} [options.onSettings] — opens the settings UI
+   * @param {Function} [options.onQuit]     — returns to free mode (called after resuming)
+   */
+  constructor(engine, { cameraSystem = null, onSettings = null, onQuit = null } = {}) {
+    this._engine = engine;
+    this._input = engine.input;
+    this._cameraSystem = cameraSystem;
+    this._onSettings = onSettings;
+    this._onQuit = onQuit;
+
+    /** Pause button state last frame (gamepad edge detection). */
+    this._padPressed = false;
+
+    // DOM elements
+    this._overlay = document.getElementById('pause-menu');
+    this._resumeBtn = document.getElementById('pause-resume-btn');
+    this._settingsBtn = document.getElementById('pause-settings-btn');
+    this._quitBtn = document.getElementById('pause-quit-btn');
+    this._liveCamera = document.getElementById('pause-live-camera');
+
+    this._setupEvents();
+    this._applyLiveCamera();
+  }
+
+  _setupEvents() {
+    // Keyboard toggle (Esc by default)
+    this._onKeyDown = (e) => {
+      if (!e.repeat && InputBindings.matches('pause', e)) {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+    window.addEventListener('keydown', this._onKeyDown);
+
+    this._resumeBtn.addEventListener('click', () => this.resume());
+    this._settingsBtn.addEventListener('click', () => this._onSettings?.());
+    this._quitBtn.addEventListener('click', () => {
+      this.resume();
+      this._onQuit?.();
+    });
+    this._liveCamera.addEventListener('change', () => this._applyLiveCamera());
+
+    this._onPaused = ({ paused }) => this._setPaused(paused);
+    EventBus.on('gamestate:paused', this._onPaused);
+  }
+
+  /** @returns {boolean} */
+  get isOpen() {
+    return GameState.isPaused();
+  }
+
+  toggle() {
+    GameState.setPaused(!GameState.isPaused());
+  }
+
+  pause() {
+    GameState.setPaused(true);
+  }
+
+  resume() {
+    GameState.setPaused(false);
+  }
+
+  /**
+   * Watch the gamepad pause button (runs while paused, unlike the simulation).
+   * @param {number} _delta
+   */
+  update(_delta) {
+    const down = InputBindings.getBindings('pause').some((binding) => {
+      const b = parseBinding(binding);
+      return b.device === 'button' && this._input.isButtonDown(b.index);
+    });
+    if (down && !this._padPressed) this.toggle();
+    this._padPressed = down;
+  }
+
+  /**
+   * Freeze / unfreeze the engine and show / hide the overlay.
+   * @param {boolean} paused
+   */
+  _setPaused(paused) {
+    this._engine.setPaused(paused);
+    this._overlay.classList.toggle('open', paused);
+
+    if (paused) {
+      // Free the mouse for the menu
+      this._input.releasePointerLock();
+    } else if (GameState.mode === 'play' || GameState.mode === 'drive') {
+      // Back to mouse look (Resume is a click, so the request is allowed)
+      this._input.requestPointerLock();
+    }
+  }
+
+  _applyLiveCamera() {
+    if (this._cameraSystem) {
+      this._engine.setPausable(this._cameraSystem, !this._liveCamera.checked);
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    EventBus.off('gamestate:paused', this._onPaused);
+  }
+}
+
+export default PauseMenu;
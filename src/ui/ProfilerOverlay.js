@@ -0,0 +1,216 @@
+import Profiler from '../core/Profiler.js';
+import InputBindings from '../core/InputBindings.js';
+
+/**
+ * Frame profiler overlay. The toggleProfiler action (F4) toggles it, and
+ * profiling runs only while it is open or a capture is recording.
+ *
+ * Shows FPS, frame and CPU time, renderer / memory counters and every
+ * timed label (simulations, updatables, entities, post-processing passes,
+ * GPU timings) with its average and peak over the last couple of seconds,
+ * slowest first. "Record CSV" captures every frame until stopped and
+ * downloads the capture for comparing builds.
+ *
+ * Expects the following DOM elements (from index.html):
+ *   #profiler-overlay, #profiler-summary, #profiler-counters,
+ *   #profiler-timings, #profiler-capture, #profiler-status
+ *
+ * Usage:
+ *   const profilerOverlay = new ProfilerOverlay();
+ *   engine.addUpdatable(profilerOverlay);   // refreshes the tables while open
+ */
+
+/** Seconds between refreshes while open. */
+const REFRESH_INTERVAL = 0.5;
+
+/** Labels listed (the rest are summed into one row). */
+const MAX_ROWS = 24;
+
+/** Counters in display order with their labels. */
+const COUNTERS = [
+  ['drawCalls', 'Draw calls'],
+  ['triangles', 'Triangles'],
+  ['geometries', 'Geometries'],
+  ['textures', 'Textures'],
+  ['programs', 'Programs'],
+  ['entities', 'Entities'],
+  ['heapMB', 'JS heap (MB)'],
+];
+
+class ProfilerOverlay {
+  constructor() {
+    this._isOpen = false;
+    this._refreshTimer = 0;
+
+    // DOM elements
+    this._panel = document.getElementById('profiler-overlay');
+    this._summary = document.getElementById('profiler-summary');
+    this._counters = document.getElementById('profiler-counters');
+    this._timings = document.getElementById('profiler-timings');
+    this._captureBtn = document.getElementById('profiler-capture');
+    this._status = document.getElementById('profiler-status');
+
+    this._setupEvents();
+  }
+
+  _setupEvents() {
+    // Toggle overlay (F4 by default)
+    this._onKeyDown = (e) => {
+      if (InputBindings.matches('toggleProfiler', e)) {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+    window.addEventListener('keydown', this._onKeyDown);
+
+    this._captureBtn.addEventListener('click', () => {
+      if (Profiler.capturing) this._stopCapture();
+      else this._startCapture();
+    });
+  }
+
+  toggle() {
+    if (this._isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    this._isOpen = true;
+    this._panel.classList.add('open');
+    Profiler.setEnabled(true);
+    this._status.textContent = Profiler.gpuSupported ? '' : 'GPU timings unavailable (no timer queries)';
+  }
+
+  close() {
+    this._isOpen = false;
+    this._panel.classList.remove('open');
+    // A running capture keeps recording until it is stopped
+    if (!Profiler.capturing) Profiler.setEnabled(false);
+  }
+
+  /**
+   * Refresh the tables while open (throttled).
+   * @param {number} delta
+   */
+  update(delta) {
+    if (!this._isOpen) return;
+    this._refreshTimer += delta;
+    if (this._refreshTimer < REFRESH_INTERVAL) return;
+    this._refreshTimer = 0;
+
+    this._render(Profiler.getSummary());
+    if (Profiler.capturing) {
+      this._status.textContent = `Recording: ${Profiler.captureLength} frames`;
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Capture
+  // ---------------------------------------------------------------------------
+
+  _startCapture() {
+    Profiler.startCapture();
+    this._captureBtn.textContent = 'Stop & save CSV';
+    this._captureBtn.classList.add('recording');
+  }
+
+  _stopCapture() {
+    const frames = Profiler.captureLength;
+    const csv = Profiler.stopCapture();
+    this._captureBtn.textContent = 'Record CSV';
+    this._captureBtn.classList.remove('recording');
+    if (!this._isOpen) Profiler.setEnabled(false);
+
+    const blob = new Blob([csv], { type: 'text/csv' });
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = `desde-cero-profile-${Date.now()}.csv`;
+    anchor.click();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+
+    this._status.textContent = `Saved ${frames} frames`;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  /**
+   * @param {object} summary — from Profiler.getSummary()
+   */
+  _render(summary) {
+    this._summary.textContent =
+      `${summary.fps.toFixed(0)} FPS  ·  frame ${summary.frameMs.toFixed(2)} ms  ·  CPU ${summary.cpuMs.toFixed(2)} ms`;
+
+    this._counters.textContent = '';
+    for (const [name, label] of COUNTERS) {
+      const value = summary.counters[name];
+      if (value === undefined) continue;
+      this._counters.append(
+        createCell('profiler-counter-label', label),
+        createCell('profiler-counter-value', Number.isInteger(value) ? value.toLocaleString() : value.toFixed(1)),
+      );
+    }
+
+    this._timings.textContent = '';
+    this._timings.appendChild(createRow('profiler-head', 'Label', 'avg ms', 'max ms', null));
+    const slowest = summary.timings[0]?.avg || 1;
+    const shown = summary.timings.slice(0, MAX_ROWS);
+    for (const { label, avg, max } of shown) {
+      this._timings.appendChild(createRow('', label, avg.toFixed(2), max.toFixed(2), avg / slowest));
+    }
+    const rest = summary.timings.slice(MAX_ROWS);
+    if (rest.length > 0) {
+      const avg = rest.reduce((sum, t) => sum + t.avg, 0);
+      this._timings.appendChild(createRow('profiler-rest', `${rest.length} more`, avg.toFixed(2), '', null));
+    }
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    if (Profiler.capturing) Profiler.stopCapture();
+    Profiler.setEnabled(false);
+  }
+}
+
+/**
+ * @param {string} className
+ * @param {string} text
+ * @returns {HTMLElement}
+ */
+function createCell(className, text) {
+  const cell = document.createElement('span');
+  cell.className = className;
+  cell.textContent = text;
+  return cell;
+}
+
+/**
+ * @param {string} className — extra row class ('' for none)
+ * @param {string} label
+ * @param {string} avg
+ * @param {string} max
+ * @param {number|null} share — bar width as a fraction of the slowest row
+ * @returns {HTMLElement}
+ */
+function createRow(className, label, avg, max, share) {
+  const row = document.createElement('div');
+  row.className = `profiler-row ${className}`.trim();
+
+  const name = createCell('profiler-label', label);
+  if (share !== null) {
+    const bar = document.createElement('span');
+    bar.className = 'profiler-bar';
+    bar.style.width = `${Math.round(share * 100)}%`;
+    name.prepend(bar);
+  }
+  row.append(name, createCell('profiler-num', avg), createCell('profiler-num', max));
+  return row;
+}
+
+export default ProfilerOverlay;
@@ -0,0 +1,222 @@
+import EventBus from '../core/EventBus.js';
+import InputBindings from '../core/InputBindings.js';
+import Settings, { SETTINGS } from '../core/Settings.js';
+
+/**
+ * In-game settings UI for core/Settings.js. The toggleSettings action (F3)
+ * toggles it; the pause menu's Settings button opens it.
+ *
+ * Every setting is listed by category with a control matching its type:
+ * a slider for numbers, a checkbox for booleans and a dropdown for
+ * choices. Changes apply (and are saved) immediately; picking a quality
+ * preset moves the graphics settings it controls along with it.
+ *
+ * Expects the following DOM elements (from index.html):
+ *   #settings-panel, #settings-list, #settings-reset, #settings-controls,
+ *   #settings-status
+ *
+ * Usage:
+ *   const settingsPanel = new SettingsPanel({ onControls: () => controlsPanel.open() });
+ */
+class SettingsPanel {
+  /**
+   * @param {object} [options]
+   * @param {Function} [options.onControls] — opens the key bindings UI
+   */
+  constructor({ onControls = null } = {}) {
+    this._onControls = onControls;
+    this._isOpen = false;
+
+    /** @type {Map<string, { input: HTMLElement, value: HTMLElement|null }>} key -> controls */
+    this._controls = new Map();
+
+    // DOM elements
+    this._panel = document.getElementById('settings-panel');
+    this._list = document.getElementById('settings-list');
+    this._resetBtn = document.getElementById('settings-reset');
+    this._controlsBtn = document.getElementById('settings-controls');
+    this._status = document.getElementById('settings-status');
+
+    this._render();
+    this._setupEvents();
+  }
+
+  _setupEvents() {
+    // Toggle panel (F3 by default)
+    this._onKeyDown = (e) => {
+      if (InputBindings.matches('toggleSettings', e)) {
+        e.preventDefault();
+        this.toggle();
+      }
+    };
+    window.addEventListener('keydown', this._onKeyDown);
+
+    this._resetBtn.addEventListener('click', () => {
+      Settings.reset();
+      this._setStatus('Restored default settings');
+    });
+    this._controlsBtn.addEventListener('click', () => {
+      this.close();
+      this._onControls?.();
+    });
+
+    // Keep controls in sync with changes made elsewhere (G key, presets...)
+    this._onSettingsChanged = ({ key }) => this._sync(key);
+    EventBus.on('settings:changed', this._onSettingsChanged);
+
+    // Show where dynamic resolution has settled
+    this._onPixelRatioChanged = ({ renderScale }) => {
+      if (Settings.get('dynamicResolution')) {
+        this._setStatus(`Dynamic resolution: rendering at ${Math.round(renderScale * 100)}%`);
+      }
+    };
+    EventBus.on('engine:pixelRatioChanged', this._onPixelRatioChanged);
+  }
+
+  toggle() {
+    if (this._isOpen) this.close();
+    else this.open();
+  }
+
+  open() {
+    this._isOpen = true;
+    this._panel.classList.add('open');
+    // Release pointer lock so the user can interact with the panel
+    if (document.pointerLockElement) {
+      document.exitPointerLock();
+    }
+  }
+
+  close() {
+    this._isOpen = false;
+    this._panel.classList.remove('open');
+  }
+
+  // ---------------------------------------------------------------------------
+  // Rendering
+  // ---------------------------------------------------------------------------
+
+  /** Build one row per setting, grouped by category in SETTINGS order. */
+  _render() {
+    this._list.textContent = '';
+    this._controls.clear();
+    let category = null;
+    for (const [key, def] of Object.entries(SETTINGS)) {
+      if (def.category !== category) {
+        category = def.category;
+        const heading = document.createElement('div');
+        heading.className = 'settings-category';
+        heading.textContent = category;
+        this._list.appendChild(heading);
+      }
+      this._list.appendChild(this._renderRow(key, def));
+      this._sync(key);
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {object} def — entry of SETTINGS
+   * @returns {HTMLElement}
+   */
+  _renderRow(key, def) {
+    const row = document.createElement('label');
+    row.className = 'settings-row';
+
+    const label = document.createElement('span');
+    label.className = 'settings-label';
+    label.textContent = def.label;
+    row.appendChild(label);
+
+    let input;
+    let value = null;
+    switch (def.type) {
+      case 'number':
+        input = document.createElement('input');
+        input.type = 'range';
+        input.min = def.min;
+        input.max = def.max;
+        input.step = def.step;
+        input.addEventListener('input', () => Settings.set(key, Number(input.value)));
+        value = document.createElement('span');
+        value.className = 'settings-value';
+        break;
+      case 'boolean':
+        input = document.createElement('input');
+        input.type = 'checkbox';
+        input.addEventListener('change', () => Settings.set(key, input.checked));
+        break;
+      case 'choice':
+        input = document.createElement('select');
+        def.options.forEach((option, index) => {
+          const el = document.createElement('option');
+          el.value = index;
+          el.textContent = option.label;
+          input.appendChild(el);
+        });
+        // Option values may be numbers — map back through the index
+        input.addEventListener('change', () => Settings.set(key, def.options[input.selectedIndex].value));
+        break;
+    }
+
+    const control = document.createElement('span');
+    control.className = 'settings-control';
+    control.appendChild(input);
+    if (value) control.appendChild(value);
+    row.appendChild(control);
+
+    this._controls.set(key, { input, value });
+    return row;
+  }
+
+  /**
+   * Show a setting's current value in its control.
+   * @param {string} key
+   */
+  _sync(key) {
+    const controls = this._controls.get(key);
+    if (!controls) return;
+    const def = SETTINGS[key];
+    const current = Settings.get(key);
+
+    switch (def.type) {
+      case 'number':
+        controls.input.value = current;
+        controls.value.textContent = formatNumber(current, def.step);
+        break;
+      case 'boolean':
+        controls.input.checked = current;
+        break;
+      case 'choice':
+        controls.input.selectedIndex = def.options.findIndex((o) => o.value === current);
+        break;
+    }
+  }
+
+  _setStatus(msg, isError = false) {
+    this._status.textContent = msg;
+    this._status.style.color = isError ? '#ff6b6b' : 'var(--hud-accent)';
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  dispose() {
+    window.removeEventListener('keydown', this._onKeyDown);
+    EventBus.off('settings:changed', this._onSettingsChanged);
+    EventBus.off('engine:pixelRatioChanged', this._onPixelRatioChanged);
+  }
+}
+
+/**
+ * @param {number} value
+ * @param {number} step — decimals shown match the step
+ * @returns {string}
+ */
+function formatNumber(value, step) {
+  const decimals = step >= 1 ? 0 : String(step).split('.')[1]?.length ?? 2;
+  return value.toFixed(decimals);
+}
+
+export default SettingsPanel;
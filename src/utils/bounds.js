@@ -0,0 +1,28 @@
+import { Vector3, Box3 } from 'three';
+
+/**
+ * Bounds of an object in its own (model) space: measured with its
+ * position, rotation and scale reset, then put back. Falls back to a
+ * car-sized box for an object with no geometry.
+ *
+ * @param {THREE.Object3D} object
+ * @param {THREE.Box3}     [target]
+ * @returns {THREE.Box3}
+ */
+export function measureLocalBounds(object, target = new Box3()) {
+  const position = object.position.clone();
+  const quaternion = object.quaternion.clone();
+  const scale = object.scale.clone();
+  object.position.set(0, 0, 0);
+  object.quaternion.identity();
+  object.scale.set(1, 1, 1);
+  object.updateMatrixWorld(true);
+  target.setFromObject(object);
+  object.position.copy(position);
+  object.quaternion.copy(quaternion);
+  object.scale.copy(scale);
+  object.updateMatrixWorld(true);
+
+  if (target.isEmpty()) target.set(new Vector3(-1, 0, -2), new Vector3(1, 1, 2));
+  return target;
+}
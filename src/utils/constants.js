@@ -2,6 +2,17 @@
 export const GRAVITY = -9.81;
 export const GROUND_Y = 0;
 
+// Simulation loop
+export const FIXED_TIMESTEP = 1 / 60;   // seconds per simulation step
+export const MAX_FRAME_DELTA = 0.25;    // clamp for tab-switch / debugger stalls
+export const MAX_SUBSTEPS = 5;          // catch-up budget per rendered frame
+
+// Time scale (slow motion)
+export const MIN_TIME_SCALE = 0.05;
+export const MAX_TIME_SCALE = 4;
+export const SLOW_MOTION_SCALE = 0.25;  // bullet-time toggle
+export const TIME_SCALE_STEPS = [0.1, 0.25, 0.5, 1, 2];
+
 // Player movement speeds (units/second)
 export const WALK_SPEED = 3;
 export const RUN_SPEED = 7;
@@ -10,6 +21,9 @@ export const JUMP_FORCE = 8;
 
 // Vehicle — basic
 export const VEHICLE_ENTER_DISTANCE = 4;
+export const VEHICLE_COLLIDER_RADIUS = 1.5;   // Vehicle preset's collision sphere
+export const VEHICLE_REFERENCE_MASS = 1200;   // kg; heavier vehicles accelerate slower
+export const VEHICLE_PROFILE_POLL_INTERVAL = 2; // seconds between handling profile hot-reload checks
 
 // Vehicle — physics
 export const VEHICLE_ACCEL_SMOOTHING = 6;
@@ -17,16 +31,51 @@ export const VEHICLE_STEER_SMOOTHING = 5;
 export const VEHICLE_GRIP_THRESHOLD = 0.7;
 export const VEHICLE_BODY_TILT_MAX = 0.08; // ~4.5 degrees
 
+// Vehicle — engine (Powertrain component)
+export const VEHICLE_RPM_RESPONSE = 8;     // how fast RPM follows its target (1 / seconds)
+export const VEHICLE_RPM_EVENT_STEP = 50;  // vehicle:rpm fires when RPM moves this much
+
+// Vehicle — wheel suspension (WheelSuspension component)
+export const SUSPENSION_RAY_LIFT = 1;          // wheel rays start this far above the wheel mount
+export const VEHICLE_AIRBORNE_GRACE = 0.1;     // seconds without ground contact before counting as airborne
+export const VEHICLE_LANDING_SPEED_LOSS = 0.02; // fraction of speed lost per m/s of landing impact
+
+// Vehicle — crash damage (VehicleDamage component)
+export const DAMAGE_DENT_RADIUS = 1.2;   // metres around an impact point that dent
+export const DAMAGE_SPEED_LOSS = 0.4;    // fraction of top speed lost with every zone wrecked
+export const DAMAGE_STEER_PULL = 0.15;   // steering pull toward a wrecked side (of full lock)
+export const DAMAGE_PART_MASS = 25;      // kg, parts that came off
+
+// Entities
+export const SPATIAL_CELL_SIZE = 16;    // EntityManager grid cell edge (units)
+export const NPC_AVOID_RADIUS = 2;      // NPCs steer away from entities whose centre is closer
+export const NPC_AVOID_WEIGHT = 1.5;    // avoidance strength relative to heading for the target
+export const NPC_AVOID_REACH = 4;       // extra search distance for the size of what NPCs steer around
+export const LOCKED_TAG = 'locked';     // tag on entities the director can't pick or transform
+export const NPC_COLLIDER_RADIUS = 0.4; // NPC preset's collision circle
+export const NPC_MASS = 80;             // kg
+export const PROP_MASS = 150;           // kg, Prop preset's default (0 in the inspector = fixed)
+
+// Entity collisions (EntityCollisions)
+export const COLLISION_RESTITUTION = 0.2;  // bounce: 0 = none, 1 = elastic
+export const COLLISION_FRICTION = 0.3;     // sliding friction between bodies in contact
+export const COLLISION_PUSH_DECAY = 2;     // half-life factor of push velocity and spin from hits
+export const VEHICLE_COLLISION_MIN_IMPACT = 2; // m/s closing speed below which no vehicle:collision fires
+export const KNOCKDOWN_FALL_SPEED = 6;     // how fast a knocked-down character tips over (1 / seconds)
+export const KNOCKDOWN_RISE_SPEED = 1.5;   // ... and gets back up
+
 // Player — movement feel
 export const PLAYER_ACCEL_RATE = 50;
 export const PLAYER_DECEL_RATE = 40;
 export const PLAYER_AIR_CONTROL = 0.4;
 export const COYOTE_TIME = 0.12;
 export const JUMP_BUFFER_TIME = 0.1;
+export const PLAYER_MASS = 80;      // kg, against vehicles, NPCs and props (EntityCollisions)
 
 // Gamepad standard button indices
 export const GP_A = 0, GP_B = 1, GP_X = 2, GP_Y = 3;
 export const GP_LB = 4, GP_RB = 5, GP_LT = 6, GP_RT = 7;
+export const GP_SELECT = 8, GP_START = 9;
 
 // Camera
 export const DRONE_SPEED = 30;
@@ -43,19 +92,4 @@ export const SECONDARY_ROAD_WIDTH = 8;
 export const SIDEWALK_WIDTH = 3;
 export const SIDEWALK_HEIGHT = 0.1;
 
-// Key bindings (KeyboardEvent.code)
-export const KEYS = {
-  FORWARD: 'KeyW',
-  BACKWARD: 'KeyS',
-  LEFT: 'KeyA',
-  RIGHT: 'KeyD',
-  UP: 'KeyQ',
-  DOWN: 'KeyE',
-  SPRINT: 'ShiftLeft',
-  JUMP: 'Space',
-  INTERACT: 'KeyF',
-  CAMERA: 'KeyC',
-  MODELS: 'KeyM',
-  DIRECTOR: 'Tab',
-  PAUSE: 'Escape',
-};
+// Key / button bindings are rebindable — see core/InputBindings.js
@@ -0,0 +1,9 @@
+/**
+ * Runtime environment checks.
+ *
+ * Modules that touch `window` / `document` consult HAS_DOM so the
+ * simulation can also run headless under Node (see tools/headless/).
+ */
+
+/** True in a browser; false under Node (headless harness, tests). */
+export const HAS_DOM = typeof window !== 'undefined' && typeof document !== 'undefined';
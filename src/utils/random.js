@@ -0,0 +1,31 @@
+/**
+ * Shared seeded PRNG (mulberry32) for simulation code.
+ *
+ * Gameplay systems draw from `random()` instead of Math.random() so a
+ * recorded session replays identically after `setSeed()` with the same seed.
+ */
+
+let _state = (Date.now() ^ 0x9E3779B9) | 0;
+let _seed = _state;
+
+/**
+ * Reset the generator.
+ * @param {number} seed — 32-bit integer
+ */
+export function setSeed(seed) {
+  _seed = seed | 0;
+  _state = _seed;
+}
+
+/** @returns {number} The seed last passed to setSeed(). */
+export function getSeed() {
+  return _seed;
+}
+
+/** @returns {number} Uniform float in [0, 1). */
+export function random() {
+  _state = (_state + 0x6D2B79F5) | 0;
+  let t = Math.imul(_state ^ (_state >>> 15), 1 | _state);
+  t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+  return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+}
@@ -0,0 +1,19 @@
+/**
+ * Random RFC 4122 version 4 identifiers, for things that need an ID that
+ * survives renames and save / load (entities).
+ *
+ * Deliberately not drawn from utils/random.js: IDs must not shift the
+ * seeded sequence a replay depends on.
+ */
+
+/** @returns {string} e.g. '1b4e28ba-2fa1-4d2c-883f-0016d3cca427' */
+export function uuid() {
+  // randomUUID is missing outside secure contexts (plain-HTTP LAN hosts)
+  if (typeof crypto.randomUUID === 'function') return crypto.randomUUID();
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // variant 10
+  const hex = [...bytes].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return `${hex.slice(0, 8)}-${hex.slice(8, 12)}-${hex.slice(12, 16)}-${hex.slice(16, 20)}-${hex.slice(20)}`;
+}
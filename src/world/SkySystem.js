@@ -1,15 +1,43 @@
 import * as THREE from 'three';
 import { Sky } from 'three/addons/objects/Sky.js';
+import EventBus from '../core/EventBus.js';
+import GameState from '../core/GameState.js';
+import Settings from '../core/Settings.js';
+
+/**
+ * Sun shadow map per shadowQuality setting ('off' casts none): map
+ * resolution and half-width of the shadowed area around the origin, in
+ * meters. Larger areas spread the same texels thinner.
+ */
+const SHADOW_QUALITY = {
+  low:    { mapSize: 512,  extent: 60 },
+  medium: { mapSize: 1024, extent: 100 },
+  high:   { mapSize: 2048, extent: 150 },
+  ultra:  { mapSize: 4096, extent: 200 },
+};
+
+/** Fog start / end as fractions of the drawDistance setting. */
+const FOG_NEAR_FRACTION = 0.1;
+const FOG_FAR_FRACTION = 0.6;
 
 /**
  * Dynamic sky system with sun, ambient light, and fog.
  * Supports time-of-day in hours: 0=midnight, 6=sunrise, 12=noon, 18=sunset.
+ *
+ * Time of day advances by `hoursPerSecond` of simulated time when the sky
+ * is registered as a simulation (so it follows pause and time scale).
+ *
+ * Sun shadows follow the shadowQuality setting and fog the drawDistance
+ * setting, live.
  */
 class SkySystem {
   constructor(scene) {
     this._scene = scene;
     this._sunPosition = new THREE.Vector3();
 
+    /** Time-of-day progression in hours per simulated second (0 = fixed). */
+    this.hoursPerSecond = 0;
+
     // Sky shader
     this._sky = new Sky();
     this._sky.scale.setScalar(450000);
@@ -23,19 +51,13 @@ class SkySystem {
 
     // Directional light (sun)
     this._sunLight = new THREE.DirectionalLight(0xfff4e0, 3.0);
-    this._sunLight.castShadow = true;
-    this._sunLight.shadow.mapSize.width = 2048;
-    this._sunLight.shadow.mapSize.height = 2048;
     this._sunLight.shadow.camera.near = 0.5;
     this._sunLight.shadow.camera.far = 500;
-    this._sunLight.shadow.camera.left = -150;
-    this._sunLight.shadow.camera.right = 150;
-    this._sunLight.shadow.camera.top = 150;
-    this._sunLight.shadow.camera.bottom = -150;
     this._sunLight.shadow.bias = -0.0005;
     this._sunLight.shadow.normalBias = 0.02;
     scene.add(this._sunLight);
     scene.add(this._sunLight.target);
+    this.setShadowQuality(Settings.get('shadowQuality'));
 
     // Hemisphere light (ambient fill)
     this._hemiLight = new THREE.HemisphereLight(0x87ceeb, 0x8B7355, 0.7);
@@ -43,7 +65,14 @@ class SkySystem {
 
     // Fog
     this._fogColor = new THREE.Color(0xffd89b);
-    scene.fog = new THREE.Fog(this._fogColor, 200, 1200);
+    scene.fog = new THREE.Fog(this._fogColor);
+    this.setDrawDistance(Settings.get('drawDistance'));
+
+    this._onSettingsChanged = ({ key, value }) => {
+      if (key === 'shadowQuality') this.setShadowQuality(value);
+      else if (key === 'drawDistance') this.setDrawDistance(value);
+    };
+    EventBus.on('settings:changed', this._onSettingsChanged);
 
     // Default to golden hour (~17:30)
     this.setTimeOfDay(17.5);
@@ -56,6 +85,7 @@ class SkySystem {
   setTimeOfDay(hours) {
     const t = (hours % 24) / 24; // normalize to 0-1
     this._time = hours;
+    GameState.timeOfDay = hours;
 
     // Sun elevation: sinusoidal arc, sunrise at 6h (t=0.25), peak at 12h (t=0.5), sunset at 18h (t=0.75)
     const elevation = Math.sin((t - 0.25) * Math.PI * 2) * 90;
@@ -97,15 +127,56 @@ class SkySystem {
     this._hemiLight.intensity = THREE.MathUtils.lerp(0.4, 0.8, normalizedElevation);
   }
 
+  /** @returns {number} Current time of day in hours. */
+  getTimeOfDay() {
+    return this._time;
+  }
+
   getSunDirection() {
     return this._sunPosition.clone().normalize();
   }
 
+  /**
+   * Sun shadow resolution and coverage.
+   * @param {'off'|'low'|'medium'|'high'|'ultra'} quality
+   */
+  setShadowQuality(quality) {
+    const config = SHADOW_QUALITY[quality];
+    this._sunLight.castShadow = config !== undefined;
+    if (!config) return;
+
+    const shadow = this._sunLight.shadow;
+    shadow.camera.left = -config.extent;
+    shadow.camera.right = config.extent;
+    shadow.camera.top = config.extent;
+    shadow.camera.bottom = -config.extent;
+    shadow.camera.updateProjectionMatrix();
+
+    if (shadow.mapSize.width === config.mapSize) return;
+    shadow.mapSize.set(config.mapSize, config.mapSize);
+    // The renderer allocates a new map at the new size on the next frame
+    if (shadow.map) {
+      shadow.map.dispose();
+      shadow.map = null;
+    }
+  }
+
+  /**
+   * Fade distant geometry into the fog before the camera's far plane.
+   * @param {number} distance — meters (the camera far plane)
+   */
+  setDrawDistance(distance) {
+    this._scene.fog.near = distance * FOG_NEAR_FRACTION;
+    this._scene.fog.far = distance * FOG_FAR_FRACTION;
+  }
+
   update(delta) {
-    // Could animate time-of-day here if desired
+    if (this.hoursPerSecond === 0) return;
+    this.setTimeOfDay((this._time + this.hoursPerSecond * delta + 24) % 24);
   }
 
   dispose() {
+    EventBus.off('settings:changed', this._onSettingsChanged);
     this._scene.remove(this._sky);
     this._scene.remove(this._sunLight);
     this._scene.remove(this._sunLight.target);
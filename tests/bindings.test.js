@@ -0,0 +1,81 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../src/core/EventBus.js';
+import InputBindings, { ACTIONS, DEFAULT_PROFILE, parseBinding, describeBinding } from '../src/core/InputBindings.js';
+
+afterEach(() => {
+  InputBindings.setActiveProfile(DEFAULT_PROFILE);
+  for (const name of InputBindings.getProfileNames()) InputBindings.deleteProfile(name);
+  InputBindings.reset();
+});
+
+test('binding strings parse into device, code and modifiers', () => {
+  assert.deepEqual(parseBinding('Ctrl+Shift+KeyZ'), { ctrl: true, shift: true, alt: false, device: 'key', code: 'KeyZ' });
+  assert.deepEqual(parseBinding('Axis1+'), { ctrl: false, shift: false, alt: false, device: 'axis', index: 1, sign: 1 });
+  assert.equal(parseBinding('Pad7').device, 'button');
+  assert.equal(parseBinding('Mouse2').index, 2);
+  assert.equal(describeBinding('Ctrl+KeyZ'), 'Ctrl+Z');
+  assert.equal(describeBinding('Axis1-'), 'LS Up');
+});
+
+test('the default bindings have no conflicts', () => {
+  assert.deepEqual(InputBindings.findConflicts(), []);
+});
+
+test('a shared binding conflicts only where the actions share a mode', () => {
+  InputBindings.bind('jump', 'KeyE');
+  // jump (play) and shiftUp (drive) never run together; moveUp is free / director
+  assert.deepEqual(InputBindings.getConflicts('jump'), []);
+
+  InputBindings.bind('jump', 'KeyF');
+  assert.deepEqual(InputBindings.getConflicts('jump'), [{ action: 'interact', binding: 'KeyF', other: 'KeyF' }]);
+  assert.deepEqual(InputBindings.findConflicts(), [{ binding: 'KeyF', other: 'KeyF', actions: ['jump', 'interact'] }]);
+});
+
+test('an unmodified binding conflicts with the same key under modifiers', () => {
+  // Held, or matched, under Ctrl, so Ctrl+Z would fire it along with undo
+  InputBindings.bind('gizmoMode', 'KeyZ');
+  assert.deepEqual(InputBindings.getConflicts('gizmoMode'), [
+    { action: 'undo', binding: 'KeyZ', other: 'Ctrl+KeyZ' },
+    { action: 'redo', binding: 'KeyZ', other: 'Ctrl+Shift+KeyZ' },
+  ]);
+
+  // Different modifiers on both sides never fire together
+  InputBindings.setBindings('gizmoMode', ['Alt+KeyZ']);
+  assert.deepEqual(InputBindings.getConflicts('gizmoMode'), []);
+  InputBindings.setBindings('gizmoMode', ['Ctrl+KeyZ']);
+  assert.deepEqual(InputBindings.getConflicts('gizmoMode'), [{ action: 'undo', binding: 'Ctrl+KeyZ', other: 'Ctrl+KeyZ' }]);
+});
+
+test('profiles keep their own bindings and the default profile stays', () => {
+  const profiles = [];
+  const onProfile = ({ profile }) => profiles.push(profile);
+  EventBus.on('input:profileChanged', onProfile);
+
+  assert.equal(InputBindings.createProfile('  Lefty  '), true);
+  assert.equal(InputBindings.createProfile('Lefty'), false, 'name taken');
+  assert.equal(InputBindings.createProfile(' '), false);
+  InputBindings.setBindings('jump', ['Mouse2', 'Mouse2']);
+  assert.deepEqual(InputBindings.getBindings('jump'), ['Mouse2'], 'duplicates dropped');
+
+  InputBindings.setActiveProfile(DEFAULT_PROFILE);
+  assert.deepEqual(InputBindings.getBindings('jump'), ACTIONS.jump.defaults);
+  InputBindings.setActiveProfile('Lefty');
+  assert.deepEqual(InputBindings.getBindings('jump'), ['Mouse2']);
+
+  InputBindings.deleteProfile(DEFAULT_PROFILE);
+  InputBindings.deleteProfile('Lefty');
+  EventBus.off('input:profileChanged', onProfile);
+  assert.deepEqual(InputBindings.getProfileNames(), [DEFAULT_PROFILE]);
+  assert.equal(InputBindings.activeProfile, DEFAULT_PROFILE, 'deleting the active profile falls back');
+  assert.deepEqual(profiles, ['Lefty', DEFAULT_PROFILE, 'Lefty', DEFAULT_PROFILE]);
+});
+
+test('unmodified bindings match key events under any modifiers', () => {
+  const key = (code, mods = {}) => ({ code, ctrlKey: false, metaKey: false, shiftKey: false, altKey: false, ...mods });
+  assert.equal(InputBindings.matches('toggleOutliner', key('KeyO', { shiftKey: true })), true);
+  assert.equal(InputBindings.matches('undo', key('KeyZ')), false);
+  assert.equal(InputBindings.matches('undo', key('KeyZ', { metaKey: true })), true);
+  assert.equal(InputBindings.matches('undo', key('KeyZ', { ctrlKey: true, shiftKey: true })), false);
+  assert.equal(InputBindings.matches('redo', key('KeyZ', { ctrlKey: true, shiftKey: true })), true);
+});
@@ -0,0 +1,67 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Vector3 } from 'three';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import GameState from '../src/core/GameState.js';
+
+let h = null;
+
+afterEach(() => {
+  h?.dispose();
+  h = null;
+});
+
+/** A player on foot standing next to a car. */
+function setup(mode = 'play') {
+  h = new HeadlessHarness();
+  h.addGround();
+  h.buildCollision();
+  h.createPlayer({ x: 2.5, y: 0, z: 0 });
+  const car = h.createVehicle('car', { x: 0, y: 0, z: 0 });
+  h.createGame({ mode });
+  h.run(0.1);
+  return car;
+}
+
+test('on foot the camera follows the player', () => {
+  setup();
+  assert.equal(h.cameraSystem.getActiveModeName(), 'thirdperson');
+});
+
+test('free mode flies the drone camera', () => {
+  setup('free');
+  assert.equal(h.cameraSystem.getActiveModeName(), 'drone');
+  GameState.setMode('play');
+  assert.equal(h.cameraSystem.getActiveModeName(), 'thirdperson');
+});
+
+test('entering a vehicle switches to the driving camera and leaving switches back', () => {
+  const car = setup();
+
+  h.hold('KeyF', 0.1);
+  assert.equal(GameState.vehicle, car);
+  assert.equal(h.cameraSystem.getActiveModeName(), 'driving');
+
+  h.run(0.2);
+  h.hold('KeyF', 0.1);
+  assert.equal(GameState.vehicle, null);
+  assert.equal(GameState.mode, 'play');
+  assert.equal(h.cameraSystem.getActiveModeName(), 'thirdperson');
+});
+
+test('the driving camera settles behind and above the car', () => {
+  const car = setup();
+  h.hold('KeyF', 0.1);
+  h.hold(['KeyW', 'KeyA'], 2);
+  h.run(4);
+  assert.ok(car.position.distanceTo(new Vector3(0, 0, 0)) > 5, 'the car moved');
+  assert.notEqual(car.mesh.rotation.y, 0, 'and turned');
+
+  // DrivingCam's follow offset: 8 m behind, 3.5 m up
+  const offset = h.engine.camera.position.clone().sub(car.position);
+  const behind = new Vector3(0, 0, 1).applyQuaternion(car.mesh.quaternion).setY(0).normalize();
+  assert.ok(Math.abs(offset.y - 3.5) < 0.05, `height ${offset.y.toFixed(2)} m`);
+  offset.y = 0;
+  assert.ok(Math.abs(offset.length() - 8) < 0.05, `distance ${offset.length().toFixed(2)} m`);
+  assert.ok(offset.normalize().dot(behind) > 0.999, 'straight behind');
+});
@@ -0,0 +1,136 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Group, Mesh, BoxGeometry, MeshBasicMaterial } from 'three';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import EventBus from '../src/core/EventBus.js';
+import EntityManager from '../src/entities/EntityManager.js';
+import { createEntity } from '../src/entities/EntityTypes.js';
+import CharacterBody from '../src/player/CharacterBody.js';
+import PlayerController from '../src/player/PlayerController.js';
+
+let h = null;
+/** @type {import('../src/entities/Entity.js').default[]} */
+let extras = [];
+
+afterEach(() => {
+  for (const entity of extras) {
+    EntityManager.remove(entity);
+    entity.dispose();
+  }
+  extras = [];
+  h?.dispose();
+  h = null;
+});
+
+/** A driven car at the origin facing -Z, on open ground. */
+function setup() {
+  h = new HeadlessHarness();
+  h.addGround(400);
+  h.buildCollision();
+  const car = h.createVehicle('car', { x: 0, y: 0, z: 0 });
+  h.createGame();
+  h.interaction.enterVehicle(car);
+  return car;
+}
+
+/**
+ * Place an entity of `type` built around a box, in the scene.
+ * @param {string} type
+ * @param {number} z
+ * @param {{x:number,y:number,z:number}} size
+ */
+function place(type, z, size) {
+  const root = new Group();
+  const body = new Mesh(new BoxGeometry(size.x, size.y, size.z), new MeshBasicMaterial());
+  body.position.y = size.y / 2;
+  root.add(body);
+  const entity = createEntity(type, root, [], type);
+  entity.position.set(0, 0, z);
+  h.scene.add(entity.mesh);
+  EntityManager.add(entity);
+  extras.push(entity);
+  return entity;
+}
+
+/**
+ * A second, standing player (the harness's own one is driving).
+ * @param {number} z
+ */
+function pedestrian(z) {
+  const body = new CharacterBody(new Group());
+  body.container.position.set(0, 0, z);
+  h.scene.add(body.container);
+  const player = new PlayerController(body, h.input, 'pedestrian');
+  EntityManager.add(player.entity);
+  extras.push(player.entity);
+  return player;
+}
+
+/** Collect vehicle:collision events while `fn` runs. */
+function collisions(fn) {
+  const events = [];
+  const onCollision = (event) => events.push(event);
+  EventBus.on('vehicle:collision', onCollision);
+  try {
+    fn();
+  } finally {
+    EventBus.off('vehicle:collision', onCollision);
+  }
+  return events;
+}
+
+test('a driven car shoves a prop ahead of it', () => {
+  const car = setup();
+  const crate = place('prop', -15, { x: 1, y: 1, z: 1 });
+  const events = collisions(() => h.hold('KeyW', 3));
+
+  assert.ok(crate.position.z < -16, `pushed forward (z = ${crate.position.z})`);
+  assert.ok(crate.position.z < car.position.z - 2, 'ahead of the car, not inside it');
+  assert.ok(events.some((e) => e.vehicle === car && e.other === crate));
+});
+
+test('a car does not move a fixed environment piece or drive through it', () => {
+  const car = setup();
+  const wall = place('environment', -20, { x: 10, y: 3, z: 1 });
+  const events = collisions(() => h.hold('KeyW', 5));
+
+  assert.equal(wall.position.z, -20);
+  assert.ok(car.position.z > -20, `stopped in front (z = ${car.position.z})`);
+  assert.ok(events.some((e) => e.vehicle === car && e.other === wall));
+});
+
+test('a hard hit knocks a character down', () => {
+  setup();
+  const npc = place('character', -25, { x: 0.5, y: 1.8, z: 0.5 });
+  h.hold('KeyW', 4);
+
+  assert.equal(npc.getComponent('knockdown').down, true);
+  assert.ok(npc.position.z < -25, `thrown along the hit (z = ${npc.position.z})`);
+});
+
+test('a driven car pushes a parked one', () => {
+  const car = setup();
+  const parked = h.createVehicle('parked', { x: 0, y: 0, z: -15 });
+  h.run(1);
+  assert.equal(parked.position.z, -15, 'nothing moves it untouched');
+
+  h.hold('KeyW', 3);
+  assert.ok(parked.position.z < -15, `pushed (z = ${parked.position.z})`);
+  assert.ok(car.position.distanceTo(parked.position) > 3, 'not overlapping');
+});
+
+test('a driven car shoves the player and is slowed by it', () => {
+  let car = setup();
+  h.hold('KeyW', 3);
+  const unhindered = car.position.z;
+  h.dispose();
+
+  car = setup();
+  const player = pedestrian(-15);
+  const events = collisions(() => h.hold('KeyW', 3));
+
+  assert.ok(player.position.z < -16, `pushed forward (z = ${player.position.z})`);
+  assert.ok(player.position.z < car.position.z - 2, 'ahead of the car, not inside it');
+  assert.ok(car.position.z > unhindered, `held back (z = ${car.position.z}, ${unhindered} without the hit)`);
+  assert.ok(events.some((e) => e.vehicle === car && e.other === player.entity));
+});
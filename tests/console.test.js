@@ -0,0 +1,66 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import ConsoleCommands from '../src/core/ConsoleCommands.js';
+
+/** @type {Function[]} */
+let unregister = [];
+
+afterEach(() => {
+  for (const remove of unregister) remove();
+  unregister = [];
+});
+
+/**
+ * Register a command that returns the arguments it was given.
+ * @param {string} name
+ * @param {object[]} args
+ */
+function echo(name, args) {
+  unregister.push(ConsoleCommands.register({ name, args, run: (parsed) => JSON.stringify(parsed) }));
+}
+
+/** @returns {Promise<object>} what the command's run() received */
+async function run(line) {
+  return JSON.parse((await ConsoleCommands.execute(line))[0]);
+}
+
+test('arguments are converted to their types', async () => {
+  echo('place', [
+    { name: 'x', type: 'number' },
+    { name: 'visible', type: 'boolean' },
+    { name: 'kind', type: 'choice', options: ['car', 'prop'] },
+    { name: 'label', type: 'string' },
+  ]);
+  assert.deepEqual(await run('place -2.5 on car crate'), { x: -2.5, visible: true, kind: 'car', label: 'crate' });
+  assert.deepEqual(await run('place 1e2 OFF prop "big crate"'), { x: 100, visible: false, kind: 'prop', label: 'big crate' });
+});
+
+test('bad arguments are reported with the usage', async () => {
+  echo('time', [{ name: 'hours', type: 'number', min: 0, max: 24 }, { name: 'fast', type: 'boolean', optional: true }]);
+  await assert.rejects(ConsoleCommands.execute('time'), /Missing hours — usage: time <hours> \[fast\]/);
+  await assert.rejects(ConsoleCommands.execute('time noon'), /hours must be a number, got "noon"/);
+  await assert.rejects(ConsoleCommands.execute('time 25'), /hours must be between 0 and 24/);
+  await assert.rejects(ConsoleCommands.execute('time 12 maybe'), /fast must be on or off/);
+  await assert.rejects(ConsoleCommands.execute('time 12 on extra'), /Too many arguments/);
+  await assert.rejects(ConsoleCommands.execute('nope'), /Unknown command "nope"/);
+});
+
+test('optional arguments take their default and a rest argument the rest of the line', async () => {
+  echo('goto', [{ name: 'name', type: 'string', rest: true }]);
+  echo('speed', [{ name: 'value', type: 'number', optional: true, default: 1 }]);
+  assert.deepEqual(await run('goto Lightning McQueen'), { name: 'Lightning McQueen' });
+  assert.deepEqual(await run("goto 'Sally Carrera'"), { name: 'Sally Carrera' });
+  assert.deepEqual(await run('speed'), { value: 1 });
+});
+
+test('completion offers command names, then each argument\'s options', () => {
+  echo('spawn', [
+    { name: 'type', type: 'choice', options: ['vehicle', 'prop', 'character'] },
+    { name: 'model', type: 'string', options: ([type]) => (type === 'vehicle' ? ['mcqueen', 'sally'] : ['crate']) },
+  ]);
+  assert.deepEqual(ConsoleCommands.complete('spa'), { start: 0, matches: ['spawn'] });
+  assert.deepEqual(ConsoleCommands.complete('spawn '), { start: 6, matches: ['vehicle', 'prop', 'character'] });
+  assert.deepEqual(ConsoleCommands.complete('spawn P'), { start: 6, matches: ['prop'] });
+  assert.deepEqual(ConsoleCommands.complete('spawn vehicle s'), { start: 14, matches: ['sally'] });
+  assert.deepEqual(ConsoleCommands.complete('spawn prop '), { start: 11, matches: ['crate'] });
+});
@@ -0,0 +1,106 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Engine from '../src/core/Engine.js';
+import GameState from '../src/core/GameState.js';
+import { FIXED_TIMESTEP, MAX_SUBSTEPS, MIN_TIME_SCALE, MAX_TIME_SCALE } from '../src/utils/constants.js';
+
+let engine = null;
+
+afterEach(() => {
+  engine?.dispose();
+  engine = null;
+  GameState.setTimeScale(1);
+});
+
+/** A system that counts its updates and adds up the time it was given. */
+function counter() {
+  return {
+    name: 'counter',
+    calls: 0,
+    time: 0,
+    update(delta) {
+      this.calls++;
+      this.time += delta;
+    },
+  };
+}
+
+/** A headless engine with a simulation and one updatable of each kind. */
+function setup() {
+  engine = new Engine(null, { headless: true });
+  const systems = {
+    simulation: counter(),
+    realTime: counter(),
+    pausable: counter(),
+    scaled: counter(),
+  };
+  engine.addSimulation(systems.simulation);
+  engine.addUpdatable(systems.realTime);
+  engine.addUpdatable(systems.pausable, { pausable: true });
+  engine.addUpdatable(systems.scaled, { scaled: true });
+  return systems;
+}
+
+test('the simulation runs on the fixed step whatever the frame rate', () => {
+  const { simulation, realTime } = setup();
+  engine.advance(145 / 144, 1 / 144);   // just over a second
+  assert.equal(simulation.calls, 60);
+  assert.ok(Math.abs(simulation.time - 1) < 1e-9);
+  assert.equal(realTime.calls, 145);
+});
+
+test('pausing freezes the simulation and pausable updatables only', () => {
+  const systems = setup();
+  engine.setPaused(true);
+  engine.advance(0.5);
+  assert.equal(systems.simulation.calls, 0);
+  assert.equal(systems.pausable.calls, 0);
+  assert.equal(systems.realTime.calls, 30);
+  assert.equal(systems.scaled.calls, 30);
+
+  engine.setPaused(false);
+  engine.advance(0.5);
+  assert.equal(systems.simulation.calls, 30);
+  assert.equal(systems.pausable.calls, 30);
+});
+
+test('the time scale slows the simulation and scaled updatables, not real-time ones', () => {
+  const systems = setup();
+  engine.setTimeScale(0.25);
+  engine.advance(1);
+  assert.equal(systems.simulation.calls, 15, 'a quarter of the fixed steps');
+  assert.ok(Math.abs(systems.simulation.time - 15 * FIXED_TIMESTEP) < 1e-9);
+  assert.ok(Math.abs(systems.scaled.time - 0.25) < 1e-9);
+  assert.ok(Math.abs(systems.realTime.time - 1) < 1e-9);
+
+  engine.setTimeScale(2);
+  engine.advance(1);
+  assert.equal(systems.simulation.calls, 15 + 120);
+});
+
+test('a stalled frame catches up at most MAX_SUBSTEPS steps', () => {
+  const { simulation } = setup();
+  engine.tick(3);
+  assert.equal(simulation.calls, MAX_SUBSTEPS);
+  engine.tick(FIXED_TIMESTEP);
+  assert.equal(simulation.calls, MAX_SUBSTEPS + 1, 'the backlog was dropped');
+});
+
+test('out-of-range time scales are clamped and non-finite ones ignored', () => {
+  const { simulation } = setup();
+  engine.setTimeScale(100);
+  assert.equal(engine.timeScale, MAX_TIME_SCALE);
+  engine.setTimeScale(0);
+  assert.equal(engine.timeScale, MIN_TIME_SCALE);
+  engine.setTimeScale(0.5);
+  for (const scale of [NaN, Infinity, -Infinity]) engine.setTimeScale(scale);
+  assert.equal(engine.timeScale, 0.5);
+  engine.advance(1);
+  assert.equal(simulation.calls, 30, 'the accumulator is still a number');
+
+  GameState.setTimeScale(0.5);
+  GameState.setTimeScale(NaN);
+  assert.equal(GameState.timeScale, 0.5);
+  GameState.setTimeScale(Infinity);
+  assert.equal(GameState.timeScale, 0.5);
+});
@@ -0,0 +1,54 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Group, Mesh, BoxGeometry, MeshBasicMaterial } from 'three';
+import EventBus from '../src/core/EventBus.js';
+import EntityManager from '../src/entities/EntityManager.js';
+import { createEntity } from '../src/entities/EntityTypes.js';
+
+afterEach(() => {
+  for (const entity of [...EntityManager.getAll()]) entity.dispose();
+});
+
+/** A vehicle around a box, not yet added. */
+function vehicle(name, id) {
+  const root = new Group();
+  root.add(new Mesh(new BoxGeometry(2, 1, 4), new MeshBasicMaterial()));
+  return createEntity('vehicle', root, [], name, id);
+}
+
+test('an entity keeps the ID it was built with, and it cannot be assigned', () => {
+  const car = vehicle('car', 'vehicle:car');
+  assert.equal(car.id, 'vehicle:car');
+  assert.throws(() => { car.id = 'other'; }, TypeError);
+  assert.notEqual(vehicle('car').id, vehicle('car').id);
+});
+
+test('adding an entity whose ID is taken is refused, and its ID kept', () => {
+  const first = vehicle('first', 'vehicle:car');
+  const second = vehicle('second', 'vehicle:car');
+  assert.equal(EntityManager.add(first), true);
+  assert.equal(EntityManager.add(second), false);
+
+  assert.equal(second.id, 'vehicle:car');
+  assert.equal(EntityManager.has(second), false);
+  assert.equal(EntityManager.getById('vehicle:car'), first);
+
+  EntityManager.remove(first);
+  assert.equal(EntityManager.add(second), true, 'free again');
+  assert.equal(EntityManager.getById('vehicle:car'), second);
+});
+
+test('entity:created comes once, on the first add, with the preset built', () => {
+  const created = [];
+  const onCreated = ({ entity }) => created.push([entity, entity.getComponent('drivable') !== null]);
+  EventBus.on('entity:created', onCreated);
+
+  const car = vehicle('car');
+  assert.equal(created.length, 0, 'not from the constructor');
+  EntityManager.add(car);
+  EntityManager.remove(car);
+  EntityManager.add(car);
+  EventBus.off('entity:created', onCreated);
+
+  assert.deepEqual(created, [[car, true]]);
+});
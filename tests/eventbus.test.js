@@ -0,0 +1,101 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../src/core/EventBus.js';
+
+test('listeners run by priority, wildcards included', () => {
+  const calls = [];
+  const offs = [
+    EventBus.on('test:order', () => calls.push('low'), { priority: -1 }),
+    EventBus.on('test:*', () => calls.push('wildcard')),
+    EventBus.on('test:order', () => calls.push('high'), { priority: 10 }),
+    EventBus.on('test:order', () => calls.push('default')),
+  ];
+  EventBus.emit('test:order');
+  for (const off of offs) off();
+  assert.deepEqual(calls, ['high', 'default', 'wildcard', 'low']);
+});
+
+test('subscribing a callback again replaces its options instead of adding it twice', () => {
+  const calls = [];
+  const listener = () => calls.push('listener');
+  const other = () => calls.push('other');
+  EventBus.on('test:again', other, { priority: 5 });
+  EventBus.on('test:again', listener);
+  EventBus.on('test:again', listener, { priority: 10 });
+  EventBus.emit('test:again');
+  assert.deepEqual(calls, ['listener', 'other'], 'once per emit, at the new priority');
+
+  EventBus.once('test:again', listener);
+  EventBus.emit('test:again');
+  EventBus.emit('test:again');
+  assert.deepEqual(calls.slice(2), ['other', 'listener', 'other'], 'now a one-off');
+
+  EventBus.on('test:again', listener);
+  EventBus.on('test:again', listener, { priority: 1 });
+  assert.equal(EventBus.listenerCount('test:again'), 2);
+  EventBus.off('test:again', listener);
+  EventBus.off('test:again', other);
+  assert.equal(EventBus.listenerCount('test:again'), 0);
+});
+
+test('a listener removed by an earlier one in the same emit is not called', () => {
+  const calls = [];
+  const second = () => calls.push('second');
+  EventBus.on('test:remove', () => {
+    calls.push('first');
+    EventBus.off('test:remove', second);
+  }, { priority: 1 });
+  EventBus.on('test:remove', second);
+
+  EventBus.emit('test:remove');
+  EventBus.emit('test:remove');
+  assert.deepEqual(calls, ['first', 'first']);
+  assert.equal(EventBus.listenerCount('test:remove'), 1);
+});
+
+test('a once listener runs once, even when its event is emitted again from a listener', () => {
+  let count = 0;
+  EventBus.once('test:once', () => {
+    count++;
+    EventBus.emit('test:once');
+  });
+  EventBus.emit('test:once');
+  EventBus.emit('test:once');
+  assert.equal(count, 1);
+  assert.equal(EventBus.listenerCount('test:once'), 0);
+});
+
+test('a once listener unsubscribed before its turn is not called', async () => {
+  const calls = [];
+  const unsubscribe = EventBus.once('test:onceOff', () => calls.push('once'));
+  const off = EventBus.on('test:onceOff', () => unsubscribe(), { priority: 1 });
+
+  EventBus.emit('test:onceOff');
+  await EventBus.emitAsync('test:onceOff');
+  off();
+  assert.deepEqual(calls, []);
+});
+
+test('a listener added during an emit waits for the next one', () => {
+  const calls = [];
+  const late = () => calls.push('late');
+  const off = EventBus.on('test:add', () => EventBus.on('test:add', late));
+
+  EventBus.emit('test:add');
+  assert.deepEqual(calls, []);
+  EventBus.emit('test:add');
+  assert.deepEqual(calls, ['late']);
+  off();
+  EventBus.off('test:add', late);
+});
+
+test('history keeps the last emits; a size below 1 turns it off', () => {
+  EventBus.enableHistory(2);
+  for (const n of [1, 2, 3]) EventBus.emit('test:history', { n });
+  assert.deepEqual(EventBus.getHistory().map((entry) => entry.data.n), [2, 3]);
+
+  EventBus.enableHistory(0);
+  EventBus.emit('test:history', { n: 4 });
+  assert.equal(EventBus.historyEnabled, false);
+  assert.deepEqual(EventBus.getHistory(), []);
+});
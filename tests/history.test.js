@@ -0,0 +1,121 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import CommandHistory, { MAX_HISTORY } from '../src/director/CommandHistory.js';
+
+afterEach(() => {
+  mock.restoreAll();
+  CommandHistory.clear();
+});
+
+/**
+ * A command that sets `state.value`, merging with later sets of the same
+ * key like a drag does, and logging its discard.
+ */
+function setValue(state, value, key = 'value') {
+  return {
+    label: `Set ${key}`,
+    key,
+    before: state.value,
+    after: value,
+    discarded: null,
+    do() { state.value = this.after; },
+    undo() { state.value = this.before; },
+    canMerge(other) { return other.key === this.key; },
+    merge(other) { this.after = other.after; },
+    discard(undone) { this.discarded = undone; },
+  };
+}
+
+test('undo and redo step back and forth through commands', () => {
+  const state = { value: 0 };
+  CommandHistory.execute(setValue(state, 1));
+  CommandHistory.seal();
+  CommandHistory.execute(setValue(state, 2));
+
+  CommandHistory.undo();
+  assert.equal(state.value, 1);
+  CommandHistory.undo();
+  assert.equal(state.value, 0);
+  assert.equal(CommandHistory.canUndo, false);
+
+  CommandHistory.redo();
+  CommandHistory.redo();
+  assert.equal(state.value, 2);
+  assert.equal(CommandHistory.canRedo, false);
+});
+
+test('a new edit discards the redo branch', () => {
+  const state = { value: 0 };
+  CommandHistory.execute(setValue(state, 1));
+  CommandHistory.seal();
+  const undone = setValue(state, 2);
+  CommandHistory.execute(undone);
+  CommandHistory.undo();
+
+  CommandHistory.execute(setValue(state, 3));
+  assert.equal(undone.discarded, true);
+  assert.equal(CommandHistory.canRedo, false);
+});
+
+test('quick edits of the same thing coalesce until sealed', () => {
+  const state = { value: 0 };
+  for (let v = 1; v <= 5; v++) CommandHistory.execute(setValue(state, v));
+  CommandHistory.seal();
+  CommandHistory.execute(setValue(state, 6));
+
+  CommandHistory.undo();
+  assert.equal(state.value, 5);
+  CommandHistory.undo();
+  assert.equal(state.value, 0, 'the five drag steps undo as one');
+});
+
+test('edits of something else, or after the coalesce window, stay separate', () => {
+  const state = { value: 0 };
+  let now = 1000;
+  mock.method(performance, 'now', () => now);
+
+  CommandHistory.execute(setValue(state, 1));
+  CommandHistory.execute(setValue(state, 2, 'other'));
+  now += 1000;
+  CommandHistory.execute(setValue(state, 3, 'other'));
+
+  CommandHistory.undo();
+  assert.equal(state.value, 2);
+  CommandHistory.undo();
+  assert.equal(state.value, 1);
+});
+
+test('undo and redo are not recorded as new edits', () => {
+  const state = { value: 0 };
+  const command = setValue(state, 1);
+  command.do = function () {
+    state.value = this.after;
+    // An event-driven recorder echoing the change back
+    CommandHistory.record(setValue(state, this.after, 'echo'));
+  };
+  CommandHistory.execute(command);
+  CommandHistory.seal();
+  CommandHistory.undo();
+  CommandHistory.redo();
+
+  CommandHistory.undo();
+  assert.equal(state.value, 0);
+  assert.equal(CommandHistory.canUndo, true, 'only the echo from execute() was recorded');
+});
+
+test(`only the last ${MAX_HISTORY} steps are kept, the oldest discarded`, () => {
+  const state = { value: 0 };
+  const commands = [];
+  for (let v = 1; v <= MAX_HISTORY + 1; v++) {
+    const command = setValue(state, v);
+    commands.push(command);
+    CommandHistory.execute(command);
+    CommandHistory.seal();
+  }
+  assert.equal(commands[0].discarded, false);
+  assert.equal(commands[1].discarded, null);
+
+  for (let i = 0; i < MAX_HISTORY; i++) CommandHistory.undo();
+  assert.equal(state.value, 1, 'undo stops at the oldest kept step');
+  assert.equal(CommandHistory.canUndo, false);
+});
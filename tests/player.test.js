@@ -0,0 +1,85 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import EventBus from '../src/core/EventBus.js';
+
+let h = null;
+
+afterEach(() => {
+  h?.dispose();
+  h = null;
+});
+
+/** A player on foot at the origin, on flat ground. */
+function setup() {
+  h = new HeadlessHarness();
+  h.addGround();
+  h.buildCollision();
+  const player = h.createPlayer({ x: 0, y: 0, z: 0 });
+  h.createGame();
+  h.run(0.1);
+  return player;
+}
+
+/** @returns {number} horizontal distance from the origin */
+function travelled(player) {
+  return Math.hypot(player.position.x, player.position.z);
+}
+
+test('the player stands still without input', () => {
+  const player = setup();
+  h.run(1);
+  assert.equal(player.state, 'idle');
+  assert.ok(travelled(player) < 0.01);
+});
+
+test('holding forward runs', () => {
+  const player = setup();
+  h.press('KeyW');
+  h.run(1);
+  assert.equal(player.state, 'run');
+  h.release('KeyW');
+  assert.ok(travelled(player) > 2, `moved (${travelled(player)} m)`);
+});
+
+test('walking is slower than running', () => {
+  const player = setup();
+  h.press('KeyW', 'ControlLeft');
+  h.run(1);
+  assert.equal(player.state, 'walk');
+  h.release('KeyW', 'ControlLeft');
+  const walked = travelled(player);
+  h.dispose();
+
+  const runner = setup();
+  h.hold('KeyW', 1);
+  assert.ok(walked > 0.5, `walked (${walked} m)`);
+  assert.ok(walked < travelled(runner), 'walk covers less ground than run');
+});
+
+test('jumping leaves the ground and lands again', () => {
+  const player = setup();
+  const states = [];
+  const onState = ({ state }) => states.push(state);
+  EventBus.on('player:stateChanged', onState);
+
+  h.hold('Space', 0.1);
+  h.run(0.1);
+  assert.ok(player.position.y > 0.2, `in the air (y = ${player.position.y})`);
+
+  h.run(2);
+  EventBus.off('player:stateChanged', onState);
+  assert.ok(Math.abs(player.position.y) < 0.05, `landed (y = ${player.position.y})`);
+  assert.deepEqual(states.filter((s) => s !== 'idle'), ['jump', 'falling']);
+  assert.equal(player.state, 'idle');
+});
+
+test('holding jump jumps once, not again on every landing', () => {
+  setup();
+  let jumps = 0;
+  const onState = ({ state }) => { if (state === 'jump') jumps++; };
+  EventBus.on('player:stateChanged', onState);
+  h.hold('Space', 4);
+  EventBus.off('player:stateChanged', onState);
+  assert.equal(jumps, 1);
+});
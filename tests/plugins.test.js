@@ -0,0 +1,84 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import PluginManager from '../src/core/PluginManager.js';
+import ConsoleCommands from '../src/core/ConsoleCommands.js';
+import tripMeter from '../plugins/trip-meter.js';
+
+let h = null;
+let plugins = null;
+
+afterEach(() => {
+  for (const name of plugins?.getNames().reverse() ?? []) plugins.stop(name);
+  plugins = null;
+  h?.dispose();
+  h = null;
+});
+
+/**
+ * A driven car and a plugin manager with the trip meter added (after
+ * any other plugins given).
+ * @param {...object} others
+ */
+function setup(...others) {
+  h = new HeadlessHarness();
+  h.addGround(400);
+  h.buildCollision();
+  const car = h.createVehicle('car', { x: 0, y: 0, z: 0 });
+  h.createGame();
+  h.interaction.enterVehicle(car);
+
+  plugins = new PluginManager(h.engine, { cameraSystem: h.cameraSystem });
+  for (const plugin of others) plugins.add(plugin);
+  plugins.add(tripMeter, { unit: 'km' });
+  return car;
+}
+
+test('the trip meter counts the distance driven', async () => {
+  const car = setup();
+  assert.deepEqual(plugins.start(), ['trip-meter']);
+
+  h.hold('KeyW', 2);
+  const meter = plugins.get('trip-meter');
+  assert.ok(Math.abs(meter.trip - Math.abs(car.position.z)) < 1, `trip ${meter.trip} m`);
+
+  const lines = await ConsoleCommands.execute('trip');
+  assert.match(lines[0], /^Trip\s+0\.\d\d km, top speed \d+ km\/h$/);
+  await ConsoleCommands.execute('trip reset');
+  assert.equal(meter.trip, 0);
+  assert.ok(meter.total > 0);
+});
+
+test('stopping the plugin undoes what it registered through ctx', () => {
+  setup();
+  plugins.start();
+  const meter = plugins.get('trip-meter');
+
+  plugins.stop('trip-meter');
+  assert.equal(plugins.has('trip-meter'), false);
+  assert.equal(ConsoleCommands.getNames().includes('trip'), false);
+
+  // Its simulation no longer runs
+  h.hold('KeyW', 1);
+  assert.equal(meter.trip, 0);
+});
+
+test('a plugin depending on the trip meter starts after it and stops before it', () => {
+  const events = [];
+  const readout = {
+    name: 'trip-readout',
+    dependencies: ['trip-meter'],
+    register(engine, ctx) {
+      const meter = ctx.getPlugin('trip-meter');
+      events.push(`register, meter ${meter ? 'found' : 'missing'}`);
+      return { dispose: () => events.push('dispose') };
+    },
+  };
+  // Added before its dependency: the order comes from `dependencies`
+  setup(readout);
+
+  assert.deepEqual(plugins.start(), ['trip-meter', 'trip-readout']);
+  plugins.stop('trip-meter');
+  assert.deepEqual(plugins.getNames(), []);
+  assert.deepEqual(events, ['register, meter found', 'dispose']);
+});
@@ -0,0 +1,97 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import EventBus from '../src/core/EventBus.js';
+
+let h = null;
+
+afterEach(() => {
+  h?.dispose();
+  h = null;
+});
+
+/** A driven car at the origin facing -Z, on open ground. */
+function setup() {
+  h = new HeadlessHarness();
+  h.addGround(2000);
+  h.buildCollision();
+  const car = h.createVehicle('car', { x: 0, y: 0, z: 0 });
+  h.createGame();
+  h.interaction.enterVehicle(car);
+  return car;
+}
+
+/** Collect the gears of vehicle:gearChanged events while `fn` runs. */
+function gearChanges(fn) {
+  const gears = [];
+  const onGear = ({ gear }) => gears.push(gear);
+  EventBus.on('vehicle:gearChanged', onGear);
+  try {
+    fn();
+  } finally {
+    EventBus.off('vehicle:gearChanged', onGear);
+  }
+  return gears;
+}
+
+test('the automatic gearbox shifts up one gear at a time under the redline', () => {
+  const car = setup();
+  const powertrain = car.getComponent('powertrain');
+  let maxRpm = 0;
+  const gears = gearChanges(() => {
+    h.press('KeyW');
+    for (let i = 0; i < 80; i++) {
+      h.run(0.1);
+      maxRpm = Math.max(maxRpm, powertrain.rpm);
+    }
+  });
+
+  assert.ok(gears.length >= 2, `shifted (${gears.join(', ')})`);
+  assert.deepEqual(gears, gears.map((_, i) => i + 2), 'up from first, one at a time');
+  assert.equal(powertrain.transmission, 'automatic');
+  assert.ok(maxRpm <= powertrain.redline);
+  assert.ok(maxRpm > powertrain.upshiftAt * powertrain.redline * 0.9, `revved (${maxRpm.toFixed(0)} rpm)`);
+});
+
+test('coasting to a stop shifts back down to first and idles', () => {
+  const car = setup();
+  const powertrain = car.getComponent('powertrain');
+  h.hold('KeyW', 6);
+  assert.ok(powertrain.gear > 1);
+
+  h.run(20);
+  assert.ok(Math.abs(car.getComponent('drivable').speed) < 0.1, 'stopped');
+  assert.equal(powertrain.gear, 1);
+  assert.ok(Math.abs(powertrain.rpm - powertrain.idleRpm) < 50, `idling (${powertrain.rpm.toFixed(0)} rpm)`);
+});
+
+test('holding reverse at a standstill selects reverse and backs up', () => {
+  const car = setup();
+  h.hold('KeyS', 1);
+  assert.equal(car.getComponent('powertrain').gear, -1);
+  assert.ok(car.position.z > 0.5, `backed up (z = ${car.position.z})`);
+});
+
+test('shifting by hand goes manual, one gear per press, and the toggle goes back', () => {
+  const car = setup();
+  const powertrain = car.getComponent('powertrain');
+
+  h.hold('KeyE', 0.5);   // held: one shift only
+  assert.equal(powertrain.gear, 2);
+  assert.equal(powertrain.transmission, 'manual');
+  h.run(0.1);
+  h.hold('KeyE', 0.1);
+  h.run(0.1);
+  h.hold('KeyQ', 0.1);
+  assert.equal(powertrain.gear, 2);
+
+  h.run(0.1);
+  h.hold('KeyQ', 0.1);
+  h.run(0.1);
+  h.hold('KeyQ', 0.1);
+  assert.equal(powertrain.gear, 0, 'down through first to neutral');
+
+  h.run(0.1);
+  h.hold('KeyH', 0.1);
+  assert.equal(powertrain.transmission, 'automatic');
+});
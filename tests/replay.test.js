@@ -0,0 +1,105 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import EventBus from '../src/core/EventBus.js';
+import InputReplay from '../src/core/InputReplay.js';
+
+let h = null;
+let replay = null;
+
+afterEach(() => {
+  replay?.dispose();
+  replay = null;
+  h?.dispose();
+  h = null;
+});
+
+/** A driven car with a replay recorder after the harness input, as in main.js. */
+function setup() {
+  h = new HeadlessHarness();
+  h.addGround(400);
+  h.addBox({ x: 0, y: 2, z: -60 }, { x: 30, y: 4, z: 2 });
+  h.buildCollision();
+  const car = h.createVehicle('car', { x: 0, y: 0, z: 0 });
+
+  replay = new InputReplay(h.input);
+  h.engine.addSimulation(replay);
+  replay.addSnapshot('car', { capture: () => car.captureState(), restore: (s) => car.restoreState(s) });
+
+  h.createGame();
+  h.interaction.enterVehicle(car);
+  return car;
+}
+
+/** @returns {number[]} position and heading, for exact comparison */
+function pose(car) {
+  return [...car.position.toArray(), car.mesh.rotation.y, car.getComponent('drivable').speed];
+}
+
+test('playing a recording back reproduces the drive exactly', () => {
+  const car = setup();
+  h.hold('KeyW', 0.5);
+
+  replay.startRecording();
+  h.hold('KeyW', 1);
+  h.hold(['KeyW', 'KeyA'], 1);
+  h.run(0.5);
+  const recording = replay.stopRecording();
+  const end = pose(car);
+  assert.ok(recording.frames.length > 0);
+
+  // Somewhere else entirely, then back through the replay
+  h.hold(['KeyS', 'KeyD'], 2);
+  assert.notDeepEqual(pose(car), end);
+  replay.startPlayback(recording);
+  h.run(2.5);
+  assert.deepEqual(pose(car), end);
+  assert.equal(replay.isPlaying, true, 'the run ended on the last recorded frame');
+});
+
+test('playback ends by itself after the last frame', () => {
+  setup();
+  replay.startRecording();
+  h.hold('KeyW', 0.5);
+  const recording = replay.stopRecording();
+
+  let ended = null;
+  const onEnded = (event) => { ended = event; };
+  EventBus.on('replay:playbackEnded', onEnded);
+  replay.startPlayback(recording);
+  h.run(1);
+  EventBus.off('replay:playbackEnded', onEnded);
+
+  assert.equal(replay.isPlaying, false);
+  assert.equal(ended?.completed, true);
+  assert.equal(ended.replay, recording);
+});
+
+test('an action held as recording starts does not fire on playback', () => {
+  h = new HeadlessHarness();
+  h.addGround();
+  h.buildCollision();
+  const player = h.createPlayer();
+  replay = new InputReplay(h.input);
+  h.engine.addSimulation(replay);
+  replay.addSnapshot('player', { capture: () => player.captureState(), restore: (s) => player.restoreState(s) });
+  h.createGame();
+
+  // Jump, land and keep holding it into the recording
+  h.press('Space');
+  h.run(2.5);
+  assert.equal(player.state, 'idle');
+  replay.startRecording();
+  h.run(0.5);
+  h.release('Space');
+  h.run(0.2);
+  const recording = replay.stopRecording();
+
+  const states = [];
+  const onState = ({ state }) => states.push(state);
+  EventBus.on('player:stateChanged', onState);
+  replay.startPlayback(recording);
+  h.run(0.7);
+  EventBus.off('player:stateChanged', onState);
+  assert.deepEqual(states, []);
+});
@@ -0,0 +1,103 @@
+import { test, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Group, Mesh, BoxGeometry, MeshBasicMaterial } from 'three';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import GameState from '../src/core/GameState.js';
+import EntityManager from '../src/entities/EntityManager.js';
+import SceneSerializer from '../src/loaders/SceneSerializer.js';
+import ModelLoader from '../src/loaders/ModelLoader.js';
+import { ENTITY_CLASSES, createEntity } from '../src/entities/EntityTypes.js';
+import CommandHistory from '../src/director/CommandHistory.js';
+import { AddEntityCommand } from '../src/director/EditCommands.js';
+
+let h = null;
+
+afterEach(() => {
+  mock.restoreAll();
+  CommandHistory.clear();
+  h?.dispose();
+  h = null;
+  // The entities the loads rebuilt
+  for (const entity of [...EntityManager.getAll()]) entity.dispose();
+});
+
+/** Two saveable cars, loaded from box models instead of GLBs. */
+function setup() {
+  mock.method(ModelLoader, 'load', async () => {
+    const root = new Group();
+    root.add(new Mesh(new BoxGeometry(2, 1, 4), new MeshBasicMaterial()));
+    return { scene: root, animations: [] };
+  });
+
+  h = new HeadlessHarness();
+  h.addGround();
+  h.buildCollision();
+  const cars = [h.createVehicle('red', { x: 0, y: 0, z: 0 }), h.createVehicle('blue', { x: 10, y: 0, z: 0 })];
+  for (const car of cars) car.source = { url: `${car.name}.glb` };
+  h.createGame();
+
+  const serializer = new SceneSerializer({
+    scene: h.scene,
+    camera: h.engine.camera,
+    cameraSystem: h.cameraSystem,
+    sky: { getTimeOfDay: () => 12, setTimeOfDay() {} },
+  });
+  return { cars, serializer };
+}
+
+/** @returns {string[]} names of the loaded vehicles */
+function vehicleNames() {
+  return EntityManager.getWithComponent('drivable').map((v) => v.name).sort();
+}
+
+test('loading a scene rebuilds its vehicles', async () => {
+  const { serializer } = setup();
+  const doc = JSON.parse(JSON.stringify(await serializer.serialize()));
+  await serializer.load(doc);
+  assert.deepEqual(vehicleNames(), ['blue', 'red']);
+});
+
+test('loading while driving keeps the occupied vehicle without a copy of it', async () => {
+  const { cars: [red], serializer } = setup();
+  const doc = JSON.parse(JSON.stringify(await serializer.serialize()));
+  h.interaction.enterVehicle(red);
+
+  await serializer.load(doc);
+  assert.deepEqual(vehicleNames(), ['blue', 'red']);
+  assert.equal(GameState.vehicle, red);
+  assert.equal(EntityManager.getById(red.id), red);
+});
+
+test('loading while driving keeps other entities that share the vehicle\'s name', async () => {
+  const { cars: [red, blue], serializer } = setup();
+  blue.name = 'red';
+  const doc = JSON.parse(JSON.stringify(await serializer.serialize()));
+  h.interaction.enterVehicle(red);
+
+  await serializer.load(doc);
+  assert.deepEqual(vehicleNames(), ['red', 'red']);
+  assert.equal(EntityManager.getById(red.id), red);
+  assert.ok(EntityManager.getById(blue.id), 'the namesake was rebuilt');
+});
+
+test('entities added as each type keep that type through a save and load', async () => {
+  const { serializer } = setup();
+  const types = Object.keys(ENTITY_CLASSES);
+  // The way the model browser adds them
+  for (const type of types) {
+    const mesh = new Mesh(new BoxGeometry(1, 1, 1), new MeshBasicMaterial());
+    const entity = createEntity(type, mesh, [], `added ${type}`);
+    entity.source = { url: `${type}.glb` };
+    CommandHistory.execute(new AddEntityCommand(h.scene, entity));
+  }
+
+  /** @returns {string} type of the entity added as `type` */
+  const typeOf = (type) => EntityManager.getByName(`added ${type}`)?.type;
+  for (const type of types) assert.equal(typeOf(type), type);
+  assert.equal(EntityManager.getByName('added environment').getComponent('collider').bodyMass, Infinity);
+  assert.ok(EntityManager.getByName('added character').getComponent('knockdown'));
+
+  const doc = JSON.parse(JSON.stringify(await serializer.serialize()));
+  await serializer.load(doc);
+  for (const type of types) assert.equal(typeOf(type), type);
+});
@@ -0,0 +1,62 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import EventBus from '../src/core/EventBus.js';
+import Settings, { GRAPHICS_PRESETS } from '../src/core/Settings.js';
+
+afterEach(() => {
+  Settings.reset();
+});
+
+test('numbers are parsed, snapped to their step and clamped to their range', () => {
+  assert.deepEqual(Settings.validate('fov', 72.4), { ok: true, value: 72 });
+  assert.deepEqual(Settings.validate('fov', '90'), { ok: true, value: 90 });
+  assert.deepEqual(Settings.validate('fov', 500), { ok: true, value: 100 });
+  assert.deepEqual(Settings.validate('mouseSensitivity', 0.27), { ok: true, value: 0.25 });
+  assert.deepEqual(Settings.validate('mouseSensitivity', -1), { ok: true, value: 0.1 });
+
+  for (const value of [NaN, Infinity, 'fast', null, true]) {
+    assert.equal(Settings.validate('fov', value).ok, false, `rejects ${String(value)}`);
+  }
+});
+
+test('booleans and choices only take their own values', () => {
+  assert.deepEqual(Settings.validate('bloom', false), { ok: true, value: false });
+  assert.equal(Settings.validate('bloom', 'false').ok, false);
+  assert.equal(Settings.validate('bloom', 0).ok, false);
+
+  assert.deepEqual(Settings.validate('pixelRatio', 0.5), { ok: true, value: 0.5 });
+  assert.equal(Settings.validate('pixelRatio', '0.5').ok, false);
+  assert.equal(Settings.validate('shadowQuality', 'extreme').ok, false);
+
+  assert.equal(Settings.validate('nope', 1).ok, false);
+});
+
+test('set() stores valid values, announces changes once and rejects invalid ones', () => {
+  const changes = [];
+  const onChanged = (event) => changes.push(event);
+  EventBus.on('settings:changed', onChanged);
+  assert.equal(Settings.set('fov', 80.2), true);
+  assert.equal(Settings.set('fov', 80), true);
+  assert.equal(Settings.set('fov', 'wide'), false);
+  EventBus.off('settings:changed', onChanged);
+
+  assert.equal(Settings.get('fov'), 80);
+  assert.deepEqual(changes, [{ key: 'fov', value: 80, previous: 60 }]);
+});
+
+test('a graphics preset sets its values, and editing one of them goes custom', () => {
+  Settings.set('graphicsPreset', 'low');
+  for (const [key, value] of Object.entries(GRAPHICS_PRESETS.low)) {
+    assert.equal(Settings.get(key), value, key);
+  }
+  assert.equal(Settings.get('graphicsPreset'), 'low');
+
+  Settings.set('bloom', true);
+  assert.equal(Settings.get('graphicsPreset'), 'custom');
+  Settings.set('bloom', false);
+  assert.equal(Settings.get('graphicsPreset'), 'low', 'matching a preset again selects it');
+
+  // Settings outside the presets leave the choice alone
+  Settings.set('fov', 90);
+  assert.equal(Settings.get('graphicsPreset'), 'low');
+});
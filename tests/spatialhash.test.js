@@ -0,0 +1,74 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Mesh, BoxGeometry, MeshBasicMaterial, Vector3, Box3, Ray } from 'three';
+import Entity from '../src/entities/Entity.js';
+import SpatialHash from '../src/entities/SpatialHash.js';
+
+/** A 1 m cube entity at (x, 0, z). */
+function cube(name, x, z, type = 'prop') {
+  const entity = new Entity(new Mesh(new BoxGeometry(1, 1, 1), new MeshBasicMaterial()), type, name);
+  entity.position.set(x, 0, z);
+  return entity;
+}
+
+/** @returns {string[]} sorted names */
+function names(entities) {
+  return entities.map((e) => e.name).sort();
+}
+
+/** A hash with 10 m cells and cubes spread over several of them. */
+function setup() {
+  const hash = new SpatialHash(10);
+  const entities = [
+    cube('origin', 0, 0),
+    cube('near', 3, 4),
+    cube('across', 12, 0, 'vehicle'),   // next cell over
+    cube('far', 95, -80),
+    cube('negative', -25, -5, 'vehicle'),
+  ];
+  for (const entity of entities) hash.insert(entity);
+  return { hash, entities };
+}
+
+test('radius queries find positions within the distance, across cells', () => {
+  const { hash } = setup();
+  assert.deepEqual(names(hash.queryRadius(new Vector3(0, 0, 0), 5.5)), ['near', 'origin']);
+  assert.deepEqual(names(hash.queryRadius(new Vector3(6, 0, 0), 7)), ['across', 'near', 'origin']);
+  assert.equal(hash.queryRadius(new Vector3(0, 0, 0), 1000).length, 5);
+  assert.deepEqual(
+    names(hash.queryRadius(new Vector3(0, 0, 0), 30, (e) => e.type === 'vehicle')),
+    ['across', 'negative'],
+  );
+});
+
+test('nearest searches outward past empty cells', () => {
+  const { hash } = setup();
+  assert.equal(hash.nearest(new Vector3(11, 0, 1)).name, 'across');
+  assert.equal(hash.nearest(new Vector3(60, 0, -60)).name, 'far');
+  assert.equal(hash.nearest(new Vector3(0, 0, 0), (e) => e.type === 'vehicle').name, 'across');
+  assert.equal(hash.nearest(new Vector3(60, 0, -60), null, 10), null);
+});
+
+test('box and ray queries test the bounding spheres', () => {
+  const { hash } = setup();
+  const box = new Box3(new Vector3(-1, -1, -1), new Vector3(13, 1, 1));
+  assert.deepEqual(names(hash.queryBox(box)), ['across', 'origin']);
+
+  const ray = new Ray(new Vector3(-50, 0.5, 0), new Vector3(1, 0, 0));
+  assert.deepEqual(hash.raycast(ray).map((hit) => hit.entity.name), ['origin', 'across']);
+  assert.deepEqual(hash.raycast(ray, null, 51).map((hit) => hit.entity.name), ['origin']);
+});
+
+test('update re-buckets moved entities and remove forgets them', () => {
+  const { hash, entities: [origin] } = setup();
+  origin.position.set(90, 0, -80);
+  assert.equal(hash.update(origin), true);
+  assert.equal(hash.update(origin), false, 'nothing changed since');
+
+  assert.deepEqual(names(hash.queryRadius(new Vector3(0, 0, 0), 5.5)), ['near']);
+  assert.deepEqual(names(hash.queryRadius(new Vector3(92, 0, -80), 5)), ['far', 'origin']);
+
+  hash.remove(origin);
+  assert.equal(hash.size, 4);
+  assert.deepEqual(names(hash.queryRadius(new Vector3(92, 0, -80), 5)), ['far']);
+});
@@ -0,0 +1,78 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import EventBus from '../src/core/EventBus.js';
+import WheelSuspension from '../src/entities/components/WheelSuspension.js';
+import { GRAVITY } from '../src/utils/constants.js';
+
+let h = null;
+
+afterEach(() => {
+  h?.dispose();
+  h = null;
+});
+
+/**
+ * A parked car on sprung wheels.
+ * @param {(h: HeadlessHarness) => void} [world] -- adds geometry before the build
+ */
+function setup(world) {
+  h = new HeadlessHarness();
+  h.addGround();
+  world?.(h);
+  h.buildCollision();
+  const car = h.createVehicle('car', { x: 0, y: 0, z: 0 });
+  car.addComponent(new WheelSuspension());
+  h.createGame();
+  return car;
+}
+
+test('a car dropped from a height lands and settles on its springs', () => {
+  const car = setup();
+  const suspension = car.getComponent('suspension');
+  car.position.y = 3;
+
+  const events = [];
+  const onAirborne = () => events.push(['airborne']);
+  const onLanded = ({ impact }) => events.push(['landed', impact]);
+  EventBus.on('vehicle:airborne', onAirborne);
+  EventBus.on('vehicle:landed', onLanded);
+  h.run(4);
+  EventBus.off('vehicle:airborne', onAirborne);
+  EventBus.off('vehicle:landed', onLanded);
+
+  assert.equal(events[0][0], 'airborne');
+  assert.equal(events[1][0], 'landed');
+  assert.ok(events[1][1] > 5, `hit the ground falling (${events[1][1].toFixed(1)} m/s)`);
+
+  // At rest the springs carry the car's weight, with the body at its origin height
+  const y = car.position.y;
+  h.run(0.5);
+  assert.ok(Math.abs(car.position.y - y) < 1e-3, 'at rest');
+  assert.ok(Math.abs(y) < 0.02, `resting height (y = ${y.toFixed(3)})`);
+  for (const compression of suspension.compression) {
+    assert.ok(Math.abs(compression + GRAVITY / suspension.stiffness) < 0.01, `compression ${compression.toFixed(3)}`);
+  }
+  assert.equal(suspension.grounded, true);
+  assert.equal(suspension.airborne, false);
+});
+
+test('a car with its front wheels on a step pitches nose up to match', () => {
+  // 0.3 m step under the front wheels only (mounts at z = ±1.4)
+  const car = setup((harness) => harness.addBox({ x: 0, y: 0.15, z: -2 }, { x: 4, y: 0.3, z: 2 }));
+  h.run(3);
+
+  const rotation = car.mesh.rotation;
+  assert.ok(Math.abs(rotation.x - Math.atan2(0.3, 2.8)) < 0.02, `pitch ${rotation.x.toFixed(3)}`);
+  assert.ok(Math.abs(rotation.z) < 1e-3, `no roll (${rotation.z.toFixed(4)})`);
+});
+
+test('without the component the body goes back to level', () => {
+  const car = setup((harness) => harness.addBox({ x: 0, y: 0.15, z: -2 }, { x: 4, y: 0.3, z: 2 }));
+  h.run(3);
+  assert.notEqual(car.mesh.rotation.x, 0);
+
+  car.removeComponent('suspension');
+  assert.equal(car.mesh.rotation.x, 0);
+  assert.equal(car.mesh.rotation.z, 0);
+});
@@ -0,0 +1,177 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { Mesh, BoxGeometry, MeshBasicMaterial, Vector3 } from 'three';
+import EventBus from '../src/core/EventBus.js';
+import EntityManager from '../src/entities/EntityManager.js';
+import HeadlessHarness from '../tools/headless/HeadlessHarness.js';
+import GameState from '../src/core/GameState.js';
+
+/** Near face of the wall the car drives into (it runs from z = -40 to -42). */
+const WALL_FACE_Z = -40;
+
+let h = null;
+
+afterEach(() => {
+  h?.dispose();
+  h = null;
+});
+
+/** A car at the origin facing -Z, driven, with a wall ahead. */
+function setup() {
+  h = new HeadlessHarness();
+  h.addGround();
+  h.addBox({ x: 0, y: 2, z: WALL_FACE_Z - 1 }, { x: 30, y: 4, z: 2 });
+  h.buildCollision();
+  const car = h.createVehicle('car', { x: 0, y: 0, z: 0 });
+  h.createGame();
+  h.interaction.enterVehicle(car);
+  return car;
+}
+
+test('entering puts the player in the driver seat', () => {
+  const car = setup();
+  assert.equal(GameState.mode, 'drive');
+  assert.equal(GameState.vehicle, car);
+  assert.equal(car.getComponent('drivable').occupied, true);
+});
+
+test('holding throttle drives the car forward', () => {
+  const car = setup();
+  h.hold('KeyW', 2);
+  assert.ok(car.position.z < -5, `moved forward (z = ${car.position.z})`);
+  assert.ok(Math.abs(car.position.x) < 0.5, `kept straight (x = ${car.position.x})`);
+});
+
+test('the car stops at a wall', () => {
+  const car = setup();
+  h.hold('KeyW', 6);
+  assert.ok(car.position.z > WALL_FACE_Z, `stayed in front of the wall (z = ${car.position.z})`);
+  assert.ok(car.position.z < WALL_FACE_Z + 5, `reached the wall (z = ${car.position.z})`);
+
+  // Throttle held against the wall: pressed in place, not through it
+  const z = car.position.z;
+  h.hold('KeyW', 1);
+  assert.ok(Math.abs(car.position.z - z) < 0.5, 'held at the wall');
+});
+
+test('releasing throttle lets the car roll to a stop', () => {
+  const car = setup();
+  h.hold('KeyW', 1);
+  const drivable = car.getComponent('drivable');
+  assert.ok(drivable.speed > 0);
+  h.run(8);
+  assert.ok(Math.abs(drivable.speed) < 0.1, `stopped (speed = ${drivable.speed})`);
+});
+
+/**
+ * Hit the car head-on, hard enough to wreck the front.
+ * @param {Vehicle} car
+ */
+function crashFront(car) {
+  const mass = car.getComponent('drivable').mass;
+  EventBus.emit('vehicle:collision', {
+    vehicle: car,
+    impulse: mass * 40,
+    point: new Vector3(car.position.x, 0.8, car.position.z - 2),
+    normal: new Vector3(0, 0, 1),
+  });
+}
+
+test('a copy of a dented car starts undented, with geometry of its own', () => {
+  const car = setup();
+  const chassis = car.mesh.children[0];
+  const intact = chassis.geometry;
+  crashFront(car);
+  assert.notEqual(chassis.geometry, intact, 'the dent copied the geometry');
+
+  const copy = car.clone('copy');
+  const copyChassis = copy.mesh.children[0];
+  assert.equal(copyChassis.geometry, intact);
+
+  // Denting and repairing the copy leaves the original's dent alone
+  const dented = chassis.geometry;
+  h.scene.add(copy.mesh);
+  EntityManager.add(copy);
+  crashFront(copy);
+  copy.repair();
+  assert.equal(chassis.geometry, dented);
+  assert.equal(copyChassis.geometry, intact);
+  copy.dispose();
+});
+
+/**
+ * Give the car a front bumper that can come off.
+ * @param {Vehicle} car
+ * @returns {Mesh}
+ */
+function addBumper(car) {
+  const bumper = new Mesh(new BoxGeometry(2, 0.3, 0.3), new MeshBasicMaterial());
+  bumper.name = 'bumper';
+  bumper.position.set(0, 0.4, -2);
+  car.mesh.add(bumper);
+  car.getComponent('damage').deserialize({ partNames: ['bumper'] });
+  return bumper;
+}
+
+/**
+ * Crash the car's front and return the part that came off.
+ * @param {Vehicle} car
+ * @returns {Prop|null}
+ */
+function crashOffPart(car) {
+  let part = null;
+  const onDetached = (event) => { part = event.part; };
+  EventBus.on('vehicle:partDetached', onDetached);
+  crashFront(car);
+  EventBus.off('vehicle:partDetached', onDetached);
+  return part;
+}
+
+test('repairing puts detached parts back and disposes their props', () => {
+  const car = setup();
+  const bumper = addBumper(car);
+  const part = crashOffPart(car);
+  assert.ok(part, 'the bumper came off');
+  assert.notEqual(bumper.parent, car.mesh);
+
+  car.repair();
+  assert.equal(bumper.parent, car.mesh);
+  assert.equal(part.disposed, true);
+  assert.equal(EntityManager.has(part), false);
+});
+
+test('changing the part names of a damaged car puts its parts back first', () => {
+  const car = setup();
+  const bumper = addBumper(car);
+  const chassis = car.mesh.children[0];
+  const intact = chassis.geometry;
+  const part = crashOffPart(car);
+
+  car.getComponent('damage').deserialize({ partNames: ['bumper', 'spoiler'] });
+  assert.equal(bumper.parent, car.mesh);
+  assert.equal(bumper.name, 'bumper');
+  assert.equal(EntityManager.has(part), false);
+  assert.equal(chassis.geometry, intact);
+
+  assert.ok(crashOffPart(car), 'the bumper is still a part and comes off again');
+});
+
+test('a copy made after a part came off has the part, undented, where it sat', () => {
+  const car = setup();
+  const bumper = addBumper(car);
+  const intact = bumper.geometry;
+  crashOffPart(car);
+  assert.notEqual(bumper.geometry, intact, 'the bumper was dented too');
+
+  const copy = car.clone('copy');
+  const copyBumper = copy.mesh.children.find((child) => child.name === 'bumper');
+  assert.ok(copyBumper, 'the copy has its bumper');
+  assert.equal(copyBumper.geometry, intact);
+  assert.deepEqual(copyBumper.position.toArray(), [0, 0.4, -2]);
+  assert.notEqual(bumper.parent, car.mesh, "the original's part stays off");
+
+  h.scene.add(copy.mesh);
+  EntityManager.add(copy);
+  assert.ok(crashOffPart(copy), "the copy's bumper can come off");
+  copy.dispose();
+});
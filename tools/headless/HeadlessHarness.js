@@ -0,0 +1,340 @@
+import {
+  Group,
+  Mesh,
+  BoxGeometry,
+  PlaneGeometry,
+  MeshBasicMaterial,
+} from 'three';
+import Engine from '../../src/core/Engine.js';
+import GameState from '../../src/core/GameState.js';
+import ModeController from '../../src/core/ModeController.js';
+import CameraSystem from '../../src/camera/CameraSystem.js';
+import CameraDrone from '../../src/camera/CameraDrone.js';
+import DrivingCam from '../../src/camera/DrivingCam.js';
+import ThirdPersonCam from '../../src/camera/ThirdPersonCam.js';
+import CharacterBody from '../../src/player/CharacterBody.js';
+import PlayerController from '../../src/player/PlayerController.js';
+import Vehicle from '../../src/entities/Vehicle.js';
+import EntityManager from '../../src/entities/EntityManager.js';
+import VehicleInteraction from '../../src/gameplay/VehicleInteraction.js';
+import CollisionWorld from '../../src/physics/CollisionWorld.js';
+import EntityCollisions from '../../src/physics/EntityCollisions.js';
+
+/** Standard gamepad button count (matches InputManager). */
+const PAD_BUTTONS = 17;
+
+/**
+ * Headless game session for automated tests under Node.
+ *
+ * Wraps a headless Engine (stub renderer, no DOM) and feeds it scripted
+ * input: the harness is the first simulation system, and every tick it
+ * hands the input manager a frame built from press() / release() /
+ * setAxis() / moveMouse(), exactly like InputReplay does during playback.
+ * Time only moves when run() or hold() is called.
+ *
+ * Builders mirror the wiring in main.js with primitive meshes in place
+ * of the GLB assets: collision geometry, a player, vehicles, the camera
+ * system and the ModeController / VehicleInteraction pair.
+ *
+ * Usage (node --import ./tools/headless/register.mjs):
+ *   const h = new HeadlessHarness();
+ *   h.addGround();
+ *   h.addBox({ x: 0, y: 1, z: -20 }, { x: 10, y: 2, z: 1 });
+ *   h.buildCollision();
+ *   const car = h.createVehicle('Lightning McQueen', { x: 0, y: 0, z: 0 });
+ *   h.createGame({ vehicles: [car] });
+ *   h.interaction.enterVehicle(car);
+ *   h.hold('KeyW', 2);
+ *   // assert on car.position ...
+ *   h.dispose();
+ */
+class HeadlessHarness {
+  constructor() {
+    this.engine = new Engine(null, { headless: true });
+    this.input = this.engine.input;
+    this.scene = this.engine.scene;
+
+    /** Static geometry passed to CollisionWorld.build(). */
+    this.world = new Group();
+    this.world.name = 'headless-world';
+    this.scene.add(this.world);
+
+    /** @type {PlayerController|null} */ this.player = null;
+    /** @type {Vehicle[]} */ this.vehicles = [];
+    /** @type {CameraSystem|null} */ this.cameraSystem = null;
+    /** @type {ModeController|null} */ this.modeController = null;
+    /** @type {VehicleInteraction|null} */ this.interaction = null;
+
+    // --- Scripted input state ---
+    /** @private */ this._keys = new Set();
+    /** @private */ this._mouseButtons = new Set();
+    /** @private */ this._mouse = [0, 0];
+    /** @private */ this._axes = [0, 0, 0, 0];
+    /** @private */ this._values = new Array(PAD_BUTTONS).fill(0);
+
+    /** @private Simulated seconds since construction. */
+    this._time = 0;
+
+    // First simulation system: every later one reads this tick's input
+    this.engine.addSimulation({ name: 'HeadlessInput', update: () => this._applyInput() });
+  }
+
+  /**
+   * Simulated time in seconds.
+   * @returns {number}
+   */
+  get time() {
+    return this._time;
+  }
+
+  // ---------------------------------------------------------------------------
+  // World
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Add a flat square ground plane at y = 0.
+   * @param {number} [size=200]
+   * @returns {THREE.Mesh}
+   */
+  addGround(size = 200) {
+    const ground = new Mesh(new PlaneGeometry(size, size), new MeshBasicMaterial());
+    ground.name = 'ground';
+    ground.rotation.x = -Math.PI / 2;
+    this.world.add(ground);
+    return ground;
+  }
+
+  /**
+   * Add a solid box (e.g. a wall) to the collision geometry.
+   * @param {{x:number,y:number,z:number}} position — box centre
+   * @param {{x:number,y:number,z:number}} size
+   * @returns {THREE.Mesh}
+   */
+  addBox(position, size) {
+    const box = new Mesh(new BoxGeometry(size.x, size.y, size.z), new MeshBasicMaterial());
+    box.name = 'box';
+    box.position.set(position.x, position.y, position.z);
+    this.world.add(box);
+    return box;
+  }
+
+  /**
+   * Build the CollisionWorld octree from everything added so far.
+   */
+  buildCollision() {
+    this.world.updateMatrixWorld(true);
+    CollisionWorld.build(this.world);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Entities
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Create a player with a placeholder body (no animation clips).
+   * Updated by the ModeController once createGame() has run; its entity
+   * is registered with the EntityManager.
+   * @param {{x:number,y:number,z:number}} [position]
+   * @returns {PlayerController}
+   */
+  createPlayer(position = { x: 0, y: 0, z: 0 }) {
+    const body = new CharacterBody(new Group());
+    body.container.position.set(position.x, position.y, position.z);
+    this.scene.add(body.container);
+
+    this.player = new PlayerController(body, this.input);
+    GameState.player = this.player;
+    EntityManager.add(this.player.entity);
+    return this.player;
+  }
+
+  /**
+   * Create a box-bodied vehicle with four wheel meshes and register it
+   * with the EntityManager.
+   * @param {string} [name]
+   * @param {{x:number,y:number,z:number}} [position]
+   * @returns {Vehicle}
+   */
+  createVehicle(name = 'vehicle', position = { x: 0, y: 0, z: 0 }) {
+    const root = new Group();
+    const chassis = new Mesh(new BoxGeometry(2, 1, 4), new MeshBasicMaterial());
+    chassis.position.y = 0.8;
+    root.add(chassis);
+    for (const [x, z] of [[-1, 1.3], [1, 1.3], [-1, -1.3], [1, -1.3]]) {
+      const wheel = new Mesh(new BoxGeometry(0.3, 0.7, 0.7), new MeshBasicMaterial());
+      wheel.name = 'wheel';
+      wheel.position.set(x, 0.35, z);
+      root.add(wheel);
+    }
+
+    const vehicle = new Vehicle(root, [], name);
+    vehicle.position.set(position.x, position.y, position.z);
+    this.scene.add(vehicle.mesh);
+    EntityManager.add(vehicle);
+    this.vehicles.push(vehicle);
+    return vehicle;
+  }
+
+  /**
+   * Wire cameras, ModeController and VehicleInteraction the way main.js
+   * does, creating a player at the origin if there is none yet.
+   * @param {object} [options]
+   * @param {Vehicle[]} [options.vehicles] — drivable vehicles (default: all created)
+   * @param {string} [options.mode='play'] — initial game mode
+   */
+  createGame({ vehicles = this.vehicles, mode = 'play' } = {}) {
+    if (!this.player) this.createPlayer();
+
+    this.cameraSystem = new CameraSystem(this.engine.camera, this.input);
+    this.cameraSystem.registerMode(new CameraDrone());
+    this.cameraSystem.registerMode(new DrivingCam());
+    this.cameraSystem.registerMode(new ThirdPersonCam(this.player));
+    this.cameraSystem.setMode('drone');
+    this.engine.addUpdatable(this.cameraSystem);
+
+    this.interaction = new VehicleInteraction(this.player, vehicles, this.input);
+
+    this.modeController = new ModeController({
+      cameraSystem: this.cameraSystem,
+      playerController: this.player,
+      vehicleInteraction: this.interaction,
+    });
+    this.engine.addSimulation(this.modeController);
+    this.engine.addSimulation(EntityManager);
+    this.engine.addSimulation(EntityCollisions);
+
+    GameState.setMode(mode);
+  }
+
+  // ---------------------------------------------------------------------------
+  // Scripted input
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Hold keys down (KeyboardEvent.code values) or mouse buttons ('Mouse0').
+   * @param {...string} codes
+   */
+  press(...codes) {
+    for (const code of codes) {
+      const mouse = /^Mouse(\d)$/.exec(code);
+      if (mouse) this._mouseButtons.add(Number(mouse[1]));
+      else this._keys.add(code);
+    }
+  }
+
+  /**
+   * Release keys or mouse buttons held with press().
+   * @param {...string} codes
+   */
+  release(...codes) {
+    for (const code of codes) {
+      const mouse = /^Mouse(\d)$/.exec(code);
+      if (mouse) this._mouseButtons.delete(Number(mouse[1]));
+      else this._keys.delete(code);
+    }
+  }
+
+  /** Release every key, button and stick. */
+  releaseAll() {
+    this._keys.clear();
+    this._mouseButtons.clear();
+    this._axes.fill(0);
+    this._values.fill(0);
+  }
+
+  /**
+   * Set a gamepad stick axis (0 = left X, 1 = left Y, 2 = right X, 3 = right Y).
+   * @param {number} index
+   * @param {number} value — -1 to 1
+   */
+  setAxis(index, value) {
+    this._axes[index] = value;
+  }
+
+  /**
+   * Set a gamepad button value (standard mapping, e.g. 7 = right trigger).
+   * @param {number} index
+   * @param {number} value — 0 to 1
+   */
+  setButton(index, value) {
+    this._values[index] = value;
+  }
+
+  /**
+   * Queue mouse movement (pixels) delivered on the next tick.
+   * @param {number} dx
+   * @param {number} dy
+   */
+  moveMouse(dx, dy) {
+    this._mouse[0] += dx;
+    this._mouse[1] += dy;
+  }
+
+  // ---------------------------------------------------------------------------
+  // Time
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Advance the simulation (one rendered frame per fixed step).
+   * @param {number} seconds
+   */
+  run(seconds) {
+    this.engine.advance(seconds);
+    this._time += seconds;
+  }
+
+  /**
+   * Hold keys for a duration, then release them.
+   * @param {string|string[]} codes
+   * @param {number} seconds
+   */
+  hold(codes, seconds) {
+    const list = Array.isArray(codes) ? codes : [codes];
+    this.press(...list);
+    this.run(seconds);
+    this.release(...list);
+  }
+
+  /**
+   * Hand the input manager this tick's scripted frame.
+   * @private
+   */
+  _applyInput() {
+    this.input.setPlaybackFrame({
+      keys: [...this._keys],
+      mouse: this._mouse,
+      mouseButtons: [...this._mouseButtons],
+      pointerLocked: true,
+      axes: this._axes,
+      buttons: this._values.map((v) => (v >= 0.5 ? 1 : 0)),
+      values: this._values,
+    });
+    this._mouse = [0, 0];
+  }
+
+  // ---------------------------------------------------------------------------
+  // Cleanup
+  // ---------------------------------------------------------------------------
+
+  /**
+   * Tear down the session and reset the shared singletons so the next
+   * harness starts clean.
+   */
+  dispose() {
+    this.interaction?.dispose();
+    this.modeController?.dispose();
+    this.cameraSystem?.dispose();
+    for (const vehicle of this.vehicles) {
+      EntityManager.remove(vehicle);
+      vehicle.dispose();
+    }
+    if (this.player) EntityManager.remove(this.player.entity);
+    CollisionWorld.dispose();
+    GameState.vehicle = null;
+    GameState.player = null;
+    GameState.setMode('free');
+    this.engine.dispose();
+  }
+}
+
+export default HeadlessHarness;
@@ -0,0 +1,66 @@
+import { readFileSync } from 'node:fs';
+
+/**
+ * Node module resolve hook that honours the browser import map in
+ * index.html, so src/ modules import 'three' and 'three/addons/...'
+ * under Node exactly as they do in the page.
+ *
+ * A locally installed copy (node_modules/three) wins when present;
+ * otherwise the import-map URL is used, which needs Node's
+ * --experimental-network-imports (tools/run-tests.mjs passes it).
+ *
+ * The repo has no package.json, so its .js files are also loaded as
+ * ES modules here rather than CommonJS.
+ *
+ * Registered by tools/headless/register.mjs.
+ */
+
+const ROOT_URL = new URL('../../', import.meta.url);
+
+const IMPORTS = readImportMap(new URL('index.html', ROOT_URL));
+
+/**
+ * @param {URL} htmlUrl
+ * @returns {Record<string, string>} specifier (or prefix ending in '/') -> URL
+ */
+function readImportMap(htmlUrl) {
+  const html = readFileSync(htmlUrl, 'utf8');
+  const match = /<script type="importmap">([\s\S]*?)<\/script>/.exec(html);
+  return match ? JSON.parse(match[1]).imports : {};
+}
+
+/**
+ * Map a bare specifier through the import map (exact match or longest
+ * trailing-slash prefix), or return null.
+ * @param {string} specifier
+ * @returns {string|null}
+ */
+function mapSpecifier(specifier) {
+  if (IMPORTS[specifier]) return IMPORTS[specifier];
+  let best = null;
+  for (const prefix of Object.keys(IMPORTS)) {
+    if (prefix.endsWith('/') && specifier.startsWith(prefix) && (!best || prefix.length > best.length)) {
+      best = prefix;
+    }
+  }
+  return best ? IMPORTS[best] + specifier.slice(best.length) : null;
+}
+
+export async function resolve(specifier, context, nextResolve) {
+  const mapped = mapSpecifier(specifier);
+  if (!mapped) return nextResolve(specifier, context);
+
+  try {
+    return await nextResolve(specifier, { ...context, parentURL: ROOT_URL.href });
+  } catch {
+    return { url: mapped, shortCircuit: true };
+  }
+}
+
+export async function load(url, context, nextLoad) {
+  // The repo has no package.json, so tell Node its .js files are ES modules
+  if (url.startsWith(ROOT_URL.href) && url.endsWith('.js') && !url.includes('/node_modules/')) {
+    return nextLoad(url, { ...context, format: 'module' });
+  }
+  return nextLoad(url, context);
+}
@@ -0,0 +1,5 @@
+import { register } from 'node:module';
+
+// Load with `node --import ./tools/headless/register.mjs ...` to run src/
+// modules under Node with the page's import map (see loader.mjs).
+register('./loader.mjs', import.meta.url);
@@ -0,0 +1,53 @@
+#!/usr/bin/env node
+/**
+ * Test runner: finds every *.test.js file under tests/ (or the paths
+ * given on the command line) and runs them with Node's built-in test
+ * runner, with the headless import-map loader registered so they can
+ * import src/ modules and tools/headless/HeadlessHarness.js.
+ *
+ * Usage:
+ *   node tools/run-tests.mjs               # everything under tests/
+ *   node tools/run-tests.mjs tests/vehicle.test.js
+ *
+ * 'three' comes from node_modules/three when installed, otherwise from
+ * the import-map URL in index.html (network access needed).
+ */
+import { spawnSync } from 'node:child_process';
+import { existsSync, readdirSync, statSync } from 'node:fs';
+import { join, relative, resolve } from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const ROOT = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * @param {string} path — file or directory
+ * @returns {string[]} test files, sorted
+ */
+function findTests(path) {
+  if (!existsSync(path)) return [];
+  if (!statSync(path).isDirectory()) return [path];
+  return readdirSync(path, { withFileTypes: true })
+    .flatMap((entry) => {
+      const full = join(path, entry.name);
+      if (entry.isDirectory()) return entry.name === 'node_modules' ? [] : findTests(full);
+      return entry.name.endsWith('.test.js') ? [full] : [];
+    })
+    .sort();
+}
+
+const targets = process.argv.length > 2 ? process.argv.slice(2) : ['tests'];
+const files = targets.flatMap((target) => findTests(resolve(ROOT, target)));
+
+if (files.length === 0) {
+  console.log(`No *.test.js files found in: ${targets.join(', ')}`);
+  process.exit(0);
+}
+
+const result = spawnSync(process.execPath, [
+  '--experimental-network-imports',
+  '--import', './tools/headless/register.mjs',
+  '--test',
+  ...files.map((file) => relative(ROOT, file)),
+], { cwd: ROOT, stdio: 'inherit' });
+
+process.exit(result.status ?? 1);